@@ -0,0 +1,112 @@
+/**
+ * Adobe Analytics extension configuration for Nightjar
+ * Decodes the extension's global settings: report suites, tracking servers,
+ * link tracking, global variables and the "customize page code" setup
+ */
+
+import { isFunctionValue, functionSource } from './container-parser.js';
+import { detectTrackerProperties, detectCodeVariables, addVariableUsages, DEFAULT_TRACKER_NAMES } from './variable-detector.js';
+
+export const ANALYTICS_EXTENSION = 'adobe-analytics';
+
+// Tracker properties that configure the library rather than set report variables
+const GENERAL_SETTINGS = [
+  'charSet', 'currencyCode', 'trackingServer', 'trackingServerSecure', 'dynamicVariablePrefix',
+  'cookieDomainPeriods', 'fpCookieDomainPeriods', 'cookieLifetime', 'visitorNamespace', 'trackingServerIsSecure'
+];
+
+const LINK_TRACKING_SETTINGS = [
+  'trackInlineStats', 'trackDownloadLinks', 'trackExternalLinks', 'linkInternalFilters',
+  'linkExternalFilters', 'linkDownloadFileTypes', 'linkLeaveQueryString'
+];
+
+/**
+ * Get the name of a function's first parameter, which is the tracker in custom page code
+ */
+export function firstParameterName(source) {
+  const match = /^\s*(?:async\s+)?(?:function\s*[\w$]*\s*\(\s*([\w$]+)|\(\s*([\w$]+)|([\w$]+)\s*=>)/.exec(source || '');
+  return match ? (match[1] || match[2] || match[3]) : null;
+}
+
+/**
+ * Decode the Analytics extension's settings
+ * Returns null when the extension is not installed
+ */
+export function decodeAnalyticsConfig(extensions) {
+  const extension = extensions && extensions[ANALYTICS_EXTENSION];
+  if (!extension) return null;
+
+  const settings = extension.settings || {};
+  const libraryCode = settings.libraryCode || {};
+  const trackerProperties = settings.trackerProperties || {};
+  const accounts = libraryCode.accounts || {};
+
+  const pick = keys => {
+    const picked = {};
+    keys.forEach(key => {
+      if (trackerProperties[key] !== undefined) picked[key] = trackerProperties[key];
+    });
+    return picked;
+  };
+
+  // Custom page code runs on every page before or after the extension's settings are applied
+  let customCode = null;
+  if (settings.customSetup && settings.customSetup.source) {
+    const source = settings.customSetup.source;
+    const code = isFunctionValue(source) ? functionSource(source) : String(source);
+    const trackerName = isFunctionValue(source) ? firstParameterName(code) : null;
+    customCode = {
+      code,
+      trackerName,
+      loadPhase: settings.customSetup.loadPhase || 'beforeSettings',
+      variables: detectCodeVariables(code, {
+        trackerNames: trackerName ? [trackerName, ...DEFAULT_TRACKER_NAMES] : DEFAULT_TRACKER_NAMES
+      })
+    };
+  }
+
+  return {
+    extension: ANALYTICS_EXTENSION,
+    displayName: extension.displayName,
+    orgId: settings.orgId || null,
+    library: {
+      type: libraryCode.type || null,
+      trackerVariableName: libraryCode.trackerVariableName || null,
+      scopeTrackerGlobally: libraryCode.scopeTrackerGlobally === true,
+      httpUrl: libraryCode.httpUrl || null,
+      httpsUrl: libraryCode.httpsUrl || null
+    },
+    reportSuites: {
+      production: accounts.production || [],
+      staging: accounts.staging || [],
+      development: accounts.development || []
+    },
+    general: pick(GENERAL_SETTINGS),
+    linkTracking: pick(LINK_TRACKING_SETTINGS),
+    globalVariables: detectTrackerProperties(trackerProperties),
+    customCode
+  };
+}
+
+/**
+ * Add the variables set by the global configuration to a variable usage map
+ */
+export function addGlobalVariableUsages(variables, config) {
+  if (!config) return variables;
+
+  addVariableUsages(variables, config.globalVariables, {
+    source: 'global',
+    component: `${config.displayName} extension configuration`,
+    location: 'Global Variables'
+  });
+
+  if (config.customCode) {
+    addVariableUsages(variables, config.customCode.variables, {
+      source: 'global',
+      component: `${config.displayName} extension configuration`,
+      location: `Custom Page Code (${config.customCode.loadPhase})`
+    });
+  }
+
+  return variables;
+}
@@ -0,0 +1,332 @@
+/**
+ * Implementation audit for Nightjar
+ * Runs a set of configurable checks over a parsed library and reports
+ * findings ranked by severity, each naming the rules or data elements involved
+ */
+
+import { readFileSync } from 'fs';
+import { isFunctionValue, functionSource } from './container-parser.js';
+import { PAGE_LOAD_STAGES } from './page-simulator.js';
+import { ANALYTICS_EXTENSION } from './analytics-config.js';
+import { WEB_SDK_EXTENSION } from './web-sdk.js';
+
+export const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+const PAGE_LOAD_EVENT_TYPES = PAGE_LOAD_STAGES.map(stage => stage.type);
+
+/**
+ * Collect every piece of custom code in a library with the rule, data element or
+ * extension it belongs to. External files that were not fetched are returned with `code: null`
+ */
+export function customCodeBlocks({ rules = {}, dataElements = {}, analyticsConfig = null }) {
+  const blocks = [];
+
+  Object.values(rules).forEach(rule => {
+    ['events', 'conditions', 'actions'].forEach(kind => {
+      rule[kind].forEach((component, index) => {
+        if (component.type !== 'customCode') return;
+        blocks.push({
+          target: { kind: 'rule', id: rule.id, name: rule.name },
+          location: `${kind.replace(/s$/, '')} ${index + 1} (${component.displayName}${component.codeUrl ? ', external file' : ''})`,
+          code: component.code,
+          codeUrl: component.codeUrl || null
+        });
+      });
+    });
+  });
+
+  Object.values(dataElements).forEach(element => {
+    if (element.type !== 'customCode') return;
+    const source = element.settings.source;
+    blocks.push({
+      target: { kind: 'dataElement', id: element.name, name: element.name },
+      location: 'custom code',
+      code: isFunctionValue(source) ? functionSource(source) : (typeof source === 'string' ? source : ''),
+      codeUrl: null
+    });
+  });
+
+  if (analyticsConfig && analyticsConfig.customCode && analyticsConfig.customCode.code) {
+    blocks.push({
+      target: { kind: 'extension', id: ANALYTICS_EXTENSION, name: analyticsConfig.displayName },
+      location: 'custom code in the extension configuration',
+      code: analyticsConfig.customCode.code,
+      codeUrl: null
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Find the beacons a rule sends: Analytics page views and link calls, Web SDK events,
+ * and s.t() / s.tl() / alloy("sendEvent") calls in custom code
+ */
+export function ruleBeacons(rule) {
+  const beacons = [];
+  rule.actions.forEach((action, index) => {
+    const label = `action ${index + 1} (${action.displayName})`;
+    if (action.extension === ANALYTICS_EXTENSION && action.type === 'sendBeacon') {
+      beacons.push({ label, description: action.settings.type === 'link' ? 's.tl() link call' : 's.t() page view' });
+    } else if (action.extension === WEB_SDK_EXTENSION && action.type === 'sendEvent') {
+      beacons.push({ label, description: 'Web SDK sendEvent' });
+    } else if (action.type === 'customCode' && action.code) {
+      if (/\.t\(\s*\)/.test(action.code)) beacons.push({ label, description: 's.t() page view in custom code' });
+      if (/\.tl\(/.test(action.code)) beacons.push({ label, description: 's.tl() link call in custom code' });
+      if (/\balloy\(\s*['"`]sendEvent/.test(action.code)) beacons.push({ label, description: 'alloy("sendEvent") in custom code' });
+    }
+  });
+  return beacons;
+}
+
+const ruleTarget = rule => ({ kind: 'rule', id: rule.id, name: rule.name });
+const dataElementTarget = element => ({ kind: 'dataElement', id: element.name, name: element.name });
+
+/**
+ * The audit checks, in report order
+ * `defaults` are the options a config file can override for each check
+ */
+export const AUDIT_CHECKS = [
+  {
+    id: 'unconditional-beacon',
+    title: 'Beacon on every page',
+    severity: 'high',
+    defaults: { maxRules: 1 },
+    run({ rules }, options, report) {
+      const unconditional = Object.values(rules)
+        .filter(rule => rule.conditions.length === 0)
+        .filter(rule => rule.events.some(event => event.extension === 'core' && PAGE_LOAD_EVENT_TYPES.includes(event.type)))
+        .map(rule => ({ rule, beacons: ruleBeacons(rule) }))
+        .filter(({ beacons }) => beacons.length > 0);
+
+      if (unconditional.length <= options.maxRules) return;
+      unconditional.forEach(({ rule, beacons }) => {
+        const sends = `Sends ${beacons.map(beacon => `${beacon.description} from ${beacon.label}`).join(', ')} on every page load with no conditions`;
+        report(unconditional.length > 1 ?
+          `${sends}; ${unconditional.length} rules do this (at most ${options.maxRules} expected), so every page sends several beacons` :
+          `${sends} (at most ${options.maxRules} such rules expected)`, [ruleTarget(rule)]);
+      });
+    }
+  },
+  {
+    id: 'link-track-vars',
+    title: 's.tl() without linkTrackVars',
+    severity: 'medium',
+    defaults: {},
+    run(library, options, report) {
+      customCodeBlocks(library)
+        .filter(block => block.code && /\.tl\(/.test(block.code) && !/linkTrackVars/.test(block.code))
+        .forEach(block => {
+          report(`Calls s.tl() in ${block.location} without setting linkTrackVars, so variables set for the call may not be sent (or every variable is)`, [block.target]);
+        });
+    }
+  },
+  {
+    id: 'duplicate-rule-name',
+    title: 'Duplicate rule names',
+    severity: 'low',
+    defaults: {},
+    run({ rules }, options, report) {
+      const byName = Object.create(null);
+      Object.values(rules).forEach(rule => {
+        const key = rule.name.trim().toLowerCase();
+        (byName[key] = byName[key] || []).push(rule);
+      });
+      Object.values(byName).filter(group => group.length > 1).forEach(group => {
+        report(`${group.length} rules are named "${group[0].name}" (${group.map(rule => rule.id).join(', ')}), so they cannot be told apart by name`, group.map(ruleTarget));
+      });
+    }
+  },
+  {
+    id: 'sync-only-event',
+    title: 'Page Bottom event in an async deployment',
+    severity: 'high',
+    defaults: {},
+    run({ rules }, options, report, { deployment }) {
+      if (deployment === 'sync') return;
+      Object.values(rules).forEach(rule => {
+        rule.events.forEach((event, index) => {
+          if (event.extension !== 'core' || event.type !== 'pageBottom') return;
+          report(deployment === 'async' ?
+            `Uses a Page Bottom event (event ${index + 1}); when the library loads asynchronously Page Bottom fires at the same time as Library Loaded, not at the bottom of the page` :
+            `Uses a Page Bottom event (event ${index + 1}), which only fires at the bottom of the page when the library is loaded synchronously with _satellite.pageBottom(). The deployment is not set, so this is only a problem if the library loads asynchronously; set the deployment to confirm`,
+          [ruleTarget(rule)]);
+        });
+      });
+    }
+  },
+  {
+    id: 'debug-code',
+    title: 'Debugging code left in custom code',
+    severity: 'medium',
+    defaults: { consoleMethods: ['log', 'debug', 'info', 'trace', 'dir', 'table'] },
+    run(library, options, report) {
+      const consolePattern = new RegExp(`\\bconsole\\.(${options.consoleMethods.join('|')})\\s*\\(`, 'g');
+      customCodeBlocks(library).filter(block => block.code).forEach(block => {
+        const found = [...new Set([...block.code.matchAll(consolePattern)].map(match => `console.${match[1]}()`))];
+        if (/\bdebugger\b\s*;?/.test(block.code.replace(/(['"`])(?:(?!\1)[^\\]|\\.)*\1/g, '""'))) found.push('debugger statement');
+        if (found.length > 0) {
+          report(`${found.join(', ')} in ${block.location}`, [block.target]);
+        }
+      });
+    }
+  },
+  {
+    id: 'jquery-dependence',
+    title: 'Custom code depends on jQuery',
+    severity: 'medium',
+    defaults: {},
+    run(library, options, report) {
+      customCodeBlocks(library).filter(block => block.code).forEach(block => {
+        const match = /(?:^|[^\w$.])(jQuery\s*[(.]|\$\s*\(|\$\.\w+)/m.exec(block.code);
+        if (match) {
+          report(`${block.location} uses jQuery (${match[1].trim()}...), which breaks on pages that do not load it or load it after the library`, [block.target]);
+        }
+      });
+    }
+  },
+  {
+    id: 'empty-rule',
+    title: 'Empty rules',
+    severity: 'medium',
+    defaults: {},
+    run({ rules }, options, report) {
+      Object.values(rules).forEach(rule => {
+        if (rule.events.length === 0) {
+          report('Has no events, so it never fires', [ruleTarget(rule)]);
+        } else if (rule.actions.length === 0) {
+          report('Has no actions, so it does nothing when it fires', [ruleTarget(rule)]);
+        }
+      });
+    }
+  },
+  {
+    id: 'data-element-default',
+    title: 'Data elements without a default value',
+    severity: 'low',
+    defaults: { ignoreTypes: ['constant', 'randomNumber', 'pageInfo', 'runtimeEnvironment', 'deviceAttributes', 'visitorBehavior', 'xdmObject', 'variable'] },
+    run({ dataElements }, options, report) {
+      Object.values(dataElements).forEach(element => {
+        if (options.ignoreTypes.includes(element.type)) return;
+        if (element.defaultValue === null || element.defaultValue === '') {
+          report(`${element.typeName} data element has no default value, so it resolves to an empty value when its source is missing`, [dataElementTarget(element)]);
+        }
+      });
+    }
+  },
+  {
+    id: 'rule-naming',
+    title: 'Rule naming convention',
+    severity: 'low',
+    defaults: { pattern: null },
+    run({ rules }, options, report) {
+      if (!options.pattern) return;
+      const pattern = new RegExp(options.pattern);
+      Object.values(rules).filter(rule => !pattern.test(rule.name)).forEach(rule => {
+        report(`Name "${rule.name}" does not match ${pattern}`, [ruleTarget(rule)]);
+      });
+    }
+  },
+  {
+    id: 'data-element-naming',
+    title: 'Data element naming convention',
+    severity: 'low',
+    defaults: { pattern: null },
+    run({ dataElements }, options, report) {
+      if (!options.pattern) return;
+      const pattern = new RegExp(options.pattern);
+      Object.values(dataElements).filter(element => !pattern.test(element.name)).forEach(element => {
+        report(`Name "${element.name}" does not match ${pattern}`, [dataElementTarget(element)]);
+      });
+    }
+  },
+  {
+    id: 'custom-code-size',
+    title: 'Large custom code blocks',
+    severity: 'info',
+    defaults: { maxCharacters: 10000 },
+    run(library, options, report) {
+      customCodeBlocks(library).filter(block => block.code && block.code.length > options.maxCharacters).forEach(block => {
+        report(`${block.location} is ${block.code.length} characters (more than ${options.maxCharacters})`, [block.target]);
+      });
+    }
+  }
+];
+
+/**
+ * Merge an audit config over the defaults, validating check IDs, severities and patterns
+ * Config shape: { deployment: 'async' | 'sync', checks: { <check id>: { enabled, severity, ...options } } }
+ */
+export function resolveAuditConfig(config = {}) {
+  const checks = (config && config.checks) || {};
+  Object.keys(checks).forEach(id => {
+    if (!AUDIT_CHECKS.some(check => check.id === id)) {
+      throw new Error(`Unknown audit check '${id}'. Available checks: ${AUDIT_CHECKS.map(check => check.id).join(', ')}`);
+    }
+  });
+
+  const deployment = (config && config.deployment) || 'unknown';
+  if (!['async', 'sync', 'unknown'].includes(deployment)) {
+    throw new Error(`Invalid deployment '${deployment}': use async or sync`);
+  }
+
+  return {
+    deployment,
+    checks: AUDIT_CHECKS.map(check => {
+      const { enabled = true, severity = check.severity, ...options } = checks[check.id] || {};
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity '${severity}' for check '${check.id}': use ${SEVERITIES.join(', ')}`);
+      }
+      const resolved = { ...check.defaults, ...options };
+      if (resolved.pattern) {
+        try {
+          new RegExp(resolved.pattern);
+        } catch (e) {
+          throw new Error(`Invalid pattern for check '${check.id}': ${e.message}`);
+        }
+      }
+      return { check, enabled: enabled !== false, severity, options: resolved };
+    })
+  };
+}
+
+/**
+ * Read an audit config file (JSON)
+ */
+export function loadAuditConfig(filePath) {
+  let text;
+  try {
+    text = readFileSync(filePath, 'utf8');
+  } catch (e) {
+    throw new Error(`Could not read audit config ${filePath}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Audit config ${filePath} is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Run the enabled checks over a parsed library
+ * Returns { findings, checks, deployment } with findings sorted by severity, then check order
+ */
+export function runAudit(library, config = {}) {
+  const resolved = resolveAuditConfig(config);
+  const findings = [];
+
+  const checks = resolved.checks.map(({ check, enabled, severity, options }, order) => {
+    if (!enabled) return { id: check.id, title: check.title, enabled, severity, count: 0 };
+
+    let count = 0;
+    const report = (message, targets) => {
+      count++;
+      findings.push({ check: check.id, title: check.title, severity, order, message, targets });
+    };
+    check.run(library, options, report, { deployment: resolved.deployment });
+    return { id: check.id, title: check.title, enabled, severity, count };
+  });
+
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.order - b.order);
+  return { findings, checks, deployment: resolved.deployment };
+}
@@ -0,0 +1,360 @@
+/**
+ * Container parser for Nightjar
+ * Extracts the `_satellite.container` object literal from an Adobe Launch library
+ * and turns it into a plain object tree without executing any library code
+ */
+
+import { Parser, tokTypes } from 'acorn';
+
+const PARSER_OPTIONS = { ecmaVersion: 'latest', sourceType: 'script' };
+
+// Top-level container sections, in the order Launch writes them
+export const CONTAINER_SECTIONS = [
+  'buildInfo',
+  'environment',
+  'dataElements',
+  'extensions',
+  'company',
+  'property',
+  'rules'
+];
+
+const ARRAY_SECTIONS = ['rules'];
+
+/**
+ * Check whether a decoded value stands in for a JavaScript function
+ */
+export function isFunctionValue(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.__function === 'string';
+}
+
+/**
+ * Get the source text of a decoded function value
+ */
+export function functionSource(value) {
+  return isFunctionValue(value) ? value.__function : null;
+}
+
+/**
+ * Check whether a decoded value is an expression that could not be turned into data
+ */
+export function isExpressionValue(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.__expression === 'string';
+}
+
+/**
+ * Find where the container object literal starts in a Launch library
+ */
+export function findContainerStart(source) {
+  const match = /(?:window\.)?_satellite\.container\s*=(?!=)\s*/.exec(source);
+  return match ? match.index + match[0].length : -1;
+}
+
+/**
+ * Parse a single assignment-level expression starting at the given position
+ */
+function parseValueAt(source, start) {
+  const parser = new Parser(PARSER_OPTIONS, source, start);
+  parser.nextToken();
+  return parser.parseMaybeAssign();
+}
+
+/**
+ * Parse the container object literal of a Launch library into an AST node
+ * Node positions are offsets into `source`, so callers can measure each part
+ */
+export function parseContainerNode(source) {
+  const containerStart = findContainerStart(source);
+  if (containerStart === -1) {
+    throw new Error("Could not find container configuration (window._satellite.container)");
+  }
+  const node = parseValueAt(source, containerStart);
+  if (node.type !== 'ObjectExpression') {
+    throw new Error(`Container is a ${node.type}, not an object literal`);
+  }
+  return node;
+}
+
+/**
+ * Define a key on an object rather than assigning it, so a "__proto__" key
+ * from the library is kept as data and does not replace the object's prototype
+ */
+export function defineKey(object, key, value) {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Convert an AST node into a plain value
+ * Functions and other non-literal expressions are kept as source text, never evaluated
+ */
+function toValue(node, source, warnings) {
+  switch (node.type) {
+    case 'ObjectExpression': {
+      const result = {};
+      node.properties.forEach(property => {
+        if (property.type !== 'Property' || property.computed) {
+          warnings.push(`Skipped unsupported property syntax: ${source.slice(property.start, Math.min(property.end, property.start + 60))}`);
+          return;
+        }
+        const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+        if (property.kind !== 'init') {
+          defineKey(result, key, { __expression: source.slice(property.start, property.end) });
+          return;
+        }
+        defineKey(result, key, toValue(property.value, source, warnings));
+      });
+      return result;
+    }
+
+    case 'ArrayExpression':
+      return node.elements.map(element => (element ? toValue(element, source, warnings) : null));
+
+    case 'Literal':
+      if (node.regex) {
+        return { __expression: node.raw };
+      }
+      return node.value;
+
+    case 'TemplateLiteral':
+      if (node.expressions.length === 0) {
+        return node.quasis.map(quasi => quasi.value.cooked).join('');
+      }
+      break;
+
+    case 'UnaryExpression': {
+      if (node.operator === 'void') {
+        return null;
+      }
+      const argument = toValue(node.argument, source, warnings);
+      if (argument === null || typeof argument !== 'object') {
+        if (node.operator === '!') return !argument;
+        if (node.operator === '-') return -argument;
+        if (node.operator === '+') return +argument;
+      }
+      break;
+    }
+
+    case 'Identifier':
+      if (node.name === 'undefined') return null;
+      if (node.name === 'Infinity') return Infinity;
+      if (node.name === 'NaN') return NaN;
+      break;
+
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return { __function: source.slice(node.start, node.end) };
+
+    default:
+      break;
+  }
+
+  const text = source.slice(node.start, node.end);
+  warnings.push(`Kept non-literal expression as source: ${text.substring(0, 60)}${text.length > 60 ? '...' : ''}`);
+  return { __expression: text };
+}
+
+const OPENING_TOKENS = [tokTypes.braceL, tokTypes.bracketL, tokTypes.parenL, tokTypes.dollarBraceL];
+const CLOSING_TOKENS = [tokTypes.braceR, tokTypes.bracketR, tokTypes.parenR];
+
+/**
+ * Find where the value of each top-level key of the container starts
+ * Nesting is followed with acorn's tokenizer, so a key of the same name inside extension
+ * settings or a data element is not taken for a section. Returns { keys: [{ key, valueStart }], stoppedAt }
+ * where stoppedAt is the offset the tokenizer could not read past, or -1
+ */
+function containerKeys(source, containerStart) {
+  const keys = [];
+  const parser = new Parser(PARSER_OPTIONS, source, containerStart);
+  let depth = 0;
+  let expectKey = false;
+  let pendingKey = null;
+
+  try {
+    for (const token of parser) {
+      const { type } = token;
+      if (pendingKey !== null && type === tokTypes.colon && depth === 1) {
+        keys.push({ key: pendingKey, valueStart: token.end });
+      }
+      pendingKey = null;
+
+      if (OPENING_TOKENS.includes(type)) {
+        depth++;
+        expectKey = depth === 1 && type === tokTypes.braceL;
+      } else if (CLOSING_TOKENS.includes(type)) {
+        depth--;
+        if (depth <= 0) break;
+        expectKey = false;
+      } else {
+        if (depth === 0) break;
+        if (depth === 1 && expectKey && (type === tokTypes.name || type === tokTypes.string || type.keyword)) {
+          pendingKey = String(token.value);
+        }
+        expectKey = depth === 1 && type === tokTypes.comma;
+      }
+    }
+  } catch (err) {
+    return { keys, stoppedAt: err.pos !== undefined ? err.pos : parser.pos };
+  }
+
+  return { keys, stoppedAt: -1 };
+}
+
+/**
+ * Parse each known container section on its own
+ * Used when the container as a whole cannot be parsed
+ */
+function parseSections(source, containerStart, reason, warnings) {
+  const container = {};
+  const fallbacks = [];
+  const { keys, stoppedAt } = containerKeys(source, containerStart);
+
+  CONTAINER_SECTIONS.forEach(section => {
+    const starts = keys.filter(item => item.key === section).map(item => item.valueStart);
+
+    // Past the point the tokenizer stopped the nesting is unknown, so the key is found by pattern
+    if (stoppedAt !== -1 && starts.length === 0) {
+      const keyPattern = new RegExp(`[{,]\\s*(?:"${section}"|${section})\\s*:\\s*`, 'g');
+      keyPattern.lastIndex = stoppedAt;
+      let match;
+      while ((match = keyPattern.exec(source)) !== null) {
+        starts.push(match.index + match[0].length);
+      }
+    }
+
+    let lastError = null;
+    for (const start of starts) {
+      try {
+        const node = parseValueAt(source, start);
+        const value = toValue(node, source, warnings);
+        const expectsArray = ARRAY_SECTIONS.includes(section);
+        if (expectsArray ? Array.isArray(value) : (value && typeof value === 'object' && !Array.isArray(value))) {
+          container[section] = value;
+          break;
+        }
+      } catch (err) {
+        lastError = err;
+      }
+    }
+
+    if (section in container) {
+      fallbacks.push({ section, method: 'section', reason: `Parsed on its own because the full container failed to parse (${reason})` });
+    } else {
+      fallbacks.push({
+        section,
+        method: 'missing',
+        reason: lastError ? `Could not be parsed: ${lastError.message}` : 'Section not found in the container'
+      });
+    }
+  });
+
+  return { container, fallbacks };
+}
+
+/**
+ * Salvage rule IDs and names with a pattern match when the rules section cannot be parsed
+ */
+function salvageRules(source) {
+  const rulePattern = /\{(?:id|"id"):"(RL[^"]+)",(?:name|"name"):"((?:[^"\\]|\\.)*)"/g;
+  const rules = [];
+  let match;
+  while ((match = rulePattern.exec(source)) !== null) {
+    rules.push({ id: match[1], name: match[2], events: [], conditions: [], actions: [], partial: true });
+  }
+  return rules;
+}
+
+// Top-level sections of a legacy DTM configuration
+export const DTM_SECTIONS = ['tools', 'pageLoadRules', 'rules', 'directCallRules', 'settings', 'data', 'dataElements'];
+
+const DTM_CONFIG_START = /(?:window\.)?_satellite\.init\(\s*|(?:window\.)?_satellite\.data\s*=(?!=)\s*/g;
+
+/**
+ * Check whether a library is a legacy DTM library (satelliteLib) rather than a Launch library
+ */
+export function isDtmLibrary(source) {
+  DTM_CONFIG_START.lastIndex = 0;
+  return findContainerStart(source) === -1 && DTM_CONFIG_START.test(source);
+}
+
+/**
+ * Extract and parse the configuration of a legacy DTM library: the object passed to
+ * `_satellite.init()`, or assigned to `_satellite.data`, that holds its tools and rules
+ */
+export function parseDtmConfig(source) {
+  const warnings = [];
+  let lastError = null;
+
+  DTM_CONFIG_START.lastIndex = 0;
+  let match;
+  while ((match = DTM_CONFIG_START.exec(source)) !== null) {
+    try {
+      const node = parseValueAt(source, match.index + match[0].length);
+      if (node.type !== 'ObjectExpression') continue;
+      const config = toValue(node, source, warnings);
+      if (!DTM_SECTIONS.some(section => section !== 'data' && section in config)) continue;
+      return {
+        config,
+        parseInfo: {
+          method: 'ast',
+          containerLength: node.end - node.start,
+          fallbacks: [],
+          warnings
+        }
+      };
+    } catch (err) {
+      lastError = err;
+    }
+  }
+
+  throw new Error(lastError ?
+    `Could not parse the DTM configuration: ${lastError.message}` :
+    "Could not find the DTM configuration (_satellite.init or _satellite.data)");
+}
+
+/**
+ * Extract and parse the container from a Launch library
+ * Returns the container object tree plus a report of any sections that needed a fallback
+ */
+export function parseContainer(source) {
+  const warnings = [];
+
+  try {
+    const node = parseContainerNode(source);
+    const container = toValue(node, source, warnings);
+    return {
+      container,
+      parseInfo: {
+        method: 'ast',
+        containerLength: node.end - node.start,
+        fallbacks: [],
+        warnings
+      }
+    };
+  } catch (err) {
+    // Without a container there is nothing to fall back to
+    const containerStart = findContainerStart(source);
+    if (containerStart === -1) throw err;
+
+    const { container, fallbacks } = parseSections(source, containerStart, err.message, warnings);
+
+    if (!container.rules) {
+      const salvaged = salvageRules(source.slice(containerStart));
+      if (salvaged.length > 0) {
+        container.rules = salvaged;
+        const entry = fallbacks.find(fallback => fallback.section === 'rules');
+        entry.method = 'pattern';
+        entry.reason += `; recovered ${salvaged.length} rule IDs and names only, without events, conditions or actions`;
+      }
+    }
+
+    return {
+      container,
+      parseInfo: {
+        method: 'sections',
+        error: err.message,
+        fallbacks,
+        warnings
+      }
+    };
+  }
+}
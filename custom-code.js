@@ -0,0 +1,105 @@
+/**
+ * External custom code for Nightjar
+ * Fetches custom code files that Launch loads through `_satellite.__registerScript`
+ */
+
+import { parseExpressionAt } from 'acorn';
+import { fetchText } from './library-source.js';
+
+const REGISTER_SCRIPT_CALL = /_satellite\.__registerScript\(/;
+
+/**
+ * Get the code wrapped in a `_satellite.__registerScript(url, code)` call
+ * Files without the wrapper are returned unchanged
+ */
+export function unwrapRegisteredScript(text) {
+  if (typeof text !== 'string') return '';
+
+  const match = REGISTER_SCRIPT_CALL.exec(text);
+  if (!match) return text;
+
+  try {
+    const call = parseExpressionAt(text, match.index, { ecmaVersion: 'latest' });
+    const codeArgument = call.type === 'CallExpression' ? call.arguments[1] : null;
+    if (codeArgument && codeArgument.type === 'Literal' && typeof codeArgument.value === 'string') {
+      return codeArgument.value;
+    }
+    if (codeArgument && codeArgument.type === 'TemplateLiteral' && codeArgument.expressions.length === 0) {
+      return codeArgument.quasis.map(quasi => quasi.value.cooked).join('');
+    }
+  } catch (e) {
+    // Fall through and keep the file as it is
+  }
+
+  return text;
+}
+
+/**
+ * Run async tasks over a list with at most `concurrency` running at once
+ */
+export async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * List the rule components whose custom code lives in an external file
+ */
+export function externalCodeComponents(rules) {
+  const components = [];
+  Object.values(rules).forEach(rule => {
+    ['events', 'conditions', 'actions'].forEach(kind => {
+      rule[kind].forEach(component => {
+        if (component.type === 'customCode' && component.codeUrl) {
+          components.push({ rule, component });
+        }
+      });
+    });
+  });
+  return components;
+}
+
+/**
+ * Fetch the external code for one rule component and store it on the component
+ * Relative URLs are resolved against the library URL; a library read from a file looks
+ * for its custom code files next to it. Downloads go through `cache` when one is given
+ */
+export async function fetchComponentCode(component, baseUrl = null, cache = null) {
+  if (component.code !== null || component.codeFetched) {
+    return component;
+  }
+
+  let url = component.codeUrl;
+  try {
+    if (baseUrl && baseUrl.startsWith('file:') && !/^[a-z]+:\/\//i.test(component.codeUrl)) {
+      // A saved library keeps its custom code files next to it
+      url = new URL(component.codeUrl.split('/').pop(), baseUrl).toString();
+    } else if (baseUrl) {
+      url = new URL(component.codeUrl, baseUrl).toString();
+    }
+    const text = await fetchText(url, cache);
+    component.code = unwrapRegisteredScript(text);
+    component.codeSize = Buffer.byteLength(text, 'utf8');
+    component.codeFetched = true;
+    component.codeError = null;
+  } catch (e) {
+    component.codeError = e.message;
+  }
+
+  return component;
+}
@@ -0,0 +1,324 @@
+/**
+ * Data element decoding for Nightjar
+ * Decodes data elements from their module path and settings
+ */
+
+import { isFunctionValue, functionSource, defineKey } from './container-parser.js';
+import { extensionOf, componentType, decodeSettings, moduleDisplayName, ownEntry } from './launch-model.js';
+import { WEB_SDK_EXTENSION, decodeWebSdkSource } from './web-sdk.js';
+
+// Data element types provided by the Core extension
+export const CORE_DATA_ELEMENT_TYPES = {
+  javascriptVariable: 'JavaScript Variable',
+  pageInfo: 'Page Info',
+  queryStringParameter: 'Query String Parameter',
+  cookie: 'Cookie',
+  domAttribute: 'DOM Attribute',
+  localStorage: 'Local Storage',
+  sessionStorage: 'Session Storage',
+  constant: 'Constant',
+  conditionalValue: 'Conditional Value',
+  mergedObjects: 'Merged Objects',
+  customCode: 'Custom Code',
+  visitorBehavior: 'Visitor Behavior',
+  randomNumber: 'Random Number',
+  runtimeEnvironment: 'Runtime Environment',
+  deviceAttributes: 'Device Attributes',
+  javascriptTools: 'JavaScript Tools'
+};
+
+const quote = value => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Describe the source a Core data element reads its value from
+ */
+function decodeCoreSource(type, settings) {
+  switch (type) {
+    case 'javascriptVariable':
+      return { kind: type, path: settings.path || null, description: `JavaScript variable ${settings.path || '(no path)'}` };
+
+    case 'pageInfo':
+      return { kind: type, attribute: settings.attribute || null, description: `Page info attribute "${settings.attribute || 'unknown'}"` };
+
+    case 'queryStringParameter':
+      return {
+        kind: type,
+        name: settings.name || null,
+        caseInsensitive: settings.caseInsensitive === true,
+        description: `Query string parameter ${quote(settings.name)}${settings.caseInsensitive ? ' (case-insensitive)' : ''}`
+      };
+
+    case 'cookie':
+      return { kind: type, name: settings.name || null, description: `Cookie ${quote(settings.name)}` };
+
+    case 'domAttribute': {
+      const elementProperty = settings.elementProperty || {};
+      const property = elementProperty.type === 'other' ? elementProperty.customValue : elementProperty.type;
+      return {
+        kind: type,
+        selector: settings.elementSelector || null,
+        property: property || null,
+        description: `Property "${property || 'unknown'}" of the first element matching ${quote(settings.elementSelector)}`
+      };
+    }
+
+    case 'localStorage':
+    case 'sessionStorage':
+      return {
+        kind: type,
+        name: settings.name || null,
+        description: `${type === 'localStorage' ? 'Local' : 'Session'} storage item ${quote(settings.name)}`
+      };
+
+    case 'constant':
+      return { kind: type, value: settings.value, description: `Constant value ${quote(settings.value)}` };
+
+    case 'conditionalValue': {
+      const comparison = settings.comparison || {};
+      const fallback = settings.returnFallbackValue === false ? '' : `, otherwise ${quote(settings.fallbackValue)}`;
+      return {
+        kind: type,
+        leftOperand: settings.leftOperand,
+        operator: comparison.operator || null,
+        rightOperand: settings.rightOperand,
+        conditionalValue: settings.conditionalValue,
+        fallbackValue: settings.fallbackValue,
+        description: `${quote(settings.conditionalValue)} when ${quote(settings.leftOperand)} ${comparison.operator || '?'} ${quote(settings.rightOperand)}${fallback}`
+      };
+    }
+
+    case 'mergedObjects': {
+      const references = settings.objectReferences || [];
+      return { kind: type, references, description: `Merges ${references.length} objects: ${references.join(', ') || 'none'}` };
+    }
+
+    case 'customCode': {
+      const code = isFunctionValue(settings.source) ? functionSource(settings.source) : (settings.source || '');
+      return { kind: type, code, description: `Custom code (${code.length} characters)` };
+    }
+
+    case 'visitorBehavior':
+    case 'runtimeEnvironment':
+    case 'deviceAttributes':
+      return {
+        kind: type,
+        attribute: settings.attribute || null,
+        description: `${CORE_DATA_ELEMENT_TYPES[type]} attribute "${settings.attribute || 'unknown'}"`
+      };
+
+    case 'randomNumber':
+      return { kind: type, min: settings.min, max: settings.max, description: `Random integer between ${settings.min} and ${settings.max}` };
+
+    case 'javascriptTools':
+      return {
+        kind: type,
+        operator: settings.operator || null,
+        description: `JavaScript tool "${settings.operator || 'unknown'}" applied to ${quote(settings.leftOperand)}`
+      };
+
+    default:
+      return { kind: type, description: `Unrecognized Core data element type "${type}"` };
+  }
+}
+
+/**
+ * Decode one data element definition from the container
+ */
+export function decodeDataElement(name, element, extensions = {}) {
+  const modulePath = element.modulePath || null;
+  const extension = extensionOf(modulePath);
+  const type = componentType(modulePath);
+  const settings = decodeSettings(element.settings);
+  const isCore = extension === 'core';
+  const extensionDisplayName = (extensions[extension] && extensions[extension].displayName) || extension || 'Unknown';
+
+  // Types from other extensions are named by the extension and its module
+  const typeName = isCore && CORE_DATA_ELEMENT_TYPES[type] ?
+    CORE_DATA_ELEMENT_TYPES[type] :
+    `${extensionDisplayName} - ${moduleDisplayName(extensions, modulePath)}`;
+
+  let source;
+  if (isCore) {
+    source = decodeCoreSource(type, settings);
+  } else if (extension === WEB_SDK_EXTENSION) {
+    source = decodeWebSdkSource(type, settings);
+  } else {
+    source = { kind: type, description: `${typeName} data element` };
+  }
+
+  return {
+    name,
+    extension,
+    modulePath,
+    type,
+    typeName,
+    source,
+    settings,
+    defaultValue: element.defaultValue !== undefined ? element.defaultValue : null,
+    forceLowerCase: element.forceLowerCase === true,
+    cleanText: element.cleanText === true,
+    storageDuration: element.storageDuration || null
+  };
+}
+
+/**
+ * Decode every data element in the container, keyed by name
+ */
+export function buildDataElements(container) {
+  const dataElements = {};
+  Object.entries(container.dataElements || {}).forEach(([name, element]) => {
+    defineKey(dataElements, name, decodeDataElement(name, element || {}, container.extensions || {}));
+  });
+  return dataElements;
+}
+
+// Tokens Turbine resolves from the event rather than from a data element
+const EVENT_TOKEN_PREFIXES = ['this.', 'event.', 'target.'];
+
+/**
+ * Find `%Name%` tokens in a string
+ * `knownNames` are the defined data elements, which count even when they look like URL encoding
+ */
+export function findTokenReferences(text, knownNames = null) {
+  const names = [];
+  const tokenPattern = /%([^%\n]{1,100}?)%/g;
+  let match;
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const name = match[1];
+    // Skip text that only looks like a token, such as URL encoding ("%20...%3D") or "50% off 20%"
+    const known = knownNames !== null && knownNames.has(name);
+    if (!known && (/^\s|\s$/.test(name) || /^[0-7][0-9A-Fa-f]/.test(name))) {
+      tokenPattern.lastIndex = match.index + 1;
+      continue;
+    }
+    if (EVENT_TOKEN_PREFIXES.some(prefix => name.startsWith(prefix))) continue;
+    names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Find `_satellite.getVar('Name')` calls in code
+ */
+export function findGetVarReferences(code) {
+  const names = [];
+  const getVarPattern = /_satellite\.getVar\(\s*(['"`])((?:(?!\1)[^\\\n]|\\.)+)\1/g;
+  let match;
+  while ((match = getVarPattern.exec(code)) !== null) {
+    const name = match[2];
+    if (EVENT_TOKEN_PREFIXES.some(prefix => name.startsWith(prefix))) continue;
+    names.push(name);
+  }
+  return names;
+}
+
+/**
+ * Find `_satellite.setVar('Name', ...)` calls, which define custom variables at runtime
+ */
+export function findSetVarNames(code) {
+  const names = [];
+  const setVarPattern = /_satellite\.setVar\(\s*(['"`])((?:(?!\1)[^\\\n]|\\.)+)\1/g;
+  let match;
+  while ((match = setVarPattern.exec(code)) !== null) {
+    names.push(match[2]);
+  }
+  return names;
+}
+
+/**
+ * Walk a settings value and report every data element reference in it
+ */
+function walkReferences(value, path, emit) {
+  if (typeof value === 'string') {
+    // Strings can be HTML custom code as well as text with tokens
+    findTokenReferences(value, emit.knownNames).forEach(name => emit(name, 'token', path));
+    findGetVarReferences(value).forEach(name => emit(name, 'getVar', path));
+    emit.setVars(findSetVarNames(value));
+  } else if (isFunctionValue(value)) {
+    const code = functionSource(value);
+    findGetVarReferences(code).forEach(name => emit(name, 'getVar', path));
+    emit.setVars(findSetVarNames(code));
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => walkReferences(item, `${path}[${index}]`, emit));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => walkReferences(item, path ? `${path}.${key}` : key, emit));
+  }
+}
+
+/**
+ * Build the cross-reference between data elements and everything that uses them
+ * Covers rule components, extension settings, other data elements and fetched external custom code
+ */
+export function buildReferenceGraph({ rules = {}, extensions = {}, dataElements = {} }) {
+  const references = [];
+  const setVarNames = new Set();
+  const knownNames = new Set(Object.keys(dataElements));
+
+  const emitterFor = owner => {
+    const emit = (name, via, location) => {
+      references.push({ name, via, location, ...owner });
+    };
+    emit.setVars = names => names.forEach(name => setVarNames.add(name));
+    emit.knownNames = knownNames;
+    return emit;
+  };
+
+  Object.values(rules).forEach(rule => {
+    ['events', 'conditions', 'actions'].forEach(kind => {
+      rule[kind].forEach((component, index) => {
+        const emit = emitterFor({
+          ownerKind: 'rule',
+          ownerId: rule.id,
+          ownerName: rule.name,
+          component: `${kind.replace(/s$/, '')} ${index + 1} (${component.displayName})`
+        });
+        walkReferences(component.settings, 'settings', emit);
+
+        // External custom code only shows its references once it has been fetched
+        if (component.codeUrl && component.code) {
+          findGetVarReferences(component.code).forEach(name => emit(name, 'getVar', 'external code'));
+          emit.setVars(findSetVarNames(component.code));
+        }
+      });
+    });
+  });
+
+  Object.values(extensions).forEach(extension => {
+    const emit = emitterFor({ ownerKind: 'extension', ownerId: extension.name, ownerName: extension.displayName, component: null });
+    walkReferences(extension.settings, 'settings', emit);
+  });
+
+  Object.values(dataElements).forEach(element => {
+    const emit = emitterFor({ ownerKind: 'dataElement', ownerId: element.name, ownerName: element.name, component: null });
+    walkReferences(element.settings, 'settings', emit);
+    walkReferences(element.defaultValue, 'defaultValue', emit);
+  });
+
+  // Index the references both ways, without inherited keys so any name is safe
+  const usedBy = Object.create(null);
+  const dependsOn = Object.create(null);
+  Object.keys(dataElements).forEach(name => {
+    usedBy[name] = [];
+    dependsOn[name] = [];
+  });
+
+  const missing = Object.create(null);
+  references.forEach(reference => {
+    if (reference.ownerKind === 'dataElement') {
+      if (reference.ownerId === reference.name) return;
+      if (!dependsOn[reference.ownerId].includes(reference.name)) {
+        dependsOn[reference.ownerId].push(reference.name);
+      }
+    }
+
+    if (ownEntry(dataElements, reference.name)) {
+      usedBy[reference.name].push(reference);
+    } else if (!setVarNames.has(reference.name)) {
+      (missing[reference.name] = missing[reference.name] || []).push(reference);
+    }
+  });
+
+  const unused = Object.keys(dataElements).filter(name => usedBy[name].length === 0);
+
+  return { references, usedBy, dependsOn, unused, missing, setVarNames: [...setVarNames] };
+}
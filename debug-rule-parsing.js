@@ -244,11 +244,12 @@ async function debugRuleParsing() {
       log(`Parsing embed code using NightjarClient...`);
       const parsed = await nightjar.parseEmbed(TEST_EMBED_URL);
       
-      const clientRuleCount = parsed.rules.names.length;
+      const clientRules = Object.values(parsed.rules);
+      const clientRuleCount = clientRules.length;
       log(`NightjarClient found ${clientRuleCount} rules`);
       
       if (clientRuleCount > 0) {
-        log(`Client-parsed rule names: ${parsed.rules.names.join(', ')}`);
+        log(`Client-parsed rule names: ${clientRules.map(rule => rule.name).join(', ')}`);
       } else {
         log(`WARNING: NightjarClient found 0 rules`);
       }
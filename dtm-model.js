@@ -0,0 +1,391 @@
+/**
+ * Legacy DTM model for Nightjar
+ * Turns the configuration of a Dynamic Tag Management library (satelliteLib) into a
+ * container shaped like Launch's, so its page load, event-based and direct call rules,
+ * data elements and tools go through the same rule, data element and variable analysis
+ */
+
+import { isExpressionValue, defineKey } from './container-parser.js';
+import { ANALYTICS_EXTENSION } from './analytics-config.js';
+
+// Extensions that stand in for DTM tools, by tool engine
+const ENGINE_EXTENSIONS = {
+  sc: { name: ANALYTICS_EXTENSION, displayName: 'Adobe Analytics' },
+  tnt: { name: 'adobe-target', displayName: 'Adobe Target' },
+  visitor_id: { name: 'adobe-mcid', displayName: 'Experience Cloud ID Service' },
+  ga: { name: 'dtm-ga', displayName: 'Google Analytics' },
+  ua: { name: 'dtm-ua', displayName: 'Google Universal Analytics' }
+};
+
+// Page load rule events and the Core events they became in Launch
+const PAGE_LOAD_EVENTS = {
+  pagetop: 'libraryLoaded',
+  pagebottom: 'pageBottom',
+  domready: 'domReady',
+  windowload: 'windowLoaded',
+  onload: 'windowLoaded'
+};
+
+// Event-based rule events and their Core equivalents; other names are custom events
+const EVENT_TYPES = {
+  click: 'click',
+  mousedown: 'mousedown',
+  mouseover: 'hover',
+  hover: 'hover',
+  change: 'change',
+  submit: 'submit',
+  focus: 'focus',
+  blur: 'blur',
+  keypress: 'keypress',
+  elementexists: 'elementExists',
+  inview: 'enterViewport',
+  enterviewport: 'enterViewport',
+  hashchange: 'historyChange',
+  locationchange: 'historyChange',
+  orientationchange: 'orientationChange',
+  zoomchange: 'zoomChange',
+  videoplay: 'mediaPlay',
+  videopause: 'mediaPause',
+  videoended: 'mediaEnded'
+};
+
+// Display names for the Core modules DTM rules and data elements map to
+const CORE_DISPLAY_NAMES = {
+  'events/libraryLoaded': 'Library Loaded (Page Top)',
+  'events/pageBottom': 'Page Bottom',
+  'events/domReady': 'DOM Ready',
+  'events/windowLoaded': 'Window Loaded',
+  'events/click': 'Click',
+  'events/hover': 'Hover',
+  'events/directCall': 'Direct Call',
+  'events/customEvent': 'Custom Event',
+  'events/dataElementChange': 'Data Element Changed',
+  'events/elementExists': 'Element Exists',
+  'events/enterViewport': 'Enters Viewport',
+  'conditions/pathAndQuerystring': 'Path And Query String',
+  'conditions/subdomain': 'Subdomain',
+  'conditions/domain': 'Domain',
+  'conditions/protocol': 'Protocol',
+  'conditions/browser': 'Browser',
+  'conditions/customCode': 'Custom Code',
+  'actions/customCode': 'Custom Code'
+};
+
+// Data element types, by the key that names their source in DTM
+const DATA_ELEMENT_TYPES = [
+  { key: 'jsVariable', type: 'javascriptVariable', settings: element => ({ path: element.jsVariable }) },
+  { key: 'queryParam', type: 'queryStringParameter', settings: element => ({ name: element.queryParam, caseInsensitive: Boolean(element.ignoreCase) }) },
+  { key: 'cookie', type: 'cookie', settings: element => ({ name: element.cookie }) },
+  {
+    key: 'selector',
+    type: 'domAttribute',
+    settings: element => ({
+      elementSelector: element.selector,
+      elementProperty: !element.property || element.property === 'text' ? { type: 'text' } : { type: 'other', customValue: element.property }
+    })
+  },
+  { key: 'customJS', type: 'customCode', settings: element => ({ source: element.customJS }) }
+];
+
+const AA_SET_VARIABLES = `${ANALYTICS_EXTENSION}/src/lib/actions/setVariables.js`;
+const AA_SEND_BEACON = `${ANALYTICS_EXTENSION}/src/lib/actions/sendBeacon.js`;
+const CORE_CUSTOM_CODE = 'core/src/lib/actions/customCode.js';
+
+const list = value => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+
+/**
+ * Turn a DTM match value (string or regular expression literal) into Launch's { value, valueIsRegex }
+ */
+function matchValue(value) {
+  if (isExpressionValue(value)) {
+    const regex = /^\/([\s\S]*)\/[a-z]*$/.exec(value.__expression);
+    return regex ? { value: regex[1], valueIsRegex: true } : { value: value.__expression, valueIsRegex: false };
+  }
+  return { value: String(value), valueIsRegex: false };
+}
+
+/**
+ * Split an events string such as "event1,event2=5,purchase,event3:abc" into tracker property events
+ */
+function dtmEvents(text) {
+  return String(text || '').split(',').map(item => item.trim()).filter(Boolean).flatMap(item => {
+    // Entries without an event name, such as "=5", are skipped
+    const match = /^([^=:]+)(?:=(.*)|:(.*))?$/.exec(item);
+    if (!match) return [];
+    const event = { name: match[1].trim() };
+    if (match[2] !== undefined) event.value = match[2];
+    if (match[3] !== undefined) event.id = match[3];
+    return [event];
+  });
+}
+
+/**
+ * Convert a flat DTM variable map ({ eVar1: "%Page Name%", events: "event1" }) into
+ * the tracker properties of a Launch Analytics Set Variables action
+ */
+export function dtmTrackerProperties(vars = {}) {
+  const properties = {};
+  const push = (group, entry) => {
+    properties[group] = properties[group] || [];
+    properties[group].push(entry);
+  };
+
+  Object.entries(vars || {}).forEach(([name, raw]) => {
+    const value = isExpressionValue(raw) ? raw.__expression : raw;
+    if (/^eVar\d+$/.test(name)) {
+      push('eVars', { name, type: 'value', value });
+    } else if (/^prop\d+$/.test(name)) {
+      push('props', { name, type: 'value', value });
+    } else if (/^hier\d+$/.test(name)) {
+      push('hierarchies', { name, sections: [value], delimiter: ',' });
+    } else if (name === 'events') {
+      dtmEvents(value).forEach(event => push('events', event));
+    } else {
+      properties[name] = value;
+    }
+  });
+
+  return properties;
+}
+
+/**
+ * Build the container of a DTM library
+ * The result has Launch's sections (buildInfo, environment, dataElements, extensions,
+ * property, rules) plus a `dtm` section with the DTM settings and tools
+ */
+export function dtmContainer(config) {
+  const settings = config.settings || {};
+  const extensions = {
+    core: { displayName: 'Core', version: null, settings: {}, modules: {} }
+  };
+
+  // Register each module a component uses, so it gets a display name
+  const useModule = (modulePath, displayName) => {
+    const extension = extensions[modulePath.split('/')[0]];
+    if (extension && !extension.modules[modulePath]) {
+      extension.modules[modulePath] = { displayName };
+    }
+    return modulePath;
+  };
+  const core = (kind, type, componentSettings = {}, extra = {}) => ({
+    modulePath: useModule(`core/src/lib/${kind}/${type}.js`, CORE_DISPLAY_NAMES[`${kind}/${type}`] || type),
+    settings: componentSettings,
+    ...extra
+  });
+  const engineExtension = engine => {
+    const known = ENGINE_EXTENSIONS[engine] || { name: `dtm-${engine}`, displayName: `${engine} tool` };
+    if (!extensions[known.name]) {
+      extensions[known.name] = { displayName: known.displayName, version: null, settings: {}, modules: {} };
+    }
+    return known.name;
+  };
+
+  // Tools become extensions; the Analytics tool's settings take the Analytics extension's shape
+  const tools = Object.entries(config.tools || {}).map(([id, tool]) => {
+    const engine = tool.engine || 'default';
+    const name = engineExtension(engine);
+    const { initVars, customInit, ...rest } = tool;
+    if (name === ANALYTICS_EXTENSION) {
+      const accounts = value => String(value || '').split(',').map(account => account.trim()).filter(Boolean);
+      extensions[name].settings = {
+        libraryCode: {
+          type: tool.sCodeURL ? 'remote' : 'managed',
+          accounts: { production: accounts(tool.account), staging: accounts(tool.accountStaging || tool.account), development: [] },
+          trackerVariableName: tool.renameS || 's',
+          httpUrl: tool.sCodeURL || null,
+          httpsUrl: tool.sCodeURL || null
+        },
+        trackerProperties: dtmTrackerProperties(initVars),
+        ...(customInit ? { customSetup: { source: customInit, loadPhase: tool.executeCustomPageCodeFirst ? 'beforeSettings' : 'afterSettings' } } : {}),
+        dtmTool: { id, ...rest }
+      };
+    } else {
+      extensions[name].settings = { ...tool, dtmTool: { id } };
+    }
+    return { id, engine, extension: name, loadOn: tool.loadOn || null };
+  });
+
+  // Custom code files live in the library's script directory
+  const host = config.data && config.data.host;
+  const scriptBase = `${host && (host.https || host.http) ? `//${host.https || host.http}/` : (settings.basePath || '')}${settings.scriptDir || ''}`;
+  const scriptUrl = src => (/^(?:https?:)?\/\//.test(src) ? src : `${scriptBase}${src}`);
+  const externalCode = (src, language, sequential) => core('actions', 'customCode', {
+    source: scriptUrl(src),
+    language,
+    isExternal: true,
+    ...(sequential ? { sequential: true } : {})
+  });
+
+  // Scope (URL, subdomain, domain, protocol, browser) becomes Core conditions
+  const scopeConditions = (scope = {}) => {
+    const conditions = [];
+    const includeExclude = (entry, type, key, toValue = matchValue) => {
+      if (!entry) return;
+      const include = Array.isArray(entry) ? entry : list(entry.include);
+      const exclude = Array.isArray(entry) ? [] : list(entry.exclude);
+      if (include.length > 0) conditions.push(core('conditions', type, { [key]: include.map(toValue) }));
+      if (exclude.length > 0) conditions.push(core('conditions', type, { [key]: exclude.map(toValue) }, { negate: true }));
+    };
+    includeExclude(scope.URI, 'pathAndQuerystring', 'paths');
+    includeExclude(scope.subdomains, 'subdomain', 'subdomains');
+    includeExclude(scope.domains, 'domain', 'domains', value => matchValue(value).value);
+    includeExclude(scope.browsers, 'browser', 'browsers', value => matchValue(value).value);
+    list(scope.protocols || scope.protocol).slice(0, 1).forEach(protocol => {
+      conditions.push(core('conditions', 'protocol', { protocol: String(protocol).replace(/:?$/, ':') }));
+    });
+    return conditions;
+  };
+
+  const ruleConditions = rule => [
+    ...scopeConditions(rule.scope),
+    ...list(rule.conditions).map(condition => core('conditions', 'customCode', { source: condition }))
+  ];
+
+  // Triggers become actions: Analytics commands map to Set Variables and Send Beacon
+  const triggerActions = trigger => {
+    const args = list(trigger.arguments);
+    const options = args[0] && typeof args[0] === 'object' ? args[0] : {};
+
+    if (!trigger.engine) {
+      switch (trigger.command) {
+        case 'loadScript':
+        case 'loadBlockingScript':
+          return list(options.scripts).map(script => externalCode(script.src, 'javascript', trigger.command === 'loadBlockingScript' || options.sequential === true));
+        case 'loadIframe':
+          return list(options.pages).map(page => externalCode(page.src, 'html', false));
+        case 'writeHTML':
+          return [core('actions', 'customCode', { source: options.html || '', language: 'html', sequential: true })];
+        default:
+          return [core('actions', trigger.command || 'unknown', { arguments: args })];
+      }
+    }
+
+    const extension = engineExtension(trigger.engine);
+    if (extension !== ANALYTICS_EXTENSION) {
+      return [{
+        modulePath: useModule(`${extension}/src/lib/actions/${trigger.command || 'unknown'}.js`, trigger.command || 'unknown'),
+        settings: { arguments: args }
+      }];
+    }
+
+    const setVariables = trackerProperties => ({
+      modulePath: useModule(AA_SET_VARIABLES, 'Set Variables'),
+      settings: { trackerProperties }
+    });
+
+    switch (trigger.command) {
+      case 'setVars':
+        return [setVariables(dtmTrackerProperties(options))];
+      case 'addEvent':
+        return [setVariables({ events: args.flatMap(dtmEvents) })];
+      case 'trackPageView':
+      case 'trackLink': {
+        const actions = [];
+        const trackerProperties = dtmTrackerProperties(options.setVars);
+        if (options.addEvent) {
+          trackerProperties.events = [...(trackerProperties.events || []), ...list(options.addEvent).flatMap(dtmEvents)];
+        }
+        if (Object.keys(trackerProperties).length > 0) actions.push(setVariables(trackerProperties));
+        if (options.customSetup) actions.push(core('actions', 'customCode', { source: options.customSetup, language: 'javascript' }));
+        actions.push({
+          modulePath: useModule(AA_SEND_BEACON, 'Send Beacon'),
+          settings: trigger.command === 'trackLink' ?
+            { type: 'link', linkType: options.type || 'o', linkName: options.linkName || null } :
+            { type: 'page' }
+        });
+        return actions;
+      }
+      default:
+        return [{
+          modulePath: useModule(`${ANALYTICS_EXTENSION}/src/lib/actions/${trigger.command || 'unknown'}.js`, trigger.command || 'unknown'),
+          settings: { arguments: args }
+        }];
+    }
+  };
+  const ruleActions = rule => list(rule.trigger).flatMap(triggerActions);
+
+  const rules = [];
+
+  list(config.pageLoadRules).forEach((rule, index) => {
+    const event = String(rule.event || 'pagebottom').toLowerCase();
+    rules.push({
+      id: rule.ruleId || rule.id || `pageload-${index + 1}`,
+      name: rule.name,
+      events: [core('events', PAGE_LOAD_EVENTS[event] || event)],
+      conditions: ruleConditions(rule),
+      actions: ruleActions(rule)
+    });
+  });
+
+  list(config.rules).forEach((rule, index) => {
+    const event = String(rule.event || '');
+    const changed = /^dataelementchange\((.*)\)$/i.exec(event);
+    const elementSettings = {
+      ...(rule.selector ? { elementSelector: rule.selector } : {}),
+      ...(rule.property ? { elementProperties: Object.entries(rule.property).map(([name, value]) => ({ name, ...matchValue(value) })) } : {}),
+      ...(rule.bubbleFireIfParent !== undefined ? { bubbleFireIfParent: rule.bubbleFireIfParent } : {}),
+      ...(rule.bubbleFireIfChildFired !== undefined ? { bubbleFireIfChildFired: rule.bubbleFireIfChildFired } : {}),
+      ...(rule.bubbleStop !== undefined ? { bubbleStop: rule.bubbleStop } : {})
+    };
+    const eventComponent = changed ? core('events', 'dataElementChange', { name: changed[1] }) :
+      EVENT_TYPES[event.toLowerCase()] ? core('events', EVENT_TYPES[event.toLowerCase()], elementSettings) :
+      core('events', 'customEvent', { type: event, ...elementSettings });
+    rules.push({
+      id: rule.ruleId || rule.id || `event-${index + 1}`,
+      name: rule.name,
+      events: [eventComponent],
+      conditions: ruleConditions(rule),
+      actions: ruleActions(rule)
+    });
+  });
+
+  list(config.directCallRules).forEach((rule, index) => {
+    rules.push({
+      id: rule.ruleId || rule.id || `direct-${index + 1}`,
+      name: rule.name,
+      events: [core('events', 'directCall', { identifier: rule.name })],
+      conditions: ruleConditions(rule),
+      actions: ruleActions(rule)
+    });
+  });
+
+  const dataElements = {};
+  Object.entries(config.dataElements || {}).forEach(([name, element]) => {
+    if (!element || typeof element !== 'object') return;
+    const definition = DATA_ELEMENT_TYPES.find(type => element[type.key] !== undefined);
+    defineKey(dataElements, name, {
+      modulePath: useModule(`core/src/lib/dataElements/${definition ? definition.type : 'unknown'}.js`, definition ? definition.type : 'unknown'),
+      settings: definition ? definition.settings(element) : { ...element },
+      defaultValue: element['default'] !== undefined && element['default'] !== '' ? element['default'] : undefined,
+      forceLowerCase: Boolean(element.forceLowerCase),
+      cleanText: Boolean(element.cleanText),
+      storageDuration: element.storeLength && element.storeLength !== 'pageview' ? element.storeLength : undefined
+    });
+  });
+
+  // DTM writes dates as "2018-04-20 17:05:44 UTC"
+  const isoDate = text => {
+    const date = new Date(String(text || '').replace(/^(\d{4}-\d\d-\d\d) (\d\d:\d\d:\d\d) UTC$/, '$1T$2Z'));
+    return isNaN(date.getTime()) ? (text || null) : date.toISOString().replace(/\.000Z$/, 'Z');
+  };
+
+  return {
+    buildInfo: { buildDate: isoDate(config.buildDate), turbineVersion: null, turbineBuildDate: null, minified: null },
+    environment: { id: null, stage: settings.isStaging ? 'staging' : 'production' },
+    dataElements,
+    extensions,
+    company: null,
+    property: {
+      id: null,
+      name: settings.libraryName || null,
+      settings: { domains: list(settings.domainList) }
+    },
+    rules,
+    dtm: {
+      appVersion: config.appVersion || null,
+      publishDate: isoDate(config.publishDate),
+      settings,
+      tools
+    }
+  };
+}
@@ -13,6 +13,9 @@ import {
 } from "@modelcontextprotocol/sdk/types.js";
 import { Command } from 'commander';
 import { NightjarClient } from './nightjar-client.js';
+import { SnapshotStore, DEFAULT_SNAPSHOT_DIR } from './snapshot-store.js';
+import { DEFAULT_CRAWL_DIR } from './site-crawler.js';
+import { HttpCache, DEFAULT_CACHE_DIR, libraryInputUrl } from './library-source.js';
 
 // Parse command line arguments
 const program = new Command();
@@ -22,6 +25,12 @@ program
   .version('1.0.0')
   .option('--openai-api-key <string>', 'OpenAI API Key for AI-powered analysis')
   .option('--debug', 'Enable debug mode for verbose logging', false)
+  .option('--snapshot-dir <path>', 'Directory for the local snapshot history of parsed libraries', DEFAULT_SNAPSHOT_DIR)
+  .option('--no-snapshots', 'Do not save parsed libraries as snapshots')
+  .option('--cache-dir <path>', 'Directory for cached library and custom code downloads', DEFAULT_CACHE_DIR)
+  .option('--no-cache', 'Download libraries every time instead of revalidating a cached copy')
+  .option('--audit-config <path>', 'JSON config for audit_implementation checks')
+  .option('--crawl-dir <path>', 'Directory crawl_site reports are saved to', DEFAULT_CRAWL_DIR)
   .parse();
 
 const options = program.opts();
@@ -35,19 +44,93 @@ function log(...args) {
   }
 }
 
+// Describe the handle, property, environment and build of a parsed library
+function describeLibrary(parsedData) {
+  const property = parsedData.property || {};
+  const environment = parsedData.environment || {};
+  const buildInfo = parsedData.buildInfo || {};
+  return `Library handle: ${parsedData.handle} (active)
+Property: ${property.name || 'Unknown'} (${environment.stage || 'unknown'} environment, built ${buildInfo.buildDate || 'at an unknown date'})${parsedData.format === 'dtm' ? `
+Format: legacy DTM library; page load, event-based and direct call rules, data elements and tools are shown as Launch rules, data elements and extensions` : ''}`;
+}
+
+// Describe the result of fetching external custom code files
+function describeExternalCode(externalCode) {
+  if (!externalCode) {
+    return '';
+  }
+  
+  return `\nFetched ${externalCode.total - externalCode.failed} of ${externalCode.total} external custom code files` +
+    (externalCode.failed > 0 ? ` (${externalCode.failed} failed; see analyze_rule for details)` : '');
+}
+
+// Describe where a parsed library was read from
+function describeOrigin(origin) {
+  if (!origin) {
+    return '';
+  }
+  
+  const size = `${Math.round(origin.size / 1024)} KB`;
+  if (origin.kind === 'file') {
+    return `\nRead from local file ${origin.path} (${size})`;
+  }
+  if (origin.kind === 'content') {
+    return `\nRead from the library contents provided (${size})`;
+  }
+  if (origin.cache === 'not-modified') {
+    return `\nUnchanged since the last download; used the cached copy (${size})`;
+  }
+  return `\nDownloaded ${size}${origin.cache === 'stored' ? ' and cached it for revalidation' : ''}`;
+}
+
+// Describe the snapshot a parse was saved as
+function describeSnapshot(snapshot) {
+  if (!snapshot) {
+    return '';
+  }
+  
+  return `\nSnapshot: ${snapshot.id}${snapshot.saved ? ' (saved)' : ' (this build was already stored)'}`;
+}
+
+// Describe any container sections that could not be parsed as a whole
+function describeFallbacks(parseInfo) {
+  if (!parseInfo || parseInfo.fallbacks.length === 0) {
+    return '';
+  }
+  
+  const lines = parseInfo.fallbacks
+    .filter(fallback => fallback.method !== 'section')
+    .map(fallback => `- ${fallback.section}: ${fallback.reason}`);
+  const recovered = parseInfo.fallbacks
+    .filter(fallback => fallback.method === 'section')
+    .map(fallback => fallback.section);
+  
+  return `\n\nWarning: the container could not be parsed as a whole (${parseInfo.error}).` +
+    (recovered.length > 0 ? `\nSections parsed individually: ${recovered.join(', ')}` : '') +
+    (lines.length > 0 ? `\n${lines.join('\n')}` : '');
+}
+
 log(`Initializing Nightjar MCP server${openAiApiKey ? ' with OpenAI API key' : ''}`);
 
 // Tool definitions
 const tools = [
   {
     name: "parse_embed_code",
-    description: "Parse an Adobe Launch embed code directly",
+    description: "Parse an Adobe Launch library from its embed code URL, a local file or its contents",
     inputSchema: {
       type: "object",
       properties: {
         embed_code: { 
           type: "string", 
-          description: "The Adobe Launch embed code URL to parse (e.g., https://assets.adobedtm.com/launch-..."
+          description: "The Adobe Launch embed code URL to parse (e.g., https://assets.adobedtm.com/launch-...), a path to a saved library file, or the library's contents"
+        },
+        fetch_custom_code: {
+          type: "boolean",
+          description: "Fetch every external custom code file while parsing, so variable detection and search see the actual code"
+        },
+        library: {
+          type: "string",
+          description: "Optional handle to keep the library under (defaults to one made from the property name and environment, e.g. acme-production)"
         }
       },
       required: ["embed_code"]
@@ -55,13 +138,21 @@ const tools = [
   },
   {
     name: "parse_embed_from_url",
-    description: "Extract and parse an Adobe Launch embed code from a website URL",
+    description: "Find the Adobe Launch library a web page loads, parse it, and report every Launch or DTM library on the page with its environment, loading and placement checks",
     inputSchema: {
       type: "object",
       properties: {
         url: { 
           type: "string", 
           description: "The URL of the webpage to analyze for Adobe Launch implementation"
+        },
+        fetch_custom_code: {
+          type: "boolean",
+          description: "Fetch every external custom code file while parsing, so variable detection and search see the actual code"
+        },
+        library: {
+          type: "string",
+          description: "Optional handle to keep the library under (defaults to one made from the property name and environment, e.g. acme-production)"
         }
       },
       required: ["url"]
@@ -75,86 +166,608 @@ const tools = [
       properties: {
         rule_name: { 
           type: "string", 
-          description: "The name of the rule to analyze"
+          description: "The ID (RL...) or name of the rule to analyze"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        },
+        use_ai: {
+          type: "boolean",
+          description: "Whether to use AI for enhanced analysis (requires OpenAI API key)"
+        }
+      },
+      required: ["rule_name"]
+    }
+  },
+  {
+    name: "analyze_data_element",
+    description: "Analyze a specific data element from the parsed Adobe Launch embed code",
+    inputSchema: {
+      type: "object",
+      properties: {
+        element_name: { 
+          type: "string", 
+          description: "The name of the data element to analyze"
         },
         embed_code: { 
           type: "string", 
           description: "The embed code to parse (optional if you've already called parse_embed_code)"
         },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        },
         use_ai: {
           type: "boolean",
           description: "Whether to use AI for enhanced analysis (requires OpenAI API key)"
         }
-      },
-      required: ["rule_name"]
+      },
+      required: ["element_name"]
+    }
+  },
+  {
+    name: "get_data_element_references",
+    description: "Show where a data element is used (rules, extensions, other data elements, custom code) and which data elements it depends on",
+    inputSchema: {
+      type: "object",
+      properties: {
+        element_name: { 
+          type: "string", 
+          description: "The name of the data element"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      },
+      required: ["element_name"]
+    }
+  },
+  {
+    name: "list_unused_data_elements",
+    description: "List data elements that are not referenced by any rule, extension or other data element",
+    inputSchema: {
+      type: "object",
+      properties: {
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "list_missing_data_elements",
+    description: "List references (%Name% tokens and _satellite.getVar calls) to data elements that do not exist",
+    inputSchema: {
+      type: "object",
+      properties: {
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "analyze_variable",
+    description: "Analyze how an Adobe Analytics variable or Web SDK XDM field is used across rules",
+    inputSchema: {
+      type: "object",
+      properties: {
+        variable_name: { 
+          type: "string", 
+          description: "The name of the variable to analyze (e.g., eVar1, prop5, event10, xdm.web.webPageDetails.name)"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        },
+        use_ai: {
+          type: "boolean",
+          description: "Whether to use AI for enhanced analysis (requires OpenAI API key)"
+        }
+      },
+      required: ["variable_name"]
+    }
+  },
+  {
+    name: "analyze_extension",
+    description: "Analyze an installed extension and show which rules and data elements use its modules",
+    inputSchema: {
+      type: "object",
+      properties: {
+        extension_name: { 
+          type: "string", 
+          description: "The name (e.g., adobe-analytics) or display name of the extension to analyze"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        },
+        use_ai: {
+          type: "boolean",
+          description: "Whether to use AI for enhanced analysis (requires OpenAI API key)"
+        }
+      },
+      required: ["extension_name"]
+    }
+  },
+  {
+    name: "get_property_info",
+    description: "Report company, property settings, environment and build metadata for the Adobe Launch library",
+    inputSchema: {
+      type: "object",
+      properties: {
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "get_analytics_config",
+    description: "Decode the Adobe Analytics extension configuration: report suites, tracking servers, link tracking, global variables and custom page code",
+    inputSchema: {
+      type: "object",
+      properties: {
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "get_web_sdk_config",
+    description: "Decode the Adobe Experience Platform Web SDK extension: instances, datastream IDs per environment, edge domain, consent defaults, ID migration and Send event actions",
+    inputSchema: {
+      type: "object",
+      properties: {
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "get_vendor_inventory",
+    description: "List the third-party vendors a library loads or sends data to, from extensions and from domains and snippets in custom code, with the rules that fire each vendor",
+    inputSchema: {
+      type: "object",
+      properties: {
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "simulate_page",
+    description: "Simulate which rules fire on a described page: evaluates Core conditions against a URL, cookies, query string, data layer and optional HTML, by page-load stage",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "The page URL to simulate"
+        },
+        cookies: {
+          type: ["object", "string"],
+          description: "Cookies, as an object of name/value pairs or a cookie header string (\"a=1; b=2\")"
+        },
+        query_string: {
+          type: ["object", "string"],
+          description: "Query string to use instead of the one in the URL"
+        },
+        data_layer: {
+          type: "object",
+          description: "Page globals for JavaScript Variable data elements and conditions, e.g. {\"digitalData\": {\"user\": {\"loggedIn\": true}}}"
+        },
+        html: {
+          type: "string",
+          description: "Optional HTML snippet for DOM Attribute data elements and the page title"
+        },
+        referrer: {
+          type: "string",
+          description: "Optional referring URL"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      },
+      required: ["url"]
+    }
+  },
+  {
+    name: "get_variable_lineage",
+    description: "Show where each variable gets its value: a literal, a data element and what it reads, a dynamic variable (D=v1) or custom code, with the rules that assign it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        variable_name: {
+          type: "string",
+          description: "Optional variable to trace (e.g., eVar12); all variables are listed when omitted"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "compare_embeds",
+    description: "Compare two Adobe Launch libraries (e.g. development vs production, or two properties): added, removed and changed rules, data elements, extensions and variable usage",
+    inputSchema: {
+      type: "object",
+      properties: {
+        base_embed_code: {
+          type: "string",
+          description: "The embed code or loaded library handle of the library to compare from (e.g. production)"
+        },
+        target_embed_code: {
+          type: "string",
+          description: "The embed code or loaded library handle of the library to compare to (e.g. development)"
+        },
+        fetch_custom_code: {
+          type: "boolean",
+          description: "Fetch external custom code files so their contents can be compared"
+        }
+      },
+      required: ["base_embed_code", "target_embed_code"]
+    }
+  },
+  {
+    name: "list_snapshots",
+    description: "List the locally stored snapshots of parsed libraries, keyed by embed URL and build date",
+    inputSchema: {
+      type: "object",
+      properties: {
+        embed_code: {
+          type: "string",
+          description: "Optional embed code URL to list only that library's snapshots"
+        },
+        library: {
+          type: "string",
+          description: "Optional handle of a loaded library to list only its snapshots"
+        }
+      }
+    }
+  },
+  {
+    name: "load_snapshot",
+    description: "Load a stored snapshot as the library the other tools analyze",
+    inputSchema: {
+      type: "object",
+      properties: {
+        snapshot_id: {
+          type: "string",
+          description: "The snapshot ID from list_snapshots"
+        },
+        library: {
+          type: "string",
+          description: "Optional handle to keep the library under (defaults to one made from the property name and environment, e.g. acme-production)"
+        }
+      },
+      required: ["snapshot_id"]
+    }
+  },
+  {
+    name: "diff_snapshots",
+    description: "Compare two stored snapshots: added, removed and changed rules, data elements, extensions and variable usage",
+    inputSchema: {
+      type: "object",
+      properties: {
+        base_snapshot_id: {
+          type: "string",
+          description: "The snapshot to compare from"
+        },
+        target_snapshot_id: {
+          type: "string",
+          description: "The snapshot to compare to (defaults to the newest snapshot of the same library)"
+        }
+      },
+      required: ["base_snapshot_id"]
+    }
+  },
+  {
+    name: "audit_implementation",
+    description: "Audit the implementation with configurable checks (beacons on every page, s.tl() without linkTrackVars, duplicate rule names, Page Bottom events in async deployments, debugging code, jQuery dependence, empty rules, data elements without defaults, naming conventions) and list findings by severity",
+    inputSchema: {
+      type: "object",
+      properties: {
+        config_path: {
+          type: "string",
+          description: "Path to a JSON audit config that turns checks on or off and sets severities, thresholds and naming patterns (defaults to --audit-config)"
+        },
+        deployment: {
+          type: "string",
+          enum: ["async", "sync"],
+          description: "How the embed code is loaded on the site, used by the sync-only event check"
+        },
+        min_severity: {
+          type: "string",
+          enum: ["high", "medium", "low", "info"],
+          description: "Only list findings of this severity or higher"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "scan_pii",
+    description: "Scan for likely PII and sensitive data (email, phone, tokens, form field values, data layer paths such as user.email, full URLs with query strings) and show the variable each lands in and the rule that sends it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        min_severity: {
+          type: "string",
+          enum: ["high", "medium", "low"],
+          description: "Only list findings of this severity or higher"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "get_library_size",
+    description: "Break down the library's size by Turbine runtime, extension modules and settings, rules (settings and inline custom code) and data elements, count external custom code files and their sizes, and rank the heaviest items",
+    inputSchema: {
+      type: "object",
+      properties: {
+        fetch_custom_code: {
+          type: "boolean",
+          description: "Fetch external custom code files that have not been fetched yet, so their sizes are known"
+        },
+        top: {
+          type: "number",
+          description: "How many of the heaviest rules, data elements, files and items to list (default 10)"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
+    }
+  },
+  {
+    name: "scan_page",
+    description: "List every Adobe Launch or DTM library a web page loads, by script tag or inline loader, with its environment, async or sync loading and placement, and flag duplicate loads, development or staging libraries on production hosts, missing or misconfigured Target prehiding snippets and leftover _satellite.pageBottom() calls",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "The URL of the webpage to scan"
+        }
+      },
+      required: ["url"]
+    }
+  },
+  {
+    name: "crawl_site",
+    description: "Crawl a site from a page or sitemap.xml, following same-site links up to a depth and page budget while respecting robots.txt, and report which Launch or DTM library each page loads, pages with no tag manager, and mixed environments or properties. The report is saved so the crawl can be re-run and compared",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "Page or sitemap.xml URL to start from (optional when re-running a report)"
+        },
+        max_depth: {
+          type: "number",
+          description: "How many links deep to follow from the start pages (default 2; 0 crawls only the start pages)"
+        },
+        max_pages: {
+          type: "number",
+          description: "Most pages to fetch (default 50)"
+        },
+        output: {
+          type: "string",
+          description: "Path to save the JSON report to (default: a new file in the crawl directory)"
+        },
+        rerun: {
+          type: "string",
+          description: "Path or file name of an earlier crawl report to run again with the same settings and compare against"
+        }
+      }
+    }
+  },
+  {
+    name: "export_sdr",
+    description: "Export a Solution Design Reference (SDR) as CSV and Markdown: one row per Analytics variable with its type, the rules and global configuration (including custom code) that set it, the rules' event types, the value source (data element or literal) and the data element's underlying source",
+    inputSchema: {
+      type: "object",
+      properties: {
+        output: {
+          type: "string",
+          description: "File path to write to; .csv and .md are added (default: <library handle>-sdr in ~/.nightjar-mcp/sdr)"
+        },
+        format: {
+          type: "string",
+          enum: ["csv", "markdown", "both"],
+          description: "Which files to write (default both)"
+        },
+        fetch_custom_code: {
+          type: "boolean",
+          description: "Fetch external custom code files that have not been fetched yet, so the variables they set are included"
+        },
+        embed_code: { 
+          type: "string", 
+          description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
+        }
+      }
     }
   },
   {
-    name: "analyze_data_element",
-    description: "Analyze a specific data element from the parsed Adobe Launch embed code",
+    name: "reconcile_sdr",
+    description: "Reconcile an expected Solution Design Reference (CSV or JSON with variable, name, expected source and pages/rules columns) with the library: variables documented but never set, set but not documented, set from a different source than expected, and events missing from the rules they are documented in",
     inputSchema: {
       type: "object",
       properties: {
-        element_name: { 
-          type: "string", 
-          description: "The name of the data element to analyze"
+        sdr_path: {
+          type: "string",
+          description: "Path to the expected SDR as a .csv or .json file"
+        },
+        sdr: {
+          type: "string",
+          description: "The expected SDR as CSV or JSON text, instead of sdr_path"
+        },
+        format: {
+          type: "string",
+          enum: ["csv", "json"],
+          description: "Format of the SDR (default: from the file extension or content)"
+        },
+        fetch_custom_code: {
+          type: "boolean",
+          description: "Fetch external custom code files that have not been fetched yet, so the variables they set are included"
         },
         embed_code: { 
           type: "string", 
           description: "The embed code to parse (optional if you've already called parse_embed_code)"
         },
-        use_ai: {
-          type: "boolean",
-          description: "Whether to use AI for enhanced analysis (requires OpenAI API key)"
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
         }
-      },
-      required: ["element_name"]
+      }
     }
   },
   {
-    name: "analyze_variable",
-    description: "Analyze how an Adobe Analytics variable is used across rules",
+    name: "list_libraries",
+    description: "List the libraries parsed in this session with their handles, marking the active one",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    }
+  },
+  {
+    name: "list_rules",
+    description: "List all rules found in the Adobe Launch embed code",
     inputSchema: {
       type: "object",
       properties: {
-        variable_name: { 
-          type: "string", 
-          description: "The name of the variable to analyze (e.g., eVar1, prop5, event10)"
+        rule: {
+          type: "string",
+          description: "Optional rule ID or name to list only the matching rules"
         },
         embed_code: { 
           type: "string", 
           description: "The embed code to parse (optional if you've already called parse_embed_code)"
         },
-        use_ai: {
-          type: "boolean",
-          description: "Whether to use AI for enhanced analysis (requires OpenAI API key)"
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
         }
-      },
-      required: ["variable_name"]
+      }
     }
   },
   {
-    name: "list_rules",
-    description: "List all rules found in the Adobe Launch embed code",
+    name: "list_data_elements",
+    description: "List all data elements found in the Adobe Launch embed code",
     inputSchema: {
       type: "object",
       properties: {
         embed_code: { 
           type: "string", 
           description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
         }
       }
     }
   },
   {
-    name: "list_data_elements",
-    description: "List all data elements found in the Adobe Launch embed code",
+    name: "list_extensions",
+    description: "List all extensions installed in the Adobe Launch embed code with their versions and settings",
     inputSchema: {
       type: "object",
       properties: {
         embed_code: { 
           type: "string", 
           description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
         }
       }
     }
@@ -168,6 +781,10 @@ const tools = [
         embed_code: { 
           type: "string", 
           description: "The embed code to parse (optional if you've already called parse_embed_code)"
+        },
+        library: {
+          type: "string",
+          description: "Handle or embed URL of a loaded library to analyze (see list_libraries); it becomes the active library"
         }
       }
     }
@@ -190,6 +807,27 @@ const server = new Server(
 // Initialize Nightjar client
 const nightjar = new NightjarClient(openAiApiKey);
 nightjar.setDebug(debug);
+if (options.snapshots) {
+  nightjar.setSnapshotStore(new SnapshotStore(options.snapshotDir));
+}
+if (options.cache) {
+  nightjar.setHttpCache(new HttpCache(options.cacheDir));
+}
+if (options.auditConfig) {
+  nightjar.setAuditConfigPath(options.auditConfig);
+}
+nightjar.setCrawlDir(options.crawlDir);
+
+// Make the library named by `library` or `embed_code` active, parsing the embed code only if it is not loaded yet
+async function selectLibrary(args) {
+  if (args.library) {
+    nightjar.useLibrary(args.library);
+  } else if (args.embed_code) {
+    await nightjar.useEmbed(args.embed_code);
+  } else if (!nightjar.parsedEmbed) {
+    throw new Error("No embed code has been parsed yet. Please call parse_embed_code first or provide embed_code.");
+  }
+}
 
 // Register tools handler
 server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -215,16 +853,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         log(`Parsing embed code: ${args.embed_code}`);
         
         try {
-          const parsedData = await nightjar.parseEmbed(args.embed_code);
+          const parsedData = await nightjar.parseEmbed(args.embed_code, {
+            fetchCustomCode: args.fetch_custom_code === true,
+            handle: args.library
+          });
           
           // Format for human readability
           result = `Successfully parsed Adobe Launch implementation!
 
+${describeLibrary(parsedData)}
 Found ${parsedData.dataElements ? Object.keys(parsedData.dataElements).length : 0} data elements
-Found ${parsedData.rules.names.length} rules
-Detected variables: ${Object.keys(parsedData.variables || {}).join(', ')}
+Found ${Object.keys(parsedData.rules).length} rules
+Detected variables: ${Object.keys(parsedData.variables || {}).join(', ')}${describeExternalCode(parsedData.externalCode)}${describeOrigin(parsedData.origin)}${describeFallbacks(parsedData.parseInfo)}${describeSnapshot(parsedData.snapshot)}
 
-You can now use other tools like analyze_rule, analyze_data_element, or analyze_variable to explore the implementation.`;
+You can now use other tools like analyze_rule, analyze_data_element, analyze_variable, or get_property_info to explore the implementation.`;
         } catch (error) {
           throw new Error(`Failed to parse embed code: ${error.message}`);
         }
@@ -239,21 +881,28 @@ You can now use other tools like analyze_rule, analyze_data_element, or analyze_
         log(`Extracting embed code from URL: ${args.url}`);
         
         try {
-          // First extract the embed code from the URL
-          const embedCode = await nightjar.extractEmbedFromUrl(args.url);
+          // First find the libraries on the page, then parse the first Launch library
+          const scan = await nightjar.scanPage(args.url);
+          const embedCode = nightjar.pageEmbedCode(scan);
           
           // Then parse it
-          const parsedData = await nightjar.parseEmbed(embedCode);
+          const parsedData = await nightjar.parseEmbed(embedCode, {
+            fetchCustomCode: args.fetch_custom_code === true,
+            handle: args.library
+          });
           
           // Format for human readability
           result = `Successfully parsed Adobe Launch implementation from ${args.url}!
 
 Found embed code: ${embedCode}
+${describeLibrary(parsedData)}
 Found ${parsedData.dataElements ? Object.keys(parsedData.dataElements).length : 0} data elements
-Found ${parsedData.rules.names.length} rules
-Detected variables: ${Object.keys(parsedData.variables || {}).join(', ')}
+Found ${Object.keys(parsedData.rules).length} rules
+Detected variables: ${Object.keys(parsedData.variables || {}).join(', ')}${describeExternalCode(parsedData.externalCode)}${describeOrigin(parsedData.origin)}${describeFallbacks(parsedData.parseInfo)}${describeSnapshot(parsedData.snapshot)}
+
+${nightjar.formatPageScan(scan)}
 
-You can now use other tools like analyze_rule, analyze_data_element, or analyze_variable to explore the implementation.`;
+You can now use other tools like analyze_rule, analyze_data_element, analyze_variable, or get_property_info to explore the implementation.`;
         } catch (error) {
           throw new Error(`Failed to extract/parse embed code from URL: ${error.message}`);
         }
@@ -265,12 +914,8 @@ You can now use other tools like analyze_rule, analyze_data_element, or analyze_
           throw new Error("Missing required parameter: rule_name");
         }
         
-        // If embed_code is provided, parse it first
-        if (args.embed_code) {
-          await nightjar.parseEmbed(args.embed_code);
-        } else if (!nightjar.parsedEmbed) {
-          throw new Error("No embed code has been parsed yet. Please call parse_embed_code first or provide embed_code.");
-        }
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
         
         log(`Analyzing rule: ${args.rule_name}`);
         
@@ -289,12 +934,8 @@ You can now use other tools like analyze_rule, analyze_data_element, or analyze_
           throw new Error("Missing required parameter: element_name");
         }
         
-        // If embed_code is provided, parse it first
-        if (args.embed_code) {
-          await nightjar.parseEmbed(args.embed_code);
-        } else if (!nightjar.parsedEmbed) {
-          throw new Error("No embed code has been parsed yet. Please call parse_embed_code first or provide embed_code.");
-        }
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
         
         log(`Analyzing data element: ${args.element_name}`);
         
@@ -308,17 +949,51 @@ You can now use other tools like analyze_rule, analyze_data_element, or analyze_
         break;
       }
       
+      case "get_data_element_references": {
+        if (!args.element_name) {
+          throw new Error("Missing required parameter: element_name");
+        }
+        
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log(`Finding references to data element: ${args.element_name}`);
+        
+        try {
+          result = await nightjar.analyzeDataElementReferences(args.element_name);
+        } catch (error) {
+          throw new Error(`Failed to find data element references: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "list_unused_data_elements": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Listing unused data elements');
+        
+        result = await nightjar.listUnusedDataElements();
+        break;
+      }
+      
+      case "list_missing_data_elements": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Listing missing data elements');
+        
+        result = await nightjar.listMissingDataElements();
+        break;
+      }
+      
       case "analyze_variable": {
         if (!args.variable_name) {
           throw new Error("Missing required parameter: variable_name");
         }
         
-        // If embed_code is provided, parse it first
-        if (args.embed_code) {
-          await nightjar.parseEmbed(args.embed_code);
-        } else if (!nightjar.parsedEmbed) {
-          throw new Error("No embed code has been parsed yet. Please call parse_embed_code first or provide embed_code.");
-        }
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
         
         log(`Analyzing variable: ${args.variable_name}`);
         
@@ -332,33 +1007,361 @@ You can now use other tools like analyze_rule, analyze_data_element, or analyze_
         break;
       }
       
-      case "list_rules": {
-        // If embed_code is provided, parse it first
-        if (args.embed_code) {
-          await nightjar.parseEmbed(args.embed_code);
-        } else if (!nightjar.parsedEmbed) {
-          throw new Error("No embed code has been parsed yet. Please call parse_embed_code first or provide embed_code.");
+      case "analyze_extension": {
+        if (!args.extension_name) {
+          throw new Error("Missing required parameter: extension_name");
+        }
+        
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log(`Analyzing extension: ${args.extension_name}`);
+        
+        const useAI = args.use_ai === true && openAiApiKey;
+        
+        try {
+          result = await nightjar.analyzeExtension(args.extension_name, useAI);
+        } catch (error) {
+          throw new Error(`Failed to analyze extension: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "get_property_info": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Getting property info');
+        
+        try {
+          result = await nightjar.getPropertyInfo();
+        } catch (error) {
+          throw new Error(`Failed to get property info: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "get_analytics_config": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Getting Analytics configuration');
+        
+        try {
+          result = await nightjar.getAnalyticsConfig();
+        } catch (error) {
+          throw new Error(`Failed to get Analytics configuration: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "get_web_sdk_config": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Getting Web SDK configuration');
+        
+        try {
+          result = await nightjar.getWebSdkConfig();
+        } catch (error) {
+          throw new Error(`Failed to get Web SDK configuration: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "get_vendor_inventory": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Building vendor inventory');
+        
+        try {
+          result = await nightjar.getVendorInventory();
+        } catch (error) {
+          throw new Error(`Failed to build vendor inventory: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "simulate_page": {
+        if (!args.url) {
+          throw new Error("Missing required parameter: url");
+        }
+        
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log(`Simulating page: ${args.url}`);
+        
+        try {
+          result = await nightjar.simulatePage({
+            url: args.url,
+            cookies: args.cookies,
+            queryString: args.query_string,
+            dataLayer: args.data_layer,
+            html: args.html,
+            referrer: args.referrer
+          });
+        } catch (error) {
+          throw new Error(`Failed to simulate page: ${error.message}`);
         }
+        break;
+      }
+      
+      case "get_variable_lineage": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log(`Tracing variable lineage${args.variable_name ? ` for ${args.variable_name}` : ''}`);
+        
+        try {
+          result = await nightjar.analyzeVariableLineage(args.variable_name || null);
+        } catch (error) {
+          throw new Error(`Failed to trace variable lineage: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "compare_embeds": {
+        if (!args.base_embed_code || !args.target_embed_code) {
+          throw new Error("Missing required parameters: base_embed_code and target_embed_code");
+        }
+        
+        log(`Comparing ${args.base_embed_code} with ${args.target_embed_code}`);
+        
+        try {
+          result = await nightjar.compareEmbeds(args.base_embed_code, args.target_embed_code, {
+            fetchCustomCode: args.fetch_custom_code === true
+          });
+        } catch (error) {
+          throw new Error(`Failed to compare embed codes: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "list_snapshots": {
+        log('Listing snapshots');
+        
+        try {
+          // Snapshots are keyed by the normalized URL, e.g. file:// for a relative path
+          let embedUrl = args.embed_code ? libraryInputUrl(args.embed_code) : null;
+          if (args.library) {
+            const library = nightjar.findLibrary(args.library);
+            if (!library) {
+              throw new Error(`No library '${args.library}' is loaded`);
+            }
+            embedUrl = library.embedUrl;
+          }
+          result = await nightjar.listSnapshots(embedUrl);
+        } catch (error) {
+          throw new Error(`Failed to list snapshots: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "load_snapshot": {
+        if (!args.snapshot_id) {
+          throw new Error("Missing required parameter: snapshot_id");
+        }
+        
+        log(`Loading snapshot: ${args.snapshot_id}`);
+        
+        try {
+          const parsedData = await nightjar.loadSnapshot(args.snapshot_id, args.library || null);
+          
+          result = `Loaded snapshot ${args.snapshot_id} of ${parsedData.embedUrl} (saved ${parsedData.snapshot.savedAt})
+
+${describeLibrary(parsedData)}
+Found ${Object.keys(parsedData.dataElements).length} data elements
+Found ${Object.keys(parsedData.rules).length} rules${describeFallbacks(parsedData.parseInfo)}
+
+The other tools now analyze this snapshot until another library is parsed, loaded or selected with \`library\`.`;
+        } catch (error) {
+          throw new Error(`Failed to load snapshot: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "diff_snapshots": {
+        if (!args.base_snapshot_id) {
+          throw new Error("Missing required parameter: base_snapshot_id");
+        }
+        
+        log(`Comparing snapshot ${args.base_snapshot_id} with ${args.target_snapshot_id || 'the newest snapshot'}`);
+        
+        try {
+          result = await nightjar.diffSnapshots(args.base_snapshot_id, args.target_snapshot_id || null);
+        } catch (error) {
+          throw new Error(`Failed to compare snapshots: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "audit_implementation": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Auditing implementation');
+        
+        try {
+          result = await nightjar.auditImplementation({
+            configPath: args.config_path || null,
+            deployment: args.deployment || null,
+            minSeverity: args.min_severity || null
+          });
+        } catch (error) {
+          throw new Error(`Failed to audit implementation: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "scan_pii": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Scanning for PII');
+        
+        try {
+          result = await nightjar.scanPii(args.min_severity || 'low');
+        } catch (error) {
+          throw new Error(`Failed to scan for PII: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "get_library_size": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Measuring library size');
+        
+        try {
+          result = await nightjar.getLibrarySize({
+            fetchCustomCode: args.fetch_custom_code === true,
+            top: args.top > 0 ? Math.floor(args.top) : 10
+          });
+        } catch (error) {
+          throw new Error(`Failed to measure library size: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "scan_page": {
+        if (!args.url) {
+          throw new Error("Missing required parameter: url");
+        }
+        
+        log(`Scanning page: ${args.url}`);
+        
+        try {
+          result = nightjar.formatPageScan(await nightjar.scanPage(args.url));
+        } catch (error) {
+          throw new Error(`Failed to scan page: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "crawl_site": {
+        if (!args.url && !args.rerun) {
+          throw new Error("Missing required parameter: url (or rerun)");
+        }
+        
+        log(`Crawling site: ${args.url || args.rerun}`);
+        
+        try {
+          result = await nightjar.crawlSite({
+            url: args.url,
+            maxDepth: args.max_depth >= 0 ? Math.floor(args.max_depth) : undefined,
+            maxPages: args.max_pages > 0 ? Math.floor(args.max_pages) : undefined,
+            output: args.output,
+            rerun: args.rerun
+          });
+        } catch (error) {
+          throw new Error(`Failed to crawl site: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "export_sdr": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Exporting SDR');
+        
+        try {
+          result = await nightjar.exportSdr({
+            output: args.output,
+            format: args.format,
+            fetchCustomCode: args.fetch_custom_code === true
+          });
+        } catch (error) {
+          throw new Error(`Failed to export SDR: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "reconcile_sdr": {
+        if (!args.sdr_path && !args.sdr) {
+          throw new Error("Missing required parameter: sdr_path (or sdr)");
+        }
+        
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log(`Reconciling SDR: ${args.sdr_path || 'inline'}`);
+        
+        try {
+          result = await nightjar.reconcileSdr({
+            path: args.sdr_path,
+            content: args.sdr,
+            format: args.format,
+            fetchCustomCode: args.fetch_custom_code === true
+          });
+        } catch (error) {
+          throw new Error(`Failed to reconcile SDR: ${error.message}`);
+        }
+        break;
+      }
+      
+      case "list_libraries": {
+        log('Listing loaded libraries');
+        
+        result = nightjar.listLibraries();
+        break;
+      }
+      
+      case "list_rules": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
         
         log('Listing rules');
         
-        const rules = nightjar.parsedEmbed.rules.names;
+        const allRules = Object.values(nightjar.parsedEmbed.rules);
+        const rules = args.rule ? nightjar.findRules(args.rule) : allRules;
         
         if (!rules || rules.length === 0) {
-          result = "No rules found in the parsed embed code.";
+          result = args.rule ?
+            `No rule with ID or name '${args.rule}' found in the parsed embed code.` :
+            "No rules found in the parsed embed code.";
         } else {
-          result = `Found ${rules.length} rules:\n\n${rules.join('\n')}`;
+          // Flag names that are shared by more than one rule
+          const nameCounts = {};
+          allRules.forEach(rule => {
+            nameCounts[rule.name] = (nameCounts[rule.name] || 0) + 1;
+          });
+          
+          const lines = rules.map(rule => `${rule.id}: ${rule.name}` +
+            ` [events: ${nightjar.describeEvents(rule)}; ${rule.conditions.length} conditions; ${rule.actions.length} actions]` +
+            (nameCounts[rule.name] > 1 ? ` (name shared by ${nameCounts[rule.name]} rules)` : ''));
+          
+          result = `Found ${rules.length} rules:\n\n${lines.join('\n')}`;
         }
         break;
       }
       
       case "list_data_elements": {
-        // If embed_code is provided, parse it first
-        if (args.embed_code) {
-          await nightjar.parseEmbed(args.embed_code);
-        } else if (!nightjar.parsedEmbed) {
-          throw new Error("No embed code has been parsed yet. Please call parse_embed_code first or provide embed_code.");
-        }
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
         
         log('Listing data elements');
         
@@ -367,18 +1370,42 @@ You can now use other tools like analyze_rule, analyze_data_element, or analyze_
         if (!dataElements || Object.keys(dataElements).length === 0) {
           result = "No data elements found in the parsed embed code.";
         } else {
-          result = `Found ${Object.keys(dataElements).length} data elements:\n\n${Object.keys(dataElements).join('\n')}`;
+          const lines = Object.values(dataElements).map(element => `${element.name} [${element.typeName}]: ${element.source.description}`);
+          result = `Found ${lines.length} data elements:\n\n${lines.join('\n')}`;
         }
         break;
       }
       
-      case "list_variables": {
-        // If embed_code is provided, parse it first
-        if (args.embed_code) {
-          await nightjar.parseEmbed(args.embed_code);
-        } else if (!nightjar.parsedEmbed) {
-          throw new Error("No embed code has been parsed yet. Please call parse_embed_code first or provide embed_code.");
+      case "list_extensions": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
+        
+        log('Listing extensions');
+        
+        const extensions = Object.values(nightjar.parsedEmbed.extensions || {});
+        
+        if (extensions.length === 0) {
+          result = "No extensions found in the parsed embed code.";
+        } else {
+          const property = nightjar.parsedEmbed.property;
+          const lines = extensions.map(extension => {
+            const settings = nightjar.formatSettings(extension.settings, 300);
+            return `${extension.displayName} (${extension.name})
+  Version: ${extension.version || 'Not recorded in the library'}
+  Package ID: ${extension.packageId || 'Unknown'}
+  Hosted Path: ${extension.hostedLibFilesBaseUrl || 'Unknown'}
+  Modules: ${extension.modules.length}
+  Settings: ${settings || 'None'}`;
+          });
+          
+          result = `Found ${extensions.length} extensions${property && property.name ? ` in property ${property.name}` : ''}:\n\n${lines.join('\n\n')}`;
         }
+        break;
+      }
+      
+      case "list_variables": {
+        // Switch to the library or embed code given, parsing the embed code only if it is new
+        await selectLibrary(args);
         
         log('Listing variables');
         
@@ -387,17 +1414,37 @@ You can now use other tools like analyze_rule, analyze_data_element, or analyze_
         if (!variables || Object.keys(variables).length === 0) {
           result = "No variables found in the parsed embed code.";
         } else {
-          // Group variables by type
-          const eVars = Object.keys(variables).filter(v => v.startsWith('eVar'));
-          const props = Object.keys(variables).filter(v => v.startsWith('prop'));
-          const events = Object.keys(variables).filter(v => v.startsWith('event'));
-          const others = Object.keys(variables).filter(v => !v.startsWith('eVar') && !v.startsWith('prop') && !v.startsWith('event'));
+          // Group variables by kind
+          const groups = [
+            ['eVar', 'eVars'],
+            ['prop', 'Props'],
+            ['event', 'Events'],
+            ['list', 'List Vars'],
+            ['hier', 'Hierarchy Vars'],
+            ['products', 'Products'],
+            ['contextData', 'Context Data'],
+            ['pageVariable', 'Page Variables'],
+            ['events', 'Events Variable'],
+            ['linkTracking', 'Link Tracking'],
+            ['xdm', 'XDM and Data Fields']
+          ];
+          const names = Object.keys(variables);
+          const lines = groups
+            .map(([kind, label]) => {
+              const ofKind = names
+                .filter(name => variables[name].kind === kind)
+                .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+              return ofKind.length > 0 ? `${label} (${ofKind.length}): ${ofKind.join(', ')}` : null;
+            })
+            .filter(Boolean);
+          const others = names.filter(name => !groups.some(([kind]) => variables[name].kind === kind));
+          if (others.length > 0) {
+            lines.push(`Others (${others.length}): ${others.join(', ')}`);
+          }
           
-          result = `Found ${Object.keys(variables).length} variables in the parsed embed code:
+          result = `Found ${names.length} variables in the parsed embed code:
 
-eVars (${eVars.length}): ${eVars.join(', ')}
-Props (${props.length}): ${props.join(', ')}
-Events (${events.length}): ${events.join(', ')}${others.length > 0 ? `\nOthers (${others.length}): ${others.join(', ')}` : ''}`;
+${lines.join('\n')}`;
         }
         break;
       }
@@ -0,0 +1,207 @@
+/**
+ * Launch model for Nightjar
+ * Builds rule and extension objects from the parsed `_satellite.container`
+ */
+
+import { isFunctionValue, functionSource, defineKey } from './container-parser.js';
+
+/**
+ * Get the extension name a module belongs to
+ */
+export function extensionOf(modulePath) {
+  return modulePath ? modulePath.split('/')[0] : null;
+}
+
+/**
+ * Look up an entry of a keyed collection such as rules, extensions, data elements or variables
+ * Returns null when there is none, including for names like "constructor" that every object inherits
+ */
+export function ownEntry(collection, key) {
+  return collection && Object.prototype.hasOwnProperty.call(collection, key) ? collection[key] : null;
+}
+
+/**
+ * Get a short component type from a module path
+ * e.g. core/src/lib/events/click.js -> click, adobe-alloy/dist/lib/actions/sendEvent/index.js -> sendEvent
+ */
+export function componentType(modulePath) {
+  if (!modulePath) return 'unknown';
+  const parts = modulePath.split('/');
+  let fileName = parts.pop();
+  if (fileName === 'index.js' && parts.length > 0) {
+    fileName = parts.pop();
+  }
+  return fileName.replace(/\.js$/, '');
+}
+
+/**
+ * Decode component settings
+ * Some libraries store settings as a JSON string rather than an object literal
+ */
+export function decodeSettings(settings) {
+  if (typeof settings === 'string') {
+    try {
+      return JSON.parse(settings);
+    } catch (e) {
+      return { value: settings };
+    }
+  }
+  return settings || {};
+}
+
+/**
+ * Look up the display name Launch gives a module, falling back to its type
+ */
+export function moduleDisplayName(extensions, modulePath) {
+  const extension = extensions && extensions[extensionOf(modulePath)];
+  const module = extension && extension.modules && extension.modules[modulePath];
+  return (module && module.displayName) || componentType(modulePath);
+}
+
+/**
+ * Check whether a custom code source points at an external file
+ */
+export function isExternalSource(source) {
+  return typeof source === 'string' && /^(https?:)?\/\//.test(source);
+}
+
+/**
+ * Normalize one rule component (event, condition or action)
+ */
+function buildComponent(component, extensions) {
+  const modulePath = component.modulePath || null;
+  const built = {
+    extension: extensionOf(modulePath),
+    modulePath,
+    type: componentType(modulePath),
+    displayName: moduleDisplayName(extensions, modulePath),
+    settings: decodeSettings(component.settings),
+    ruleOrder: component.ruleOrder !== undefined ? component.ruleOrder : null,
+    negate: component.negate === true,
+    timeout: component.timeout !== undefined ? component.timeout : null,
+    delayNext: component.delayNext !== undefined ? component.delayNext : null
+  };
+
+  // Custom code keeps its source text, or the URL of the file it lives in
+  if (built.type === 'customCode') {
+    const source = built.settings.source;
+    if (isFunctionValue(source)) {
+      built.code = functionSource(source);
+      built.codeUrl = null;
+    } else if (built.settings.isExternal || isExternalSource(source)) {
+      built.code = null;
+      built.codeUrl = source;
+    } else {
+      built.code = typeof source === 'string' ? source : '';
+      built.codeUrl = null;
+    }
+  }
+
+  return built;
+}
+
+/**
+ * Build the rule model from the container, keyed by rule ID
+ */
+export function buildRules(container) {
+  const rules = {};
+  const extensions = container.extensions || {};
+
+  (container.rules || []).forEach((rule, index) => {
+    // Rules without an ID still need a stable key
+    const id = rule.id || `rule-${index + 1}`;
+    defineKey(rules, id, {
+      id,
+      name: rule.name || id,
+      events: (rule.events || []).map(event => buildComponent(event, extensions)),
+      conditions: (rule.conditions || []).map(condition => buildComponent(condition, extensions)),
+      actions: (rule.actions || []).map(action => buildComponent(action, extensions)),
+      partial: rule.partial === true
+    });
+  });
+
+  return rules;
+}
+
+/**
+ * Get the extension package ID from its hosted library path
+ * Each published version of an extension has its own package ID
+ */
+export function extensionPackageId(hostedLibFilesBaseUrl) {
+  const match = /\/extensions\/(EP[0-9a-zA-Z]+)\//.exec(hostedLibFilesBaseUrl || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Build the extension inventory from the container, keyed by extension name
+ */
+export function buildExtensions(container) {
+  const extensions = {};
+
+  Object.entries(container.extensions || {}).forEach(([name, extension]) => {
+    defineKey(extensions, name, {
+      name,
+      displayName: extension.displayName || name,
+      version: extension.version || null,
+      hostedLibFilesBaseUrl: extension.hostedLibFilesBaseUrl || null,
+      packageId: extensionPackageId(extension.hostedLibFilesBaseUrl),
+      settings: decodeSettings(extension.settings),
+      modules: Object.entries(extension.modules || {}).map(([modulePath, module]) => ({
+        modulePath,
+        type: componentType(modulePath),
+        name: module.name || null,
+        displayName: module.displayName || componentType(modulePath)
+      }))
+    });
+  });
+
+  return extensions;
+}
+
+/**
+ * Read the org, property and environment path segments from a Launch embed URL
+ * e.g. https://assets.adobedtm.com/{org}/{property}/launch-{environment}-development.min.js,
+ * or the company and property of a DTM library, https://assets.adobedtm.com/{company}/satelliteLib-{property}.js
+ */
+export function parseEmbedUrl(embedUrl) {
+  let url;
+  try {
+    url = new URL(embedUrl);
+  } catch (e) {
+    return null;
+  }
+
+  const segments = url.pathname.split('/').filter(Boolean);
+  const fileName = segments[segments.length - 1] || '';
+  const match = /^launch-([0-9a-zA-Z]+)(?:-(development|staging))?(\.min)?\.js$/.exec(fileName);
+
+  // Legacy DTM libraries are satelliteLib-{property}.js under the company's folder
+  const dtm = /^satelliteLib-([0-9a-zA-Z]+)(-staging)?(\.min)?\.js$/.exec(fileName);
+  if (dtm) {
+    return {
+      host: url.host,
+      fileName,
+      orgId: segments.length >= 2 ? segments[segments.length - 2] : null,
+      propertyId: dtm[1],
+      environmentId: null,
+      stage: dtm[2] ? 'staging' : 'production',
+      minified: Boolean(dtm[3])
+    };
+  }
+
+  if (!match) {
+    return { host: url.host, fileName, orgId: null, propertyId: null, environmentId: null, stage: null, minified: null };
+  }
+
+  // Newer embed codes carry org and property hashes as path segments before the file name
+  const prefix = segments.slice(0, -1);
+  return {
+    host: url.host,
+    fileName,
+    orgId: prefix.length >= 2 ? prefix[prefix.length - 2] : null,
+    propertyId: prefix.length >= 2 ? prefix[prefix.length - 1] : null,
+    environmentId: match[1],
+    stage: match[2] || 'production',
+    minified: Boolean(match[3])
+  };
+}
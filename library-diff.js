@@ -0,0 +1,360 @@
+/**
+ * Library comparison for Nightjar
+ * Diffs two parsed libraries: rules, data elements, extensions and variable usage
+ */
+
+import { isFunctionValue, functionSource } from './container-parser.js';
+
+// Line diffs larger than this (lines before x lines after) are summarized instead of computed
+const MAX_DIFF_CELLS = 4000000;
+
+// Minified code is split into statements when a line is longer than this
+const LONG_LINE = 160;
+
+/**
+ * Flatten a settings object into path -> value pairs
+ * Functions are compared by their source text
+ */
+export function flattenSettings(value, prefix = '', flat = {}) {
+  if (isFunctionValue(value)) {
+    flat[prefix] = functionSource(value);
+  } else if (Array.isArray(value)) {
+    if (value.length === 0 && prefix) flat[prefix] = '[]';
+    value.forEach((item, index) => flattenSettings(item, `${prefix}[${index}]`, flat));
+  } else if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) flat[prefix] = '{}';
+    entries.forEach(([key, item]) => flattenSettings(item, prefix ? `${prefix}.${key}` : key, flat));
+  } else if (prefix) {
+    flat[prefix] = value;
+  }
+  return flat;
+}
+
+/**
+ * Split code into lines for diffing, breaking long minified lines into statements
+ */
+export function codeLines(code) {
+  return String(code || '')
+    .split('\n')
+    .flatMap(line => (line.length > LONG_LINE ? line.split(/(?<=;|\)\{)/) : [line]))
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() !== '');
+}
+
+/**
+ * Diff two lists of lines, returning unified-style hunks with `context` lines around each change
+ */
+export function diffLines(before, after, context = 2) {
+  // Common prefix and suffix keep the table small for the usual small edit
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  if (a.length === 0 && b.length === 0) return [];
+
+  let ops;
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    ops = [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+  } else {
+    // Longest common subsequence, walked from the end
+    const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+    ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ op: ' ', line: a[i] });
+        i++;
+        j++;
+      } else if (i < a.length && (j >= b.length || table[i + 1][j] >= table[i][j + 1])) {
+        ops.push({ op: '-', line: a[i++] });
+      } else {
+        ops.push({ op: '+', line: b[j++] });
+      }
+    }
+  }
+
+  const lines = [
+    ...before.slice(Math.max(0, start - context), start).map(line => ({ op: ' ', line })),
+    ...ops,
+    ...before.slice(endBefore, endBefore + context).map(line => ({ op: ' ', line }))
+  ];
+
+  // Trim unchanged runs in the middle down to the context around changes
+  const keep = lines.map(() => false);
+  lines.forEach((entry, index) => {
+    if (entry.op === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) keep[k] = true;
+  });
+
+  const output = [];
+  lines.forEach((entry, index) => {
+    if (keep[index]) output.push(`${entry.op} ${entry.line}`);
+    else if (output.length > 0 && output[output.length - 1] !== '  ...') output.push('  ...');
+  });
+  if (output[output.length - 1] === '  ...') output.pop();
+  return output;
+}
+
+/**
+ * Compare two flattened settings objects
+ * Long or multi-line values get a line diff instead of a before/after pair
+ */
+export function diffSettings(before, after) {
+  const flatBefore = flattenSettings(before || {});
+  const flatAfter = flattenSettings(after || {});
+  const changes = [];
+
+  [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].forEach(path => {
+    const a = flatBefore[path];
+    const b = flatAfter[path];
+    if (a === b) return;
+    if (a === undefined) {
+      changes.push({ path, change: 'added', after: b });
+    } else if (b === undefined) {
+      changes.push({ path, change: 'removed', before: a });
+    } else if (typeof a === 'string' && typeof b === 'string' && (a.length > 80 || b.length > 80 || a.includes('\n') || b.includes('\n'))) {
+      changes.push({ path, change: 'changed', diff: diffLines(codeLines(a), codeLines(b)) });
+    } else {
+      changes.push({ path, change: 'changed', before: a, after: b });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * One-line key for a rule component, used to line components up between libraries
+ */
+function componentKey(component) {
+  return `${component.displayName} (${component.modulePath})${component.negate ? ' negated' : ''}`;
+}
+
+/**
+ * Compare the events, conditions or actions of two versions of a rule
+ * Components are lined up by position when their module matches, otherwise reported as added or removed
+ */
+function diffComponents(kind, before, after) {
+  const changes = [];
+  const label = (component, index) => `${kind.replace(/s$/, '')} ${index + 1} (${component.displayName})`;
+
+  // Components added, removed or reordered
+  const keyDiff = diffLines(before.map(componentKey), after.map(componentKey), 0);
+  if (keyDiff.length > 0) {
+    changes.push({ kind, change: 'components', diff: keyDiff });
+  }
+
+  // Settings, code and options of components that are still in the same place
+  for (let index = 0; index < Math.min(before.length, after.length); index++) {
+    const a = before[index];
+    const b = after[index];
+    if (componentKey(a) !== componentKey(b)) continue;
+
+    const options = ['ruleOrder', 'timeout', 'delayNext']
+      .filter(option => a[option] !== b[option])
+      .map(option => ({ path: option, change: 'changed', before: a[option], after: b[option] }));
+
+    const settings = diffSettings(stripCode(a), stripCode(b));
+    const code = a.type === 'customCode' ? diffCustomCode(a, b) : null;
+
+    if (options.length > 0 || settings.length > 0 || code) {
+      changes.push({ kind, change: 'component', component: label(b, index), settings: [...options, ...settings], code });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Custom code settings without the source, which is compared as code
+ */
+function stripCode(component) {
+  if (component.type !== 'customCode') return component.settings;
+  const { source, ...rest } = component.settings;
+  return rest;
+}
+
+/**
+ * Compare the code of two custom code components
+ */
+function diffCustomCode(before, after) {
+  if (before.code === null || after.code === null) {
+    // External code that was not fetched can only be compared by file name, since the path includes the environment
+    const fileName = url => (url ? url.split('/').pop() : null);
+    if (fileName(before.codeUrl) !== fileName(after.codeUrl)) {
+      return { note: `external file changed from ${before.codeUrl || 'inline code'} to ${after.codeUrl || 'inline code'} (fetch custom code to compare contents)`, diff: [] };
+    }
+    return null;
+  }
+  if (before.code === after.code) return null;
+  return { note: null, diff: diffLines(codeLines(before.code), codeLines(after.code)) };
+}
+
+/**
+ * Pair up items by key, falling back to unique names for items whose key only exists on one side
+ * Rule IDs match between environments of one property; names match across properties
+ */
+function pairItems(before, after, nameOf) {
+  const pairs = [];
+  const unmatchedBefore = Object.keys(before).filter(key => !after[key]);
+  const unmatchedAfter = Object.keys(after).filter(key => !before[key]);
+
+  Object.keys(before).filter(key => after[key]).forEach(key => pairs.push([before[key], after[key]]));
+
+  const uniqueByName = (items, keys) => {
+    const byName = {};
+    keys.forEach(key => {
+      const name = nameOf(items[key]);
+      byName[name] = byName[name] === undefined ? key : null;
+    });
+    return byName;
+  };
+  const beforeByName = uniqueByName(before, unmatchedBefore);
+  const afterByName = uniqueByName(after, unmatchedAfter);
+
+  const added = [];
+  unmatchedAfter.forEach(key => {
+    const name = nameOf(after[key]);
+    const match = beforeByName[name];
+    if (match && afterByName[name] === key) {
+      pairs.push([before[match], after[key]]);
+      beforeByName[name] = null;
+    } else {
+      added.push(after[key]);
+    }
+  });
+  const paired = new Set(pairs.map(([a]) => a));
+  const removed = unmatchedBefore.map(key => before[key]).filter(item => !paired.has(item));
+
+  return { pairs, added, removed };
+}
+
+/**
+ * Compare two versions of the rule model
+ */
+function diffRules(before, after) {
+  const { pairs, added, removed } = pairItems(before, after, rule => rule.name);
+  const changed = [];
+
+  pairs.forEach(([a, b]) => {
+    const changes = [];
+    if (a.name !== b.name) changes.push({ kind: 'name', change: 'renamed', before: a.name, after: b.name });
+    ['events', 'conditions', 'actions'].forEach(kind => changes.push(...diffComponents(kind, a[kind], b[kind])));
+    if (changes.length > 0) changed.push({ before: a, after: b, changes });
+  });
+
+  return { added, removed, changed, pairs };
+}
+
+/**
+ * Compare two versions of the data elements
+ */
+function diffDataElements(before, after) {
+  const added = Object.keys(after).filter(name => !before[name]).map(name => after[name]);
+  const removed = Object.keys(before).filter(name => !after[name]).map(name => before[name]);
+  const changed = [];
+
+  Object.keys(before).filter(name => after[name]).forEach(name => {
+    const a = before[name];
+    const b = after[name];
+    const changes = [];
+    if (a.modulePath !== b.modulePath) changes.push({ path: 'type', change: 'changed', before: a.typeName, after: b.typeName });
+    ['defaultValue', 'forceLowerCase', 'cleanText', 'storageDuration'].forEach(option => {
+      if (JSON.stringify(a[option]) !== JSON.stringify(b[option])) {
+        changes.push({ path: option, change: 'changed', before: a[option], after: b[option] });
+      }
+    });
+    changes.push(...diffSettings(a.settings, b.settings));
+    if (changes.length > 0) changed.push({ name, changes });
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare two versions of the extension inventory
+ */
+function diffExtensions(before, after) {
+  const added = Object.keys(after).filter(name => !before[name]).map(name => after[name]);
+  const removed = Object.keys(before).filter(name => !after[name]).map(name => before[name]);
+  const changed = [];
+
+  Object.keys(before).filter(name => after[name]).forEach(name => {
+    const a = before[name];
+    const b = after[name];
+    const version = a.version !== b.version || a.packageId !== b.packageId ?
+      { before: a.version || a.packageId, after: b.version || b.packageId } :
+      null;
+    const settings = diffSettings(a.settings, b.settings);
+    if (version || settings.length > 0) changed.push({ name, displayName: b.displayName, version, settings });
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Summarize where each variable is used, by rule name so different properties can be compared
+ * `ruleNames` maps rule IDs to the name to report, so renamed rules still match
+ */
+function variableOwners(variable, ruleNames = {}) {
+  const owners = new Set();
+  variable.usages.forEach(usage => {
+    const owner = usage.source === 'rule' ? `rule "${ruleNames[usage.ruleId] || usage.ruleName}"` : usage.component;
+    owners.add(`${owner} (${usage.access === 'set' ? 'sets' : usage.access === 'read' ? 'reads' : 'link tracking'})`);
+  });
+  return owners;
+}
+
+/**
+ * Compare variable usage between two libraries
+ */
+function diffVariables(before, after, ruleNames = {}) {
+  const added = Object.keys(after).filter(name => !before[name]);
+  const removed = Object.keys(before).filter(name => !after[name]);
+  const changed = [];
+
+  Object.keys(before).filter(name => after[name]).forEach(name => {
+    const a = variableOwners(before[name], ruleNames);
+    const b = variableOwners(after[name]);
+    const addedOwners = [...b].filter(owner => !a.has(owner));
+    const removedOwners = [...a].filter(owner => !b.has(owner));
+    if (addedOwners.length > 0 || removedOwners.length > 0) changed.push({ name, added: addedOwners, removed: removedOwners });
+  });
+
+  const byName = (x, y) => x.localeCompare(y, undefined, { numeric: true });
+  return { added: added.sort(byName), removed: removed.sort(byName), changed: changed.sort((x, y) => byName(x.name, y.name)) };
+}
+
+/**
+ * Compare two parsed libraries
+ * Everything is reported from `before` to `after`: "added" means only in `after`
+ */
+export function diffLibraries(before, after) {
+  const rules = diffRules(before.rules, after.rules);
+
+  // Base rules are reported by their target name, so a rename alone does not change variable usage
+  const ruleNames = {};
+  rules.pairs.forEach(([a, b]) => {
+    ruleNames[a.id] = b.name;
+  });
+
+  return {
+    rules: { added: rules.added, removed: rules.removed, changed: rules.changed },
+    dataElements: diffDataElements(before.dataElements, after.dataElements),
+    extensions: diffExtensions(before.extensions, after.extensions),
+    variables: diffVariables(before.variables, after.variables, ruleNames)
+  };
+}
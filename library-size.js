@@ -0,0 +1,118 @@
+/**
+ * Library size breakdown for Nightjar
+ * Attributes the bytes of a Launch library to the Turbine runtime, extension modules
+ * and settings, rules (settings and inline custom code) and data elements, from the
+ * positions of the container's parts in the library source
+ */
+
+import { gzipSync } from 'zlib';
+import { parseContainerNode } from './container-parser.js';
+import { isExternalSource } from './launch-model.js';
+import { externalCodeComponents } from './custom-code.js';
+
+const byteLength = text => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Map the plain properties of an object literal node to their Property nodes
+ */
+function objectProperties(node) {
+  const properties = {};
+  if (!node || node.type !== 'ObjectExpression') return properties;
+  node.properties.forEach(property => {
+    if (property.type !== 'Property' || property.computed) return;
+    const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+    properties[key] = property;
+  });
+  return properties;
+}
+
+const literalValue = property => (property && property.value.type === 'Literal' ? property.value.value : null);
+
+/**
+ * Measure the parts of a Launch library in bytes (UTF-8)
+ * Returns { totalBytes, gzipBytes, containerBytes, sections, extensions, dataElements, rules }
+ */
+export function measureLibrary(source) {
+  const container = parseContainerNode(source);
+  const size = node => byteLength(source.slice(node.start, node.end));
+  const fields = objectProperties(container);
+
+  const sections = {};
+  Object.entries(fields).forEach(([name, property]) => {
+    sections[name] = size(property);
+  });
+
+  const extensions = {};
+  Object.entries(objectProperties(fields.extensions && fields.extensions.value)).forEach(([name, property]) => {
+    const parts = objectProperties(property.value);
+    const modules = {};
+    Object.entries(objectProperties(parts.modules && parts.modules.value)).forEach(([modulePath, module]) => {
+      modules[modulePath] = size(module);
+    });
+    extensions[name] = {
+      bytes: size(property),
+      settingsBytes: parts.settings ? size(parts.settings) : 0,
+      modules
+    };
+  });
+
+  const dataElements = {};
+  Object.entries(objectProperties(fields.dataElements && fields.dataElements.value)).forEach(([name, property]) => {
+    dataElements[name] = size(property);
+  });
+
+  const rulesNode = fields.rules && fields.rules.value;
+  const rules = (rulesNode && rulesNode.type === 'ArrayExpression' ? rulesNode.elements : [])
+    .filter(Boolean)
+    .map((node, index) => {
+      const parts = objectProperties(node);
+
+      // Inline custom code is the source of Core custom code components
+      let customCodeBytes = 0;
+      ['events', 'conditions', 'actions'].forEach(kind => {
+        const list = parts[kind] && parts[kind].value;
+        if (!list || list.type !== 'ArrayExpression') return;
+        list.elements.filter(Boolean).forEach(component => {
+          const componentParts = objectProperties(component);
+          if (!/\/customCode\.js$/.test(literalValue(componentParts.modulePath) || '')) return;
+          const code = objectProperties(componentParts.settings && componentParts.settings.value).source;
+          if (!code) return;
+          if (code.value.type === 'Literal' && isExternalSource(code.value.value)) return;
+          customCodeBytes += size(code.value);
+        });
+      });
+
+      return {
+        id: literalValue(parts.id) || `rule-${index + 1}`,
+        name: literalValue(parts.name),
+        bytes: size(node),
+        customCodeBytes
+      };
+    });
+
+  return {
+    totalBytes: byteLength(source),
+    gzipBytes: gzipSync(source).length,
+    containerBytes: size(container),
+    sections,
+    extensions,
+    dataElements,
+    rules
+  };
+}
+
+/**
+ * Group a library's external custom code by file
+ * Returns [{ url, rules, bytes }] where bytes is null for files that have not been fetched
+ */
+export function externalCodeFiles(rules) {
+  const files = {};
+  externalCodeComponents(rules).forEach(({ rule, component }) => {
+    const file = files[component.codeUrl] = files[component.codeUrl] || { url: component.codeUrl, rules: [], bytes: null };
+    if (!file.rules.some(item => item.id === rule.id)) file.rules.push({ id: rule.id, name: rule.name });
+    if (component.code !== null) {
+      file.bytes = component.codeSize || byteLength(component.code);
+    }
+  });
+  return Object.values(files);
+}
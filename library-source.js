@@ -0,0 +1,169 @@
+/**
+ * Library sources for Nightjar
+ * Reads a Launch library from an embed URL, a local file or pasted contents,
+ * with an on-disk HTTP cache that revalidates with ETag and Last-Modified
+ */
+
+import axios from 'axios';
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.nightjar-mcp', 'cache');
+
+const TEXT_RESPONSE = { responseType: 'text', transformResponse: data => data };
+
+/**
+ * Tell whether an embed code is a URL, a local file or the library contents themselves
+ */
+export function libraryInputKind(input) {
+  const text = String(input).trim();
+  if (/^(?:https?:)?\/\//i.test(text) && !/\s/.test(text)) {
+    try {
+      new URL(text.startsWith('//') ? `https:${text}` : text);
+      return 'url';
+    } catch (e) {
+      // Not a valid URL, so try it as a file or contents
+    }
+  }
+  if (/^file:\/\/\S+$/i.test(text)) return 'file';
+  if (/[\n;{}]/.test(text) || text.includes('_satellite')) return 'content';
+  return 'file';
+}
+
+/**
+ * The URL a library is known by: the embed URL, a file:// URL for local files,
+ * or inline:<hash> for pasted contents
+ */
+export function libraryInputUrl(input) {
+  const text = String(input).trim();
+  switch (libraryInputKind(text)) {
+    case 'url':
+      return text.startsWith('//') ? `https:${text}` : text;
+    case 'content':
+      return `inline:${createHash('sha1').update(text).digest('hex').substring(0, 12)}`;
+    default: {
+      if (/^file:\/\//i.test(text)) return text;
+      const expanded = text.startsWith('~/') ? path.join(os.homedir(), text.substring(2)) : text;
+      return pathToFileURL(path.resolve(expanded)).href;
+    }
+  }
+}
+
+export class HttpCache {
+  constructor(directory = DEFAULT_CACHE_DIR) {
+    this.directory = directory;
+  }
+
+  /**
+   * Paths of the metadata and body files cached for a URL
+   */
+  paths(url) {
+    const key = createHash('sha1').update(url).digest('hex').substring(0, 16);
+    return {
+      meta: path.join(this.directory, `${key}.json`),
+      body: path.join(this.directory, `${key}.txt`)
+    };
+  }
+
+  /**
+   * Read a cached response, or null when the URL is not cached
+   */
+  async read(url) {
+    const files = this.paths(url);
+    try {
+      const meta = JSON.parse(await fs.readFile(files.meta, 'utf8'));
+      const body = await fs.readFile(files.body, 'utf8');
+      return meta.url === url ? { meta, body } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a URL as text, sending the cached validators so an unchanged file is not downloaded again
+   * Returns { data, cache } where cache is 'not-modified', 'stored' or 'not-cacheable'
+   * (the server sent neither an ETag nor a Last-Modified header)
+   */
+  async fetch(url) {
+    const cached = await this.read(url);
+    const headers = {};
+    if (cached && cached.meta.etag) headers['If-None-Match'] = cached.meta.etag;
+    if (cached && cached.meta.lastModified) headers['If-Modified-Since'] = cached.meta.lastModified;
+
+    const response = await axios.get(url, {
+      ...TEXT_RESPONSE,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+    });
+
+    if (response.status === 304) {
+      return { data: cached.body, cache: 'not-modified' };
+    }
+
+    const files = this.paths(url);
+    const etag = response.headers.etag || null;
+    const lastModified = response.headers['last-modified'] || null;
+    if (!etag && !lastModified) {
+      await fs.rm(files.meta, { force: true });
+      return { data: response.data, cache: 'not-cacheable' };
+    }
+
+    // A cache that cannot be written only costs a download next time
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(files.body, response.data, 'utf8');
+      await fs.writeFile(files.meta, JSON.stringify({ url, etag, lastModified, fetchedAt: new Date().toISOString() }, null, 2), 'utf8');
+    } catch (e) {
+      return { data: response.data, cache: 'not-cacheable' };
+    }
+    return { data: response.data, cache: 'stored' };
+  }
+}
+
+/**
+ * Fetch a URL as text: file:// URLs are read from disk, others go through the cache when one is given
+ */
+export async function fetchText(url, cache = null) {
+  if (url.startsWith('file:')) {
+    return fs.readFile(fileURLToPath(url), 'utf8');
+  }
+  if (cache) {
+    return (await cache.fetch(url)).data;
+  }
+  return (await axios.get(url, TEXT_RESPONSE)).data;
+}
+
+/**
+ * Read a library from an embed URL, a local file path or its contents
+ * Returns { source, embedUrl, origin } where origin records where the source came from
+ */
+export async function readLibrarySource(input, cache = null) {
+  const kind = libraryInputKind(input);
+  const embedUrl = libraryInputUrl(input);
+
+  if (kind === 'content') {
+    return { source: String(input), embedUrl, origin: { kind, size: String(input).length } };
+  }
+
+  if (kind === 'file') {
+    const filePath = fileURLToPath(embedUrl);
+    let source;
+    try {
+      source = await fs.readFile(filePath, 'utf8');
+    } catch (e) {
+      throw new Error(`Could not read library file ${filePath}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+    }
+    return { source, embedUrl, origin: { kind, path: filePath, size: source.length } };
+  }
+
+  if (cache) {
+    const { data, cache: status } = await cache.fetch(embedUrl);
+    return { source: data, embedUrl, origin: { kind, cache: status, size: data.length } };
+  }
+
+  const response = await axios.get(embedUrl, TEXT_RESPONSE);
+  return { source: response.data, embedUrl, origin: { kind, cache: null, size: response.data.length } };
+}
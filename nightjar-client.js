@@ -3,17 +3,49 @@
  * Parses and analyzes Adobe Launch embed codes
  */
 
-import axios from 'axios';
 import { OpenAI } from 'openai';
+import { parseContainer, parseDtmConfig, isDtmLibrary, isFunctionValue } from './container-parser.js';
+import { dtmContainer } from './dtm-model.js';
+import { buildRules, buildExtensions, extensionOf, parseEmbedUrl, ownEntry } from './launch-model.js';
+import { buildDataElements, buildReferenceGraph } from './data-elements.js';
+import { externalCodeComponents, fetchComponentCode, mapWithConcurrency } from './custom-code.js';
+import { detectRuleVariables, variableRuleIds } from './variable-detector.js';
+import { decodeAnalyticsConfig, addGlobalVariableUsages } from './analytics-config.js';
+import { buildVendorInventory } from './vendors.js';
+import { simulatePage } from './page-simulator.js';
+import { buildVariableLineage, describeValueSource } from './variable-lineage.js';
+import { diffLibraries } from './library-diff.js';
+import { readLibrarySource, libraryInputUrl, fetchText } from './library-source.js';
+import { SEVERITIES, loadAuditConfig, runAudit } from './audit.js';
+import { PII_SEVERITIES, scanForPii } from './pii-scanner.js';
+import { measureLibrary, externalCodeFiles } from './library-size.js';
+import { scanPageHtml, checkPageScan } from './page-scanner.js';
+import { buildSdr, sdrToMarkdown, saveSdr, parseSdr, loadSdr, reconcileSdr } from './sdr.js';
+import { DEFAULT_CRAWL_DIR, crawlSite, summarizeCrawl, diffCrawls, saveCrawlReport, loadCrawlReport } from './site-crawler.js';
+import { WEB_SDK_EXTENSION, decodeWebSdkConfig, detectWebSdkVariables, describeSendEvent, webSdkFieldPaths } from './web-sdk.js';
 
 export class NightjarClient {
   constructor(openAiApiKey = null) {
     this.openAiApiKey = openAiApiKey;
     this.debug = false;
     
-    // Store parsed data
+    // Parsed libraries by handle; parsedEmbed is the active one
+    this.libraries = {};
+    this.activeLibrary = null;
     this.parsedEmbed = null;
     
+    // Local snapshot history, off until a store is set
+    this.snapshotStore = null;
+    
+    // On-disk cache for library and custom code downloads, off until one is set
+    this.httpCache = null;
+    
+    // Audit config file used when an audit does not name one
+    this.auditConfigPath = null;
+    
+    // Directory crawl reports are saved to
+    this.crawlDir = DEFAULT_CRAWL_DIR;
+    
     // Initialize OpenAI client if API key is provided
     if (openAiApiKey) {
       this.openai = new OpenAI({
@@ -30,6 +62,30 @@ export class NightjarClient {
     return this;
   }
   
+  /**
+   * Save every parsed library to a snapshot store
+   */
+  setSnapshotStore(store) {
+    this.snapshotStore = store;
+    return this;
+  }
+  
+  /**
+   * Cache library and custom code downloads, revalidating them on every fetch
+   */
+  setHttpCache(cache) {
+    this.httpCache = cache;
+    return this;
+  }
+  
+  /**
+   * Save crawl reports to a directory
+   */
+  setCrawlDir(directory) {
+    this.crawlDir = directory;
+    return this;
+  }
+  
   /**
    * Internal logging function
    */
@@ -40,364 +96,1493 @@ export class NightjarClient {
   }
 
   /**
-   * Parse an Adobe Launch embed code
+   * Parse an Adobe Launch embed code and make it the library the other methods analyze
+   * The library is kept under `options.handle`, or a handle made from its property and environment
+   */
+  async parseEmbed(embedCode, options = {}) {
+    const parsedData = await this.loadEmbed(embedCode, options);
+    
+    // Store the parsed data for later use
+    return this.registerLibrary(parsedData, { handle: options.handle });
+  }
+
+  /**
+   * Make a library active by embed URL, parsing it only if it is not loaded yet
+   */
+  async useEmbed(embedCode) {
+    const library = this.findLibrary(embedCode);
+    return library ? this.activateLibrary(library) : this.parseEmbed(embedCode);
+  }
+
+  /**
+   * Default handle for a library, e.g. acme-retail-production
+   * Snapshots get their build stamp appended so they do not clash with the live library
+   */
+  libraryHandle(parsedData, key) {
+    const slug = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const property = slug(parsedData.property && parsedData.property.name) || slug(parsedData.embedInfo && parsedData.embedInfo.propertyId) || 'library';
+    const stage = slug(parsedData.environment && parsedData.environment.stage);
+    const parts = [property, stage];
+    if (key.startsWith('snapshot:')) {
+      parts.push(key.substring(key.lastIndexOf('-') + 1));
+    }
+    return parts.filter(Boolean).join('-');
+  }
+
+  /**
+   * Add a parsed library to the registry and make it active
+   * `key` identifies the library (its embed URL, or snapshot:<id>); registering the same key again
+   * replaces the earlier entry and keeps its handle unless a new one is given
+   */
+  registerLibrary(parsedData, { key = parsedData.embedUrl, handle = null } = {}) {
+    if (handle && !/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(handle)) {
+      throw new Error(`Invalid library handle '${handle}': use letters, digits, '.', '_' and '-'`);
+    }
+    
+    const existing = Object.values(this.libraries).find(library => library.libraryKey === key);
+    let resolved = handle || (existing && existing.handle);
+    if (!resolved) {
+      const base = this.libraryHandle(parsedData, key);
+      resolved = base;
+      for (let n = 2; ownEntry(this.libraries, resolved); n++) {
+        resolved = `${base}-${n}`;
+      }
+    }
+    if (existing && existing.handle !== resolved) {
+      delete this.libraries[existing.handle];
+    }
+    
+    parsedData.handle = resolved;
+    parsedData.libraryKey = key;
+    this.libraries[resolved] = parsedData;
+    this.log(`Registered library ${resolved} (${key})`);
+    
+    return this.activateLibrary(parsedData);
+  }
+
+  /**
+   * Make a registered library the one the other methods analyze
+   */
+  activateLibrary(parsedData) {
+    this.activeLibrary = parsedData.handle;
+    this.parsedEmbed = parsedData;
+    return parsedData;
+  }
+
+  /**
+   * Find a loaded library by handle, embed URL, file path or snapshot ID
+   */
+  findLibrary(ref) {
+    const library = ownEntry(this.libraries, ref);
+    if (library) return library;
+    const embedUrl = libraryInputUrl(ref);
+    return Object.values(this.libraries).find(library =>
+      library.libraryKey === ref || library.libraryKey === embedUrl || library.libraryKey === `snapshot:${ref}`) || null;
+  }
+
+  /**
+   * Make a loaded library active by handle, embed URL or snapshot ID
+   */
+  useLibrary(ref) {
+    const library = this.findLibrary(ref);
+    if (!library) {
+      const handles = Object.keys(this.libraries);
+      throw new Error(handles.length > 0 ?
+        `No library '${ref}' is loaded. Loaded libraries: ${handles.join(', ')}` :
+        `No library '${ref}' is loaded. No libraries have been parsed yet`);
+    }
+    return this.activateLibrary(library);
+  }
+
+  /**
+   * List the loaded libraries, marking the active one
+   */
+  listLibraries() {
+    const libraries = Object.values(this.libraries);
+    if (libraries.length === 0) {
+      return "No libraries have been parsed yet. Use parse_embed_code, parse_embed_from_url or load_snapshot to load one.";
+    }
+    
+    const lines = libraries.map(library => {
+      const property = library.property || {};
+      const environment = library.environment || {};
+      const buildInfo = library.buildInfo || {};
+      const active = library.handle === this.activeLibrary;
+      return `${active ? '* ' : '- '}${library.handle}${active ? ' (active)' : ''}
+  ${library.libraryKey.startsWith('snapshot:') ? `Snapshot ${library.snapshot.id} of ${library.embedUrl}` : library.embedUrl}
+  ${property.name || 'Unknown property'}, ${environment.stage || 'unknown'} environment, built ${buildInfo.buildDate || 'at an unknown date'}${library.format === 'dtm' ? ', legacy DTM' : ''}
+  ${Object.keys(library.rules).length} rules, ${Object.keys(library.dataElements).length} data elements, ${Object.keys(library.extensions || {}).length} extensions`;
+    });
+    
+    return `${libraries.length} ${libraries.length === 1 ? 'library' : 'libraries'} loaded. Pass a handle as \`library\` to any tool to switch to it:
+
+${lines.join('\n\n')}`;
+  }
+
+  /**
+   * Fetch and parse an Adobe Launch embed code without storing it
+   * The embed code can be a URL, a local file path or the library contents.
+   * With `fetchCustomCode`, external custom code files are fetched up front,
+   * at most `concurrency` at a time. Each parse is saved as a snapshot when a store is set
    */
-  async parseEmbed(embedCode) {
+  async loadEmbed(embedCode, options = {}) {
     try {
-      this.log(`Parsing embed code: ${embedCode}`);
+      // Read the Launch file from its URL, a local file or the contents themselves
+      const { source, embedUrl, origin } = await readLibrarySource(embedCode, this.httpCache);
+      this.log(`Parsing library: ${embedUrl}${origin.cache ? ` (cache: ${origin.cache})` : ''}`);
       
-      // Fetch the Launch file
-      const response = await axios.get(embedCode);
-      const launchFile = response.data;
+      const parsedData = await this.parseLibrary(source, embedUrl, options);
+      parsedData.origin = origin;
       
-      // Check if it's a valid Launch file
-      if (!launchFile.includes('window._satellite') && !launchFile.includes('_satellite.container')) {
-        throw new Error("The provided URL does not appear to be a valid Adobe Launch embed code");
-      }
+      await this.saveSnapshot(parsedData, source);
       
-      // Split the Launch file to isolate the configuration
-      let launchConfig;
-      try {
-        launchConfig = launchFile.split("window._satellite.container=")[1];
-        if (!launchConfig) {
-          throw new Error("Could not find container configuration");
-        }
-        this.log(`Launch config extracted, length: ${launchConfig.length} characters`);
-      } catch (err) {
-        throw new Error("Failed to parse Launch configuration: " + err.message);
-      }
-      
-      // Parse data elements
-      let dataElements = {};
-      try {
-        const dataElementsSection = launchConfig.split("dataElements:{")[1];
-        if (dataElementsSection) {
-          const dataElementsSplit = dataElementsSection.split("},extensions:{")[0];
-          const dataElementsArray = dataElementsSplit.split("}},");
-          
-          this.log(`Found ${dataElementsArray.length} potential data elements`);
-          
-          dataElementsArray.forEach((element, index) => {
-            if (!element) return;
-            
-            const matches = element.match(/^"([^"]+)"/);
-            if (matches && matches[1]) {
-              const name = matches[1];
-              dataElements[name] = element;
-              this.log(`Parsed data element: ${name}`);
-            }
-          });
+      return parsedData;
+    } catch (error) {
+      this.log(`Error parsing embed code: ${error.message}`);
+      throw new Error(`Failed to parse embed code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse the source of a Launch library
+   * `externalCode` maps external custom code URLs to code that has already been fetched
+   */
+  async parseLibrary(launchFile, embedCode, options = {}) {
+    const { fetchCustomCode = false, concurrency = 4, externalCode: knownCode = null } = options;
+    
+    // Check if it's a valid Launch file
+    if (!launchFile.includes('window._satellite') && !launchFile.includes('_satellite.container')) {
+      throw new Error("The provided embed code does not appear to be a valid Adobe Launch library");
+    }
+    
+    // Parse the container object literal into a real object tree
+    // Legacy DTM libraries have no container; their configuration is mapped onto one
+    const format = isDtmLibrary(launchFile) ? 'dtm' : 'launch';
+    let container, parseInfo;
+    try {
+      if (format === 'dtm') {
+        let config;
+        ({ config, parseInfo } = parseDtmConfig(launchFile));
+        container = dtmContainer(config);
+        this.log('DTM configuration parsed');
+      } else {
+        ({ container, parseInfo } = parseContainer(launchFile));
+        this.log(`Launch container parsed (${parseInfo.method})`);
+      }
+      parseInfo.fallbacks.forEach(fallback => {
+        this.log(`Warning: section '${fallback.section}' fell back to ${fallback.method}: ${fallback.reason}`);
+      });
+    } catch (err) {
+      throw new Error(`Failed to parse ${format === 'dtm' ? 'DTM' : 'Launch'} configuration: ${err.message}`);
+    }
+    
+    // Decode data elements from their module path and settings, keyed by name
+    const dataElements = buildDataElements(container);
+    this.log(`Successfully parsed ${Object.keys(dataElements).length} data elements`);
+    
+    // Build the rule model, keyed by rule ID
+    const rules = buildRules(container);
+    Object.values(rules).forEach(rule => {
+      this.log(`Parsed rule: ${rule.name} (${rule.id})`);
+    });
+    
+    this.log(`Successfully processed ${Object.keys(rules).length} rules`);
+    
+    // Reuse external custom code that was stored with a snapshot
+    if (knownCode) {
+      externalCodeComponents(rules).forEach(({ component }) => {
+        if (knownCode[component.codeUrl] !== undefined) {
+          component.code = knownCode[component.codeUrl];
+          component.codeFetched = true;
         }
-        this.log(`Successfully parsed ${Object.keys(dataElements).length} data elements`);
-      } catch (err) {
-        this.log("Warning: Error parsing data elements", err);
-        dataElements = {};
-      }
-      
-      // Parse rules - NEW APPROACH
-      let rules = {
-        names: [],
-        events: [],
-        conditions: [],
-        actions: [],
-        trackerProperties: [],
-        customCode: []
-      };
+      });
+    }
+    
+    // Fetch external custom code so variable detection sees the real code
+    let externalCode = null;
+    if (fetchCustomCode) {
+      externalCode = await this.fetchAllCustomCode(rules, embedCode, concurrency);
+    }
+    
+    const extensions = buildExtensions(container);
+    this.log(`Found ${Object.keys(extensions).length} extensions`);
+    
+    // Decode the Analytics extension's global configuration
+    const analyticsConfig = decodeAnalyticsConfig(extensions);
+    
+    // Decode the Web SDK extension's instances
+    const webSdkConfig = decodeWebSdkConfig(extensions);
+    
+    // Detect Analytics variables and XDM fields in tracker properties, custom code and Web SDK actions
+    const variables = this.buildVariables(rules, analyticsConfig, dataElements);
+    
+    this.log(`Extracted ${Object.keys(variables).length} variables`);
+    
+    // Create the parsed data structure
+    const parsedData = {
+      embedUrl: embedCode,
+      embedInfo: parseEmbedUrl(embedCode),
+      format,
+      dataElements,
+      rules,
+      variables,
+      extensions,
+      analyticsConfig,
+      webSdkConfig,
+      property: container.property || null,
+      company: container.company || null,
+      buildInfo: container.buildInfo || null,
+      environment: container.environment || null,
+      container,
+      parseInfo,
+      externalCode,
+      source: launchFile,
+      origin: null,
+      snapshot: null
+    };
+    
+    return parsedData;
+  }
+
+  /**
+   * Save a parsed library to the snapshot store
+   * A failed save is logged rather than failing the parse
+   */
+  async saveSnapshot(parsedData, source) {
+    if (!this.snapshotStore) return null;
+    
+    try {
+      const { id, saved } = await this.snapshotStore.save(parsedData, source);
+      this.log(saved ? `Saved snapshot ${id}` : `Snapshot ${id} already stored`);
+      parsedData.snapshot = { id, saved };
+      return parsedData.snapshot;
+    } catch (error) {
+      this.log(`Warning: failed to save snapshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the snapshot store, failing when snapshots are turned off
+   */
+  requireSnapshotStore() {
+    if (!this.snapshotStore) {
+      throw new Error("Snapshots are disabled for this server");
+    }
+    return this.snapshotStore;
+  }
+
+  /**
+   * Parse a stored snapshot without making it the active library
+   */
+  async readSnapshot(snapshotId) {
+    const { meta, source } = await this.requireSnapshotStore().load(snapshotId);
+    const parsedData = await this.parseLibrary(source, meta.embedUrl, { externalCode: meta.externalCode });
+    parsedData.snapshot = { id: meta.id, saved: false, savedAt: meta.savedAt };
+    return parsedData;
+  }
+
+  /**
+   * List stored snapshots, optionally only those of one embed URL
+   */
+  async listSnapshots(embedUrl = null) {
+    try {
+      const snapshots = await this.requireSnapshotStore().list(embedUrl);
+      if (snapshots.length === 0) {
+        return embedUrl ? `No snapshots stored for ${embedUrl}` : "No snapshots stored yet. Every parsed library is saved automatically.";
+      }
       
-      try {
-        // NEW: Direct pattern matching for rules in the entire launch file
-        const rulePattern = /\{(?:id|"id"):"(RL[^"]+)",(?:name|"name"):"([^"]+)"/g;
-        let match;
-        let rulesList = [];
-        
-        this.log('Searching for rules using direct pattern matching...');
-        
-        // Extract all rules with their surrounding context
-        while ((match = rulePattern.exec(launchFile)) !== null) {
-          const ruleId = match[1];
-          const ruleName = match[2];
-          
-          // Get context around the match to extract more rule information
-          const matchIndex = match.index;
-          const contextStart = Math.max(0, matchIndex - 20);
-          const contextEnd = Math.min(launchFile.length, matchIndex + 2000); // Extract a good chunk
-          const context = launchFile.substring(contextStart, contextEnd);
-          
-          rulesList.push({
-            id: ruleId,
-            name: ruleName,
-            context: context
-          });
-          
-          this.log(`Found rule: ${ruleName} (${ruleId})`);
-        }
-        
-        this.log(`Extracted ${rulesList.length} rules`);
-        
-        // Process each rule to extract components
-        rulesList.forEach(rule => {
-          const ruleContext = rule.context;
-          rules.names.push(rule.name);
-          
-          // Extract event type
-          let eventType = "Unknown";
-          const eventMatch = ruleContext.match(/events:\[.*?path:"([^"]+)"/);
-          if (eventMatch && eventMatch[1]) {
-            try {
-              const path = eventMatch[1];
-              const pathParts = path.split('/');
-              const fileName = pathParts[pathParts.length - 1];
-              eventType = fileName.split('.')[0];
-              this.log(`Rule ${rule.name}: Found event type: ${eventType}`);
-            } catch(e) {
-              this.log(`Rule ${rule.name}: Failed to extract event type: ${e.message}`);
-            }
-          }
-          rules.events.push(eventType);
-          
-          // Extract conditions (simplified)
-          const hasConditions = ruleContext.includes('conditions:[') && !ruleContext.includes('conditions:[]');
-          rules.conditions.push(hasConditions ? "Has conditions" : "");
-          
-          // Extract actions (simplified)
-          const hasActions = ruleContext.includes('actions:[') && !ruleContext.includes('actions:[]');
-          const actionText = hasActions ? ruleContext.substring(
-            ruleContext.indexOf('actions:['),
-            ruleContext.indexOf(']', ruleContext.indexOf('actions:[')) + 1
-          ) : "";
-          rules.actions.push(actionText);
-          
-          // Extract tracker properties
-          const hasTrackerProps = ruleContext.includes('trackerProperties:');
-          let trackerProps = "";
-          if (hasTrackerProps) {
-            try {
-              const tpStart = ruleContext.indexOf('trackerProperties:') + 'trackerProperties:'.length;
-              const tpEnd = ruleContext.indexOf('}', tpStart) + 1;
-              trackerProps = ruleContext.substring(tpStart, tpEnd);
-              this.log(`Rule ${rule.name}: Found tracker properties`);
-            } catch(e) {
-              this.log(`Rule ${rule.name}: Failed to extract tracker properties: ${e.message}`);
-            }
-          }
-          rules.trackerProperties.push(trackerProps);
-          
-          // Extract custom code
-          const hasCustomCode = ruleContext.includes('customCode.js');
-          let customCode = "";
-          if (hasCustomCode) {
-            try {
-              const ccMatch = ruleContext.match(/customCode\.js[^,]+source:"([^"]+)"/);
-              if (ccMatch && ccMatch[1]) {
-                customCode = ccMatch[1].startsWith("http") ? 
-                  `URL: ${ccMatch[1]} (Use analyze_rule to fetch complete code)` : 
-                  ccMatch[1];
-              }
-              this.log(`Rule ${rule.name}: Found custom code`);
-            } catch(e) {
-              this.log(`Rule ${rule.name}: Failed to extract custom code: ${e.message}`);
-            }
-          }
-          rules.customCode.push(customCode);
-        });
-        
-        this.log(`Successfully processed ${rules.names.length} rules`);
-      } catch (err) {
-        this.log("Warning: Error parsing rules", err);
-        rules = {
-          names: [],
-          events: [],
-          conditions: [],
-          actions: [],
-          trackerProperties: [],
-          customCode: []
-        };
-      }
-      
-      // Detect variables used in rules
-      const variables = {};
-      
-      // Function to extract variables from text using regex
-      const extractVariables = (text, type, range) => {
-        for (let i = 0; i < range; i++) {
-          const regex = new RegExp(`${type}${i}\\b`, 'g');
-          if (text && regex.test(text)) {
-            const variableName = `${type}${i}`;
-            if (!variables[variableName]) {
-              variables[variableName] = [];
-            }
-            
-            // Find which rules use this variable
-            rules.names.forEach((ruleName, index) => {
-              const ruleTP = rules.trackerProperties[index] || '';
-              const ruleCC = rules.customCode[index] || '';
-              const combinedText = ruleTP + ruleCC;
-              
-              if (combinedText.match(regex) && !variables[variableName].includes(ruleName)) {
-                variables[variableName].push(ruleName);
-              }
-            });
-          }
+      // Group by library so each one's history reads top to bottom
+      const byLibrary = {};
+      snapshots.forEach(snapshot => {
+        (byLibrary[snapshot.embedUrl] = byLibrary[snapshot.embedUrl] || []).push(snapshot);
+      });
+      
+      const sections = Object.entries(byLibrary).map(([url, items]) => `${url}
+${items.map(snapshot => `  - ${snapshot.id}: built ${snapshot.buildDate || 'unknown'}, saved ${snapshot.savedAt} (${snapshot.propertyName || 'Unknown property'}, ${snapshot.environment || 'unknown'} environment, ${snapshot.ruleCount} rules, ${snapshot.dataElementCount} data elements${snapshot.externalCodeFiles > 0 ? `, ${snapshot.externalCodeFiles} external code files` : ''})`).join('\n')}`);
+      
+      return `Found ${snapshots.length} snapshots in ${this.snapshotStore.directory}:
+
+${sections.join('\n\n')}`;
+    } catch (error) {
+      this.log(`Error listing snapshots: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a stored snapshot as the library the other methods analyze
+   */
+  async loadSnapshot(snapshotId, handle = null) {
+    try {
+      const parsedData = await this.readSnapshot(snapshotId);
+      return this.registerLibrary(parsedData, { key: `snapshot:${parsedData.snapshot.id}`, handle });
+    } catch (error) {
+      this.log(`Error loading snapshot: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two stored snapshots
+   * Without a target, the base is compared with the newest snapshot of the same library
+   */
+  async diffSnapshots(baseId, targetId = null) {
+    try {
+      const base = await this.readSnapshot(baseId);
+      
+      let resolvedTargetId = targetId;
+      if (!resolvedTargetId) {
+        const [latest] = await this.snapshotStore.list(base.embedUrl);
+        if (!latest || latest.id === baseId) {
+          throw new Error(`Snapshot '${baseId}' is the newest snapshot of ${base.embedUrl}; give a target snapshot to compare with`);
         }
-      };
+        resolvedTargetId = latest.id;
+      }
       
-      // Extract eVars, props, and events
-      rules.trackerProperties.forEach((tp, index) => {
-        const cc = rules.customCode[index] || '';
-        const combinedText = tp + cc;
-        
-        // Extract eVars (up to 250)
-        extractVariables(combinedText, 'eVar', 251);
-        
-        // Extract props (up to 75)
-        extractVariables(combinedText, 'prop', 76);
+      const target = await this.readSnapshot(resolvedTargetId);
+      return this.formatLibraryDiff(diffLibraries(base, target), base, target);
+    } catch (error) {
+      this.log(`Error comparing snapshots: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find rules by rule ID or by name
+   * A name can match several rules, since Launch does not require unique rule names
+   */
+  findRules(ruleRef) {
+    if (!this.parsedEmbed) {
+      throw new Error("Please parse an embed code first using parseEmbed()");
+    }
+    
+    const rules = this.parsedEmbed.rules;
+    const rule = ownEntry(rules, ruleRef);
+    if (rule) {
+      return [rule];
+    }
+    
+    const byName = Object.values(rules).filter(rule => rule.name === ruleRef);
+    if (byName.length > 0) {
+      return byName;
+    }
+    
+    // Fall back to a case-insensitive name match
+    const lowered = String(ruleRef).toLowerCase();
+    return Object.values(rules).filter(rule => rule.name.toLowerCase() === lowered);
+  }
+
+  /**
+   * Describe the rules a name matched when it is ambiguous
+   */
+  describeRuleMatches(ruleRef, matches) {
+    return `Rule name '${ruleRef}' matches ${matches.length} rules. Use one of these rule IDs instead:
+${matches.map(rule => `- ${rule.id} (events: ${this.describeEvents(rule)})`).join('\n')}`;
+  }
+
+  /**
+   * Get the display name of an installed extension
+   */
+  extensionDisplayName(extensionName) {
+    const extension = this.parsedEmbed ? ownEntry(this.parsedEmbed.extensions, extensionName) : null;
+    return (extension && extension.displayName) || extensionName || 'Unknown';
+  }
+
+  /**
+   * Summarize the events that trigger a rule
+   */
+  describeEvents(rule) {
+    if (rule.events.length === 0) return 'None';
+    return rule.events.map(event => event.displayName).join(', ');
+  }
+
+  /**
+   * Collect the tracker properties set by a rule's actions as text
+   */
+  ruleTrackerProperties(rule) {
+    return rule.actions
+      .filter(action => action.settings.trackerProperties)
+      .map(action => JSON.stringify(action.settings.trackerProperties))
+      .join('\n');
+  }
+
+  /**
+   * Collect the custom code run by a rule's actions as text
+   * External files that have not been fetched yet are shown by URL
+   */
+  ruleCustomCode(rule) {
+    return rule.actions
+      .filter(action => action.type === 'customCode')
+      .map(action => {
+        if (action.code !== null) return action.code;
+        if (action.codeError) return `URL: ${action.codeUrl} (Failed to fetch: ${action.codeError})`;
+        return `URL: ${action.codeUrl} (Use analyze_rule to fetch complete code)`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Build the variable usage map for a set of rules, the global configuration and XDM data elements
+   */
+  buildVariables(rules, analyticsConfig = null, dataElements = {}) {
+    const variables = {};
+    addGlobalVariableUsages(variables, analyticsConfig);
+    detectWebSdkVariables(rules, dataElements, variables);
+    return detectRuleVariables(rules, variables);
+  }
+
+  /**
+   * Fetch the external custom code files used by a rule's components
+   */
+  async fetchRuleCustomCode(rule) {
+    const components = externalCodeComponents({ [rule.id]: rule });
+    const baseUrl = this.parsedEmbed ? this.parsedEmbed.embedUrl : null;
+    
+    for (const { component } of components) {
+      await fetchComponentCode(component, baseUrl, this.httpCache);
+      if (component.codeError) {
+        this.log(`Failed to fetch custom code: ${component.codeError}`);
+      }
+    }
+    
+    // Newly fetched code can set variables that were not visible before
+    if (this.parsedEmbed && components.some(({ component }) => component.codeFetched)) {
+      this.parsedEmbed.variables = this.buildVariables(this.parsedEmbed.rules, this.parsedEmbed.analyticsConfig, this.parsedEmbed.dataElements);
+    }
+  }
+
+  /**
+   * Fetch every external custom code file in the library with bounded concurrency
+   */
+  async fetchAllCustomCode(rules, baseUrl, concurrency = 4) {
+    const components = externalCodeComponents(rules);
+    this.log(`Fetching ${components.length} external custom code files (concurrency ${concurrency})`);
+    
+    await mapWithConcurrency(components, concurrency, async ({ rule, component }) => {
+      await fetchComponentCode(component, baseUrl, this.httpCache);
+      if (component.codeError) {
+        this.log(`Rule ${rule.name}: failed to fetch ${component.codeUrl}: ${component.codeError}`);
+      }
+    });
+    
+    const failed = components.filter(({ component }) => component.codeError).length;
+    this.log(`Fetched ${components.length - failed} of ${components.length} external custom code files`);
+    return { total: components.length, failed };
+  }
+
+  /**
+   * Fetch a parsed library's external custom code that has not been fetched yet,
+   * rebuilding its variables when any was found
+   */
+  async ensureCustomCode(parsed) {
+    const { total } = await this.fetchAllCustomCode(parsed.rules, parsed.embedUrl);
+    if (total > 0) {
+      parsed.variables = this.buildVariables(parsed.rules, parsed.analyticsConfig, parsed.dataElements);
+    }
+  }
+
+  /**
+   * Format component settings for display, keeping function bodies out of the way
+   */
+  formatSettings(settings, maxLength = 200) {
+    const text = JSON.stringify(settings, (key, value) => (isFunctionValue(value) ? '[function]' : value));
+    if (!text || text === '{}') return '';
+    return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+  }
+
+  /**
+   * Format one rule component as a numbered line
+   */
+  formatComponent(component, index) {
+    const details = [];
+    if (component.negate) details.push('negated');
+    if (component.ruleOrder !== null) details.push(`order ${component.ruleOrder}`);
+    if (component.timeout !== null) details.push(`timeout ${component.timeout}ms`);
+    if (component.delayNext !== null) details.push(`delayNext ${component.delayNext}`);
+    
+    const settings = this.formatSettings(component.settings);
+    return `  ${index + 1}. ${this.extensionDisplayName(component.extension)} - ${component.displayName}` +
+      (details.length > 0 ? ` (${details.join(', ')})` : '') +
+      (settings ? `\n     Settings: ${settings}` : '');
+  }
+
+  /**
+   * Analyze a rule using the parsed embed data
+   * The rule can be given by ID or by name
+   */
+  async analyzeRule(ruleRef, useAI = true) {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      // Find the rule in the parsed data
+      const matches = this.findRules(ruleRef);
+      if (matches.length === 0) {
+        throw new Error(`Rule '${ruleRef}' not found in the parsed embed code`);
+      }
+      if (matches.length > 1) {
+        return this.describeRuleMatches(ruleRef, matches);
+      }
+      
+      const rule = matches[0];
+      
+      // Fetch any external custom code so it can be shown with the rule
+      await this.fetchRuleCustomCode(rule);
+      
+      const trackerProperties = this.ruleTrackerProperties(rule);
+      const customCode = this.ruleCustomCode(rule);
+      
+      if (useAI && this.openAiApiKey && this.openai) {
+        // Use OpenAI to analyze the rule
+        return this.analyzeWithAI(
+          rule,
+          `Analyze this Adobe Launch rule named "${rule.name}". Explain what it does, when it fires, and any potential concerns or best practices to consider.`
+        );
+      } else {
+        const section = (title, components, empty) => `${title}:\n${components.length > 0 ?
+          components.map((component, index) => this.formatComponent(component, index)).join('\n') :
+          `  ${empty}`}`;
         
-        // Extract events (up to 1000)
-        extractVariables(combinedText, 'event', 1001);
-      });
+        // Return a simple analysis without AI
+        return `Rule: ${rule.name}
+ID: ${rule.id}${rule.partial ? '\nNote: only the ID and name of this rule could be recovered from the library' : ''}
+Event Trigger: ${this.describeEvents(rule)}
+Condition: ${this.summarizeCondition(rule.conditions)}
+Action Summary: ${this.summarizeAction(rule.actions)}
+Uses Tracker Properties: ${trackerProperties ? 'Yes' : 'No'}
+Has Custom Code: ${customCode ? 'Yes' : 'No'}
+
+${section('Events', rule.events, 'None')}
+
+${section('Conditions', rule.conditions, 'None (rule always fires)')}
+
+${section('Actions', rule.actions, 'None')}
+${customCode ? `\nCustom Code Preview: \n${customCode.substring(0, 200)}${customCode.length > 200 ? '...' : ''}` : ''}`;
+      }
+    } catch (error) {
+      this.log(`Error analyzing rule: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze a data element
+   */
+  async analyzeDataElement(elementName, useAI = true) {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      // Find the data element in the parsed data
+      const element = ownEntry(this.parsedEmbed.dataElements, elementName);
+      if (!element) {
+        throw new Error(`Data element '${elementName}' not found in the parsed embed code`);
+      }
+      const graph = this.getReferenceGraph();
+      
+      if (useAI && this.openAiApiKey && this.openai) {
+        // Use OpenAI to analyze the data element
+        return this.analyzeWithAI(
+          element,
+          `Analyze this Adobe Launch data element named "${elementName}". Explain what type of data element it is, what data it collects, and any potential concerns or best practices to consider.`
+        );
+      } else {
+        const code = element.source.code;
+        const settings = this.formatSettings(element.settings, 500);
+        
+        // XDM object and Variable data elements list the field paths they hold
+        const webSdkFields = element.extension === WEB_SDK_EXTENSION ?
+          webSdkFieldPaths(this.parsedEmbed.dataElements, this.parsedEmbed.rules)[elementName] :
+          null;
+        
+        // Return a simple analysis without AI
+        return `Data Element: ${elementName}
+Type: ${element.typeName}
+Extension: ${this.extensionDisplayName(element.extension)}
+Module: ${element.modulePath || 'Unknown'}
+Source: ${element.source.description}
+Default Value: ${element.defaultValue === null || element.defaultValue === '' ? 'None' : JSON.stringify(element.defaultValue)}
+Force Lower Case: ${element.forceLowerCase ? 'Yes' : 'No'}
+Clean Text: ${element.cleanText ? 'Yes' : 'No'}
+Storage Duration: ${element.storageDuration || 'None (evaluated on every use)'}
+Settings: ${settings || 'None'}
+Referenced In: ${graph.usedBy[elementName].length} places (use get_data_element_references for details)${webSdkFields ? `\n\nFields (${webSdkFields.fields.length}):\n${webSdkFields.fields.map(field => `  ${webSdkFields.root}.${field.path} = ${JSON.stringify(field.value)}`).join('\n') || '  None'}` : ''}${code ? `\n\nCustom Code Preview: \n${code.substring(0, 200)}${code.length > 200 ? '...' : ''}` : ''}`;
+      }
+    } catch (error) {
+      this.log(`Error analyzing data element: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the data element cross-reference for the parsed library
+   * Rebuilt on each call so external custom code fetched later is included
+   */
+  getReferenceGraph() {
+    if (!this.parsedEmbed) {
+      throw new Error("Please parse an embed code first using parseEmbed()");
+    }
+    return buildReferenceGraph(this.parsedEmbed);
+  }
+
+  /**
+   * Format where a data element reference was found
+   */
+  formatReference(reference) {
+    const via = reference.via === 'getVar' ? '_satellite.getVar()' : `%${reference.name}%`;
+    if (reference.ownerKind === 'rule') {
+      return `Rule "${reference.ownerName}" (${reference.ownerId}) - ${reference.component}: ${reference.location} via ${via}`;
+    }
+    if (reference.ownerKind === 'extension') {
+      return `Extension ${reference.ownerName}: ${reference.location} via ${via}`;
+    }
+    return `Data element "${reference.ownerName}": ${reference.location} via ${via}`;
+  }
+
+  /**
+   * Show where a data element is used and what it depends on
+   */
+  async analyzeDataElementReferences(elementName) {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      if (!ownEntry(this.parsedEmbed.dataElements, elementName)) {
+        throw new Error(`Data element '${elementName}' not found in the parsed embed code`);
+      }
+      
+      const graph = this.getReferenceGraph();
+      const usedBy = graph.usedBy[elementName];
+      const dependsOn = graph.dependsOn[elementName];
+      
+      // Follow dependencies through other data elements
+      const transitive = [];
+      const queue = [...dependsOn];
+      while (queue.length > 0) {
+        const name = queue.shift();
+        if (name === elementName || transitive.includes(name)) continue;
+        transitive.push(name);
+        (graph.dependsOn[name] || []).forEach(next => queue.push(next));
+      }
+      const indirect = transitive.filter(name => !dependsOn.includes(name));
+      
+      const describeDependency = name => {
+        const element = ownEntry(this.parsedEmbed.dataElements, name);
+        return element ? `  - ${name} [${element.typeName}]: ${element.source.description}` : `  - ${name} (missing: no data element with this name)`;
+      };
+      
+      return `Data Element: ${elementName}
+
+Used in ${usedBy.length} places:
+${usedBy.map(reference => `  - ${this.formatReference(reference)}`).join('\n') || '  None'}
+
+Depends on ${dependsOn.length} data elements:
+${dependsOn.map(describeDependency).join('\n') || '  None'}${indirect.length > 0 ? `\n\nIndirect dependencies:\n${indirect.map(describeDependency).join('\n')}` : ''}
+
+Note: references built at runtime (e.g. _satellite.getVar(someVariable)) and code in external files that has not been fetched cannot be detected.`;
+    } catch (error) {
+      this.log(`Error analyzing data element references: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List data elements that nothing in the library references
+   */
+  async listUnusedDataElements() {
+    try {
+      const graph = this.getReferenceGraph();
+      
+      if (graph.unused.length === 0) {
+        return "Every data element is referenced at least once.";
+      }
+      
+      return `Found ${graph.unused.length} data elements that are not referenced by any rule, extension or other data element:
+
+${graph.unused.map(name => `${name} [${this.parsedEmbed.dataElements[name].typeName}]`).join('\n')}
+
+Note: data elements can still be read by code on the page or by references built at runtime, so check before deleting them.`;
+    } catch (error) {
+      this.log(`Error listing unused data elements: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List references to data elements that do not exist
+   */
+  async listMissingDataElements() {
+    try {
+      const graph = this.getReferenceGraph();
+      const missingNames = Object.keys(graph.missing);
+      
+      if (missingNames.length === 0) {
+        return "Every data element reference points at a data element that exists.";
+      }
+      
+      const propertySettings = (this.parsedEmbed.property && this.parsedEmbed.property.settings) || {};
+      const runtimeResult = propertySettings.undefinedVarsReturnEmpty ?
+        'With "undefinedVarsReturnEmpty" enabled, %tokens% for these names resolve to an empty string' :
+        'With "undefinedVarsReturnEmpty" disabled, %tokens% for these names are left as the literal token text';
+      
+      const sections = missingNames.map(name => `${name} (${graph.missing[name].length} references):
+${graph.missing[name].map(reference => `  - ${this.formatReference(reference)}`).join('\n')}`);
+      
+      return `Found ${missingNames.length} referenced data elements that do not exist:
+
+${sections.join('\n\n')}
+
+${runtimeResult}, and _satellite.getVar() returns no value. Either way the data is silently lost.`;
+    } catch (error) {
+      this.log(`Error listing missing data elements: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format one place a variable is used
+   */
+  formatVariableUsage(usage) {
+    const access = usage.access === 'set' ? 'Set' : usage.access === 'read' ? 'Read' : 'Listed for link tracking';
+    return `  - ${access} in ${usage.location}, ${usage.component}` +
+      (usage.value !== null && usage.value !== undefined ? ` = ${JSON.stringify(usage.value)}` : '') +
+      (usage.detail ? ` (${usage.detail})` : '');
+  }
+
+  /**
+   * Report the Adobe Analytics extension's global configuration
+   */
+  async getAnalyticsConfig() {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      const config = this.parsedEmbed.analyticsConfig;
+      if (!config) {
+        return "The Adobe Analytics extension is not installed in this library.";
+      }
+      
+      const formatValue = value => (value === undefined || value === null ? 'Not set' : Array.isArray(value) ? value.join(', ') || 'None' : String(value));
+      const formatSettings = settings => Object.entries(settings).map(([key, value]) => `  ${key}: ${formatValue(value)}`).join('\n') || '  None';
+      const formatHits = hits => hits
+        .filter(hit => hit.access === 'set')
+        .map(hit => `  ${hit.variable}${hit.value !== null && hit.value !== undefined ? ` = ${JSON.stringify(hit.value)}` : ''}${hit.detail ? ` (${hit.detail})` : ''}`)
+        .join('\n') || '  None';
+      
+      const customCode = config.customCode;
+      
+      return `${config.displayName} Configuration
+
+Report Suites:
+  Production: ${formatValue(config.reportSuites.production)}
+  Staging: ${formatValue(config.reportSuites.staging)}
+  Development: ${formatValue(config.reportSuites.development)}
+
+Library:
+  Type: ${formatValue(config.library.type)}
+  Tracker Variable Name: ${formatValue(config.library.trackerVariableName)}
+  Scope Tracker Globally: ${config.library.scopeTrackerGlobally ? 'Yes' : 'No'}${config.library.httpsUrl ? `\n  Library URL: ${config.library.httpsUrl}` : ''}
+
+General Settings:
+${formatSettings(config.general)}
+
+Link Tracking:
+${formatSettings(config.linkTracking)}
+
+Global Variables (set on every beacon):
+${formatHits(config.globalVariables)}
+
+Custom Page Code: ${customCode ? `Yes, runs ${customCode.loadPhase === 'afterSettings' ? 'after' : 'before'} the extension settings are applied` : 'None'}${customCode ? `
+Variables set in custom page code:
+${formatHits(customCode.variables)}
+
+Custom Page Code Preview:
+${customCode.code.substring(0, 300)}${customCode.code.length > 300 ? '...' : ''}` : ''}`;
+    } catch (error) {
+      this.log(`Error getting Analytics configuration: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Report the Web SDK extension's instances and the rules that send events
+   */
+  async getWebSdkConfig() {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      const config = this.parsedEmbed.webSdkConfig;
+      if (!config) {
+        return "The Adobe Experience Platform Web SDK extension is not installed in this library.";
+      }
+      
+      const formatConsent = consent => (typeof consent === 'string' ? consent : JSON.stringify(consent));
+      const instances = config.instances.map(instance => `Instance: ${instance.name}
+  IMS Org: ${instance.orgId || 'Not set'}
+  Datastreams:
+    Production: ${instance.datastreams.production || 'Not set'}
+    Staging: ${instance.datastreams.staging || 'Not set'}
+    Development: ${instance.datastreams.development || 'Not set'}
+  Edge Domain: ${instance.edgeDomain}${instance.edgeBasePath !== 'ee' ? ` (base path ${instance.edgeBasePath})` : ''}
+  Default Consent: ${formatConsent(instance.defaultConsent)}
+  ID Migration: ${instance.idMigrationEnabled ? 'Enabled' : 'Disabled'}
+  Third-Party Cookies: ${instance.thirdPartyCookiesEnabled ? 'Enabled' : 'Disabled'}
+  Click Collection: ${instance.clickCollectionEnabled ? 'Enabled' : 'Disabled'}${instance.context ? `\n  Context: ${instance.context.join(', ')}` : ''}${instance.onBeforeEventSend ? `\n  onBeforeEventSend: ${instance.onBeforeEventSend.substring(0, 200)}${instance.onBeforeEventSend.length > 200 ? '...' : ''}` : ''}`);
+      
+      // Every Send event action, with the rule that runs it
+      const sendEvents = [];
+      Object.values(this.parsedEmbed.rules).forEach(rule => {
+        rule.actions.forEach((action, index) => {
+          if (action.extension === WEB_SDK_EXTENSION && action.type === 'sendEvent') {
+            sendEvents.push(`  - ${rule.name} (${rule.id}), action ${index + 1}: ${describeSendEvent(action.settings)}`);
+          }
+        });
+      });
+      
+      return `${config.displayName} Configuration
+
+${instances.join('\n\n') || 'No instances configured'}
+
+Send Event Actions (${sendEvents.length}):
+${sendEvents.join('\n') || '  None'}`;
+    } catch (error) {
+      this.log(`Error getting Web SDK configuration: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List the third-party vendors the library loads or sends data to, with the rules that fire them
+   */
+  async getVendorInventory() {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      const { vendors, unknownDomains } = buildVendorInventory(this.parsedEmbed);
+      
+      // External custom code can only be scanned once it has been fetched
+      const unfetched = externalCodeComponents(this.parsedEmbed.rules)
+        .filter(({ component }) => component.code === null).length;
+      
+      const vendorDetails = vendors
+        .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name))
+        .map(vendor => {
+          const lines = [`${vendor.name} (${vendor.category})`];
+          if (vendor.extensions.length > 0) {
+            lines.push(`  Extension: ${vendor.extensions.join(', ')}`);
+          }
+          vendor.sources.forEach(source => {
+            lines.push(`  Found in ${source.kind === 'extension' ? `${source.name} extension settings` : `data element "${source.name}"`}: ${source.evidence.join(', ')}`);
+          });
+          if (vendor.rules.length > 0) {
+            lines.push(`  Fired by ${vendor.rules.length} rules:`);
+            vendor.rules.forEach(rule => {
+              lines.push(`    - ${rule.ruleName} (${rule.ruleId}) on ${rule.events.join(', ') || 'no events'}: ${rule.components.join(', ')} [${rule.evidence.join(', ')}]`);
+            });
+          } else {
+            lines.push('  Fired by no rules (loaded or configured by the extension only)');
+          }
+          return lines.join('\n');
+        });
+      
+      const unknown = Object.entries(unknownDomains)
+        .map(([host, locations]) => `  - ${host}: ${locations.join(', ')}`);
+      
+      return `Found ${vendors.length} vendors:
+
+${vendorDetails.join('\n\n') || 'No known vendors found'}${unknown.length > 0 ? `
+
+Unrecognized third-party domains (${unknown.length}):
+${unknown.join('\n')}` : ''}${unfetched > 0 ? `
+
+Note: ${unfetched} external custom code files have not been fetched, so vendors loaded only from them are missing. Parse with fetch_custom_code to include them.` : ''}`;
+    } catch (error) {
+      this.log(`Error building vendor inventory: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Use an audit config file for every audit unless another one is given
+   */
+  setAuditConfigPath(configPath) {
+    this.auditConfigPath = configPath;
+    return this;
+  }
+
+  /**
+   * Describe the rule, data element or extension a finding is about
+   */
+  formatAuditTarget(target) {
+    if (target.kind === 'rule') return `Rule "${target.name}" (${target.id})`;
+    if (target.kind === 'dataElement') return `Data element "${target.name}"`;
+    return `Extension "${target.name}"`;
+  }
+
+  /**
+   * Audit the implementation against the configured checks
+   * Options: `configPath` (JSON audit config), `deployment` ('async' or 'sync', overrides the config)
+   * and `minSeverity` to leave out less severe findings
+   */
+  async auditImplementation(options = {}) {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      const configPath = options.configPath || this.auditConfigPath || null;
+      const config = configPath ? loadAuditConfig(configPath) : {};
+      if (options.deployment) {
+        config.deployment = options.deployment;
+      }
+      
+      const minSeverity = options.minSeverity || 'info';
+      if (!SEVERITIES.includes(minSeverity)) {
+        throw new Error(`Invalid minimum severity '${minSeverity}': use ${SEVERITIES.join(', ')}`);
+      }
+      
+      const { findings, checks, deployment } = runAudit(this.parsedEmbed, config);
+      const shown = findings.filter(finding => SEVERITIES.indexOf(finding.severity) <= SEVERITIES.indexOf(minSeverity));
+      
+      const counts = SEVERITIES.map(severity => `${findings.filter(finding => finding.severity === severity).length} ${severity}`);
+      const sections = SEVERITIES
+        .filter(severity => shown.some(finding => finding.severity === severity))
+        .map(severity => `${severity.toUpperCase()}:
+${shown.filter(finding => finding.severity === severity).map(finding =>
+  `- [${finding.check}] ${finding.targets.map(target => this.formatAuditTarget(target)).join(', ')}: ${finding.message}`).join('\n')}`);
+      
+      const unfetched = externalCodeComponents(this.parsedEmbed.rules)
+        .filter(({ component }) => component.code === null).length;
+      const disabled = checks.filter(check => !check.enabled).map(check => check.id);
+      
+      return `Implementation Audit${this.parsedEmbed.handle ? ` (${this.parsedEmbed.handle})` : ''}
+Config: ${configPath || 'built-in defaults'}
+Deployment: ${deployment === 'unknown' ? 'unknown (pass deployment or set it in the audit config to check sync-only events)' : deployment}
+Findings: ${counts.join(', ')}${shown.length < findings.length ? ` (showing ${minSeverity} and above)` : ''}
+
+${sections.join('\n\n') || 'No findings'}
+
+Checks: ${checks.filter(check => check.enabled).map(check => `${check.id} (${check.count})`).join(', ')}${disabled.length > 0 ? `
+Disabled: ${disabled.join(', ')}` : ''}${unfetched > 0 ? `
+
+Note: ${unfetched} external custom code files have not been fetched, so custom code checks did not see them. Parse with fetch_custom_code to include them.` : ''}`;
+    } catch (error) {
+      this.log(`Error auditing implementation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Simulate which rules fire on a described page, by page-load stage
+   * `input` has the page URL and optional cookies, query string, data layer, HTML and referrer
+   */
+  async simulatePage(input) {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      const simulation = simulatePage(this.parsedEmbed, input);
+      const label = entry => `${entry.rule.name} (${entry.rule.id})`;
+      const conditionLabel = item => `condition ${item.index + 1} (${this.extensionDisplayName(item.condition.extension)} - ${item.condition.displayName}${item.condition.negate ? ', negated' : ''})`;
+      const unknownReasons = entry => entry.unknown.map(item => `${conditionLabel(item)}: ${item.reason}`).join('; ');
+      
+      const stages = simulation.stages.map(stage => {
+        const lines = [
+          ...stage.fires.map(entry => `  - ${label(entry)} [order ${entry.order}]`),
+          ...stage.unknown.map(entry => `  - ${label(entry)} [order ${entry.order}] unknown: ${unknownReasons(entry)}`)
+        ];
+        return `${stage.name}:
+${lines.join('\n') || '  None'}`;
+      });
+      
+      const interactions = simulation.interactions.map(entry =>
+        `  - ${label(entry)}${entry.rule.events.length > 0 ? ` on ${this.describeEvents(entry.rule)}` : ': has no events, so it never fires'}${entry.status === 'unknown' ? ` (unknown: ${unknownReasons(entry)})` : ''}`);
+      
+      const notFiring = simulation.notFiring.map(entry =>
+        `  - ${label(entry)}: ${conditionLabel(entry.failed)} failed: ${entry.failed.reason}`);
+      
+      return `Simulated page: ${simulation.context.location.href}
+Cookies: ${Object.keys(simulation.context.cookies).join(', ') || 'None'}
+Data layer: ${Object.keys(simulation.context.dataLayer).join(', ') || 'None'}
+HTML snippet: ${simulation.context.html ? 'Yes' : 'No'}
+
+Rules that fire while the page loads (rules marked unknown fire only if their unknown conditions pass):
+
+${stages.join('\n\n')}
+
+Rules whose conditions pass but fire on other events (${interactions.length}):
+${interactions.join('\n') || '  None'}
+
+Rules that would not fire (${notFiring.length}):
+${notFiring.join('\n') || '  None'}`;
+    } catch (error) {
+      this.log(`Error simulating page: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe where a variable usage was found
+   */
+  formatUsageOwner(usage) {
+    if (usage.source === 'rule') {
+      return `rule "${usage.ruleName}" (${usage.ruleId}) - ${usage.component}, ${usage.location}`;
+    }
+    return `${usage.component}, ${usage.location}`;
+  }
+
+  /**
+   * Scan for likely PII: sensitive data element sources, and the variables and rules that send them
+   * `minSeverity` leaves out less severe findings
+   */
+  async scanPii(minSeverity = 'low') {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      if (!PII_SEVERITIES.includes(minSeverity)) {
+        throw new Error(`Invalid minimum severity '${minSeverity}': use ${PII_SEVERITIES.join(', ')}`);
+      }
+      
+      const { dependsOn } = this.getReferenceGraph();
+      const { dataElements, findings } = scanForPii(this.parsedEmbed, dependsOn);
+      const shown = findings.filter(finding => PII_SEVERITIES.indexOf(finding.severity) <= PII_SEVERITIES.indexOf(minSeverity));
+      
+      const counts = PII_SEVERITIES.map(severity => `${findings.filter(finding => finding.severity === severity).length} ${severity}`);
+      const sections = PII_SEVERITIES
+        .filter(severity => shown.some(finding => finding.severity === severity))
+        .map(severity => `${severity.toUpperCase()}:
+${shown.filter(finding => finding.severity === severity).map(finding => `- ${finding.variable}: ${finding.signal.category} from ${finding.signal.description}
+    Source: ${finding.source}
+    Sent by: ${finding.usages.map(usage => this.formatUsageOwner(usage)).join('; ')}`).join('\n')}`);
+      
+      // Sensitive sources, including those no variable sends yet
+      const sources = Object.entries(dataElements).map(([name, found]) => {
+        const sentIn = [...new Set(findings.filter(finding => finding.source.includes(`data element "${name}"`)).map(finding => finding.variable))];
+        return `- ${name} [${this.parsedEmbed.dataElements[name].typeName}]: ${found.category} (${found.severity}) from ${found.description}; ${sentIn.length > 0 ? `sent in ${sentIn.join(', ')}` : 'not sent in any variable'}`;
+      });
+      
+      const unfetched = externalCodeComponents(this.parsedEmbed.rules)
+        .filter(({ component }) => component.code === null).length;
+      const variableCount = new Set(findings.map(finding => finding.variable)).size;
+      
+      return `PII Scan${this.parsedEmbed.handle ? ` (${this.parsedEmbed.handle})` : ''}
+Found ${findings.length} likely PII flows into ${variableCount} variables (${counts.join(', ')})${shown.length < findings.length ? `, showing ${minSeverity} and above` : ''}
+
+${sections.join('\n\n') || 'No likely PII found in variables'}
+
+Sensitive data elements (${sources.length}):
+${sources.join('\n') || '  None'}${unfetched > 0 ? `
+
+Note: ${unfetched} external custom code files have not been fetched, so variables set only in them were not scanned. Parse with fetch_custom_code to include them.` : ''}
+
+Findings are based on names and sources, so review each one; a match does not prove PII is sent.`;
+    } catch (error) {
+      this.log(`Error scanning for PII: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a byte count as B, KB or MB
+   */
+  formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown size';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+  }
+
+  /**
+   * Break the library's size down by Turbine runtime, extensions, rules and data elements,
+   * and list the external custom code files rules load
+   * Options: `fetchCustomCode` fetches unfetched external files to measure them, `top` sets how many items to rank
+   */
+  async getLibrarySize(options = {}) {
+    const { fetchCustomCode = false, top = 10 } = options;
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      if (this.parsedEmbed.format === 'dtm') {
+        throw new Error("Size breakdown is only available for Launch libraries, not legacy DTM libraries");
+      }
+      
+      const sizes = measureLibrary(this.parsedEmbed.source);
+      const { rules, extensions } = this.parsedEmbed;
+      
+      if (fetchCustomCode) {
+        await this.ensureCustomCode(this.parsedEmbed);
+      }
+      
+      const bytes = value => this.formatBytes(value);
+      const share = value => `${(value / sizes.totalBytes * 100).toFixed(1)}%`;
+      const sum = values => values.reduce((total, value) => total + value, 0);
+      
+      const runtimeBytes = sizes.totalBytes - sizes.containerBytes;
+      const extensionBytes = sum(Object.values(sizes.extensions).map(extension => extension.bytes));
+      const ruleBytes = sum(sizes.rules.map(rule => rule.bytes));
+      const inlineCodeBytes = sum(sizes.rules.map(rule => rule.customCodeBytes));
+      const dataElementBytes = sum(Object.values(sizes.dataElements));
+      const otherBytes = sizes.containerBytes - extensionBytes - ruleBytes - dataElementBytes;
+      
+      const extensionName = name => (extensions[name] && extensions[name].displayName) || name;
+      const extensionLines = Object.entries(sizes.extensions)
+        .sort((a, b) => b[1].bytes - a[1].bytes)
+        .map(([name, extension]) => {
+          const modules = Object.entries(extension.modules).sort((a, b) => b[1] - a[1]);
+          const moduleBytes = sum(modules.map(([, moduleSize]) => moduleSize));
+          return `  ${extensionName(name)} (${name}): ${bytes(extension.bytes)} - ${modules.length} ${modules.length === 1 ? 'module' : 'modules'} ${bytes(moduleBytes)}, settings ${bytes(extension.settingsBytes)}${modules.length > 0 ?
+            `\n    heaviest modules: ${modules.slice(0, 3).map(([modulePath, moduleSize]) => `${modulePath} (${bytes(moduleSize)})`).join(', ')}` : ''}`;
+        });
+      
+      const ruleLines = [...sizes.rules]
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, top)
+        .map(rule => `  ${rule.name || rule.id} (${rule.id}): ${bytes(rule.bytes)} (settings ${bytes(rule.bytes - rule.customCodeBytes)}, inline custom code ${bytes(rule.customCodeBytes)})`);
+      
+      const dataElementLines = Object.entries(sizes.dataElements)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, top)
+        .map(([name, elementSize]) => `  ${name}: ${bytes(elementSize)}`);
+      
+      // External files are not part of the library, but each one is another request when its rule fires
+      const files = externalCodeFiles(rules).sort((a, b) => (b.bytes || 0) - (a.bytes || 0));
+      const measured = files.filter(file => file.bytes !== null);
+      const fileLines = files.slice(0, top).map(file =>
+        `  ${file.url}: ${bytes(file.bytes)}, loaded by ${file.rules.map(rule => `${rule.name} (${rule.id})`).join(', ')}`);
+      
+      // Rank everything that can be slimmed down on its own
+      const items = [
+        { label: 'Turbine runtime and library wrapper', bytes: runtimeBytes },
+        ...Object.entries(sizes.extensions).flatMap(([name, extension]) => [
+          ...Object.entries(extension.modules).map(([modulePath, moduleSize]) => ({ label: `${extensionName(name)} module ${modulePath}`, bytes: moduleSize })),
+          { label: `${extensionName(name)} extension settings`, bytes: extension.settingsBytes }
+        ]),
+        ...sizes.rules.map(rule => ({ label: `rule ${rule.name || rule.id} (${rule.id})`, bytes: rule.bytes })),
+        ...Object.entries(sizes.dataElements).map(([name, elementSize]) => ({ label: `data element ${name}`, bytes: elementSize })),
+        ...measured.map(file => ({ label: `external file ${file.url}`, bytes: file.bytes, external: true }))
+      ].sort((a, b) => b.bytes - a.bytes).slice(0, top);
+      
+      return `Library Size Breakdown${this.parsedEmbed.handle ? ` (${this.parsedEmbed.handle})` : ''}
+Total: ${bytes(sizes.totalBytes)} (${bytes(sizes.gzipBytes)} gzipped)
+
+By area:
+  Turbine runtime and library wrapper: ${bytes(runtimeBytes)} (${share(runtimeBytes)})
+  Extensions: ${bytes(extensionBytes)} (${share(extensionBytes)}) in ${Object.keys(sizes.extensions).length} extensions
+  Rules: ${bytes(ruleBytes)} (${share(ruleBytes)}) in ${sizes.rules.length} rules, of which inline custom code ${bytes(inlineCodeBytes)}
+  Data elements: ${bytes(dataElementBytes)} (${share(dataElementBytes)}) in ${Object.keys(sizes.dataElements).length} data elements
+  Build info, property, company and environment: ${bytes(otherBytes)} (${share(otherBytes)})
+
+Extensions:
+${extensionLines.join('\n') || '  None'}
+
+Heaviest rules:
+${ruleLines.join('\n') || '  None'}
+
+Heaviest data elements:
+${dataElementLines.join('\n') || '  None'}
+
+External custom code: ${files.length} ${files.length === 1 ? 'file' : 'files'} (${files.length === 1 ? 'one extra request' : `up to ${files.length} extra requests`} per page view, depending on which rules fire)${files.length > 0 ? `, ${bytes(sum(measured.map(file => file.bytes)))} measured${measured.length < files.length ? `; ${files.length - measured.length} not fetched, use fetch_custom_code to measure them` : ''}
+${fileLines.join('\n')}` : ''}
+
+Heaviest items:
+${items.map((item, index) => `  ${index + 1}. ${item.label}: ${bytes(item.bytes)}${item.external ? ' (separate request)' : ''}`).join('\n')}`;
+    } catch (error) {
+      this.log(`Error measuring library size: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Group a variable's assignments by the value source they trace back to
+   */
+  getVariableLineage(variable) {
+    return buildVariableLineage(variable, {
+      dataElements: this.parsedEmbed.dataElements,
+      dependsOn: this.getReferenceGraph().dependsOn
+    });
+  }
+
+  /**
+   * Show where variables get their values: literals, data elements (and what they read), dynamic variables or custom code
+   * Without a variable name, every variable that is set somewhere is listed
+   */
+  async analyzeVariableLineage(variableName = null) {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
       
-      this.log(`Extracted ${Object.keys(variables).length} variables`);
+      const variables = this.parsedEmbed.variables;
+      if (variableName && !ownEntry(variables, variableName)) {
+        throw new Error(`Variable '${variableName}' not found in the parsed embed code`);
+      }
       
-      // Create the parsed data structure
-      const parsedData = {
-        dataElements,
-        rules,
-        variables
-      };
+      const names = variableName ?
+        [variableName] :
+        Object.keys(variables).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
       
-      // Store the parsed data for later use
-      this.parsedEmbed = parsedData;
+      const sections = names
+        .map(name => {
+          const lineage = this.getVariableLineage(ownEntry(variables, name));
+          if (lineage.length === 0) {
+            return variableName ? `${name}: never set (only read or listed for link tracking)` : null;
+          }
+          const lines = lineage.map(group => {
+            const owners = group.usages.map(usage => `      - ${this.formatUsageOwner(usage)}`);
+            return `  From ${group.description}\n${owners.join('\n')}`;
+          });
+          return `${name}:\n${lines.join('\n')}`;
+        })
+        .filter(Boolean);
       
-      return parsedData;
+      return `Variable Lineage${variableName ? '' : ` (${sections.length} variables set)`}
+
+${sections.join('\n\n') || 'No variables are set in this library.'}`;
     } catch (error) {
-      this.log(`Error parsing embed code: ${error.message}`);
-      throw new Error(`Failed to parse embed code: ${error.message}`);
+      this.log(`Error analyzing variable lineage: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Analyze a rule using the parsed embed data
+   * Export a Solution Design Reference: one row per Analytics variable with the rules and
+   * global configuration that set it, their event types and value sources
+   * Options: output (file path), format ('csv', 'markdown' or 'both') and fetchCustomCode
    */
-  async analyzeRule(ruleName, useAI = true) {
+  async exportSdr(options = {}) {
+    const { output = null, format = 'both', fetchCustomCode = false } = options;
     try {
       if (!this.parsedEmbed) {
         throw new Error("Please parse an embed code first using parseEmbed()");
       }
+      if (!['csv', 'markdown', 'both'].includes(format)) {
+        throw new Error(`Invalid format '${format}': use csv, markdown or both`);
+      }
       
-      // Find the rule in the parsed data
-      const ruleIndex = this.parsedEmbed.rules.names.indexOf(ruleName);
-      if (ruleIndex === -1) {
-        throw new Error(`Rule '${ruleName}' not found in the parsed embed code`);
-      }
-      
-      // Extract rule details
-      const ruleData = {
-        name: this.parsedEmbed.rules.names[ruleIndex],
-        event: this.parsedEmbed.rules.events[ruleIndex],
-        condition: this.parsedEmbed.rules.conditions[ruleIndex],
-        action: this.parsedEmbed.rules.actions[ruleIndex],
-        trackerProperty: this.parsedEmbed.rules.trackerProperties[ruleIndex],
-        customCode: this.parsedEmbed.rules.customCode[ruleIndex]
-      };
-      
-      // Check if we need to fetch the custom code from a URL
-      if (ruleData.customCode && ruleData.customCode.startsWith('URL:')) {
-        try {
-          const urlMatch = ruleData.customCode.match(/URL: (.*?)(?:\s|$)/);
-          if (urlMatch && urlMatch[1]) {
-            const url = urlMatch[1];
-            const response = await axios.get(url);
-            ruleData.customCode = response.data;
-            // Also update it in the parsed data for future use
-            this.parsedEmbed.rules.customCode[ruleIndex] = response.data;
-          }
-        } catch (e) {
-          this.log(`Failed to fetch custom code: ${e.message}`);
-          ruleData.customCode += ` (Failed to fetch: ${e.message})`;
-        }
+      const parsed = this.parsedEmbed;
+      if (fetchCustomCode) {
+        await this.ensureCustomCode(parsed);
       }
       
-      if (useAI && this.openAiApiKey && this.openai) {
-        // Use OpenAI to analyze the rule
-        return this.analyzeWithAI(
-          ruleData,
-          `Analyze this Adobe Launch rule named "${ruleName}". Explain what it does, when it fires, and any potential concerns or best practices to consider.`
-        );
-      } else {
-        // Return a simple analysis without AI
-        return `Rule: ${ruleName}
-Event Trigger: ${ruleData.event || 'Unknown'}
-Condition: ${this.summarizeCondition(ruleData.condition)}
-Action Summary: ${this.summarizeAction(ruleData.action)}
-Uses Tracker Properties: ${ruleData.trackerProperty ? 'Yes' : 'No'}
-Has Custom Code: ${ruleData.customCode ? 'Yes' : 'No'}
+      const rows = buildSdr(parsed, this.getReferenceGraph().dependsOn);
+      const details = {
+        Property: parsed.property && parsed.property.name,
+        Environment: parsed.environment && parsed.environment.stage,
+        Library: parsed.embedUrl,
+        Built: parsed.buildInfo && parsed.buildInfo.buildDate,
+        Generated: new Date().toISOString()
+      };
+      const written = await saveSdr(rows, details, {
+        output,
+        name: parsed.handle || 'library',
+        format
+      });
+      
+      const unfetched = externalCodeComponents(parsed.rules).filter(({ component }) => component.code === null).length;
+      return `SDR Export (${rows.length} variables)
 
-${ruleData.customCode ? `\nCustom Code Preview: \n${ruleData.customCode.substring(0, 200)}${ruleData.customCode.length > 200 ? '...' : ''}` : ''}`;
-      }
+Written to:
+${written.map(file => `- ${file}`).join('\n')}${unfetched > 0 ? `
+
+Note: ${unfetched} custom code ${unfetched === 1 ? 'file has' : 'files have'} not been fetched, so variables set only there are missing. Export again with fetch_custom_code to include them.` : ''}
+
+${sdrToMarkdown(rows, details)}`;
     } catch (error) {
-      this.log(`Error analyzing rule: ${error.message}`);
+      this.log(`Error exporting SDR: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Analyze a data element
+   * Reconcile an expected SDR (CSV or JSON, from a file or given inline) with the library:
+   * variables documented but never set, set but undocumented, set from a different source
+   * than expected, and events missing from the rules they are documented in
+   * Options: path, content, format ('csv' or 'json', otherwise detected) and fetchCustomCode
    */
-  async analyzeDataElement(elementName, useAI = true) {
+  async reconcileSdr(options = {}) {
+    const { path: sdrPath = null, content = null, format = null, fetchCustomCode = false } = options;
     try {
       if (!this.parsedEmbed) {
         throw new Error("Please parse an embed code first using parseEmbed()");
       }
+      if (!sdrPath && !content) {
+        throw new Error("Give the expected SDR as a file path or as CSV or JSON content");
+      }
       
-      // Find the data element in the parsed data
-      if (!this.parsedEmbed.dataElements[elementName]) {
-        throw new Error(`Data element '${elementName}' not found in the parsed embed code`);
+      const entries = sdrPath ? await loadSdr(sdrPath, format) : parseSdr(content, format);
+      if (entries.length === 0) {
+        throw new Error("The SDR lists no variables");
       }
       
-      const elementData = this.parsedEmbed.dataElements[elementName];
+      const parsed = this.parsedEmbed;
+      if (fetchCustomCode) {
+        await this.ensureCustomCode(parsed);
+      }
       
-      // Extract data element type and settings
-      let elementType = "Unknown";
-      let elementSettings = "";
+      const result = reconcileSdr(entries, parsed, this.getReferenceGraph().dependsOn);
+      const label = entry => `${entry.variable}${entry.name ? ` (${entry.name})` : ''}`;
+      const section = (title, items, describe) =>
+        `${title} (${items.length}):\n${items.map(item => `  - ${describe(item)}`).join('\n') || '  None'}`;
       
-      // Try to identify the type
-      if (elementData.includes('modulePath:')) {
-        const moduleMatch = elementData.match(/modulePath:"([^"]+)"/);
-        if (moduleMatch) {
-          elementType = moduleMatch[1].split('/').pop();
-        }
+      const sections = [
+        section('Documented but never set', result.notSet, entry =>
+          `${label(entry)}${entry.readOnly ? ': only read or listed for link tracking' : ''}`),
+        section('Set but not documented', result.undocumented, row =>
+          `${row.variable}: set by ${row.setBy.join('; ')}`),
+        section('Set from a different source than expected', result.differentSource, entry => {
+          const actual = entry.actual.map(({ usage, source }) => `      From ${describeValueSource(source)}\n        in ${this.formatUsageOwner(usage)}`);
+          return `${label(entry)}: expected ${entry.expectedSource}${entry.partly ? ' (some assignments match)' : ''}\n${actual.join('\n')}`;
+        }),
+        section('Events missing from documented rules', result.missingFromRules, entry => {
+          const missing = entry.missing.map(rule => (rule.global ? 'the global configuration' : `"${rule.name}" (${rule.id})`));
+          return `${label(entry)}: not set in ${missing.join(', ')}; set by ${entry.setIn.join('; ')}`;
+        })
+      ];
+      if (result.unknownRules.length > 0) {
+        sections.push(section('Documented rules or pages that match no rule', result.unknownRules, entry =>
+          `${entry.variable}: ${entry.references.map(reference => `"${reference}"`).join(', ')}`));
       }
       
-      // Check for common types
-      const typeChecks = {
-        "constant": /defaultValue/,
-        "localStorage": /storageDuration/,
-        "customCode": /customCode/,
-        "jsVariable": /path:/,
-        "domElement": /elementSelector/,
-        "cookieValue": /cookieName/
-      };
-      
-      Object.entries(typeChecks).forEach(([type, regex]) => {
-        if (regex.test(elementData)) {
-          elementType = type;
+      const unfetched = externalCodeComponents(parsed.rules).filter(({ component }) => component.code === null).length;
+      return `SDR Reconciliation${parsed.handle ? ` (${parsed.handle})` : ''}
+SDR: ${sdrPath || 'given inline'}, ${result.documented} variables documented
+Library: ${result.documented - result.notSet.length} documented variables set, ${result.matching.length} as documented${unfetched > 0 ? `
+Note: ${unfetched} custom code ${unfetched === 1 ? 'file has' : 'files have'} not been fetched, so variables set only there count as never set. Reconcile again with fetch_custom_code to include them.` : ''}
+
+${sections.join('\n\n')}`;
+    } catch (error) {
+      this.log(`Error reconciling SDR: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Format one settings change from a library diff
+   */
+  formatSettingChange(change, indent = '      ') {
+    const value = item => (typeof item === 'string' && item.length > 120 ? `${JSON.stringify(item.substring(0, 120))}...` : JSON.stringify(item));
+    if (change.change === 'added') return `${indent}+ ${change.path} = ${value(change.after)}`;
+    if (change.change === 'removed') return `${indent}- ${change.path} (was ${value(change.before)})`;
+    if (change.diff) return `${indent}~ ${change.path}:\n${change.diff.map(line => `${indent}  ${line}`).join('\n')}`;
+    return `${indent}~ ${change.path}: ${value(change.before)} -> ${value(change.after)}`;
+  }
+
+  /**
+   * Format a library diff as text
+   */
+  formatLibraryDiff(diff, base, target) {
+    const list = (items, describe) => items.map(item => `  ${describe(item)}`).join('\n') || '  None';
+    const sections = [];
+    
+    // Rules
+    const ruleChanges = diff.rules.changed.map(entry => {
+      const lines = [`  ~ ${entry.after.name} (${entry.before.id === entry.after.id ? entry.after.id : `${entry.before.id} -> ${entry.after.id}`})`];
+      entry.changes.forEach(change => {
+        if (change.change === 'renamed') {
+          lines.push(`      Renamed from "${change.before}"`);
+        } else if (change.change === 'components') {
+          lines.push(`      ${change.kind[0].toUpperCase()}${change.kind.slice(1)} added, removed or reordered:`);
+          change.diff.forEach(line => lines.push(`        ${line}`));
+        } else {
+          lines.push(`      ${change.component}:`);
+          change.settings.forEach(setting => lines.push(this.formatSettingChange(setting, '        ')));
+          if (change.code) {
+            lines.push(change.code.note ? `        Custom code: ${change.code.note}` : '        Custom code:');
+            change.code.diff.forEach(line => lines.push(`          ${line}`));
+          }
         }
       });
-      
-      if (useAI && this.openAiApiKey && this.openai) {
-        // Use OpenAI to analyze the data element
-        return this.analyzeWithAI(
-          { name: elementName, raw: elementData, type: elementType },
-          `Analyze this Adobe Launch data element named "${elementName}". Explain what type of data element it is, what data it collects, and any potential concerns or best practices to consider.`
-        );
-      } else {
-        // Return a simple analysis without AI
-        return `Data Element: ${elementName}
-Type: ${elementType}
-Raw Definition: ${elementData.substring(0, 200)}${elementData.length > 200 ? '...' : ''}`;
+      return lines.join('\n');
+    });
+    sections.push(`Rules:
+Added (${diff.rules.added.length}):
+${list(diff.rules.added, rule => `+ ${rule.name} (${rule.id})`)}
+Removed (${diff.rules.removed.length}):
+${list(diff.rules.removed, rule => `- ${rule.name} (${rule.id})`)}
+Changed (${diff.rules.changed.length}):
+${ruleChanges.join('\n') || '  None'}`);
+    
+    // Data elements
+    sections.push(`Data Elements:
+Added (${diff.dataElements.added.length}):
+${list(diff.dataElements.added, element => `+ ${element.name} [${element.typeName}]`)}
+Removed (${diff.dataElements.removed.length}):
+${list(diff.dataElements.removed, element => `- ${element.name} [${element.typeName}]`)}
+Changed (${diff.dataElements.changed.length}):
+${diff.dataElements.changed.map(entry => `  ~ ${entry.name}\n${entry.changes.map(change => this.formatSettingChange(change)).join('\n')}`).join('\n') || '  None'}`);
+    
+    // Extensions
+    sections.push(`Extensions:
+Added (${diff.extensions.added.length}):
+${list(diff.extensions.added, extension => `+ ${extension.displayName} (${extension.name})`)}
+Removed (${diff.extensions.removed.length}):
+${list(diff.extensions.removed, extension => `- ${extension.displayName} (${extension.name})`)}
+Changed (${diff.extensions.changed.length}):
+${diff.extensions.changed.map(entry => [
+      `  ~ ${entry.displayName} (${entry.name})`,
+      ...(entry.version ? [`      Version (or package ID): ${entry.version.before || 'unknown'} -> ${entry.version.after || 'unknown'}`] : []),
+      ...entry.settings.map(change => this.formatSettingChange(change))
+    ].join('\n')).join('\n') || '  None'}`);
+    
+    // Variables
+    sections.push(`Variables:
+Only in target (${diff.variables.added.length}): ${diff.variables.added.join(', ') || 'None'}
+Only in base (${diff.variables.removed.length}): ${diff.variables.removed.join(', ') || 'None'}
+Usage changed (${diff.variables.changed.length}):
+${diff.variables.changed.map(entry => [
+      `  ~ ${entry.name}`,
+      ...entry.added.map(owner => `      + ${owner}`),
+      ...entry.removed.map(owner => `      - ${owner}`)
+    ].join('\n')).join('\n') || '  None'}`);
+    
+    const describe = parsed => `${parsed.embedUrl}${parsed.snapshot && parsed.snapshot.savedAt ? ` (snapshot ${parsed.snapshot.id})` : ''}\n  ${(parsed.property && parsed.property.name) || 'Unknown property'}, ${(parsed.environment && parsed.environment.stage) || 'unknown'} environment, built ${(parsed.buildInfo && parsed.buildInfo.buildDate) || 'at an unknown date'}`;
+    
+    return `Library Comparison
+
+Base: ${describe(base)}
+Target: ${describe(target)}
+
+${sections.join('\n\n')}`;
+  }
+
+  /**
+   * Compare two libraries, reporting everything from the base to the target
+   * Either side can be a loaded library's handle; other embed codes are fetched
+   * without being registered, and the active library is left unchanged
+   */
+  async compareEmbeds(baseEmbedCode, targetEmbedCode, options = {}) {
+    // A loaded library may have been parsed without its external custom code
+    const load = async embedCode => {
+      const loaded = this.findLibrary(embedCode);
+      if (!loaded) {
+        return this.loadEmbed(embedCode, options);
       }
+      if (options.fetchCustomCode) {
+        await this.ensureCustomCode(loaded);
+      }
+      return loaded;
+    };
+
+    try {
+      const base = await load(baseEmbedCode);
+      const target = await load(targetEmbedCode);
+      
+      return this.formatLibraryDiff(diffLibraries(base, target), base, target);
     } catch (error) {
-      this.log(`Error analyzing data element: ${error.message}`);
+      this.log(`Error comparing embed codes: ${error.message}`);
       throw error;
     }
   }
@@ -412,51 +1597,62 @@ Raw Definition: ${elementData.substring(0, 200)}${elementData.length > 200 ? '..
       }
       
       // Find the variable in the parsed data
-      if (!this.parsedEmbed.variables[variableName]) {
+      const variable = ownEntry(this.parsedEmbed.variables, variableName);
+      if (!variable) {
         throw new Error(`Variable '${variableName}' not found in the parsed embed code`);
       }
       
-      const usedInRules = this.parsedEmbed.variables[variableName];
+      const usedInRules = variableRuleIds(variable)
+        .map(ruleId => ownEntry(this.parsedEmbed.rules, ruleId))
+        .filter(Boolean);
       
-      // Gather details about where the variable is used
-      const usageDetails = usedInRules.map((ruleName, index) => {
-        const ruleIndex = this.parsedEmbed.rules.names.indexOf(ruleName);
-        if (ruleIndex === -1) return `Rule: ${ruleName} (details not available)`;
-        
-        const trackerProperty = this.parsedEmbed.rules.trackerProperties[ruleIndex];
-        const customCode = this.parsedEmbed.rules.customCode[ruleIndex];
-        
-        let usageLocation = [];
-        if (trackerProperty && trackerProperty.includes(variableName)) {
-          usageLocation.push("Tracker Properties");
-        }
-        if (customCode && customCode.includes(variableName)) {
-          usageLocation.push("Custom Code");
-        }
+      // Gather details about where the variable is used, grouped by rule
+      const usageDetails = usedInRules.map(rule => {
+        const usages = variable.usages.filter(usage => usage.ruleId === rule.id);
+        const lines = usages.map(usage => this.formatVariableUsage(usage));
         
-        return `Rule: ${ruleName}
-Usage Location: ${usageLocation.join(', ') || 'Unknown'}
-Event Trigger: ${this.parsedEmbed.rules.events[ruleIndex] || 'Unknown'}`;
+        return `Rule: ${rule.name} (${rule.id})
+Event Trigger: ${this.describeEvents(rule)}
+${lines.join('\n')}`;
       });
       
+      // Usages in the Analytics extension configuration apply to every beacon
+      const globalUsages = variable.usages.filter(usage => usage.source === 'global');
+      
+      // XDM fields can also be defined in data elements that rules send
+      const dataElementUsages = variable.usages.filter(usage => usage.source === 'dataElement');
+      
       if (useAI && this.openAiApiKey && this.openai) {
         // Use OpenAI to analyze the variable usage
         return this.analyzeWithAI(
           { 
             name: variableName, 
-            usedInRules, 
-            usageDetails,
-            variableType: variableName.startsWith('eVar') ? 'eVar' : 
-                          variableName.startsWith('prop') ? 'prop' : 
-                          variableName.startsWith('event') ? 'event' : 'other'
+            variableType: variable.kind,
+            usedInRules: usedInRules.map(rule => ({ id: rule.id, name: rule.name })), 
+            usages: variable.usages
           },
           `Analyze how the Adobe Analytics variable "${variableName}" is used across rules in this implementation. Explain its purpose, what kind of data it likely captures, and any potential concerns or best practices to consider.`
         );
       } else {
+        const setCount = variable.usages.filter(usage => usage.access === 'set').length;
+        const lineage = this.getVariableLineage(variable);
+        
         // Return a simple analysis without AI
         return `Variable: ${variableName}
+Kind: ${variable.kind}
+Set in ${setCount} places, read or referenced in ${variable.usages.length - setCount}${globalUsages.length > 0 ? `
+
+Global (set on every beacon by the Analytics extension configuration):
+${globalUsages.map(usage => this.formatVariableUsage(usage)).join('\n')}` : ''}${dataElementUsages.length > 0 ? `
+
+Defined in data elements:
+${dataElementUsages.map(usage => this.formatVariableUsage(usage)).join('\n')}` : ''}
+
 Used in ${usedInRules.length} rules:
-${usageDetails.join('\n\n')}`;
+${usageDetails.join('\n\n') || '  None'}
+
+Value Sources:
+${lineage.map(group => `  - ${group.description} (${group.usages.length} assignments)`).join('\n') || '  Never set'}`;
       }
     } catch (error) {
       this.log(`Error analyzing variable: ${error.message}`);
@@ -465,31 +1661,369 @@ ${usageDetails.join('\n\n')}`;
   }
 
   /**
-   * Extract embed code from an HTML page URL
+   * Find an installed extension by its name or display name
    */
-  async extractEmbedFromUrl(url) {
-    this.log(`Extracting embed code from URL: ${url}`);
+  findExtension(extensionRef) {
+    if (!this.parsedEmbed) {
+      throw new Error("Please parse an embed code first using parseEmbed()");
+    }
+    
+    const extensions = this.parsedEmbed.extensions;
+    const extension = ownEntry(extensions, extensionRef);
+    if (extension) {
+      return extension;
+    }
+    
+    const lowered = String(extensionRef).toLowerCase();
+    return Object.values(extensions).find(extension =>
+      extension.name.toLowerCase() === lowered || extension.displayName.toLowerCase() === lowered) || null;
+  }
+
+  /**
+   * Find the rule components and data elements that use an extension's modules
+   */
+  findExtensionUsage(extensionName) {
+    const rules = [];
+    Object.values(this.parsedEmbed.rules).forEach(rule => {
+      const components = [];
+      ['events', 'conditions', 'actions'].forEach(kind => {
+        rule[kind].forEach((component, index) => {
+          if (component.extension === extensionName) {
+            components.push({ kind, index, displayName: component.displayName, modulePath: component.modulePath });
+          }
+        });
+      });
+      if (components.length > 0) {
+        rules.push({ id: rule.id, name: rule.name, components });
+      }
+    });
+    
+    const dataElements = Object.entries(this.parsedEmbed.dataElements)
+      .filter(([name, element]) => extensionOf(element.modulePath) === extensionName)
+      .map(([name, element]) => ({ name, modulePath: element.modulePath }));
+    
+    return { rules, dataElements };
+  }
+
+  /**
+   * Analyze an installed extension and where its modules are used
+   */
+  async analyzeExtension(extensionRef, useAI = true) {
     try {
-      // Fetch the HTML page
-      const response = await axios.get(url);
-      const html = response.data;
-      
-      // Extract the Launch embed code using regex
-      // Look for both async (recommended) and sync embed codes
-      const embedRegexes = [
-        /<script.*src=["'](https:\/\/assets\.adobedtm\.com\/[^"']+)["'].*?><\/script>/,
-        /<script.*src=["']([^"']+launch[^"']+)["'].*?><\/script>/
-      ];
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
       
-      for (const regex of embedRegexes) {
-        const match = html.match(regex);
-        if (match && match[1]) {
-          this.log(`Found embed code: ${match[1]}`);
-          return match[1];
+      const extension = this.findExtension(extensionRef);
+      if (!extension) {
+        throw new Error(`Extension '${extensionRef}' not found in the parsed embed code`);
+      }
+      
+      const usage = this.findExtensionUsage(extension.name);
+      
+      if (useAI && this.openAiApiKey && this.openai) {
+        // Use OpenAI to analyze the extension
+        return this.analyzeWithAI(
+          { extension, usage },
+          `Analyze the Adobe Launch extension "${extension.displayName}" in this implementation. Explain what it is configured to do, how the rules and data elements use it, and any potential concerns or best practices to consider.`
+        );
+      } else {
+        const moduleUsage = extension.modules.map(module => {
+          const count = usage.rules.reduce((total, rule) =>
+            total + rule.components.filter(component => component.modulePath === module.modulePath).length, 0) +
+            usage.dataElements.filter(element => element.modulePath === module.modulePath).length;
+          return `  - ${module.displayName} (${module.modulePath}): used ${count} times`;
+        });
+        
+        const ruleLines = usage.rules.map(rule => `  - ${rule.name} (${rule.id}): ` +
+          rule.components.map(component => `${component.kind.replace(/s$/, '')} ${component.index + 1} ${component.displayName}`).join(', '));
+        const dataElementLines = usage.dataElements.map(element => `  - ${element.name} (${element.modulePath})`);
+        const settings = this.formatSettings(extension.settings, 1000);
+        
+        // Return a simple analysis without AI
+        return `Extension: ${extension.displayName} (${extension.name})
+Version: ${extension.version || 'Not recorded in the library'}
+Package ID: ${extension.packageId || 'Unknown'}
+Hosted Path: ${extension.hostedLibFilesBaseUrl || 'Unknown'}
+Settings: ${settings || 'None'}
+
+Modules (${extension.modules.length}):
+${moduleUsage.join('\n') || '  None'}
+
+Used in ${usage.rules.length} rules:
+${ruleLines.join('\n') || '  None'}
+
+Used by ${usage.dataElements.length} data elements:
+${dataElementLines.join('\n') || '  None'}`;
+      }
+    } catch (error) {
+      this.log(`Error analyzing extension: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Report company, property, environment and build metadata for the parsed library
+   */
+  async getPropertyInfo() {
+    try {
+      if (!this.parsedEmbed) {
+        throw new Error("Please parse an embed code first using parseEmbed()");
+      }
+      
+      const { embedUrl, embedInfo, company, property, buildInfo, environment, container } = this.parsedEmbed;
+      const dtm = this.parsedEmbed.format === 'dtm' ? container.dtm : null;
+      const propertySettings = (property && property.settings) || {};
+      const stage = (environment && environment.stage) || (embedInfo && embedInfo.stage) || 'Unknown';
+      
+      // Flag libraries that should not be running on a live site, or that have not been rebuilt in a long time
+      const notes = [];
+      if (stage === 'development' || stage === 'staging') {
+        notes.push(`This is a ${stage} library. Production sites should load the production library.`);
+      }
+      
+      let buildAge = '';
+      if (buildInfo && buildInfo.buildDate) {
+        const ageInDays = Math.floor((Date.now() - new Date(buildInfo.buildDate).getTime()) / (24 * 60 * 60 * 1000));
+        if (!Number.isNaN(ageInDays)) {
+          buildAge = ` (${ageInDays} days ago)`;
+          if (ageInDays > 365) {
+            notes.push(`The library was built ${ageInDays} days ago and has not been republished in over a year.`);
+          }
+        }
+      }
+      
+      if (buildInfo && buildInfo.minified === false) {
+        notes.push('The library is not minified.');
+      }
+      
+      if (dtm) {
+        notes.push('This is a legacy Dynamic Tag Management library. DTM has been retired; its rules, data elements and tools need to be rebuilt in a Launch property.');
+      }
+      
+      const formatValue = value => (value === undefined || value === null ? 'Not set' : String(value));
+      const domains = Array.isArray(propertySettings.domains) ? propertySettings.domains.join(', ') : formatValue(propertySettings.domains);
+      
+      return `Property: ${(property && property.name) || 'Unknown'}
+Property ID: ${formatValue(property && property.id)}
+Company Org ID: ${formatValue(company && company.orgId)}
+Dynamic CDN Enabled: ${formatValue(company && company.dynamicCdnEnabled)}
+
+Property Settings:
+  Domains: ${domains}
+  Undefined Variables Return Empty: ${formatValue(propertySettings.undefinedVarsReturnEmpty)}
+  Rule Component Sequencing Enabled: ${formatValue(propertySettings.ruleComponentSequencingEnabled)}
+
+Environment:
+  Stage: ${stage}
+  Environment ID: ${formatValue(environment && environment.id)}
+
+Build:
+  Build Date: ${formatValue(buildInfo && buildInfo.buildDate)}${buildAge}
+  Turbine Version: ${formatValue(buildInfo && buildInfo.turbineVersion)}
+  Turbine Build Date: ${formatValue(buildInfo && buildInfo.turbineBuildDate)}
+  Minified: ${formatValue(buildInfo && buildInfo.minified)}
+
+Embed URL: ${embedUrl || 'Unknown'}
+  Org ID (from URL): ${formatValue(embedInfo && embedInfo.orgId)}
+  Property ID (from URL): ${formatValue(embedInfo && embedInfo.propertyId)}
+  Environment ID (from URL): ${formatValue(embedInfo && embedInfo.environmentId)}
+  Environment (from URL): ${formatValue(embedInfo && embedInfo.stage)}${dtm ? `
+
+DTM:
+  App Version: ${formatValue(dtm.appVersion)}
+  Publish Date: ${formatValue(dtm.publishDate)}
+  Script Directory: ${formatValue(dtm.settings.scriptDir)}
+  Tools: ${dtm.tools.map(tool => `${tool.engine} (${tool.id}${tool.loadOn ? `, loads on ${tool.loadOn}` : ''})`).join(', ') || 'None'}` : ''}${notes.length > 0 ? `\n\nNotes:\n${notes.map(note => `- ${note}`).join('\n')}` : ''}`;
+    } catch (error) {
+      this.log(`Error getting property info: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a page and find every Launch and DTM library it loads, with its prehiding snippets and pageBottom calls
+   */
+  async scanPage(url) {
+    this.log(`Scanning page for libraries: ${url}`);
+    let html;
+    try {
+      html = await fetchText(url);
+    } catch (error) {
+      this.log(`Error fetching page: ${error.message}`);
+      throw new Error(`Could not fetch ${url}: ${error.message}`);
+    }
+    const scan = scanPageHtml(html, url);
+    this.log(`Found ${scan.libraries.length} libraries on ${url}`);
+    return scan;
+  }
+
+  /**
+   * Pick the library to parse from a page scan: the first Launch library, else the first DTM library
+   */
+  pageEmbedCode(scan) {
+    const library = scan.libraries.find(item => item.type === 'launch') || scan.libraries[0];
+    if (!library) {
+      throw new Error("No Adobe Launch or DTM library found on this page");
+    }
+    return library.url;
+  }
+
+  /**
+   * Describe a page scan: each library with its environment, loading and placement, then the findings
+   * The extensions of a loaded library from the page sharpen the prehiding checks
+   */
+  formatPageScan(scan) {
+    const loaded = scan.libraries.map(library => this.findLibrary(library.url)).find(Boolean);
+    const findings = checkPageScan(scan, { extensions: loaded ? Object.keys(loaded.extensions || {}) : null });
+    
+    const libraries = scan.libraries.map((library, index) =>
+      `  ${index + 1}. ${library.type === 'dtm' ? 'DTM' : 'Launch'}, ${library.stage} environment, ${library.loading}, ${library.inHead === null ? 'placement unknown' : library.inHead ? 'in <head>' : 'in <body>'}, ${library.loadedBy}, line ${library.line}${library.selfHosted ? ', self-hosted' : ''}
+     ${library.url}`);
+    const snippets = scan.prehiding.map(snippet =>
+      `  - ${snippet.kind === 'web-sdk' ? 'Web SDK' : 'Target'} snippet, style ID ${snippet.styleId}, timeout ${snippet.timeout === null ? 'none' : `${snippet.timeout} ms`}, ${snippet.inHead === false ? 'in <body>' : 'in <head>'}, line ${snippet.line}`);
+    const counts = SEVERITIES.map(severity => `${findings.filter(finding => finding.severity === severity).length} ${severity}`);
+    const sections = SEVERITIES
+      .filter(severity => findings.some(finding => finding.severity === severity))
+      .map(severity => `${severity.toUpperCase()}:
+${findings.filter(finding => finding.severity === severity).map(finding => `- ${finding.message}`).join('\n')}`);
+    
+    return `Page: ${scan.url} (${scan.productionHost ? 'production host' : 'non-production host'})
+Libraries: ${scan.libraries.length}
+${libraries.join('\n') || '  None found'}
+Prehiding snippets: ${scan.prehiding.length === 0 ? 'none' : `\n${snippets.join('\n')}`}
+_satellite.pageBottom() calls: ${scan.pageBottomCalls.length === 0 ? 'none' : `line ${scan.pageBottomCalls.map(call => call.line).join(', ')}`}
+
+Findings: ${counts.join(', ')}${loaded ? '' : ' (parse the library to check the prehiding snippet against its extensions)'}
+
+${sections.join('\n\n') || 'No findings'}`;
+  }
+
+  /**
+   * Crawl a site from a page or sitemap.xml and report which library each page loads
+   * Options: url, maxDepth, maxPages, output (report path) and rerun (an earlier report
+   * whose settings are reused and whose pages are compared with this run)
+   */
+  async crawlSite(options = {}) {
+    try {
+      let previous = null;
+      let settings = { url: options.url || null, maxDepth: options.maxDepth, maxPages: options.maxPages };
+      if (options.rerun) {
+        previous = await loadCrawlReport(options.rerun, this.crawlDir);
+        const given = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== null));
+        settings = { ...previous.report.options, ...given };
+      }
+      if (!settings.url) {
+        throw new Error("Give a page or sitemap.xml URL to crawl, or an earlier report to re-run");
+      }
+      
+      const report = await crawlSite(settings.url, {
+        maxDepth: settings.maxDepth === undefined ? 2 : settings.maxDepth,
+        maxPages: settings.maxPages === undefined ? 50 : settings.maxPages,
+        log: message => this.log(message)
+      });
+      
+      // Parse each library once to learn its property and environment
+      const libraries = {};
+      const urls = [...new Set(report.pages.flatMap(page => page.libraries.map(library => library.url)))];
+      for (const url of urls) {
+        try {
+          const parsed = this.findLibrary(url) || await this.loadEmbed(url);
+          libraries[url] = {
+            propertyId: (parsed.property && parsed.property.id) || null,
+            propertyName: (parsed.property && parsed.property.name) || null,
+            stage: (parsed.environment && parsed.environment.stage) || null,
+            format: parsed.format
+          };
+        } catch (error) {
+          libraries[url] = { error: error.message };
         }
       }
+      report.libraries = libraries;
+      report.summary = summarizeCrawl(report, libraries);
       
-      throw new Error("No Adobe Launch embed code found on this page");
+      const reportPath = await saveCrawlReport(report, { directory: this.crawlDir, filePath: options.output || null });
+      const diff = previous ? diffCrawls(previous.report, report) : null;
+      return this.formatCrawlReport(report, reportPath, previous && { ...diff, generatedAt: previous.report.generatedAt });
+    } catch (error) {
+      this.log(`Error crawling site: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a crawl report, with the changes since the previous run when there is one
+   */
+  formatCrawlReport(report, reportPath, changes = null) {
+    const { summary, options } = report;
+    const limit = (items, format, max = 20) =>
+      [...items.slice(0, max).map(format), ...(items.length > max ? [`  ... and ${items.length - max} more`] : [])].join('\n');
+    const counted = (label, items, format) => (items.length === 0 ? '' : `\n\n${label} (${items.length}):\n${limit(items, format)}`);
+    
+    // Pages refer to libraries by number
+    const number = {};
+    summary.libraries.forEach((library, index) => { number[library.url] = `L${index + 1}`; });
+    const libraries = summary.libraries.map(library => {
+      const known = report.libraries[library.url] || {};
+      const property = library.propertyName ? `property ${library.propertyName}${known.propertyId ? ` (${known.propertyId})` : ''}` : 'property unknown';
+      return `  ${number[library.url]}. ${library.url}
+      ${library.type === 'dtm' ? 'DTM' : 'Launch'}, ${library.stage} environment, ${property}: ${library.pages} ${library.pages === 1 ? 'page' : 'pages'}${known.error ? `\n      Could not be parsed: ${known.error}` : ''}`;
+    });
+    const pageLine = page => `  - ${page.url} [depth ${page.depth}]: ${page.error ? `failed, ${page.error}` :
+      page.libraries.length === 0 ? 'no tag manager' :
+      page.libraries.map(library => `${number[library.url]}${library.loads > 1 ? ` x${library.loads}` : ''}`).join(', ')}`;
+    const spread = (groups, name) => Object.entries(groups)
+      .map(([key, value]) => {
+        const count = (value.pages || value).length;
+        return `${name(key, value)} (${count} ${count === 1 ? 'page' : 'pages'})`;
+      }).join(', ') || 'none';
+    
+    const robots = report.robots;
+    const start = report.sitemap ?
+      `sitemap ${report.sitemap.url} (${report.sitemap.pages} pages listed${report.sitemap.errors.length > 0 ? `; ${report.sitemap.errors.join('; ')}` : ''})` :
+      options.url;
+    
+    let changeText = '';
+    if (changes) {
+      const lines = [
+        ...changes.added.map(url => `  + ${url}`),
+        ...changes.removed.map(url => `  - ${url} (no longer reached)`),
+        ...changes.changed.map(change => `  * ${change.url}: ${change.before.join(', ') || 'no tag manager'} -> ${change.after.join(', ') || 'no tag manager'}`)
+      ];
+      changeText = `\n\nChanges since the previous run (${changes.generatedAt}): ${changes.added.length} new, ${changes.removed.length} no longer reached, ${changes.changed.length} changed${lines.length > 0 ? `\n${limit(lines, line => line, 50)}` : ''}`;
+    }
+    
+    return `Site Crawl: ${options.url}
+Started from: ${start}
+Limits: links followed up to depth ${options.maxDepth}, at most ${options.maxPages} pages
+robots.txt: ${robots.status}${robots.status === 'found' ? `, ${robots.rules} rules apply${robots.crawlDelay ? `, crawl delay ${robots.crawlDelay}s` : ''}` : ''}${
+(report.otherRobots || []).map(file => `\n  Also ${file.url}: ${file.status}${file.status === 'found' ? `, ${file.rules} rules apply${file.crawlDelay ? `, crawl delay ${file.crawlDelay}s` : ''}` : ''}`).join('')}
+Pages: ${summary.crawled} crawled, ${summary.failed} failed, ${report.skipped.length} skipped by robots.txt${report.unvisited > 0 ? `, ${report.unvisited} found but not visited (page budget reached)` : ''}
+Report: ${reportPath} (pass it as rerun to crawl again and compare)
+
+Libraries (${summary.libraries.length}):
+${libraries.join('\n') || '  None found'}
+
+Environments across the site: ${spread(summary.environments, key => key)}${Object.keys(summary.environments).length > 1 ? ' - mixed' : ''}
+Properties across the site: ${spread(summary.properties, (key, value) => value.name || key)}${Object.keys(summary.properties).length > 1 ? ' - mixed' : ''}${
+counted('Pages with no tag manager', summary.noTagManager, url => `  - ${url}`)}${
+counted('Pages loading more than one environment', summary.mixedEnvironments, page => `  - ${page.url}: ${page.stages.join(', ')}`)}${
+counted('Pages loading more than one property', summary.mixedProperties, page => `  - ${page.url}: ${page.properties.map(key => (summary.properties[key].name || key)).join(', ')}`)}${
+counted('Skipped by robots.txt', report.skipped, item => `  - ${item.url}`)}${changeText}
+
+Pages:
+${limit(report.pages, pageLine, 100) || '  None'}`;
+  }
+
+  /**
+   * Extract the embed URL of the Launch (or DTM) library a page loads
+   */
+  async extractEmbedFromUrl(url) {
+    this.log(`Extracting embed code from URL: ${url}`);
+    try {
+      const embedCode = this.pageEmbedCode(await this.scanPage(url));
+      this.log(`Found embed code: ${embedCode}`);
+      return embedCode;
     } catch (error) {
       this.log(`Error extracting embed code: ${error.message}`);
       throw new Error(`Failed to extract embed code from URL: ${error.message}`);
@@ -527,67 +2061,64 @@ ${usageDetails.join('\n\n')}`;
     }
   }
 
-  // Utility function to summarize action data
-  summarizeAction(actionData) {
-    if (!actionData) return 'No action data';
+  // Utility function to summarize a rule's actions
+  summarizeAction(actions) {
+    if (!actions || actions.length === 0) return 'No actions';
     
     let summary = [];
     
-    // Check for common action types
-    if (actionData.includes('s.t(')) {
-      summary.push('Fires Adobe Analytics page view tracking call (s.t())');
-    }
-    
-    if (actionData.includes('s.tl(')) {
-      summary.push('Fires Adobe Analytics link tracking call (s.tl())');
-    }
-    
-    if (actionData.includes('customCode')) {
-      summary.push('Executes custom JavaScript code');
-    }
-    
-    if (actionData.includes('dataLayerPush')) {
-      summary.push('Pushes data to data layer');
-    }
-    
-    if (actionData.includes('ruleCondition')) {
-      summary.push('Has conditional logic');
-    }
+    actions.forEach(action => {
+      if (action.type === 'sendBeacon') {
+        summary.push(action.settings.type === 'link' ?
+          'Fires Adobe Analytics link tracking call (s.tl())' :
+          'Fires Adobe Analytics page view tracking call (s.t())');
+      } else if (action.type === 'setVariables') {
+        summary.push('Sets Adobe Analytics variables');
+      } else if (action.type === 'clearVariables') {
+        summary.push('Clears Adobe Analytics variables');
+      } else if (action.extension === WEB_SDK_EXTENSION && action.type === 'sendEvent') {
+        summary.push(`Sends Web SDK event (${describeSendEvent(action.settings)})`);
+      } else if (action.type === 'customCode') {
+        summary.push(action.codeUrl ? 'Executes custom JavaScript code (external file)' : 'Executes custom JavaScript code');
+        
+        // Tracking calls made from inside custom code
+        const code = action.code || '';
+        if (code.includes('s.t(')) {
+          summary.push('Fires Adobe Analytics page view tracking call (s.t()) from custom code');
+        }
+        if (code.includes('s.tl(')) {
+          summary.push('Fires Adobe Analytics link tracking call (s.tl()) from custom code');
+        }
+      } else {
+        summary.push(`${this.extensionDisplayName(action.extension)} - ${action.displayName}`);
+      }
+    });
     
-    return summary.length > 0 ? summary.join(', ') : 'Other action type';
+    return summary.join(', ');
   }
 
-  // Utility function to summarize condition data
-  summarizeCondition(conditionData) {
-    if (!conditionData || conditionData === "missing component") return 'No conditions (rule always fires)';
-    
-    let summary = [];
-    
-    // Check for common condition types
-    if (conditionData.includes('pathname')) {
-      summary.push('Page path condition');
-    }
-    
-    if (conditionData.includes('hostname')) {
-      summary.push('Hostname condition');
-    }
-    
-    if (conditionData.includes('cookie')) {
-      summary.push('Cookie value condition');
-    }
-    
-    if (conditionData.includes('querystring')) {
-      summary.push('Query string parameter condition');
-    }
-    
-    if (conditionData.includes('dataElement')) {
-      summary.push('Data element value condition');
-    }
+  // Utility function to summarize a rule's conditions
+  summarizeCondition(conditions) {
+    if (!conditions || conditions.length === 0) return 'No conditions (rule always fires)';
     
-    if (conditionData.includes('logicalCondition')) {
-      summary.push('Logical operator condition');
-    }
+    const labels = {
+      path: 'Page path condition',
+      pathAndQuerystring: 'Page path and query string condition',
+      domain: 'Domain condition',
+      cookie: 'Cookie value condition',
+      queryStringParameter: 'Query string parameter condition',
+      valueComparison: 'Data element value condition',
+      customCode: 'Custom code condition',
+      logicalOperator: 'Logical operator condition'
+    };
     
-    return summary.length > 0 ? summary.join(', ') : 'Has conditions';
+    return conditions
+      .map(condition => {
+        const label = condition.extension === 'core' && labels[condition.type] ?
+          labels[condition.type] :
+          `${this.extensionDisplayName(condition.extension)} - ${condition.displayName}`;
+        return condition.negate ? `${label} (negated)` : label;
+      })
+      .join(', ');
   }
-}
\ No newline at end of file
+}
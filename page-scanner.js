@@ -0,0 +1,393 @@
+/**
+ * Page scanner for Nightjar
+ * Finds every Adobe Launch and legacy DTM library a page loads, by script tag or
+ * inline loader, and checks how they are loaded: environment, async or sync,
+ * placement in <head>, duplicates, the Target prehiding snippet and _satellite.pageBottom() calls
+ */
+
+import { parseEmbedUrl } from './launch-model.js';
+import { SEVERITIES } from './audit.js';
+
+const LAUNCH_FILE = /\/launch-[0-9a-zA-Z]+(?:-(?:development|staging))?(?:\.min)?\.js(?:[?#]|$)/;
+const DTM_FILE = /\/satelliteLib-[0-9a-zA-Z]+(-staging)?(?:\.min)?\.js(?:[?#]|$)/;
+const ADOBE_HOST = /(?:^|\.)adobedtm\.com$/i;
+
+// Host names that mark a development, test or staging site
+const NON_PRODUCTION_HOST = /(?:^|[.-])(?:dev|develop|development|stage|staging|stg|qa|test|testing|uat|preprod|preview|sandbox|local)\d*(?:[.-]|$)/i;
+
+const URL_LITERAL = /["'`]((?:https?:)?\/\/[^"'`\s]+|\/[^"'`\s]+)["'`]/g;
+const PAGE_BOTTOM_CALL = /_satellite\s*\.\s*pageBottom\s*\(\s*\)/g;
+const PAGE_BOTTOM_GUARD = /typeof\s+_satellite|window\._satellite\s*&&|\b_satellite\s*&&|try\s*\{/;
+const HIDING_STYLE = /opacity\s*:\s*0(?:\.0*)?\s*(?:!important)?\s*[;}]|visibility\s*:\s*hidden|display\s*:\s*none/i;
+
+// Default style IDs that at.js and the Web SDK remove once content is applied
+export const PREHIDING_STYLE_IDS = { target: 'at-body-style', 'web-sdk': 'alloy-prehiding' };
+
+const MAX_PREHIDING_TIMEOUT = 5000;
+
+/**
+ * Tell whether a host name looks like a live production site rather than a development,
+ * staging or local one
+ */
+export function isProductionHost(host) {
+  const name = String(host || '').toLowerCase().replace(/:\d+$/, '');
+  if (!name || name === 'localhost' || /^\d+\.\d+\.\d+\.\d+$/.test(name) || name.startsWith('[')) return false;
+  return !NON_PRODUCTION_HOST.test(name);
+}
+
+/**
+ * Identify a Launch or DTM library URL, resolved against the page URL
+ * Returns { url, type, stage, selfHosted } or null for other scripts
+ */
+export function identifyLibrary(src, pageUrl) {
+  let url;
+  try {
+    url = new URL(src.trim(), pageUrl || undefined);
+  } catch (e) {
+    return null;
+  }
+  const selfHosted = !ADOBE_HOST.test(url.hostname);
+
+  if (LAUNCH_FILE.test(url.pathname + url.search)) {
+    const info = parseEmbedUrl(url.href);
+    return { url: url.href, type: 'launch', stage: (info && info.stage) || 'production', selfHosted };
+  }
+
+  const dtm = DTM_FILE.exec(url.pathname + url.search);
+  if (dtm) {
+    return { url: url.href, type: 'dtm', stage: dtm[1] ? 'staging' : 'production', selfHosted };
+  }
+  return null;
+}
+
+/**
+ * Blank out HTML comments, keeping offsets and line numbers intact
+ */
+function stripComments(html) {
+  return html.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+}
+
+/**
+ * Read the attributes of a tag into a lower-cased name -> value map (true for bare attributes)
+ */
+function tagAttributes(text) {
+  const attributes = {};
+  const pattern = /([^\s=/"'<>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = value === undefined ? true : value;
+  }
+  return attributes;
+}
+
+/**
+ * List the script elements of a page with their attributes, inline content and offsets
+ * Tags without a closing </script> run to the end of the page
+ */
+export function pageScripts(html) {
+  const text = stripComments(String(html || ''));
+  const scripts = [];
+  const open = /<script\b([^>]*)>/gi;
+  let match;
+  while ((match = open.exec(text)) !== null) {
+    const contentStart = match.index + match[0].length;
+    const close = text.slice(contentStart).search(/<\/script\s*>/i);
+    const contentEnd = close === -1 ? text.length : contentStart + close;
+    scripts.push({
+      position: match.index,
+      attributes: tagAttributes(match[1]),
+      content: text.slice(contentStart, contentEnd)
+    });
+    open.lastIndex = contentEnd;
+  }
+  return scripts;
+}
+
+/**
+ * List the links a page offers to crawlers: <a> and <area> hrefs resolved against the page URL,
+ * without fragments, skipping rel="nofollow" links and every link of a page marked nofollow
+ */
+export function pageLinks(html, pageUrl) {
+  const text = stripComments(String(html || ''));
+  const robots = /<meta\b[^>]*name\s*=\s*["']?robots["']?[^>]*>/i.exec(text);
+  if (robots && /nofollow|none/i.test(tagAttributes(robots[0].slice(5, -1)).content || '')) {
+    return [];
+  }
+
+  const base = /<base\b([^>]*)>/i.exec(text);
+  const baseHref = base && typeof tagAttributes(base[1]).href === 'string' ? tagAttributes(base[1]).href : null;
+  let baseUrl = pageUrl;
+  try {
+    if (baseHref) baseUrl = new URL(baseHref, pageUrl).href;
+  } catch (e) {
+    baseUrl = pageUrl;
+  }
+
+  const links = new Set();
+  const anchor = /<(?:a|area)\b([^>]*)>/gi;
+  let match;
+  while ((match = anchor.exec(text)) !== null) {
+    const attributes = tagAttributes(match[1]);
+    if (typeof attributes.href !== 'string' || /\bnofollow\b/i.test(attributes.rel || '')) continue;
+    try {
+      const url = new URL(attributes.href.trim(), baseUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+      url.hash = '';
+      links.add(url.href);
+    } catch (e) {
+      // Skip hrefs that are not URLs
+    }
+  }
+  return [...links];
+}
+
+/**
+ * Scan a page's HTML for Launch and DTM libraries, prehiding snippets and pageBottom calls
+ * Returns { url, host, productionHost, libraries, prehiding, pageBottomCalls, satelliteReferences }
+ */
+export function scanPageHtml(html, pageUrl) {
+  const page = String(html || '');
+  const text = stripComments(page);
+  const lineAt = position => page.slice(0, position).split('\n').length;
+
+  // Everything before </head> (or the first <body> when </head> is omitted) is in the head
+  const headEnd = (() => {
+    const end = text.search(/<\/head\s*>/i);
+    if (end !== -1) return end;
+    const body = text.search(/<body\b/i);
+    return body === -1 ? null : body;
+  })();
+  const inHead = position => (headEnd === null ? null : position < headEnd);
+
+  let host = null;
+  try {
+    host = new URL(pageUrl).host || null;
+  } catch (e) {
+    host = null;
+  }
+
+  const libraries = [];
+  const prehiding = [];
+  const pageBottomCalls = [];
+  let satelliteReferences = 0;
+
+  pageScripts(page).forEach(script => {
+    const { attributes, content, position } = script;
+    const placement = { inHead: inHead(position), line: lineAt(position), position };
+    const type = typeof attributes.type === 'string' ? attributes.type.trim().toLowerCase() : '';
+    const blocked = type !== '' && !/^(?:text\/javascript|application\/javascript|module|text\/ecmascript)$/.test(type);
+
+    if (typeof attributes.src === 'string') {
+      const library = identifyLibrary(attributes.src, pageUrl);
+      if (library) {
+        const loading = attributes.async !== undefined ? 'async' : attributes.defer !== undefined ? 'defer' : 'sync';
+        libraries.push({ ...library, src: attributes.src, loadedBy: 'script tag', loading, blockedType: blocked ? type : null, ...placement });
+      }
+      return;
+    }
+
+    if (/_satellite/.test(content)) satelliteReferences++;
+
+    // Inline loaders that inject the library themselves, e.g. document.createElement('script')
+    URL_LITERAL.lastIndex = 0;
+    let literal;
+    while ((literal = URL_LITERAL.exec(content)) !== null) {
+      const library = identifyLibrary(literal[1], pageUrl);
+      if (!library) continue;
+      const loading = /document\.write/.test(content) ? 'sync' :
+        /\.async\s*=\s*(?:false|0)\b/.test(content) ? 'injected, async disabled' : 'injected';
+      libraries.push({ ...library, src: literal[1], loadedBy: 'inline script', loading, blockedType: null, ...placement });
+    }
+
+    // Target (at.js) and Web SDK prehiding snippets
+    const styleId = /(?:STYLE_ID|styleId|prehidingId)\s*=\s*(["'])([^"']+)\1/.exec(content) ||
+      /\.id\s*=\s*(["'])([^"']*(?:body-style|prehiding)[^"']*)\1/.exec(content);
+    const isPrehiding = /at-body-style|alloy-prehiding/.test(content) ||
+      (styleId && /opacity|visibility|display/.test(content) && /setTimeout/.test(content));
+    if (isPrehiding) {
+      const call = /\}\s*\(\s*window\s*,\s*document\s*,\s*(["'])([\s\S]*?)\1\s*,\s*(\d+)\s*\)\s*\)?/.exec(content);
+      const timeout = call ? Number(call[3]) : (/setTimeout\s*\([\s\S]*?,\s*(\d+)\s*\)/.exec(content) || [])[1];
+      const id = styleId ? styleId[2] : /alloy-prehiding/.test(content) ? 'alloy-prehiding' : 'at-body-style';
+      prehiding.push({
+        kind: id === PREHIDING_STYLE_IDS['web-sdk'] || /alloy/.test(content) ? 'web-sdk' : 'target',
+        styleId: id,
+        style: call ? call[2] : ((/(["'])([^"']*\{[^"']*\})\1/.exec(content) || [])[2] || null),
+        timeout: timeout === undefined ? null : Number(timeout),
+        ...placement
+      });
+    }
+
+    PAGE_BOTTOM_CALL.lastIndex = 0;
+    let call;
+    while ((call = PAGE_BOTTOM_CALL.exec(content)) !== null) {
+      pageBottomCalls.push({ guarded: PAGE_BOTTOM_GUARD.test(content), ...placement });
+    }
+  });
+
+  // Prehiding styles can also be written as a plain <style> element
+  const styleTag = /<style\b([^>]*)>([\s\S]*?)<\/style\s*>/gi;
+  let style;
+  while ((style = styleTag.exec(text)) !== null) {
+    const attributes = tagAttributes(style[1]);
+    const kind = Object.keys(PREHIDING_STYLE_IDS).find(key => PREHIDING_STYLE_IDS[key] === attributes.id);
+    if (!kind) continue;
+    prehiding.push({ kind, styleId: attributes.id, style: style[2].trim(), timeout: null, styleOnly: true, inHead: inHead(style.index), line: lineAt(style.index), position: style.index });
+  }
+
+  return {
+    url: pageUrl,
+    host,
+    productionHost: isProductionHost(host),
+    libraries: libraries.sort((a, b) => a.position - b.position),
+    prehiding: prehiding.sort((a, b) => a.position - b.position),
+    pageBottomCalls,
+    satelliteReferences
+  };
+}
+
+/**
+ * Check a page scan for loading problems
+ * `context.extensions` lists the extensions of the parsed library, when known, so
+ * the prehiding check knows whether Target or the Web SDK is deployed
+ * Returns findings [{ severity, message }], most severe first
+ */
+export function checkPageScan(scan, context = {}) {
+  const findings = [];
+  const add = (severity, message) => findings.push({ severity, message });
+  const { libraries, prehiding, pageBottomCalls } = scan;
+  const label = library => `${library.type === 'dtm' ? 'DTM' : 'Launch'} library ${library.url} (line ${library.line})`;
+
+  if (libraries.length === 0) {
+    add('info', scan.satelliteReferences > 0 ?
+      'No Launch or DTM library is loaded by a script tag or inline loader, but inline scripts refer to _satellite. The library may be loaded by another tag manager or under a renamed self-hosted file.' :
+      'No Launch or DTM library found on this page.');
+  }
+
+  // Duplicates and libraries that overwrite each other's _satellite
+  const byUrl = {};
+  libraries.forEach(library => {
+    const key = library.url.replace(/[?#].*$/, '');
+    (byUrl[key] = byUrl[key] || []).push(library);
+  });
+  Object.values(byUrl).filter(loads => loads.length > 1).forEach(loads => {
+    add('high', `${loads[0].url} is loaded ${loads.length} times (lines ${loads.map(load => load.line).join(', ')}). Rules can fire twice and send duplicate beacons.`);
+  });
+  const distinct = Object.values(byUrl).map(loads => loads[0]);
+  const launch = distinct.filter(library => library.type === 'launch');
+  const dtm = distinct.filter(library => library.type === 'dtm');
+
+  // Environment, once per library however often it is loaded
+  distinct.filter(library => library.stage !== 'production').forEach(library => {
+    if (scan.productionHost) {
+      add('high', `${label(library)} is the ${library.stage} environment on the production host ${scan.host}. Production pages should load the production library.`);
+    } else {
+      add('info', `${label(library)} is the ${library.stage} environment, which is expected on ${scan.host || 'this non-production page'}.`);
+    }
+  });
+  distinct.filter(library => library.selfHosted).forEach(library => {
+    add('info', `${label(library)} is self-hosted; it has to be republished to this server after every build.`);
+  });
+  if (launch.length > 0 && dtm.length > 0) {
+    add('high', `The page loads both Launch and DTM (${[...launch, ...dtm].map(library => library.url).join(', ')}). Both define window._satellite, so the one loaded last replaces the other.`);
+  }
+  if (launch.length > 1) {
+    add('medium', `The page loads ${launch.length} different Launch libraries (${launch.map(library => library.url).join(', ')}). Only one _satellite object survives; make sure this is intended.`);
+  }
+  if (dtm.length > 1) {
+    add('medium', `The page loads ${dtm.length} different DTM libraries (${dtm.map(library => library.url).join(', ')}).`);
+  }
+
+  // Loading mode and placement
+  libraries.forEach(library => {
+    if (library.blockedType) {
+      add('info', `${label(library)} has type="${library.blockedType}", so it only runs once a consent manager or another script enables it.`);
+    }
+    const async = library.loading !== 'sync' && library.loading !== 'injected, async disabled';
+    if (library.type === 'dtm') {
+      if (async) {
+        add('high', `${label(library)} is loaded ${library.loading}. DTM libraries must load synchronously, or _satellite.pageBottom() and document.write based tools break.`);
+      }
+    } else if (!async) {
+      add('low', `${label(library)} is loaded synchronously and blocks rendering while it downloads. Adobe recommends the async embed code.`);
+    }
+    if (library.loading === 'defer') {
+      add('low', `${label(library)} uses defer, so it runs only after the page is parsed and Library Loaded rules fire late.`);
+    }
+    if (library.inHead === false) {
+      add(async ? 'low' : 'medium', `${label(library)} is in <body> rather than <head>${async ? ', so it starts loading later than it could' : ', so Top of Page rules run after part of the page has rendered'}.`);
+    }
+  });
+
+  // Target and Web SDK prehiding
+  const extensions = context.extensions || null;
+  const deploysTarget = extensions ? extensions.some(name => /^adobe-target/.test(name)) : null;
+  const deploysWebSdk = extensions ? extensions.includes('adobe-alloy') : null;
+  const asyncLaunch = libraries.filter(library => library.type === 'launch' && library.loading !== 'sync' && library.loading !== 'injected, async disabled');
+  const firstLibrary = libraries[0];
+
+  if (asyncLaunch.length > 0 && prehiding.length === 0) {
+    if (deploysTarget) {
+      add('medium', 'The library deploys Target and loads asynchronously, but the page has no prehiding snippet, so visitors can see default content flicker before the Target offer is applied.');
+    } else if (deploysTarget === null) {
+      add('info', 'The library loads asynchronously and the page has no prehiding snippet. If Target is deployed through this library, add the prehiding snippet before the embed code to avoid flicker.');
+    }
+  }
+  if (prehiding.length > 1) {
+    add('low', `The page has ${prehiding.length} prehiding snippets (lines ${prehiding.map(snippet => snippet.line).join(', ')}).`);
+  }
+  prehiding.forEach(snippet => {
+    const product = snippet.kind === 'web-sdk' ? 'the Web SDK' : 'Target';
+    const name = `${snippet.kind === 'web-sdk' ? 'Web SDK' : 'Target'} prehiding snippet (line ${snippet.line})`;
+    if (libraries.length > 0 && asyncLaunch.length === 0) {
+      add('low', `${name} is not needed because no Launch library on the page loads asynchronously; it only hides the page until its timeout.`);
+    }
+    if (snippet.kind === 'target' && deploysTarget === false) {
+      add('medium', `${name} hides the page, but the library has no Target extension to reveal it, so the page stays hidden until the timeout${deploysWebSdk ? '. The Web SDK expects its own snippet with the alloy-prehiding style ID' : ''}.`);
+    }
+    if (snippet.kind === 'web-sdk' && deploysWebSdk === false) {
+      add('medium', `${name} hides the page, but the library has no Web SDK extension to reveal it, so the page stays hidden until the timeout.`);
+    }
+    if (snippet.styleId !== PREHIDING_STYLE_IDS[snippet.kind]) {
+      add('medium', `${name} uses the style ID "${snippet.styleId}" instead of "${PREHIDING_STYLE_IDS[snippet.kind]}", so it is not removed when content is applied and the page stays hidden until the timeout.`);
+    }
+    if (firstLibrary && snippet.position > firstLibrary.position) {
+      add('medium', `${name} comes after the library (line ${firstLibrary.line}); it must run before the embed code to hide the page in time.`);
+    }
+    if (snippet.inHead === false) {
+      add('medium', `${name} is in <body>, so part of the page can render before it hides it.`);
+    }
+    if (snippet.styleOnly) {
+      add('medium', `${name} is a bare <style> element with no timeout, so the page stays hidden if ${product} fails to load.`);
+    } else if (snippet.timeout === null) {
+      add('medium', `${name} has no timeout that could be read, so the page may stay hidden if ${product} fails to load.`);
+    } else if (snippet.timeout > MAX_PREHIDING_TIMEOUT) {
+      add('medium', `${name} hides the page for up to ${snippet.timeout} ms when ${product} is slow; Adobe's default is 3000 ms.`);
+    }
+    if (snippet.style !== null && !HIDING_STYLE.test(snippet.style)) {
+      add('low', `${name} style "${snippet.style}" does not hide anything (no opacity: 0, visibility: hidden or display: none).`);
+    }
+  });
+
+  // Leftover pageBottom calls
+  if (pageBottomCalls.length > 0) {
+    const lines = [...new Set(pageBottomCalls.map(call => call.line))].join(', ');
+    const needsPageBottom = libraries.some(library => library.type === 'dtm' || (library.type === 'launch' && library.loading === 'sync'));
+    const unguarded = pageBottomCalls.filter(call => !call.guarded);
+    if (libraries.length === 0) {
+      add('medium', `_satellite.pageBottom() is called (line ${lines}) but no library was found on the page${unguarded.length > 0 ? ', so the call throws a ReferenceError' : ''}.`);
+    } else if (!needsPageBottom) {
+      add(unguarded.length > 0 ? 'medium' : 'low', `_satellite.pageBottom() is still called (line ${lines}) although the library loads asynchronously. The call is not needed${unguarded.length > 0 ? ' and throws a ReferenceError when it runs before the library has loaded' : ''}; remove it.`);
+    } else {
+      const early = pageBottomCalls.filter(call => call.position < firstLibrary.position);
+      if (early.length > 0) {
+        add('medium', `_satellite.pageBottom() is called before the library is loaded (line ${early.map(call => call.line).join(', ')}).`);
+      }
+      if (pageBottomCalls.length > 1) {
+        add('low', `_satellite.pageBottom() is called ${pageBottomCalls.length} times (lines ${lines}); Page Bottom rules only need one call.`);
+      }
+    }
+  }
+
+  return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
@@ -0,0 +1,497 @@
+/**
+ * Static page simulator for Nightjar
+ * Evaluates Core rule conditions against a described page (URL, cookies,
+ * query string, data layer and an optional HTML snippet) without running any library code
+ */
+
+import { decodeSettings, componentType, extensionOf, ownEntry } from './launch-model.js';
+
+// Returned when a value or condition cannot be worked out statically
+export const UNKNOWN = Symbol('unknown');
+
+// Core events that fire while the page loads, in the order they fire
+export const PAGE_LOAD_STAGES = [
+  { type: 'libraryLoaded', name: 'Library Loaded (Page Top)' },
+  { type: 'pageBottom', name: 'Page Bottom' },
+  { type: 'domReady', name: 'DOM Ready' },
+  { type: 'windowLoaded', name: 'Window Loaded' }
+];
+
+// Core's default rule order
+const DEFAULT_RULE_ORDER = 50;
+
+/**
+ * Parse a cookie header ("a=1; b=2") or take an object of cookies as is
+ */
+function parseCookies(cookies) {
+  if (!cookies) return {};
+  if (typeof cookies === 'object') return { ...cookies };
+  const parsed = {};
+  String(cookies).split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.substring(0, index).trim();
+    if (!name) return;
+    let value = pair.substring(index + 1).trim();
+    try {
+      value = decodeURIComponent(value);
+    } catch (e) {
+      // Keep the raw value when it is not valid URI encoding
+    }
+    parsed[name] = value;
+  });
+  return parsed;
+}
+
+/**
+ * Build the page context from the simulator's inputs
+ * `queryString` (string or object) replaces the query string of `url`
+ */
+export function createPageContext({ url, cookies = null, queryString = null, dataLayer = null, html = null, referrer = '' }) {
+  if (!url) {
+    throw new Error("A page URL is required");
+  }
+
+  let location;
+  try {
+    location = new URL(url);
+  } catch (e) {
+    throw new Error(`Invalid page URL: ${url}`);
+  }
+
+  if (queryString !== null && queryString !== undefined) {
+    location.search = typeof queryString === 'object' ?
+      new URLSearchParams(queryString).toString() :
+      String(queryString).replace(/^\?/, '');
+  }
+
+  const titleMatch = html ? /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html) : null;
+
+  return {
+    location,
+    cookies: parseCookies(cookies),
+    dataLayer: dataLayer || {},
+    html: html || null,
+    title: titleMatch ? titleMatch[1].trim() : null,
+    referrer: referrer || ''
+  };
+}
+
+/**
+ * Look up a dotted path such as digitalData.page.name in the data layer
+ * The data layer can be given with or without its top-level variable name
+ */
+export function lookupPath(dataLayer, path) {
+  const segments = String(path || '').replace(/^window\./, '').split('.').filter(Boolean);
+  if (segments.length === 0) return UNKNOWN;
+
+  const walk = parts => {
+    let value = dataLayer;
+    for (const part of parts) {
+      if (value === null || value === undefined || typeof value !== 'object' || !(part in value)) {
+        return UNKNOWN;
+      }
+      value = value[part];
+    }
+    return value;
+  };
+
+  const value = walk(segments);
+  return value === UNKNOWN && segments.length > 1 ? walk(segments.slice(1)) : value;
+}
+
+/**
+ * Parse the attributes of an HTML start tag
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  const attributePattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attributePattern.exec(text)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+/**
+ * Find the first element in an HTML snippet that matches a simple selector
+ * Supports tag, #id, .class and [attr] / [attr=value] parts; other selectors give UNKNOWN
+ */
+export function findElement(html, selector) {
+  const simple = /^([a-zA-Z][\w-]*)?((?:#[\w-]+|\.[\w-]+|\[[\w-]+(?:=(?:"[^"]*"|'[^']*'|[^\]]*))?\])*)$/.exec(String(selector || '').trim());
+  if (!html || !simple) return UNKNOWN;
+
+  const tag = simple[1] ? simple[1].toLowerCase() : null;
+  const parts = simple[2].match(/#[\w-]+|\.[\w-]+|\[[^\]]+\]/g) || [];
+
+  const tagPattern = /<([a-zA-Z][\w-]*)(\s[^>]*)?>/g;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    if (tag && match[1].toLowerCase() !== tag) continue;
+    const attributes = parseAttributes(match[2] || '');
+    const classes = (attributes.class || '').split(/\s+/);
+    const matches = parts.every(part => {
+      if (part[0] === '#') return attributes.id === part.substring(1);
+      if (part[0] === '.') return classes.includes(part.substring(1));
+      const [, name, value] = /^\[([\w-]+)(?:=["']?(.*?)["']?)?\]$/.exec(part);
+      return value === undefined ? name.toLowerCase() in attributes : attributes[name.toLowerCase()] === value;
+    });
+    if (!matches) continue;
+
+    // Text content is read up to the element's closing tag
+    const close = html.indexOf(`</${match[1]}`, tagPattern.lastIndex);
+    const text = close === -1 ? '' : html.substring(tagPattern.lastIndex, close).replace(/<[^>]*>/g, '').trim();
+    return { tag: match[1].toLowerCase(), attributes, text };
+  }
+  return null;
+}
+
+/**
+ * Resolve the value of a data element in the page context
+ * Returns UNKNOWN for sources that need a real browser, such as custom code
+ */
+export function resolveDataElement(name, context, dataElements, stack = []) {
+  const element = ownEntry(dataElements, name);
+  if (!element || stack.includes(name)) return UNKNOWN;
+
+  const settings = element.settings || {};
+  const { location } = context;
+  let value = UNKNOWN;
+
+  if (element.extension === 'core') {
+    switch (element.type) {
+      case 'javascriptVariable':
+        value = lookupPath(context.dataLayer, settings.path);
+        break;
+      case 'queryStringParameter': {
+        const params = [...location.searchParams.entries()];
+        const found = params.find(([key]) => (settings.caseInsensitive ?
+          key.toLowerCase() === String(settings.name).toLowerCase() :
+          key === settings.name));
+        value = found ? found[1] : null;
+        break;
+      }
+      case 'cookie':
+        value = context.cookies[settings.name] !== undefined ? context.cookies[settings.name] : null;
+        break;
+      case 'pageInfo': {
+        const pageInfo = {
+          url: location.href,
+          hostname: location.hostname,
+          pathname: location.pathname,
+          protocol: location.protocol,
+          referrer: context.referrer,
+          title: context.title
+        };
+        value = pageInfo[settings.attribute] !== undefined && pageInfo[settings.attribute] !== null ? pageInfo[settings.attribute] : UNKNOWN;
+        break;
+      }
+      case 'constant':
+        value = resolveTokens(settings.value, context, dataElements, [...stack, name]);
+        break;
+      case 'domAttribute': {
+        const found = findElement(context.html, settings.elementSelector);
+        if (found === UNKNOWN) break;
+        if (found === null) {
+          value = null;
+          break;
+        }
+        const property = settings.elementProperty || {};
+        const attribute = property.type === 'other' ? property.customValue : property.type;
+        if (attribute === 'text' || attribute === 'innerText') value = found.text;
+        else if (attribute) value = found.attributes[attribute.toLowerCase()] !== undefined ? found.attributes[attribute.toLowerCase()] : null;
+        break;
+      }
+      case 'conditionalValue': {
+        const comparison = compareValues(
+          resolveTokens(settings.leftOperand, context, dataElements, [...stack, name]),
+          (settings.comparison || {}).operator,
+          resolveTokens(settings.rightOperand, context, dataElements, [...stack, name]),
+          (settings.comparison || {}).caseInsensitive
+        );
+        if (comparison === UNKNOWN) break;
+        if (comparison) value = settings.conditionalValue;
+        else value = settings.returnFallbackValue === false ? null : settings.fallbackValue;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  if (value === UNKNOWN) return UNKNOWN;
+
+  // Turbine's cleaning and default value, in the order it applies them
+  if ((value === null || value === undefined || value === '') && element.defaultValue !== null && element.defaultValue !== undefined) {
+    value = element.defaultValue;
+  }
+  if (typeof value === 'string' && element.cleanText) value = value.replace(/\s+/g, ' ').trim();
+  if (typeof value === 'string' && element.forceLowerCase) value = value.toLowerCase();
+  return value;
+}
+
+/**
+ * Replace `%Name%` tokens in a setting with data element values
+ * A setting that is exactly one token takes the data element's value as is
+ */
+export function resolveTokens(value, context, dataElements, stack = []) {
+  if (typeof value !== 'string') return value;
+
+  const single = /^%([^%\n]+)%$/.exec(value);
+  if (single) return resolveDataElement(single[1], context, dataElements, stack);
+
+  let unknown = false;
+  const replaced = value.replace(/%([^%\n]+)%/g, (token, name) => {
+    if (!ownEntry(dataElements, name)) return token;
+    const resolved = resolveDataElement(name, context, dataElements, stack);
+    if (resolved === UNKNOWN) {
+      unknown = true;
+      return token;
+    }
+    return resolved === null || resolved === undefined ? '' : String(resolved);
+  });
+  return unknown ? UNKNOWN : replaced;
+}
+
+/**
+ * Compare two values with a Core value comparison operator
+ */
+export function compareValues(left, operator, right, caseInsensitive = false) {
+  if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+
+  const text = value => {
+    const converted = value === null || value === undefined ? '' : String(value);
+    return caseInsensitive ? converted.toLowerCase() : converted;
+  };
+  const number = value => (typeof value === 'number' ? value : parseFloat(value));
+
+  switch (operator) {
+    case 'equals': return text(left) === text(right);
+    case 'doesNotEqual': return text(left) !== text(right);
+    case 'contains': return text(left).includes(text(right));
+    case 'doesNotContain': return !text(left).includes(text(right));
+    case 'startsWith': return text(left).startsWith(text(right));
+    case 'doesNotStartWith': return !text(left).startsWith(text(right));
+    case 'endsWith': return text(left).endsWith(text(right));
+    case 'doesNotEndWith': return !text(left).endsWith(text(right));
+    case 'matchesRegex': return matchesPattern(String(left ?? ''), right, caseInsensitive);
+    case 'doesNotMatchRegex': return !matchesPattern(String(left ?? ''), right, caseInsensitive);
+    case 'lessThan': return number(left) < number(right);
+    case 'lessThanOrEqual': return number(left) <= number(right);
+    case 'greaterThan': return number(left) > number(right);
+    case 'greaterThanOrEqual': return number(left) >= number(right);
+    case 'isTrue': return left === true || left === 'true';
+    case 'isTruthy': return Boolean(left);
+    case 'isFalse': return left === false || left === 'false';
+    case 'isFalsy': return !left;
+    default: return UNKNOWN;
+  }
+}
+
+/**
+ * Test a value against a Core "regex" setting
+ */
+function matchesPattern(value, pattern, caseInsensitive = false) {
+  try {
+    return new RegExp(pattern, caseInsensitive ? 'i' : '').test(value);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Test a value against a list of { value, valueIsRegex } entries, as used by path, hash and subdomain conditions
+ */
+function matchesAny(actual, entries) {
+  return (entries || []).some(entry => (entry.valueIsRegex ?
+    matchesPattern(actual, entry.value) :
+    actual === entry.value));
+}
+
+const outcome = (result, reason) => ({ result, reason });
+
+/**
+ * Evaluate the settings of one Core condition, before negation
+ */
+function evaluateCoreCondition(type, settings, context, dataElements) {
+  const { location } = context;
+  const listed = entries => (entries || []).map(entry => entry.value).join(', ');
+
+  switch (type) {
+    case 'path': {
+      const passed = matchesAny(location.pathname, settings.paths);
+      return outcome(passed, `path ${location.pathname} ${passed ? 'matches' : 'does not match'} ${listed(settings.paths)}`);
+    }
+
+    case 'pathAndQuerystring': {
+      const actual = `${location.pathname}${location.search}`;
+      const passed = matchesAny(actual, settings.paths);
+      return outcome(passed, `path and query string ${actual} ${passed ? 'matches' : 'does not match'} ${listed(settings.paths)}`);
+    }
+
+    case 'domain': {
+      const domains = settings.domains || [];
+      const passed = domains.some(domain => new RegExp(`(^|\\.)${String(domain).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(location.hostname));
+      return outcome(passed, `hostname ${location.hostname} ${passed ? 'is' : 'is not'} in ${domains.join(', ')}`);
+    }
+
+    case 'subdomain': {
+      const passed = matchesAny(location.hostname, settings.subdomains);
+      return outcome(passed, `hostname ${location.hostname} ${passed ? 'matches' : 'does not match'} ${listed(settings.subdomains)}`);
+    }
+
+    case 'hash': {
+      const passed = matchesAny(location.hash, settings.hashes);
+      return outcome(passed, `hash "${location.hash}" ${passed ? 'matches' : 'does not match'} ${listed(settings.hashes)}`);
+    }
+
+    case 'protocol': {
+      const passed = location.protocol === settings.protocol;
+      return outcome(passed, `protocol ${location.protocol} ${passed ? 'is' : 'is not'} ${settings.protocol}`);
+    }
+
+    case 'queryStringParameter': {
+      const values = location.searchParams.getAll(settings.name);
+      const passed = values.some(value => (settings.valueIsRegex ? matchesPattern(value, settings.value) : value === settings.value));
+      return outcome(passed, values.length === 0 ?
+        `query string parameter "${settings.name}" is not set` :
+        `query string parameter "${settings.name}" = "${values.join('", "')}" ${passed ? 'matches' : 'does not match'} "${settings.value}"`);
+    }
+
+    case 'cookie': {
+      const value = context.cookies[settings.name];
+      if (value === undefined) {
+        return outcome(false, `cookie "${settings.name}" is not set`);
+      }
+      const passed = settings.valueIsRegex ? matchesPattern(value, settings.value) : value === settings.value;
+      return outcome(passed, `cookie "${settings.name}" = "${value}" ${passed ? 'matches' : 'does not match'} "${settings.value}"`);
+    }
+
+    case 'variable': {
+      const value = lookupPath(context.dataLayer, settings.name);
+      if (value === UNKNOWN) {
+        return outcome(false, `variable ${settings.name} is not in the data layer`);
+      }
+      const passed = settings.valueIsRegex ? matchesPattern(String(value), settings.value) : String(value) === String(settings.value);
+      return outcome(passed, `variable ${settings.name} = ${JSON.stringify(value)} ${passed ? 'matches' : 'does not match'} "${settings.value}"`);
+    }
+
+    case 'valueComparison': {
+      const comparison = settings.comparison || {};
+      const left = resolveTokens(settings.leftOperand, context, dataElements);
+      const right = resolveTokens(settings.rightOperand, context, dataElements);
+      const passed = compareValues(left, comparison.operator, right, comparison.caseInsensitive);
+      if (passed === UNKNOWN) {
+        return outcome(UNKNOWN, `cannot resolve ${JSON.stringify(settings.leftOperand)} ${comparison.operator || '?'} ${JSON.stringify(settings.rightOperand)}`);
+      }
+      return outcome(passed, `${JSON.stringify(settings.leftOperand)} (${JSON.stringify(left)}) ${passed ? 'passes' : 'fails'} ${comparison.operator} ${JSON.stringify(right)}`);
+    }
+
+    case 'dateRange': {
+      const now = Date.now();
+      const start = settings.start ? Date.parse(settings.start) : -Infinity;
+      const end = settings.end ? Date.parse(settings.end) : Infinity;
+      const passed = now >= start && now <= end;
+      return outcome(passed, `today ${passed ? 'is' : 'is not'} between ${settings.start || 'any date'} and ${settings.end || 'any date'}`);
+    }
+
+    case 'logicalOperator':
+    case 'logicalCondition':
+      return evaluateGroup(settings, context, dataElements);
+
+    default:
+      return outcome(UNKNOWN, `"${type}" conditions depend on the browser or visitor history and cannot be evaluated statically`);
+  }
+}
+
+/**
+ * Evaluate a logical group: nested conditions joined with "and" or "or"
+ */
+function evaluateGroup(settings, context, dataElements) {
+  const operator = String(settings.operator || settings.logicType || 'and').toLowerCase();
+  const results = (settings.conditions || []).map(condition => evaluateCondition(condition, context, dataElements));
+
+  if (operator === 'or') {
+    if (results.some(item => item.result === true)) return outcome(true, 'one of the grouped conditions passes');
+    if (results.some(item => item.result === UNKNOWN)) return outcome(UNKNOWN, 'no grouped condition passes and some cannot be evaluated');
+    return outcome(false, `none of the grouped conditions pass (${results.map(item => item.reason).join('; ')})`);
+  }
+
+  const failed = results.find(item => item.result === false);
+  if (failed) return outcome(false, `grouped condition fails: ${failed.reason}`);
+  if (results.some(item => item.result === UNKNOWN)) return outcome(UNKNOWN, 'some grouped conditions cannot be evaluated');
+  return outcome(true, 'all grouped conditions pass');
+}
+
+/**
+ * Evaluate one rule condition against the page context, applying negation
+ * Returns { result: true | false | UNKNOWN, reason }
+ */
+export function evaluateCondition(condition, context, dataElements = {}) {
+  const modulePath = condition.modulePath || null;
+  const extension = condition.extension || extensionOf(modulePath);
+  const type = condition.type || componentType(modulePath);
+  const settings = decodeSettings(condition.settings);
+
+  let evaluated;
+  if (extension !== 'core') {
+    evaluated = outcome(UNKNOWN, `conditions from the ${extension || 'unknown'} extension cannot be evaluated statically`);
+  } else if (type === 'customCode') {
+    evaluated = outcome(UNKNOWN, 'custom code conditions cannot be evaluated statically');
+  } else {
+    evaluated = evaluateCoreCondition(type, settings, context, dataElements);
+  }
+
+  if (condition.negate && evaluated.result !== UNKNOWN) {
+    return outcome(!evaluated.result, `negated: ${evaluated.reason}`);
+  }
+  return evaluated;
+}
+
+/**
+ * Simulate which rules fire on a described page
+ * Conditions are evaluated in order; a rule fails at its first failing condition
+ */
+export function simulatePage({ rules = {}, dataElements = {} }, input) {
+  const context = createPageContext(input);
+  const stages = PAGE_LOAD_STAGES.map(stage => ({ ...stage, fires: [], unknown: [] }));
+  const interactions = [];
+  const notFiring = [];
+
+  Object.values(rules).forEach(rule => {
+    const conditions = rule.conditions.map((condition, index) => ({
+      index,
+      condition,
+      ...evaluateCondition(condition, context, dataElements)
+    }));
+    const failed = conditions.find(item => item.result === false);
+    const unknown = conditions.filter(item => item.result === UNKNOWN);
+    const status = failed ? 'fail' : unknown.length > 0 ? 'unknown' : 'pass';
+    const entry = { rule, status, conditions, failed: failed || null, unknown };
+
+    if (status === 'fail') {
+      notFiring.push(entry);
+      return;
+    }
+
+    let onPageLoad = false;
+    rule.events.forEach(event => {
+      const stage = stages.find(item => item.type === event.type && event.extension === 'core');
+      if (!stage) return;
+      onPageLoad = true;
+      const order = event.ruleOrder !== null ? event.ruleOrder : DEFAULT_RULE_ORDER;
+      stage[status === 'pass' ? 'fires' : 'unknown'].push({ ...entry, order });
+    });
+
+    if (!onPageLoad) {
+      interactions.push(entry);
+    }
+  });
+
+  stages.forEach(stage => {
+    stage.fires.sort((a, b) => a.order - b.order);
+    stage.unknown.sort((a, b) => a.order - b.order);
+  });
+
+  return { context, stages, interactions, notFiring };
+}
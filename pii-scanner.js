@@ -0,0 +1,215 @@
+/**
+ * PII scanner for Nightjar
+ * Flags data elements that likely read personal or sensitive data (query string
+ * parameters, form fields, data layer paths, storage) and follows them into the
+ * variables that send them, using the value sources from variable-lineage.js
+ */
+
+import { valueSource } from './variable-lineage.js';
+
+export const PII_SEVERITIES = ['high', 'medium', 'low'];
+
+// Keywords matched against names split into words ("userEmail" -> "user email")
+const SENSITIVE_KEYWORDS = [
+  { category: 'email address', severity: 'high', pattern: /\b(?:e ?mail|email ?addr(?:ess)?)\b/ },
+  { category: 'phone number', severity: 'high', pattern: /\b(?:phone|telephone|tel|mobile|msisdn|cell ?phone)\b/ },
+  { category: 'credential or token', severity: 'high', pattern: /\b(?:(?:access |auth |id |refresh )?token|password|passwd|pwd|secret|api ?key|auth(?:orization)?)\b/ },
+  { category: 'payment data', severity: 'high', pattern: /\b(?:card ?number|credit ?card|cc ?num(?:ber)?|cvv|cvc|iban|account ?number)\b/ },
+  { category: 'government ID', severity: 'high', pattern: /\b(?:ssn|social ?security|passport|national ?id|tax ?id)\b/ },
+  { category: 'date of birth', severity: 'medium', pattern: /\b(?:dob|birth ?date|birthday|date of birth)\b/ },
+  { category: 'personal name', severity: 'medium', pattern: /\b(?:first ?name|last ?name|full ?name|surname|given ?name|family ?name)\b/ },
+  { category: 'postal address', severity: 'medium', pattern: /\b(?:street|address ?line ?\d?|postal ?address|home ?address|zip ?code|post ?code|postal ?code)\b/ }
+];
+
+// Values that hold the whole URL, query string included
+const FULL_URL_PATHS = ['location.href', 'location.search', 'document.URL', 'document.documentURI', 'document.referrer', 'document.location.href', 'window.location.href', 'window.location.search', 'document.location.search'];
+const FULL_URL_PAGE_INFO = ['url', 'referrer'];
+
+// Variables that are meant to carry the page URL
+const URL_VARIABLES = ['pageURL', 'referrer'];
+
+const FORM_FIELD = /(?:^|[\s>+~,(])(?:input|textarea|select)\b|\[name\s*[*^$|~]?=|\[type\s*=/i;
+
+/**
+ * Split a name or path into lower case words, e.g. "user.profile.emailAddress" -> "user profile email address"
+ */
+export function nameWords(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Match a name against the sensitive keywords
+ * Returns { category, severity } or null
+ */
+export function sensitiveName(text) {
+  const words = nameWords(text);
+  const match = SENSITIVE_KEYWORDS.find(keyword => keyword.pattern.test(words));
+  return match ? { category: match.category, severity: match.severity } : null;
+}
+
+const signal = (category, severity, description) => ({ category, severity, description });
+
+/**
+ * Find what is sensitive about the code in a custom code data element or expression
+ */
+export function codeSignal(code, where = 'custom code') {
+  const text = String(code || '');
+  const url = [...FULL_URL_PATHS].sort((a, b) => b.length - a.length).find(path => new RegExp(`\\b${path.replace(/\./g, '\\.')}\\b`).test(text));
+  const identifiers = (text.match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/g) || []).filter(identifier => !identifier.startsWith('_satellite.'));
+  for (const identifier of identifiers) {
+    const name = sensitiveName(identifier);
+    if (name) return signal(name.category, name.severity === 'high' ? 'medium' : 'low', `${where} reads ${identifier}`);
+  }
+  if (url) return signal('URL with query string', 'medium', `${where} reads ${url}, which keeps the query string`);
+  return null;
+}
+
+/**
+ * Find what is sensitive about a single data element's own source, ignoring the data elements it reads
+ * Returns { category, severity, description } or null
+ */
+export function dataElementSignal(element) {
+  const source = element.source || {};
+  const settings = element.settings || {};
+  const named = (name, what) => {
+    const match = sensitiveName(name);
+    return match ? signal(match.category, match.severity, `${what} "${name}"`) : null;
+  };
+
+  switch (element.type) {
+    case 'queryStringParameter':
+      return named(source.name, 'query string parameter');
+
+    case 'cookie':
+      return named(source.name, 'cookie');
+
+    case 'localStorage':
+    case 'sessionStorage':
+      return named(source.name, `${element.type === 'localStorage' ? 'local' : 'session'} storage item`);
+
+    case 'javascriptVariable': {
+      const path = source.path || '';
+      if (FULL_URL_PATHS.includes(path.replace(/^window\./, '')) || FULL_URL_PATHS.includes(path)) {
+        return signal('URL with query string', 'medium', `JavaScript variable ${path}, which keeps the query string`);
+      }
+      return named(path, 'data layer path');
+    }
+
+    case 'pageInfo':
+      return FULL_URL_PAGE_INFO.includes(source.attribute) ?
+        signal('URL with query string', 'medium', `page ${source.attribute === 'url' ? 'URL' : 'referrer'}, which keeps the query string`) :
+        null;
+
+    case 'domAttribute': {
+      const selector = source.selector || '';
+      const match = sensitiveName(selector);
+      if (match) return signal(match.category, match.severity, `form field or element ${JSON.stringify(selector)}`);
+      if (FORM_FIELD.test(selector) && source.property === 'value') {
+        return signal('form field value', 'medium', `value typed into form field ${JSON.stringify(selector)}`);
+      }
+      return null;
+    }
+
+    case 'customCode':
+      return codeSignal(source.code || '', 'custom code');
+
+    default:
+      return named(settings.path || settings.name || '', 'source');
+  }
+}
+
+/**
+ * Flatten a data element trace into the sensitive data elements it reaches,
+ * with the chain of names leading to each
+ */
+function sensitiveInTrace(trace, signals, chain = []) {
+  const path = [...chain, trace.name];
+  const found = [];
+  if (signals[trace.name]) found.push({ dataElement: trace.name, chain: path, signal: signals[trace.name] });
+  trace.reads.forEach(read => found.push(...sensitiveInTrace(read, signals, path)));
+  return found;
+}
+
+/**
+ * Scan a parsed library for likely PII
+ * `dependsOn` comes from the data element reference graph
+ * Returns { dataElements: { name: signal }, findings: [{ variable, severity, signal, source, usages }] }
+ */
+export function scanForPii({ variables = {}, dataElements = {} }, dependsOn = {}) {
+  const signals = {};
+  Object.values(dataElements).forEach(element => {
+    const found = dataElementSignal(element);
+    if (found) signals[element.name] = found;
+  });
+
+  const findings = {};
+  const addFinding = (variable, found, sourceDescription, usage) => {
+    const key = `${variable.name}\n${found.description}\n${sourceDescription}`;
+    if (!findings[key]) {
+      findings[key] = { variable: variable.name, severity: found.severity, signal: found, source: sourceDescription, usages: [] };
+    }
+    if (!findings[key].usages.includes(usage)) findings[key].usages.push(usage);
+  };
+
+  // Values copied from another variable (D=v1) carry that variable's findings along
+  const copies = [];
+
+  Object.values(variables).forEach(variable => {
+    const nameSignal = variable.kind === 'contextData' || /^(?:xdm|data)\./.test(variable.name) ?
+      sensitiveName(variable.name.replace(/^(?:contextData|xdm|data)\./, '')) : null;
+
+    variable.usages.filter(usage => usage.access === 'set').forEach(usage => {
+      if (nameSignal) {
+        addFinding(variable, signal(nameSignal.category, nameSignal.severity, `variable name ${variable.name}`), 'its name', usage);
+      }
+
+      const source = valueSource({ ...usage, kind: variable.kind }, { dataElements, dependsOn });
+      source.dataElements.forEach(trace => {
+        sensitiveInTrace(trace, signals).forEach(({ chain, signal: found }) => {
+          if (found.category === 'URL with query string' && URL_VARIABLES.includes(variable.name)) return;
+          addFinding(variable, found, chain.map(name => `data element "${name}"`).join(' <- '), usage);
+        });
+      });
+
+      if (usage.expression) {
+        const found = codeSignal(usage.expression.replace(/_satellite\.getVar\([^)]*\)/g, ''), 'custom code expression');
+        if (found && !(found.category === 'URL with query string' && URL_VARIABLES.includes(variable.name))) {
+          addFinding(variable, found, `expression ${usage.expression.length > 80 ? `${usage.expression.substring(0, 80)}...` : usage.expression}`, usage);
+        }
+      }
+
+      if (usage.detail === 'read from query string parameter') {
+        const match = sensitiveName(usage.value);
+        if (match) addFinding(variable, signal(match.category, match.severity, `query string parameter "${usage.value}"`), 'campaign query string parameter', usage);
+      }
+
+      if (source.copiedFrom) copies.push({ variable, from: source.copiedFrom, usage });
+    });
+  });
+
+  // Follow copies until nothing new is found, so D=v1 chains are covered
+  let added = true;
+  for (let pass = 0; added && pass < 5; pass++) {
+    added = false;
+    copies.forEach(({ variable, from, usage }) => {
+      Object.values(findings).filter(finding => finding.variable === from).forEach(finding => {
+        const key = `${variable.name}\n${finding.signal.description}\ncopied from ${from}`;
+        if (findings[key] && findings[key].usages.includes(usage)) return;
+        addFinding(variable, finding.signal, `copied from ${from}`, usage);
+        added = true;
+      });
+    });
+  }
+
+  return {
+    dataElements: signals,
+    findings: Object.values(findings).sort((a, b) =>
+      PII_SEVERITIES.indexOf(a.severity) - PII_SEVERITIES.indexOf(b.severity) || a.variable.localeCompare(b.variable))
+  };
+}
+
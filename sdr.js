@@ -0,0 +1,431 @@
+/**
+ * Solution Design Reference (SDR) export for Nightjar
+ * Documents every Analytics variable a library sets: the rules and global configuration
+ * that set it, the events those rules fire on, and where each value comes from. Also
+ * reads an expected SDR (CSV or JSON) and reconciles it with the library
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ownEntry } from './launch-model.js';
+import { valueSource, describeTrace } from './variable-lineage.js';
+
+export const DEFAULT_SDR_DIR = path.join(os.homedir(), '.nightjar-mcp', 'sdr');
+
+// Kinds that are not Analytics variables of their own
+const NON_SDR_KINDS = ['xdm', 'linkTracking', 'events'];
+
+// Sort order of the rows, by kind and then by number
+const KIND_ORDER = ['pageVariable', 'eVar', 'prop', 'event', 'list', 'hier', 'products', 'contextData'];
+
+export const SDR_COLUMNS = [
+  { key: 'variable', title: 'Variable' },
+  { key: 'type', title: 'Type' },
+  { key: 'setBy', title: 'Set By' },
+  { key: 'eventTypes', title: 'Event Type' },
+  { key: 'valueSources', title: 'Value Source' },
+  { key: 'dataElementSources', title: 'Data Element Source' }
+];
+
+const KIND_NAMES = {
+  pageVariable: 'Page variable',
+  eVar: 'eVar',
+  prop: 'prop',
+  event: 'Event',
+  list: 'List variable',
+  hier: 'Hierarchy',
+  products: 'Products',
+  contextData: 'Context data'
+};
+
+const unique = items => [...new Set(items)];
+
+/**
+ * Flatten a data element trace into one line per data element it reaches
+ */
+function traceLines(trace) {
+  return [describeTrace({ ...trace, reads: [] }), ...trace.reads.flatMap(traceLines)];
+}
+
+/**
+ * Describe who sets a variable, e.g. Product View [Tracker Properties] or Global Variables
+ */
+function usageOwner(usage) {
+  if (usage.source === 'rule') return `${usage.ruleName} [${usage.location}]`;
+  return `${usage.location} (global configuration)`;
+}
+
+/**
+ * Build the SDR rows for a parsed library
+ * `dependsOn` comes from the data element reference graph
+ * Returns [{ variable, kind, type, setBy, rules, eventTypes, valueSources, dataElementSources, dataElements }]
+ * where the list fields hold the distinct entries
+ */
+export function buildSdr({ variables = {}, rules = {}, dataElements = {} }, dependsOn = {}) {
+  const rows = Object.values(variables)
+    .filter(variable => !NON_SDR_KINDS.includes(variable.kind))
+    .map(variable => {
+      const sets = variable.usages.filter(usage => usage.access === 'set');
+      if (sets.length === 0) return null;
+
+      const sources = sets.map(usage => valueSource({ ...usage, kind: variable.kind }, { dataElements, dependsOn }));
+      const ruleIds = unique(sets.filter(usage => usage.ruleId).map(usage => usage.ruleId));
+      const eventTypes = unique(sets.flatMap(usage => {
+        if (usage.source !== 'rule') return ['Every beacon'];
+        const rule = ownEntry(rules, usage.ruleId);
+        return rule ? rule.events.map(event => event.displayName) : [];
+      }));
+
+      return {
+        variable: variable.name,
+        kind: variable.kind,
+        type: KIND_NAMES[variable.kind] || variable.kind,
+        setBy: unique(sets.map(usageOwner)),
+        rules: ruleIds.map(id => {
+          const rule = ownEntry(rules, id);
+          return { id, name: rule ? rule.name : id };
+        }),
+        eventTypes,
+        valueSources: unique(sources.map(source => source.description)),
+        dataElementSources: unique(sources.flatMap(source => source.dataElements.flatMap(traceLines))),
+        dataElements: unique(sources.flatMap(source => source.dataElements.map(trace => trace.name)))
+      };
+    })
+    .filter(Boolean);
+
+  const rank = row => (KIND_ORDER.includes(row.kind) ? KIND_ORDER.indexOf(row.kind) : KIND_ORDER.length);
+  return rows.sort((a, b) => rank(a) - rank(b) || a.variable.localeCompare(b.variable, undefined, { numeric: true }));
+}
+
+const cellText = value => (Array.isArray(value) ? value.join('; ') : String(value === null || value === undefined ? '' : value));
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ */
+export function csvField(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write SDR rows as CSV, one row per variable
+ */
+export function sdrToCsv(rows) {
+  const lines = [SDR_COLUMNS.map(column => csvField(column.title)).join(',')];
+  rows.forEach(row => lines.push(SDR_COLUMNS.map(column => csvField(row[column.key])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Write SDR rows as a Markdown document with a table per variable type
+ * `details` are shown as a list under the title, e.g. { Property: 'Acme Retail' }
+ */
+export function sdrToMarkdown(rows, details = {}) {
+  const cell = value => cellText(Array.isArray(value) ? value.join('<br>') : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ') || ' ';
+  const columns = SDR_COLUMNS.filter(column => column.key !== 'type');
+
+  const sections = unique(rows.map(row => row.type)).map(type => {
+    const typeRows = rows.filter(row => row.type === type);
+    return `## ${type} (${typeRows.length})
+
+| ${columns.map(column => column.title).join(' | ')} |
+| ${columns.map(() => '---').join(' | ')} |
+${typeRows.map(row => `| ${columns.map(column => cell(row[column.key])).join(' | ')} |`).join('\n')}`;
+  });
+
+  const list = Object.entries(details).filter(([, value]) => value).map(([label, value]) => `- ${label}: ${value}`);
+  return `# Solution Design Reference
+
+${list.join('\n')}${list.length > 0 ? '\n\n' : ''}${sections.join('\n\n') || 'No Analytics variables are set in this library.'}
+`;
+}
+
+/**
+ * Write the SDR as CSV, Markdown or both
+ * `output` is a file path whose extension is replaced; without one the files are named
+ * after `name` in `directory`. Returns the paths written
+ */
+export async function saveSdr(rows, details, { output = null, name = 'library', format = 'both', directory = DEFAULT_SDR_DIR } = {}) {
+  const base = output ? output.replace(/\.(?:csv|md|markdown)$/i, '') : path.join(directory, `${name}-sdr`);
+  await fs.mkdir(path.dirname(base), { recursive: true });
+
+  const written = [];
+  if (format === 'csv' || format === 'both') {
+    await fs.writeFile(`${base}.csv`, sdrToCsv(rows), 'utf8');
+    written.push(`${base}.csv`);
+  }
+  if (format === 'markdown' || format === 'both') {
+    await fs.writeFile(`${base}.md`, sdrToMarkdown(rows, details), 'utf8');
+    written.push(`${base}.md`);
+  }
+  return written;
+}
+
+// Column headings of an expected SDR, matched with case, spaces and punctuation removed
+const SDR_HEADINGS = {
+  variable: ['variable', 'var', 'variableid', 'analyticsvariable', 'sdrvariable'],
+  name: ['name', 'friendlyname', 'variablename', 'reportname', 'description'],
+  expectedSource: ['expectedsource', 'source', 'valuesource', 'datasource', 'dataelement', 'value'],
+  rules: ['rules', 'rule', 'pages', 'page', 'pagesrules', 'pagerules', 'rulespages', 'setby', 'setin', 'where']
+};
+
+// Image request shorthand and casing that SDRs use for variable names
+const VARIABLE_ALIASES = [
+  [/^(?:evar|v)\s*(\d+)$/i, 'eVar'],
+  [/^(?:prop|c)\s*(\d+)$/i, 'prop'],
+  [/^(?:event|e)\s*(\d+)$/i, 'event'],
+  [/^(?:list|l)\s*(\d+)$/i, 'list'],
+  [/^(?:hier|h)\s*(\d+)$/i, 'hier']
+];
+
+// Documented rule references that stand for the Analytics extension's global configuration,
+// besides the "<location> (global configuration)" entries an exported SDR lists under Set By
+const GLOBAL_REFERENCES = ['global', 'global configuration', 'global variables'];
+
+const headingKey = heading => String(heading).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into rows of fields, with quoted fields and the delimiter
+ * (comma, semicolon or tab) taken from the heading row
+ */
+export function parseCsv(text) {
+  const source = String(text).replace(/^﻿/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Write an SDR variable name the way the library detector does, e.g. "v5" or "EVAR5" -> "eVar5"
+ */
+export function normalizeSdrVariable(name) {
+  const text = String(name || '').trim().replace(/^s\./, '');
+  for (const [pattern, prefix] of VARIABLE_ALIASES) {
+    const match = pattern.exec(text);
+    if (match) return `${prefix}${match[1]}`;
+  }
+  return text;
+}
+
+const splitList = value => (Array.isArray(value) ? value : String(value || '').split(/\s*(?:;|\||\n)\s*/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Turn one SDR record, keyed by heading, into { variable, name, expectedSource, rules }
+ */
+function sdrEntry(record) {
+  const entry = { variable: null, name: null, expectedSource: null, rules: [] };
+  Object.entries(record).forEach(([heading, value]) => {
+    const key = Object.keys(SDR_HEADINGS).find(field => SDR_HEADINGS[field].includes(headingKey(heading)));
+    if (!key || value === null || value === undefined || value === '') return;
+    if (key === 'rules') {
+      entry.rules.push(...splitList(value));
+    } else if (!entry[key]) {
+      entry[key] = Array.isArray(value) ? value.join('; ') : String(value).trim();
+    }
+  });
+  entry.variable = entry.variable && normalizeSdrVariable(entry.variable);
+  return entry;
+}
+
+/**
+ * Read an expected SDR from CSV or JSON text
+ * JSON can be an array of records, { variables: [...] } or an object keyed by variable
+ * Returns [{ variable, name, expectedSource, rules }]
+ */
+export function parseSdr(text, format = null) {
+  const trimmed = String(text || '').trim();
+  const kind = format || (/^[[{]/.test(trimmed) ? 'json' : 'csv');
+  let records;
+
+  if (kind === 'json') {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`SDR is not valid JSON: ${e.message}`);
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.variables)) data = data.variables;
+    records = Array.isArray(data) ?
+      data :
+      Object.entries(data || {}).map(([variable, value]) => (value && typeof value === 'object' ? { variable, ...value } : { variable, name: value }));
+  } else if (kind === 'csv') {
+    const [headings, ...rows] = parseCsv(trimmed);
+    if (!headings) throw new Error('SDR is empty');
+    records = rows.map(cells => Object.fromEntries(headings.map((heading, index) => [heading, cells[index]])));
+  } else {
+    throw new Error(`Invalid SDR format '${kind}': use csv or json`);
+  }
+
+  const entries = records.filter(record => record && typeof record === 'object').map(sdrEntry);
+  if (entries.length > 0 && entries.every(entry => !entry.variable)) {
+    throw new Error(`SDR has no variable column (expected one of: ${SDR_HEADINGS.variable.join(', ')})`);
+  }
+  return entries.filter(entry => entry.variable);
+}
+
+/**
+ * Read an expected SDR file, choosing CSV or JSON from the extension or the content
+ */
+export async function loadSdr(filePath, format = null) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (e) {
+    throw new Error(`Could not read SDR ${filePath}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+  }
+  const extension = path.extname(filePath).toLowerCase();
+  return parseSdr(text, format || (extension === '.json' ? 'json' : extension === '.csv' ? 'csv' : null));
+}
+
+/**
+ * Reduce an expected source to the text to look for, e.g. "%Page Name%" or "data element: Page Name" -> "page name"
+ */
+function expectedText(expected) {
+  return String(expected).trim()
+    .replace(/^(?:data element|de|literal|constant|value)\s*[:=-]?\s+/i, '')
+    .replace(/^(['"%])(.*)\1$/, '$2')
+    .replace(/^_satellite\.getVar\(\s*(['"`])(.*)\1\s*\)$/, '$2')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Check whether an assignment's value source is the one an SDR expects: the data element
+ * (or one it reads), or text found in the source's description or what its data elements read
+ */
+function sourceMatches(source, expected) {
+  const wanted = expectedText(expected);
+  if (!wanted) return true;
+  const lines = [source.description, ...source.dataElements.flatMap(traceLines)].map(line => line.toLowerCase());
+  const names = [];
+  const collect = trace => {
+    names.push(trace.name.toLowerCase());
+    trace.reads.forEach(collect);
+  };
+  source.dataElements.forEach(collect);
+  return names.includes(wanted) || lines.some(line => line.includes(wanted));
+}
+
+/**
+ * Reconcile an expected SDR with a parsed library
+ * `dependsOn` comes from the data element reference graph
+ * Returns { documented, notSet, undocumented, differentSource, missingFromRules, unknownRules, matching }
+ */
+export function reconcileSdr(entries, parsed, dependsOn = {}) {
+  const { variables = {}, rules = {}, dataElements = {} } = parsed;
+  const rows = buildSdr(parsed, dependsOn);
+  const setVariables = new Map(rows.map(row => [row.variable.toLowerCase(), row]));
+  const documented = new Map();
+  entries.forEach(entry => {
+    const key = entry.variable.toLowerCase();
+    if (!documented.has(key)) documented.set(key, entry);
+  });
+
+  // Documented rule names or IDs resolved against the library. A name can match several rules,
+  // since Launch does not require unique names; "global" means the extension configuration
+  const ruleList = Object.values(rules);
+  const resolveRule = reference => {
+    const text = reference.replace(/\s*\[[^\]]*\]$/, '').trim().toLowerCase();
+    const matched = ruleList.filter(item => item.id.toLowerCase() === text || (item.name || '').toLowerCase() === text);
+    if (matched.length > 0) return { rules: matched };
+    if (GLOBAL_REFERENCES.includes(text) || text.endsWith(' (global configuration)')) return { global: true };
+    return null;
+  };
+
+  const notSet = [];
+  const differentSource = [];
+  const missingFromRules = [];
+  const unknownRules = [];
+  const matching = [];
+
+  documented.forEach((entry, key) => {
+    const row = setVariables.get(key);
+    if (!row) {
+      const variable = Object.values(variables).find(item => item.name.toLowerCase() === key);
+      notSet.push({ ...entry, readOnly: Boolean(variable && variable.usages.length > 0) });
+      return;
+    }
+
+    const variable = ownEntry(variables, row.variable);
+    const sets = variable.usages.filter(usage => usage.access === 'set');
+    let clean = true;
+
+    if (entry.expectedSource) {
+      const sources = sets.map(usage => ({ usage, source: valueSource({ ...usage, kind: variable.kind }, { dataElements, dependsOn }) }));
+      const differing = sources.filter(({ source }) => !sourceMatches(source, entry.expectedSource));
+      if (differing.length > 0) {
+        clean = false;
+        differentSource.push({
+          ...entry,
+          variable: row.variable,
+          partly: differing.length < sources.length,
+          actual: differing.map(({ usage, source }) => ({ usage, source }))
+        });
+      }
+    }
+
+    const unknown = [];
+    const missing = [];
+    entry.rules.forEach(reference => {
+      const resolved = resolveRule(reference);
+      if (!resolved) {
+        unknown.push(reference);
+      } else if (variable.kind === 'event') {
+        const setThere = resolved.global ?
+          sets.some(usage => usage.source === 'global') :
+          sets.some(usage => resolved.rules.some(rule => rule.id === usage.ruleId));
+        if (!setThere) {
+          missing.push(...(resolved.global ? [{ global: true }] : resolved.rules.map(rule => ({ id: rule.id, name: rule.name }))));
+        }
+      }
+    });
+    if (missing.length > 0) {
+      clean = false;
+      missingFromRules.push({ ...entry, variable: row.variable, missing, setIn: row.setBy });
+    }
+    if (unknown.length > 0) unknownRules.push({ ...entry, variable: row.variable, references: unknown });
+    if (clean) matching.push(row.variable);
+  });
+
+  const undocumented = rows.filter(row => !documented.has(row.variable.toLowerCase()));
+
+  return { documented: documented.size, notSet, undocumented, differentSource, missingFromRules, unknownRules, matching };
+}
@@ -0,0 +1,412 @@
+/**
+ * Site crawler for Nightjar
+ * Crawls a site from a start page or sitemap.xml, within a depth and page budget and the
+ * rules of robots.txt, recording the Launch or DTM libraries each page loads. The report
+ * keeps the crawl settings so it can be run again and compared with the previous run
+ */
+
+import axios from 'axios';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { scanPageHtml, pageLinks } from './page-scanner.js';
+
+export const DEFAULT_CRAWL_DIR = path.join(os.homedir(), '.nightjar-mcp', 'crawls');
+
+export const USER_AGENT = 'NightjarCrawler';
+
+const REPORT_VERSION = 1;
+
+// Longest Crawl-delay honored, in seconds, so a crawl always finishes
+const MAX_CRAWL_DELAY = 10;
+
+const MAX_SITEMAPS = 10;
+
+// Links to files that are not pages
+const NON_PAGE_EXTENSION = /\.(?:pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|gz|mp4|mp3|webm|woff2?|ttf|docx?|xlsx?|pptx?|txt|csv)$/i;
+
+/**
+ * Fetch a URL as the crawler, without throwing on error statuses
+ * Returns { status, contentType, url, body } where url is the address after redirects
+ */
+export async function fetchPage(url) {
+  const response = await axios.get(url, {
+    responseType: 'text',
+    transformResponse: data => data,
+    timeout: 15000,
+    maxRedirects: 5,
+    headers: { 'User-Agent': USER_AGENT },
+    validateStatus: () => true
+  });
+  const redirected = response.request && response.request.res && response.request.res.responseUrl;
+  return {
+    status: response.status,
+    contentType: String(response.headers['content-type'] || ''),
+    url: redirected || url,
+    body: typeof response.data === 'string' ? response.data : String(response.data || '')
+  };
+}
+
+/**
+ * Read the rules of robots.txt that apply to a user agent: the groups naming it, else the * group
+ * Returns { rules: [{ allow, path }], crawlDelay, sitemaps }
+ */
+export function parseRobots(text, userAgent = USER_AGENT) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let inAgentLines = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const match = /^([A-Za-z-]+)\s*:\s*(.*)$/.exec(rawLine.replace(/#.*$/, '').trim());
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!inAgentLines) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      inAgentLines = true;
+      return;
+    }
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+      return;
+    }
+    inAgentLines = false;
+    if (!current) return;
+
+    if ((field === 'allow' || field === 'disallow') && value !== '') {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && Number(value) > 0) {
+      current.crawlDelay = Number(value);
+    }
+  });
+
+  const agent = userAgent.toLowerCase();
+  const named = groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const chosen = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+  const delays = chosen.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: chosen.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps
+  };
+}
+
+/**
+ * Check a path (with its query string) against robots.txt rules
+ * The longest matching rule wins and Allow wins a tie; * and a trailing $ are supported
+ */
+export function robotsAllows(robots, pathAndQuery) {
+  let best = null;
+  robots.rules.forEach(rule => {
+    const anchored = rule.path.endsWith('$');
+    const body = anchored ? rule.path.slice(0, -1) : rule.path;
+    const pattern = new RegExp(`^${body.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}${anchored ? '$' : ''}`);
+    if (!pattern.test(pathAndQuery)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+const decodeXml = text => text
+  .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&')
+  .trim();
+
+/**
+ * Read the page URLs and nested sitemaps listed in a sitemap or sitemap index
+ */
+export function parseSitemap(xml) {
+  const locations = tag => [...String(xml || '').matchAll(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<loc>([\\s\\S]*?)</loc>`, 'gi'))]
+    .map(match => decodeXml(match[1]));
+  return { pages: locations('url'), sitemaps: locations('sitemap') };
+}
+
+// www.example.com and example.com are the same site
+const siteHost = hostname => hostname.toLowerCase().replace(/^www\./, '');
+
+/**
+ * Crawl a site breadth first from a page or a sitemap.xml
+ * Options: maxDepth (links followed from the start pages), maxPages (pages fetched),
+ * fetch (replaces fetchPage), sleep and log
+ * Returns the report without library details; see summarizeCrawl
+ */
+export async function crawlSite(startUrl, options = {}) {
+  const {
+    maxDepth = 2,
+    maxPages = 50,
+    fetch = fetchPage,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    log = () => {}
+  } = options;
+
+  const start = new URL(startUrl);
+  if (start.protocol !== 'http:' && start.protocol !== 'https:') {
+    throw new Error(`Only http and https sites can be crawled, not ${start.protocol}`);
+  }
+  const site = siteHost(start.hostname);
+  const sameSite = url => {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'http:' || parsed.protocol === 'https:') && siteHost(parsed.hostname) === site;
+  };
+
+  // Each origin (www or not, http or https) has its own robots.txt, fetched once
+  // robots.txt that is missing or cannot be fetched allows everything
+  const robotsFiles = new Map();
+  const robotsFor = async origin => {
+    if (!robotsFiles.has(origin)) {
+      const url = `${origin}/robots.txt`;
+      let robots = { rules: [], crawlDelay: null, sitemaps: [] };
+      let status;
+      try {
+        const response = await fetch(url);
+        if (response.status >= 200 && response.status < 300) {
+          robots = parseRobots(response.body);
+          status = 'found';
+        } else {
+          status = `not found (HTTP ${response.status})`;
+        }
+      } catch (error) {
+        status = `could not be fetched (${error.message})`;
+      }
+      robotsFiles.set(origin, { url, status, robots });
+    }
+    return robotsFiles.get(origin).robots;
+  };
+  const startRobots = await robotsFor(start.origin);
+
+  const queue = [];
+  const seen = new Set();
+  const skipped = [];
+  const enqueue = async (url, depth) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return;
+    }
+    parsed.hash = '';
+    if (seen.has(parsed.href) || !sameSite(parsed.href) || NON_PAGE_EXTENSION.test(parsed.pathname)) return;
+    seen.add(parsed.href);
+    if (!robotsAllows(await robotsFor(parsed.origin), parsed.pathname + parsed.search)) {
+      skipped.push({ url: parsed.href, reason: 'disallowed by robots.txt' });
+      return;
+    }
+    queue.push({ url: parsed.href, depth });
+  };
+
+  // Each origin's Crawl-delay applies between requests to that origin
+  const fetchedOrigins = new Set();
+  const politeFetch = async url => {
+    const { origin } = new URL(url);
+    const delay = Math.min((await robotsFor(origin)).crawlDelay || 0, MAX_CRAWL_DELAY) * 1000;
+    if (fetchedOrigins.has(origin) && delay > 0) await sleep(delay);
+    fetchedOrigins.add(origin);
+    return fetch(url);
+  };
+
+  // A sitemap start lists the pages to begin from, following sitemap indexes
+  let sitemap = null;
+  if (/\.xml$/i.test(start.pathname)) {
+    sitemap = { url: start.href, sitemaps: 0, pages: 0, errors: [] };
+    const sitemapQueue = [start.href];
+    while (sitemapQueue.length > 0 && sitemap.sitemaps < MAX_SITEMAPS) {
+      const url = sitemapQueue.shift();
+      sitemap.sitemaps++;
+      try {
+        const response = await politeFetch(url);
+        if (response.status >= 400) throw new Error(`HTTP ${response.status}`);
+        const listed = parseSitemap(response.body);
+        listed.sitemaps.filter(sameSite).forEach(nested => sitemapQueue.push(nested));
+        for (const page of listed.pages) await enqueue(page, 0);
+        sitemap.pages += listed.pages.length;
+      } catch (error) {
+        sitemap.errors.push(`${url}: ${error.message}`);
+      }
+    }
+    log(`Sitemap listed ${sitemap.pages} pages`);
+  } else {
+    await enqueue(start.href, 0);
+  }
+
+  const pages = [];
+  while (queue.length > 0 && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    const page = { url, depth, status: null, libraries: [], error: null };
+    pages.push(page);
+    log(`Crawling ${url} (depth ${depth})`);
+
+    let response;
+    try {
+      response = await politeFetch(url);
+    } catch (error) {
+      page.error = error.message;
+      continue;
+    }
+    page.status = response.status;
+    if (response.url !== url) page.finalUrl = response.url;
+
+    if (response.status >= 400) {
+      page.error = `HTTP ${response.status}`;
+    } else if (!sameSite(response.url)) {
+      page.error = `redirected off the site to ${response.url}`;
+    } else if (!/html/i.test(response.contentType)) {
+      page.error = `not an HTML page (${response.contentType || 'no content type'})`;
+    }
+    if (page.error) continue;
+
+    // Each library once per page, with how many times it is loaded
+    const scan = scanPageHtml(response.body, response.url);
+    scan.libraries.forEach(library => {
+      const known = page.libraries.find(item => item.url === library.url);
+      if (known) {
+        known.loads++;
+      } else {
+        page.libraries.push({ url: library.url, type: library.type, stage: library.stage, loading: library.loading, loads: 1 });
+      }
+    });
+
+    if (depth < maxDepth) {
+      for (const link of pageLinks(response.body, response.url)) await enqueue(link, depth + 1);
+    }
+  }
+
+  return {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    options: { url: start.href, maxDepth, maxPages },
+    robots: { url: `${start.origin}/robots.txt`, status: robotsFiles.get(start.origin).status, rules: startRobots.rules.length, crawlDelay: startRobots.crawlDelay },
+    otherRobots: [...robotsFiles.values()].filter(file => !file.url.startsWith(`${start.origin}/`))
+      .map(file => ({ url: file.url, status: file.status, rules: file.robots.rules.length, crawlDelay: file.robots.crawlDelay })),
+    sitemap,
+    pages,
+    skipped,
+    unvisited: queue.length
+  };
+}
+
+/**
+ * Summarize a crawl: the libraries found with their property and environment, pages with
+ * no tag manager, pages that load several environments or properties, and the site-wide mix
+ * `libraries` maps library URLs to { propertyId, propertyName, stage } where they were identified
+ */
+export function summarizeCrawl(report, libraries = {}) {
+  const crawled = report.pages.filter(page => !page.error);
+
+  // A library's property is the one it was parsed as, else its URL without the environment
+  const describe = library => {
+    const known = libraries[library.url] || {};
+    return {
+      stage: known.stage || library.stage,
+      property: known.propertyId || known.propertyName || library.url.replace(/-(?:development|staging)(?=(?:\.min)?\.js)/, ''),
+      propertyName: known.propertyName || null
+    };
+  };
+
+  const libraryPages = {};
+  const environments = {};
+  const properties = {};
+  const noTagManager = [];
+  const mixedEnvironments = [];
+  const mixedProperties = [];
+
+  crawled.forEach(page => {
+    if (page.libraries.length === 0) {
+      noTagManager.push(page.url);
+      return;
+    }
+    const described = page.libraries.map(describe);
+    page.libraries.forEach((library, index) => {
+      libraryPages[library.url] = libraryPages[library.url] || { ...library, ...described[index], pages: 0 };
+      libraryPages[library.url].pages++;
+    });
+
+    const stages = [...new Set(described.map(item => item.stage))];
+    const pageProperties = [...new Set(described.map(item => item.property))];
+    stages.forEach(stage => { (environments[stage] = environments[stage] || []).push(page.url); });
+    pageProperties.forEach(property => {
+      properties[property] = properties[property] || { name: described.find(item => item.property === property).propertyName, pages: [] };
+      properties[property].pages.push(page.url);
+    });
+    if (stages.length > 1) mixedEnvironments.push({ url: page.url, stages });
+    if (pageProperties.length > 1) mixedProperties.push({ url: page.url, properties: pageProperties });
+  });
+
+  return {
+    pages: report.pages.length,
+    crawled: crawled.length,
+    failed: report.pages.length - crawled.length,
+    libraries: Object.values(libraryPages).sort((a, b) => b.pages - a.pages),
+    noTagManager,
+    mixedEnvironments,
+    mixedProperties,
+    environments,
+    properties
+  };
+}
+
+/**
+ * Compare a crawl with an earlier run of the same crawl, page by page
+ * Returns { added, removed, changed: [{ url, before, after }] } where before and after list library URLs
+ */
+export function diffCrawls(previous, current) {
+  const byUrl = report => new Map(report.pages.map(page => [page.url, page]));
+  const before = byUrl(previous);
+  const after = byUrl(current);
+  const libraryList = page => (page.error ? [`(${page.error})`] : page.libraries.map(library => library.url).sort());
+
+  const changed = [];
+  after.forEach((page, url) => {
+    const old = before.get(url);
+    if (!old) return;
+    const was = libraryList(old);
+    const now = libraryList(page);
+    if (was.join('\n') !== now.join('\n')) changed.push({ url, before: was, after: now });
+  });
+
+  return {
+    added: [...after.keys()].filter(url => !before.has(url)),
+    removed: [...before.keys()].filter(url => !after.has(url)),
+    changed
+  };
+}
+
+/**
+ * Save a crawl report as JSON, by default in `directory` under the site host and time
+ * Returns the path written
+ */
+export async function saveCrawlReport(report, { directory = DEFAULT_CRAWL_DIR, filePath = null } = {}) {
+  const target = filePath || path.join(directory, `${new URL(report.options.url).hostname}-${report.generatedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}.json`);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, JSON.stringify(report, null, 2), 'utf8');
+  return target;
+}
+
+/**
+ * Read a saved crawl report from a path, or by file name from `directory`
+ */
+export async function loadCrawlReport(reference, directory = DEFAULT_CRAWL_DIR) {
+  const candidates = [reference, path.join(directory, reference), path.join(directory, `${reference}.json`)];
+  for (const candidate of candidates) {
+    let text;
+    try {
+      text = await fs.readFile(candidate, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    const report = JSON.parse(text);
+    if (!report.options || !Array.isArray(report.pages)) {
+      throw new Error(`${candidate} is not a crawl report`);
+    }
+    return { report, path: candidate };
+  }
+  throw new Error(`Crawl report '${reference}' not found (looked in ${directory})`);
+}
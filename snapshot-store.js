@@ -0,0 +1,145 @@
+/**
+ * Snapshot store for Nightjar
+ * Keeps a local history of parsed libraries, keyed by embed URL and build date.
+ * Each snapshot is the library source as fetched plus any external custom code,
+ * so loading one re-runs the parser rather than trusting stale analysis
+ */
+
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import os from 'os';
+import path from 'path';
+
+export const DEFAULT_SNAPSHOT_DIR = path.join(os.homedir(), '.nightjar-mcp', 'snapshots');
+
+/**
+ * Short stable key for an embed URL
+ */
+export function libraryKey(embedUrl) {
+  return createHash('sha1').update(String(embedUrl)).digest('hex').substring(0, 10);
+}
+
+/**
+ * Build a snapshot ID from the library key and the build date, e.g. 3f2a9c01de-20240312T150405Z
+ */
+export function snapshotId(embedUrl, buildDate) {
+  const date = new Date(buildDate);
+  const stamp = isNaN(date.getTime()) ?
+    String(buildDate || 'unknown').replace(/[^0-9A-Za-z]/g, '') :
+    date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${libraryKey(embedUrl)}-${stamp}`;
+}
+
+export class SnapshotStore {
+  constructor(directory = DEFAULT_SNAPSHOT_DIR) {
+    this.directory = directory;
+  }
+
+  /**
+   * Paths of a snapshot's metadata and library source files
+   */
+  paths(id) {
+    if (!/^[0-9a-f]{10}-[0-9A-Za-z]+$/.test(id)) {
+      throw new Error(`Invalid snapshot ID: ${id}`);
+    }
+    return {
+      meta: path.join(this.directory, `${id}.json`),
+      source: path.join(this.directory, `${id}.js`)
+    };
+  }
+
+  /**
+   * Save a parsed library unless a snapshot of the same build already exists
+   * Libraries without a build date are keyed by a hash of their source, so parsing
+   * the same content again does not save another copy
+   * Returns { id, saved }
+   */
+  async save(parsedData, source) {
+    const buildDate = (parsedData.buildInfo && parsedData.buildInfo.buildDate) || null;
+    const savedAt = new Date().toISOString();
+    const id = snapshotId(parsedData.embedUrl, buildDate || createHash('sha1').update(source).digest('hex').substring(0, 12));
+    const files = this.paths(id);
+
+    // External custom code is stored with the library so it is not fetched again
+    const externalCode = {};
+    Object.values(parsedData.rules).forEach(rule => {
+      ['events', 'conditions', 'actions'].forEach(kind => {
+        rule[kind].forEach(component => {
+          if (component.codeUrl && component.codeFetched) externalCode[component.codeUrl] = component.code;
+        });
+      });
+    });
+
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const existing = await this.read(id).catch(() => null);
+    if (existing && Object.keys(externalCode).every(url => existing.externalCode[url] !== undefined)) {
+      return { id, saved: false };
+    }
+
+    const meta = {
+      id,
+      embedUrl: parsedData.embedUrl,
+      buildDate,
+      savedAt: existing ? existing.savedAt : savedAt,
+      propertyName: (parsedData.property && parsedData.property.name) || null,
+      environment: (parsedData.environment && parsedData.environment.stage) || null,
+      turbineVersion: (parsedData.buildInfo && parsedData.buildInfo.turbineVersion) || null,
+      ruleCount: Object.keys(parsedData.rules).length,
+      dataElementCount: Object.keys(parsedData.dataElements).length,
+      externalCode: { ...(existing ? existing.externalCode : {}), ...externalCode }
+    };
+
+    await fs.writeFile(files.source, source, 'utf8');
+    await fs.writeFile(files.meta, JSON.stringify(meta, null, 2), 'utf8');
+    return { id, saved: true };
+  }
+
+  /**
+   * Read a snapshot's metadata
+   */
+  async read(id) {
+    return JSON.parse(await fs.readFile(this.paths(id).meta, 'utf8'));
+  }
+
+  /**
+   * Read a snapshot's metadata and library source
+   */
+  async load(id) {
+    let meta;
+    try {
+      meta = await this.read(id);
+    } catch (e) {
+      throw new Error(`Snapshot '${id}' not found in ${this.directory}`);
+    }
+    const source = await fs.readFile(this.paths(id).source, 'utf8');
+    return { meta, source };
+  }
+
+  /**
+   * List snapshots, newest build first, optionally only those of one embed URL
+   */
+  async list(embedUrl = null) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (e) {
+      return [];
+    }
+
+    const prefix = embedUrl ? `${libraryKey(embedUrl)}-` : '';
+    const snapshots = [];
+    for (const file of files) {
+      if (!file.endsWith('.json') || !file.startsWith(prefix)) continue;
+      try {
+        const { externalCode, ...meta } = await this.read(file.replace(/\.json$/, ''));
+        snapshots.push({ ...meta, externalCodeFiles: Object.keys(externalCode || {}).length });
+      } catch (e) {
+        // Skip files that are not snapshots
+      }
+    }
+
+    const sortDate = snapshot => snapshot.buildDate || snapshot.savedAt || '';
+    return snapshots.sort((a, b) => sortDate(b).localeCompare(sortDate(a)));
+  }
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Adobe Analytics extension configuration
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { decodeAnalyticsConfig, firstParameterName, addGlobalVariableUsages } from './analytics-config.js';
+import { NightjarClient } from './nightjar-client.js';
+
+// The sample property's Analytics extension with a full configuration and custom page code
+function analyticsExtension() {
+  const container = sampleContainer();
+  const extension = container.extensions['adobe-analytics'];
+  extension.settings = {
+    orgId: 'ACME01@AdobeOrg',
+    libraryCode: {
+      type: 'managed',
+      trackerVariableName: 'acmeTracker',
+      scopeTrackerGlobally: true,
+      accounts: { production: ['acmeprod', 'acmeglobal'], staging: ['acmedev'] }
+    },
+    trackerProperties: {
+      trackingServer: 'acme.sc.omtrdc.net',
+      currencyCode: 'EUR',
+      trackDownloadLinks: true,
+      linkInternalFilters: ['acme.example'],
+      eVars: [{ name: 'eVar1', type: 'value', value: '%Page Type%' }],
+      props: [{ name: 'prop1', type: 'alias', value: 'eVar1' }]
+    },
+    customSetup: {
+      loadPhase: 'afterSettings',
+      source: { __function: 'function(tracker){tracker.eVar3="setup";tracker.linkTrackVars="eVar3";s.prop4="x";}' }
+    }
+  };
+  return container;
+}
+
+async function runTests() {
+  console.log('Testing the Analytics configuration...\n');
+
+  await check('firstParameterName reads the tracker parameter of custom page code', () => {
+    assert.strictEqual(firstParameterName('function(tracker){}'), 'tracker');
+    assert.strictEqual(firstParameterName('function setup ( t , u ) {}'), 't');
+    assert.strictEqual(firstParameterName('(s) => {}'), 's');
+    assert.strictEqual(firstParameterName('async x => x'), 'x');
+    assert.strictEqual(firstParameterName('s.eVar1="a";'), null);
+  });
+
+  await check('decodeAnalyticsConfig reads report suites, library, general and link tracking settings', () => {
+    const config = decodeAnalyticsConfig(analyticsExtension().extensions);
+    assert.deepStrictEqual(config.reportSuites, { production: ['acmeprod', 'acmeglobal'], staging: ['acmedev'], development: [] });
+    assert.deepStrictEqual(config.library, { type: 'managed', trackerVariableName: 'acmeTracker', scopeTrackerGlobally: true, httpUrl: null, httpsUrl: null });
+    assert.deepStrictEqual(config.general, { currencyCode: 'EUR', trackingServer: 'acme.sc.omtrdc.net' });
+    assert.deepStrictEqual(config.linkTracking, { trackDownloadLinks: true, linkInternalFilters: ['acme.example'] });
+    assert.deepStrictEqual(config.globalVariables.map(hit => `${hit.access} ${hit.variable} ${hit.value}`), [
+      'set eVar1 %Page Type%',
+      'set prop1 D=eVar1',
+      'read eVar1 null',
+      'set currencyCode EUR'
+    ]);
+    assert.strictEqual(decodeAnalyticsConfig({ core: {} }), null);
+  });
+
+  await check('Custom page code variables are found through its tracker parameter', () => {
+    const { customCode } = decodeAnalyticsConfig(analyticsExtension().extensions);
+    assert.strictEqual(customCode.trackerName, 'tracker');
+    assert.strictEqual(customCode.loadPhase, 'afterSettings');
+    assert.deepStrictEqual(customCode.variables.filter(hit => hit.access === 'set').map(hit => hit.variable), ['eVar3', 'linkTrackVars', 'prop4']);
+  });
+
+  await check('Global variables and custom page code are added as usages from the extension configuration', () => {
+    const variables = addGlobalVariableUsages({}, decodeAnalyticsConfig(analyticsExtension().extensions));
+    assert.deepStrictEqual(variables.eVar1.usages.map(usage => [usage.access, usage.source, usage.location]), [['set', 'global', 'Global Variables'], ['read', 'global', 'Global Variables']]);
+    assert.deepStrictEqual(variables.prop4.usages.map(usage => [usage.access, usage.location]), [['set', 'Custom Page Code (afterSettings)']]);
+    assert.deepStrictEqual(addGlobalVariableUsages({}, null), {});
+  });
+
+  await check('getAnalyticsConfig reports the configuration, or that the extension is missing', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary(analyticsExtension()));
+    const text = await nightjar.getAnalyticsConfig();
+    assert.ok(text.startsWith('Adobe Analytics Configuration\n\nReport Suites:\n  Production: acmeprod, acmeglobal\n  Staging: acmedev\n  Development: None'));
+    assert.ok(text.includes('  Tracker Variable Name: acmeTracker\n  Scope Tracker Globally: Yes'));
+    assert.ok(text.includes('  eVar1 = "%Page Type%"'));
+    assert.ok(text.includes('Custom Page Code: Yes, runs after the extension settings are applied'));
+
+    const container = sampleContainer();
+    delete container.extensions['adobe-analytics'];
+    await nightjar.parseEmbed(launchLibrary(container));
+    assert.strictEqual(await nightjar.getAnalyticsConfig(), 'The Adobe Analytics extension is not installed in this library.');
+  });
+
+  finish('Analytics configuration');
+}
+
+runTests();
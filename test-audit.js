@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the implementation audit
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { runAudit, resolveAuditConfig } from './audit.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const container = sampleContainer();
+container.rules.push(
+  {
+    id: 'RLfooter',
+    name: 'Footer Links',
+    events: [{ modulePath: 'core/src/lib/events/pageBottom.js', settings: {} }],
+    conditions: [],
+    actions: [{ modulePath: 'core/src/lib/actions/customCode.js', settings: { source: 'console.log("footer");$(".footer a").on("click",function(){s.tl(this,"o","footer")});' } }]
+  },
+  {
+    id: 'RLview',
+    name: 'Second Page View',
+    events: [{ modulePath: 'core/src/lib/events/domReady.js', settings: {} }],
+    conditions: [],
+    actions: [{ modulePath: 'adobe-analytics/src/lib/actions/sendBeacon.js', settings: { type: 'page' } }]
+  },
+  { id: 'RLctor', name: 'constructor', events: [{ modulePath: 'core/src/lib/events/click.js', settings: {} }], conditions: [], actions: [] }
+);
+
+// Findings as "check rule-or-data-element-ID severity" strings
+const summary = findings => findings.map(finding => `${finding.check} ${finding.targets.map(target => target.id).join('+')} ${finding.severity}`);
+
+async function runTests() {
+  console.log('Testing the implementation audit...\n');
+
+  const nightjar = new NightjarClient();
+  const library = await nightjar.parseEmbed(launchLibrary(container));
+
+  await check('The default checks report findings sorted by severity, then check order', () => {
+    const { findings, deployment } = runAudit(library);
+    assert.strictEqual(deployment, 'unknown');
+    assert.deepStrictEqual(summary(findings), [
+      'unconditional-beacon RLpage high',
+      'unconditional-beacon RLfooter high',
+      'unconditional-beacon RLview high',
+      'sync-only-event RLfooter high',
+      'link-track-vars RLfooter medium',
+      'debug-code RLfooter medium',
+      'jquery-dependence RLfooter medium',
+      'empty-rule RLdraft medium',
+      'empty-rule RLctor medium',
+      'duplicate-rule-name RLcart+RLquick low',
+      'data-element-default Page Name low',
+      'data-element-default Page Type low',
+      'data-element-default Campaign low',
+      'data-element-default Login Email low'
+    ]);
+  });
+
+  await check('Page Bottom events keep the configured severity and explain the unknown deployment', () => {
+    const finding = deployment => runAudit(library, { deployment }).findings.find(item => item.check === 'sync-only-event');
+    assert.strictEqual(finding(undefined).severity, 'high');
+    assert.ok(finding(undefined).message.includes('The deployment is not set, so this is only a problem if the library loads asynchronously'));
+    assert.ok(finding('async').message.includes('fires at the same time as Library Loaded'));
+    assert.strictEqual(finding('sync'), undefined);
+    const configured = runAudit(library, { checks: { 'sync-only-event': { severity: 'medium' } } }).findings.find(item => item.check === 'sync-only-event');
+    assert.strictEqual(configured.severity, 'medium');
+  });
+
+  await check('A config turns checks off, changes severities and sets options', () => {
+    const { findings, checks } = runAudit(library, {
+      checks: {
+        'data-element-default': { enabled: false },
+        'unconditional-beacon': { maxRules: 3 },
+        'rule-naming': { pattern: '^[A-Z]', severity: 'info' }
+      }
+    });
+    assert.ok(!findings.some(finding => finding.check === 'data-element-default' || finding.check === 'unconditional-beacon'));
+    assert.deepStrictEqual(summary(findings.filter(finding => finding.check === 'rule-naming')), ['rule-naming RLctor info']);
+    assert.strictEqual(checks.find(item => item.id === 'data-element-default').enabled, false);
+  });
+
+  await check('Invalid configs are reported', () => {
+    assert.throws(() => resolveAuditConfig({ checks: { 'no-such-check': {} } }), /Unknown audit check 'no-such-check'/);
+    assert.throws(() => resolveAuditConfig({ checks: { 'empty-rule': { severity: 'urgent' } } }), /Invalid severity 'urgent' for check 'empty-rule'/);
+    assert.throws(() => resolveAuditConfig({ checks: { 'rule-naming': { pattern: '(' } } }), /Invalid pattern for check 'rule-naming'/);
+    assert.throws(() => resolveAuditConfig({ deployment: 'deferred' }), /Invalid deployment 'deferred'/);
+  });
+
+  await check('auditImplementation reads a config file and leaves out findings below the minimum severity', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nightjar-audit-'));
+    try {
+      const configPath = path.join(directory, 'audit.json');
+      await fs.writeFile(configPath, JSON.stringify({ deployment: 'async', checks: { 'debug-code': { severity: 'high' } } }), 'utf8');
+      const text = await nightjar.auditImplementation({ configPath, minSeverity: 'high' });
+      assert.ok(text.includes(`Config: ${configPath}\nDeployment: async`));
+      assert.ok(text.includes('Findings: 5 high, 4 medium, 5 low, 0 info (showing high and above)'));
+      assert.ok(text.includes('- [debug-code] Rule "Footer Links" (RLfooter): console.log() in action 1 (Custom Code)'));
+      assert.ok(!text.includes('MEDIUM:'));
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  finish('audit');
+}
+
+runTests();
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for parsing the `_satellite.container` object literal
+ * Runs without network access against libraries written in the test
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { parseContainer, isFunctionValue, functionSource, isExpressionValue } from './container-parser.js';
+import { buildRules } from './launch-model.js';
+import { buildDataElements } from './data-elements.js';
+
+const wrap = literal => `!function(){window._satellite=window._satellite||{};window._satellite.container=${literal};var turbine={};}();`;
+
+async function runTests() {
+  console.log('Testing the container parser...\n');
+
+  await check('A whole container parses into plain data with its functions kept as source', () => {
+    const { container, parseInfo } = parseContainer(launchLibrary());
+    assert.strictEqual(parseInfo.method, 'ast');
+    assert.deepStrictEqual(parseInfo.fallbacks, []);
+    assert.deepStrictEqual(Object.keys(container), Object.keys(sampleContainer()));
+    assert.strictEqual(container.property.name, 'Acme Retail');
+    const code = container.rules[1].actions[0].settings.source;
+    assert.ok(isFunctionValue(code));
+    assert.ok(functionSource(code).startsWith('function(event,target){'));
+  });
+
+  await check('Literals are decoded without running code; other expressions are kept as source', () => {
+    const { container, parseInfo } = parseContainer(wrap('{buildInfo:{minified:!0,debug:!1,count:-2,none:void 0,text:`plain`,pattern:/a+b/i,computed:a.b+1,"quoted key":1},rules:[]}'));
+    const { buildInfo } = container;
+    assert.deepStrictEqual([buildInfo.minified, buildInfo.debug, buildInfo.count, buildInfo.none, buildInfo.text, buildInfo['quoted key']], [true, false, -2, null, 'plain', 1]);
+    assert.ok(isExpressionValue(buildInfo.pattern) && isExpressionValue(buildInfo.computed));
+    assert.strictEqual(buildInfo.computed.__expression, 'a.b+1');
+    assert.strictEqual(parseInfo.warnings.length, 1);
+  });
+
+  await check('A "__proto__" key is data and does not change the decoded object\'s prototype', () => {
+    const { container } = parseContainer(wrap('{dataElements:{"__proto__":{modulePath:"core/src/lib/dataElements/constant.js",settings:{polluted:true}}},rules:[]}'));
+    assert.strictEqual(Object.getPrototypeOf(container.dataElements), Object.prototype);
+    assert.deepStrictEqual(Object.keys(container.dataElements), ['__proto__']);
+    assert.strictEqual(container.dataElements.polluted, undefined);
+    assert.strictEqual(({}).polluted, undefined);
+  });
+
+  await check('Rules and data elements keyed "__proto__" stay entries of the model', () => {
+    const { container } = parseContainer(wrap('{dataElements:{"__proto__":{modulePath:"core/src/lib/dataElements/constant.js",settings:{value:"x"}}},rules:[{id:"__proto__",name:"Odd"}]}'));
+    assert.deepStrictEqual(Object.keys(buildDataElements(container)), ['__proto__']);
+    const rules = buildRules(container);
+    assert.deepStrictEqual(Object.keys(rules), ['__proto__']);
+    assert.strictEqual(Object.getPrototypeOf(rules), Object.prototype);
+  });
+
+  await check('When the container does not parse, each section is parsed on its own', () => {
+    const { container, parseInfo } = parseContainer(wrap('{buildInfo:{buildDate:"2024-01-01"},dataElements:{Broken:{settings:{source:function(){return 1+;}}}},property:{name:"Acme"},rules:[{id:"RL1",name:"One",events:[],actions:[]}]}'));
+    assert.strictEqual(parseInfo.method, 'sections');
+    assert.deepStrictEqual(Object.keys(container), ['buildInfo', 'property', 'rules']);
+    assert.deepStrictEqual(parseInfo.fallbacks.map(fallback => [fallback.section, fallback.method]), [
+      ['buildInfo', 'section'], ['environment', 'missing'], ['dataElements', 'missing'], ['extensions', 'missing'],
+      ['company', 'missing'], ['property', 'section'], ['rules', 'section']
+    ]);
+  });
+
+  await check('Section fallback ignores keys of the same name nested in extension settings or data elements', () => {
+    const { container, parseInfo } = parseContainer(wrap([
+      '{extensions:{"acme-tags":{settings:{rules:[{id:"nested"}],property:{name:"Nested"}}}},',
+      'dataElements:{Broken:{settings:{source:function(){return 1+;}}}},',
+      'property:{name:"Acme"},',
+      'rules:[{id:"RL1",name:"Top"}]}'
+    ].join('')));
+    assert.strictEqual(parseInfo.method, 'sections');
+    assert.deepStrictEqual(container.rules.map(rule => rule.id), ['RL1']);
+    assert.strictEqual(container.property.name, 'Acme');
+  });
+
+  await check('Rule IDs and names are salvaged by pattern when the rules section does not parse', () => {
+    const { container, parseInfo } = parseContainer(wrap('{property:{name:"Acme"},rules:[{id:"RL1",name:"First",events:[]},{id:"RL2",name:"Second \\"quoted\\"",actions:[function(){return 1+;}]}]}'));
+    assert.deepStrictEqual(container.rules.map(rule => [rule.id, rule.name, rule.partial]), [['RL1', 'First', true], ['RL2', 'Second \\"quoted\\"', true]]);
+    const rules = parseInfo.fallbacks.find(fallback => fallback.section === 'rules');
+    assert.strictEqual(rules.method, 'pattern');
+    assert.ok(rules.reason.includes('recovered 2 rule IDs and names only'));
+  });
+
+  await check('A library without a container is an error', () => {
+    assert.throws(() => parseContainer('var x = 1;'), /Could not find container configuration/);
+  });
+
+  finish('container parser');
+}
+
+runTests();
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the site crawler
+ * Runs without network access: robots.txt, sitemap and link parsing are checked directly,
+ * and crawls run against a fixture site served from this process on localhost
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { parseRobots, robotsAllows, parseSitemap, crawlSite } from './site-crawler.js';
+import { pageLinks } from './page-scanner.js';
+import { NightjarClient } from './nightjar-client.js';
+
+// A small Launch library; the property tells the two copies apart
+const library = (stage, property) => `window._satellite=window._satellite||{},window._satellite.container={buildInfo:{buildDate:"2024-01-01T00:00:00Z"},environment:{id:"EN${stage}",stage:"${stage}"},property:{id:"PR${property.replace(/\W/g, '')}",name:"${property}",settings:{}},dataElements:{},extensions:{},rules:[]};`;
+
+const page = (scripts, links) => `<html><head>${scripts.map(src => `<script src="${src}" async></script>`).join('')}</head><body>${links}</body></html>`;
+
+function fixtureSite() {
+  const files = {
+    '/robots.txt': ['text/plain', 'User-agent: *\nDisallow: /private/\nAllow: /private/open.html\n'],
+    '/sitemap.xml': ['application/xml', '<?xml version="1.0"?><urlset><url><loc>BASE/</loc></url><url><loc>BASE/blog.html</loc></url></urlset>'],
+    '/': ['text/html', page(['/launch-ENprod.min.js'], '<a href="/about.html">About</a> <a href="/shop.html#top">Shop</a> <a href="/private/admin.html">Admin</a> <a href="/private/open.html">Open</a> <a href="https://elsewhere.example/">Out</a> <a href="/guide.pdf">PDF</a>')],
+    '/about.html': ['text/html', page([], '<a href="/">Home</a> <a href="/blog.html">Blog</a> <a href="/hidden.html" rel="nofollow">Hidden</a>')],
+    '/shop.html': ['text/html', page(['/launch-ENprod.min.js', '/launch-ENdev-development.min.js'], '<a href="/missing.html">Missing</a>')],
+    '/blog.html': ['text/html', page(['/launch-ENblog.min.js'], '')],
+    '/private/open.html': ['text/html', page(['/launch-ENprod.min.js'], '')],
+    '/launch-ENprod.min.js': ['application/javascript', library('production', 'Main Site')],
+    '/launch-ENdev-development.min.js': ['application/javascript', library('development', 'Main Site')],
+    '/launch-ENblog.min.js': ['application/javascript', library('production', 'Blog')]
+  };
+
+  return new Promise(resolve => {
+    const server = http.createServer((request, response) => {
+      const file = files[request.url];
+      if (!file) {
+        response.writeHead(404, { 'content-type': 'text/html' });
+        response.end('Not found');
+        return;
+      }
+      response.writeHead(200, { 'content-type': file[0] });
+      response.end(file[1].replaceAll('BASE', `http://localhost:${server.address().port}`));
+    });
+    server.listen(0, () => resolve({ server, base: `http://localhost:${server.address().port}` }));
+  });
+}
+
+async function runTests() {
+  console.log('Testing the site crawler...\n');
+
+  await check('parseRobots reads the group for the crawler, crawl delay and sitemaps', () => {
+    const robots = parseRobots([
+      'User-agent: OtherBot',
+      'Disallow: /',
+      '',
+      'User-agent: *',
+      'Disallow: /private/',
+      'Allow: /private/open',
+      'Crawl-delay: 2',
+      '# a comment',
+      'Sitemap: https://example.com/sitemap.xml'
+    ].join('\n'));
+    assert.deepStrictEqual(robots.rules, [{ allow: false, path: '/private/' }, { allow: true, path: '/private/open' }]);
+    assert.strictEqual(robots.crawlDelay, 2);
+    assert.deepStrictEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+  });
+
+  await check('robotsAllows picks the longest match, with wildcards and end anchors', () => {
+    const robots = parseRobots('User-agent: *\nDisallow: /shop/\nAllow: /shop/public\nDisallow: /*.json$\nDisallow: /search?');
+    assert.strictEqual(robotsAllows(robots, '/'), true);
+    assert.strictEqual(robotsAllows(robots, '/shop/cart'), false);
+    assert.strictEqual(robotsAllows(robots, '/shop/public/item'), true);
+    assert.strictEqual(robotsAllows(robots, '/data.json'), false);
+    assert.strictEqual(robotsAllows(robots, '/data.json?x=1'), true);
+    assert.strictEqual(robotsAllows(robots, '/search?q=shoes'), false);
+  });
+
+  await check('parseSitemap lists pages and nested sitemaps', () => {
+    const pages = parseSitemap('<urlset><url><loc> https://example.com/a </loc></url><url><loc>https://example.com/b?x=1&amp;y=2</loc></url></urlset>');
+    assert.deepStrictEqual(pages.pages, ['https://example.com/a', 'https://example.com/b?x=1&y=2']);
+    const index = parseSitemap('<sitemapindex><sitemap><loc>https://example.com/s1.xml</loc></sitemap></sitemapindex>');
+    assert.deepStrictEqual(index, { pages: [], sitemaps: ['https://example.com/s1.xml'] });
+  });
+
+  await check('pageLinks resolves links against <base> and skips nofollow, other schemes and fragments', () => {
+    const html = '<base href="https://example.com/dir/"><a href="a.html#x">A</a><a href="a.html">Again</a><a href="mailto:x@example.com">Mail</a><a href="/b.html" rel="nofollow">B</a><area href="c.html">';
+    assert.deepStrictEqual(pageLinks(html, 'https://example.com/'), ['https://example.com/dir/a.html', 'https://example.com/dir/c.html']);
+    assert.deepStrictEqual(pageLinks('<meta name="robots" content="noindex, nofollow"><a href="/a">A</a>', 'https://example.com/'), []);
+  });
+
+  const { server, base } = await fixtureSite();
+  try {
+    await check('crawlSite follows same-site links within the depth and obeys robots.txt', async () => {
+      const report = await crawlSite(`${base}/`, { maxDepth: 2, maxPages: 20 });
+      const urls = report.pages.map(item => item.url);
+      assert.deepStrictEqual(urls.sort(), [`${base}/`, `${base}/about.html`, `${base}/blog.html`, `${base}/missing.html`, `${base}/private/open.html`, `${base}/shop.html`].sort());
+      assert.deepStrictEqual(report.skipped.map(item => item.url), [`${base}/private/admin.html`]);
+      assert.strictEqual(report.robots.status, 'found');
+      assert.strictEqual(report.pages.find(item => item.url === `${base}/missing.html`).error, 'HTTP 404');
+      assert.deepStrictEqual(report.pages.find(item => item.url === `${base}/shop.html`).libraries.map(item => item.stage), ['production', 'development']);
+    });
+
+    await check('crawlSite starts from a sitemap and stops at the page budget', async () => {
+      const fromSitemap = await crawlSite(`${base}/sitemap.xml`, { maxDepth: 0 });
+      assert.deepStrictEqual(fromSitemap.pages.map(item => item.url), [`${base}/`, `${base}/blog.html`]);
+      assert.strictEqual(fromSitemap.sitemap.pages, 2);
+
+      const limited = await crawlSite(`${base}/`, { maxPages: 2 });
+      assert.strictEqual(limited.pages.length, 2);
+      assert.ok(limited.unvisited > 0);
+    });
+
+    await check('NightjarClient.crawlSite parses libraries served from localhost and flags mixed environments and properties', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nightjar-crawl-'));
+      try {
+        const nightjar = new NightjarClient();
+        nightjar.setCrawlDir(directory);
+        const text = await nightjar.crawlSite({ url: `${base}/`, maxDepth: 2 });
+        assert.ok(!text.includes('Could not be parsed'), 'a library could not be parsed');
+        assert.ok(text.includes('property Main Site (PRMainSite)'));
+        assert.ok(text.includes(`Pages loading more than one environment (1):\n  - ${base}/shop.html: production, development`));
+        assert.ok(text.includes('Properties across the site: Main Site (3 pages), Blog (1 page) - mixed'));
+        assert.ok(text.includes(`Pages with no tag manager (1):\n  - ${base}/about.html`));
+
+        const rerun = await nightjar.crawlSite({ rerun: (await fs.readdir(directory))[0] });
+        assert.ok(rerun.includes('Changes since the previous run'));
+        assert.ok(rerun.includes('0 new, 0 no longer reached, 0 changed'));
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+  } finally {
+    server.close();
+  }
+
+  await check('crawlSite checks the robots.txt of each origin it crawls', async () => {
+    const responses = {
+      'https://example.com/robots.txt': 'User-agent: *\nDisallow: /a-only/',
+      'https://www.example.com/robots.txt': 'User-agent: *\nDisallow: /www-only/',
+      'https://example.com/': '<a href="https://www.example.com/www-only/page.html">W</a><a href="https://www.example.com/a-only/page.html">A</a>',
+      'https://www.example.com/a-only/page.html': '<p>Allowed on www</p>'
+    };
+    const fetch = async url => (responses[url] === undefined ?
+      { status: 404, contentType: 'text/html', url, body: '' } :
+      { status: 200, contentType: url.endsWith('.txt') ? 'text/plain' : 'text/html', url, body: responses[url] });
+    const report = await crawlSite('https://example.com/', { fetch });
+    assert.deepStrictEqual(report.skipped.map(item => item.url), ['https://www.example.com/www-only/page.html']);
+    assert.deepStrictEqual(report.pages.map(item => item.url), ['https://example.com/', 'https://www.example.com/a-only/page.html']);
+    assert.deepStrictEqual(report.otherRobots.map(item => item.url), ['https://www.example.com/robots.txt']);
+  });
+
+  await check('crawlSite applies the Crawl-delay of each origin between requests to that origin', async () => {
+    const responses = {
+      'https://example.com/robots.txt': 'User-agent: *\nCrawl-delay: 1',
+      'https://www.example.com/robots.txt': 'User-agent: *\nCrawl-delay: 3',
+      'https://example.com/': '<a href="/b.html">B</a><a href="https://www.example.com/x.html">X</a><a href="https://www.example.com/y.html">Y</a>',
+      'https://example.com/b.html': '<p>B</p>',
+      'https://www.example.com/x.html': '<p>X</p>',
+      'https://www.example.com/y.html': '<p>Y</p>'
+    };
+    const fetch = async url => ({ status: 200, contentType: url.endsWith('.txt') ? 'text/plain' : 'text/html', url, body: responses[url] });
+    const sleeps = [];
+    const report = await crawlSite('https://example.com/', { fetch, sleep: async ms => { sleeps.push(ms); } });
+    assert.strictEqual(report.pages.length, 4);
+    assert.deepStrictEqual(sleeps, [1000, 3000]);
+    assert.strictEqual(report.robots.crawlDelay, 1);
+    assert.deepStrictEqual(report.otherRobots.map(item => item.crawlDelay), [3]);
+  });
+
+  finish('crawler');
+}
+
+runTests();
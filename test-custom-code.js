@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for external custom code
+ * Runs without network access: custom code files are served from this process on localhost
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { unwrapRegisteredScript, mapWithConcurrency, externalCodeComponents, fetchComponentCode } from './custom-code.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const CUSTOM_CODE = 'core/src/lib/actions/customCode.js';
+
+const registered = code => `_satellite.__registerScript('https://assets.adobedtm.com/acme/RCfooter-source.min.js',${JSON.stringify(code)});`;
+
+const footerRule = {
+  id: 'RLfooter',
+  name: 'Footer Links',
+  events: [{ modulePath: 'core/src/lib/events/click.js', settings: { elementSelector: 'footer a' } }],
+  conditions: [],
+  actions: [
+    { modulePath: CUSTOM_CODE, settings: { language: 'javascript', isExternal: true, source: '/code/RCfooter-source.min.js' } },
+    { modulePath: CUSTOM_CODE, settings: { language: 'javascript', isExternal: true, source: '/code/RCmissing-source.min.js' } }
+  ]
+};
+
+function codeServer() {
+  const files = {
+    '/launch-EN01.min.js': launchLibrary(sampleContainer({ rules: [...sampleContainer().rules, footerRule] })),
+    '/code/RCfooter-source.min.js': registered('s.eVar7="footer";s.events="event7";')
+  };
+  const requests = [];
+
+  return new Promise(resolve => {
+    const server = http.createServer((request, response) => {
+      requests.push(request.url);
+      const file = files[request.url];
+      response.writeHead(file ? 200 : 404, { 'content-type': 'application/javascript' });
+      response.end(file || 'Not found');
+    });
+    server.listen(0, () => resolve({ server, requests, base: `http://localhost:${server.address().port}` }));
+  });
+}
+
+async function runTests() {
+  console.log('Testing external custom code...\n');
+
+  await check('unwrapRegisteredScript returns the code passed to __registerScript', () => {
+    assert.strictEqual(unwrapRegisteredScript(registered('s.eVar1="a";')), 's.eVar1="a";');
+    assert.strictEqual(unwrapRegisteredScript('_satellite.__registerScript("x.js",`var a = 1;`);'), 'var a = 1;');
+    assert.strictEqual(unwrapRegisteredScript('var plain = true;'), 'var plain = true;');
+    assert.strictEqual(unwrapRegisteredScript('_satellite.__registerScript("x.js", code);'), '_satellite.__registerScript("x.js", code);');
+    assert.strictEqual(unwrapRegisteredScript('_satellite.__registerScript("x.js", "unterminated'), '_satellite.__registerScript("x.js", "unterminated');
+    assert.strictEqual(unwrapRegisteredScript(null), '');
+  });
+
+  await check('mapWithConcurrency keeps result order and never runs more tasks than allowed', async () => {
+    let running = 0;
+    let most = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      running--;
+      return index * 10;
+    });
+    assert.deepStrictEqual(results, [0, 10, 20, 30, 40]);
+    assert.strictEqual(most, 2);
+    assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+
+  const { server, requests, base } = await codeServer();
+  try {
+    await check('externalCodeComponents lists only custom code kept in files', async () => {
+      const nightjar = new NightjarClient();
+      const parsed = await nightjar.loadEmbed(`${base}/launch-EN01.min.js`);
+      const components = externalCodeComponents(parsed.rules);
+      assert.deepStrictEqual(components.map(({ rule, component }) => `${rule.id} ${component.codeUrl}`), [
+        'RLfooter /code/RCfooter-source.min.js',
+        'RLfooter /code/RCmissing-source.min.js'
+      ]);
+      assert.strictEqual(components[0].component.code, null);
+    });
+
+    await check('fetchComponentCode resolves against the library URL, records errors and fetches once', async () => {
+      const component = { type: 'customCode', code: null, codeUrl: '/code/RCfooter-source.min.js' };
+      await fetchComponentCode(component, `${base}/launch-EN01.min.js`);
+      assert.strictEqual(component.code, 's.eVar7="footer";s.events="event7";');
+      assert.strictEqual(component.codeFetched, true);
+      assert.strictEqual(component.codeSize, Buffer.byteLength(registered(component.code)));
+
+      const count = requests.length;
+      await fetchComponentCode(component, `${base}/launch-EN01.min.js`);
+      assert.strictEqual(requests.length, count);
+
+      const missing = { type: 'customCode', code: null, codeUrl: '/code/RCmissing-source.min.js' };
+      await fetchComponentCode(missing, `${base}/launch-EN01.min.js`);
+      assert.strictEqual(missing.code, null);
+      assert.match(missing.codeError, /404/);
+    });
+
+    await check('Parsing with fetchCustomCode finds the variables set in custom code files', async () => {
+      const nightjar = new NightjarClient();
+      const without = await nightjar.loadEmbed(`${base}/launch-EN01.min.js`);
+      assert.strictEqual(without.variables.eVar7, undefined);
+
+      const parsed = await nightjar.loadEmbed(`${base}/launch-EN01.min.js`, { fetchCustomCode: true });
+      assert.deepStrictEqual(parsed.variables.eVar7.usages.map(usage => usage.ruleId), ['RLfooter']);
+      assert.deepStrictEqual(parsed.variables.event7.usages.map(usage => usage.ruleId), ['RLfooter']);
+      assert.match(parsed.rules.RLfooter.actions[1].codeError, /404/);
+    });
+  } finally {
+    server.close();
+  }
+
+  finish('custom code');
+}
+
+runTests();
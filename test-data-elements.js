@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for data element decoding and the data element reference graph
+ * Runs without network access against a hand-built container
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { buildRules, buildExtensions, ownEntry } from './launch-model.js';
+import { buildDataElements, buildReferenceGraph, decodeDataElement, findTokenReferences } from './data-elements.js';
+
+const CORE = 'core/src/lib/dataElements';
+
+const container = {
+  extensions: {
+    core: { displayName: 'Core', modules: {} },
+    'adobe-analytics': { displayName: 'Adobe Analytics', settings: { trackerProperties: { eVars: [{ name: 'eVar3', type: 'value', value: '%Site%' }] } }, modules: {} }
+  },
+  dataElements: {
+    'Page Name': { modulePath: `${CORE}/javascriptVariable.js`, settings: { path: 'digitalData.page.name' } },
+    'Page Title': { modulePath: `${CORE}/customCode.js`, settings: { source: { __function: 'function(){return _satellite.getVar("Page Name")+"|"+_satellite.getVar("Section");}' } } },
+    '404 Page Flag': { modulePath: `${CORE}/constant.js`, settings: { value: 'true' } },
+    Site: { modulePath: `${CORE}/constant.js`, settings: { value: 'acme' } },
+    Unused: { modulePath: `${CORE}/cookie.js`, settings: { name: 'visitor' } }
+  },
+  rules: [{
+    id: 'RL1',
+    name: 'All Pages',
+    events: [{ modulePath: 'core/src/lib/events/libraryLoaded.js', settings: {} }],
+    actions: [
+      { modulePath: 'core/src/lib/actions/customCode.js', settings: { language: 'html', source: '<script>var t=_satellite.getVar("Page Title");_satellite.setVar("Runtime Var",1);</script><img src="/b?q=%20a%3D&f=%404 Page Flag%">' } },
+      { modulePath: 'adobe-analytics/src/lib/actions/setVariables.js', settings: { trackerProperties: { eVars: [{ name: 'eVar1', type: 'value', value: '%Runtime Var%' }, { name: 'eVar2', type: 'value', value: '%constructor%' }] } } }
+    ]
+  }]
+};
+
+function library() {
+  return { rules: buildRules(container), extensions: buildExtensions(container), dataElements: buildDataElements(container) };
+}
+
+async function runTests() {
+  console.log('Testing data elements...\n');
+
+  await check('Core data elements are described by where they read their value', () => {
+    const describe = (type, settings) => decodeDataElement('Test', { modulePath: `${CORE}/${type}.js`, settings }).source.description;
+    assert.strictEqual(describe('pageInfo', { attribute: 'hostname' }), 'Page info attribute "hostname"');
+    assert.strictEqual(describe('queryStringParameter', { name: 'cid', caseInsensitive: true }), 'Query string parameter "cid" (case-insensitive)');
+    assert.strictEqual(describe('domAttribute', { elementSelector: 'h1', elementProperty: { type: 'other', customValue: 'data-id' } }), 'Property "data-id" of the first element matching "h1"');
+    assert.strictEqual(describe('sessionStorage', { name: 'cart' }), 'Session storage item "cart"');
+    assert.strictEqual(describe('conditionalValue', {
+      leftOperand: '%Page Name%', comparison: { operator: 'equals' }, rightOperand: 'home', conditionalValue: 'yes', fallbackValue: 'no'
+    }), '"yes" when "%Page Name%" equals "home", otherwise "no"');
+    assert.strictEqual(describe('mergedObjects', { objectReferences: ['%A%', '%B%'] }), 'Merges 2 objects: %A%, %B%');
+    assert.strictEqual(describe('visitorBehavior', { attribute: 'sessionCount' }), 'Visitor Behavior attribute "sessionCount"');
+    assert.strictEqual(describe('randomNumber', { min: 1, max: 100 }), 'Random integer between 1 and 100');
+    assert.strictEqual(describe('javascriptTools', { operator: 'simpleReplace', leftOperand: '%Page Name%' }), 'JavaScript tool "simpleReplace" applied to "%Page Name%"');
+    assert.strictEqual(describe('customCode', { source: 'return 1;' }), 'Custom code (9 characters)');
+    assert.strictEqual(describe('futureType', {}), 'Unrecognized Core data element type "futureType"');
+  });
+
+  await check('Data elements keep their options, JSON string settings and the type of other extensions', () => {
+    const cookie = decodeDataElement('Visitor', {
+      modulePath: `${CORE}/cookie.js`,
+      settings: '{"name":"visitor"}',
+      defaultValue: 'guest',
+      forceLowerCase: true,
+      cleanText: true,
+      storageDuration: 'session'
+    });
+    assert.deepStrictEqual(cookie.settings, { name: 'visitor' });
+    assert.strictEqual(cookie.typeName, 'Cookie');
+    assert.deepStrictEqual([cookie.defaultValue, cookie.forceLowerCase, cookie.cleanText, cookie.storageDuration], ['guest', true, true, 'session']);
+
+    const extensions = { 'acme-tools': { displayName: 'Acme Tools', modules: { 'acme-tools/src/lib/dataElements/score.js': { displayName: 'Lead Score' } } } };
+    const score = decodeDataElement('Score', { modulePath: 'acme-tools/src/lib/dataElements/score.js', settings: {} }, extensions);
+    assert.strictEqual(score.typeName, 'Acme Tools - Lead Score');
+    assert.strictEqual(score.source.description, 'Acme Tools - Lead Score data element');
+    assert.deepStrictEqual([score.defaultValue, score.forceLowerCase, score.storageDuration], [null, false, null]);
+  });
+
+  await check('ownEntry finds own entries only, never inherited object members', () => {
+    const { dataElements } = library();
+    assert.strictEqual(ownEntry(dataElements, 'Site').name, 'Site');
+    assert.strictEqual(ownEntry(dataElements, 'constructor'), null);
+    assert.strictEqual(ownEntry(dataElements, 'toString'), null);
+    assert.strictEqual(ownEntry(null, 'Site'), null);
+  });
+
+  await check('findTokenReferences skips URL encoding unless the name is a defined data element', () => {
+    const text = '%Site% /b?q=%20a%3D&f=%404 Page Flag%';
+    assert.deepStrictEqual(findTokenReferences(text), ['Site']);
+    assert.deepStrictEqual(findTokenReferences(text, new Set(['404 Page Flag', 'Site'])), ['Site', '404 Page Flag']);
+    assert.deepStrictEqual(findTokenReferences('%this.href% %event.type%'), []);
+  });
+
+  await check('The reference graph follows getVar calls in HTML custom code, tokens and other data elements', () => {
+    const graph = buildReferenceGraph(library());
+    assert.deepStrictEqual(graph.usedBy['Page Title'].map(reference => [reference.ownerId, reference.via]), [['RL1', 'getVar']]);
+    assert.deepStrictEqual(graph.usedBy['404 Page Flag'].map(reference => [reference.ownerId, reference.via]), [['RL1', 'token']]);
+    assert.deepStrictEqual(graph.usedBy.Site.map(reference => reference.ownerKind), ['extension']);
+    assert.deepStrictEqual(graph.dependsOn['Page Title'], ['Page Name', 'Section']);
+    assert.deepStrictEqual(graph.unused, ['Unused']);
+  });
+
+  await check('Missing references include inherited names, and names set with setVar are not missing', () => {
+    const graph = buildReferenceGraph(library());
+    assert.deepStrictEqual(Object.keys(graph.missing).sort(), ['Section', 'constructor']);
+    assert.deepStrictEqual(graph.setVarNames, ['Runtime Var']);
+    assert.strictEqual(graph.usedBy.constructor, undefined);
+  });
+
+  finish('data element');
+}
+
+runTests();
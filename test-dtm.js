@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for legacy DTM libraries
+ * Runs without network access against a small satelliteLib written in this file
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary } from './test-fixtures.js';
+import { isDtmLibrary, parseDtmConfig } from './container-parser.js';
+import { dtmTrackerProperties, dtmContainer } from './dtm-model.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const DTM_CONFIG = `{
+  tools: {
+    "a1b2": { engine: "sc", loadOn: "pagebottom", account: "acmeprod,acmeglobal", accountStaging: "acmedev", renameS: "s", initVars: { eVar1: "%Page Name%", prop1: "D=v1", events: "event1" }, customInit: "s.campaign = s.Util.getQueryParam('cid');", executeCustomPageCodeFirst: true },
+    "c3d4": { engine: "tnt", mboxURL: "//assets.adobedtm.com/0a1b/mbox.js" }
+  },
+  pageLoadRules: [
+    { name: "Shop Pages", event: "pagebottom", scope: { URI: { include: [/^\\/shop/i], exclude: ["/shop/admin"] }, protocols: ["https"] }, trigger: [{ engine: "sc", command: "setVars", arguments: [{ eVar2: "%Page Type%", hier1: "shop,%Page Type%" }] }] },
+    { name: "Top Banner", event: "pagetop", conditions: [function() { return true; }], trigger: [{ command: "writeHTML", arguments: [{ html: "<div>Sale</div>" }] }] }
+  ],
+  rules: [
+    { name: "Add to Cart", event: "click", selector: "a.add", property: { id: "cart" }, bubbleFireIfParent: true, trigger: [{ engine: "sc", command: "trackLink", arguments: [{ type: "o", linkName: "Add to Cart", setVars: { eVar3: "%this.id%" }, addEvent: ["scAdd"] }] }] },
+    { name: "Video Start", event: "videoplay", selector: "video", trigger: [{ engine: "sc", command: "addEvent", arguments: ["event5"] }] },
+    { name: "Login State", event: "dataelementchange(Login State)", trigger: [{ engine: "tnt", command: "addMbox", arguments: [{ mboxGoesAround: "body" }] }] }
+  ],
+  directCallRules: [
+    { name: "signup", trigger: [{ command: "loadScript", arguments: [{ sequential: false, scripts: [{ src: "satellite-5a6b.js" }] }] }] }
+  ],
+  settings: { trackInternalLinks: true, libraryName: "satelliteLib-0a1b2c3d", isStaging: false, domainList: ["acme.example"], scriptDir: "0a1b/scripts/" },
+  data: { URI: document.location.pathname, host: { http: "assets.adobedtm.com", https: "assets.adobedtm.com" } },
+  dataElements: {
+    "Page Name": { jsVariable: "digitalData.page.name", storeLength: "pageview", forceLowerCase: true },
+    "Page Type": { customJS: function() { return "product"; }, storeLength: "pageview" },
+    "Campaign": { queryParam: "cid", ignoreCase: 1, storeLength: "session", "default": "none" },
+    "Login State": { cookie: "login", storeLength: "visitor" },
+    "Heading": { selector: "h1", property: "title" },
+    "Odd": { foo: 1 }
+  },
+  appVersion: "7QN",
+  buildDate: "2018-04-20 17:05:44 UTC",
+  publishDate: "2018-04-20 17:05:43 UTC"
+}`;
+
+const dtmLibrary = (call = `_satellite.init(${DTM_CONFIG});`) =>
+  `window._satellite=window._satellite||{};(function(){var _satellite=window._satellite;_satellite.version="1.0";})();\n${call}\n_satellite.pageBottom=function(){};`;
+
+async function runTests() {
+  console.log('Testing legacy DTM libraries...\n');
+
+  await check('isDtmLibrary tells satelliteLib files from Launch libraries', () => {
+    assert.strictEqual(isDtmLibrary(dtmLibrary()), true);
+    assert.strictEqual(isDtmLibrary(dtmLibrary(`_satellite.data = ${DTM_CONFIG};`)), true);
+    assert.strictEqual(isDtmLibrary(launchLibrary()), false);
+    assert.strictEqual(isDtmLibrary('window._satellite = {};'), false);
+  });
+
+  await check('parseDtmConfig reads the configuration from _satellite.init or _satellite.data', () => {
+    const { config, parseInfo } = parseDtmConfig(dtmLibrary());
+    assert.strictEqual(parseInfo.method, 'ast');
+    assert.deepStrictEqual(Object.keys(config.tools), ['a1b2', 'c3d4']);
+    assert.strictEqual(config.pageLoadRules.length, 2);
+    assert.deepStrictEqual(config.data.URI, { __expression: 'document.location.pathname' });
+    assert.deepStrictEqual(parseDtmConfig(dtmLibrary(`_satellite.data = ${DTM_CONFIG};`)).config.appVersion, '7QN');
+  });
+
+  await check('parseDtmConfig skips calls without a configuration and explains failures', () => {
+    const config = parseDtmConfig(`_satellite.init(options);\n_satellite.init({ settings: { libraryName: "x" } });`).config;
+    assert.deepStrictEqual(config, { settings: { libraryName: 'x' } });
+    assert.throws(() => parseDtmConfig('_satellite.init({ tools: { a: 1 }'), /Could not parse the DTM configuration/);
+    assert.throws(() => parseDtmConfig('window._satellite = {};'), /Could not find the DTM configuration/);
+  });
+
+  await check('dtmTrackerProperties maps eVars, props, hierarchies and events', () => {
+    assert.deepStrictEqual(dtmTrackerProperties({ eVar1: '%Page Name%', prop2: 'home', hier1: 'a,b', events: 'event1,event2=5,purchase,event3:abc,=7', channel: 'shop' }), {
+      eVars: [{ name: 'eVar1', type: 'value', value: '%Page Name%' }],
+      props: [{ name: 'prop2', type: 'value', value: 'home' }],
+      hierarchies: [{ name: 'hier1', sections: ['a,b'], delimiter: ',' }],
+      events: [{ name: 'event1' }, { name: 'event2', value: '5' }, { name: 'purchase' }, { name: 'event3', id: 'abc' }],
+      channel: 'shop'
+    });
+    assert.deepStrictEqual(dtmTrackerProperties(undefined), {});
+  });
+
+  await check('dtmContainer maps tools onto extensions and the Analytics settings', () => {
+    const container = dtmContainer(parseDtmConfig(dtmLibrary()).config);
+    assert.deepStrictEqual(Object.keys(container.extensions), ['core', 'adobe-analytics', 'adobe-target']);
+    const analytics = container.extensions['adobe-analytics'].settings;
+    assert.deepStrictEqual(analytics.libraryCode.accounts, { production: ['acmeprod', 'acmeglobal'], staging: ['acmedev'], development: [] });
+    assert.strictEqual(analytics.libraryCode.type, 'managed');
+    assert.deepStrictEqual(analytics.trackerProperties.events, [{ name: 'event1' }]);
+    assert.deepStrictEqual(analytics.customSetup, { source: "s.campaign = s.Util.getQueryParam('cid');", loadPhase: 'beforeSettings' });
+    assert.deepStrictEqual(container.extensions['adobe-target'].settings.dtmTool, { id: 'c3d4' });
+    assert.deepStrictEqual(container.dtm.tools, [
+      { id: 'a1b2', engine: 'sc', extension: 'adobe-analytics', loadOn: 'pagebottom' },
+      { id: 'c3d4', engine: 'tnt', extension: 'adobe-target', loadOn: null }
+    ]);
+    assert.deepStrictEqual(container.property, { id: null, name: 'satelliteLib-0a1b2c3d', settings: { domains: ['acme.example'] } });
+    assert.deepStrictEqual(container.environment, { id: null, stage: 'production' });
+    assert.strictEqual(container.buildInfo.buildDate, '2018-04-20T17:05:44Z');
+  });
+
+  await check('dtmContainer turns page load, event-based and direct call rules into Launch rules', () => {
+    const rules = dtmContainer(parseDtmConfig(dtmLibrary()).config).rules;
+    assert.deepStrictEqual(rules.map(rule => [rule.id, rule.name, rule.events[0].modulePath]), [
+      ['pageload-1', 'Shop Pages', 'core/src/lib/events/pageBottom.js'],
+      ['pageload-2', 'Top Banner', 'core/src/lib/events/libraryLoaded.js'],
+      ['event-1', 'Add to Cart', 'core/src/lib/events/click.js'],
+      ['event-2', 'Video Start', 'core/src/lib/events/mediaPlay.js'],
+      ['event-3', 'Login State', 'core/src/lib/events/dataElementChange.js'],
+      ['direct-1', 'signup', 'core/src/lib/events/directCall.js']
+    ]);
+
+    const [shop, banner, cart, , login, signup] = rules;
+    assert.deepStrictEqual(shop.conditions.map(condition => [condition.modulePath, condition.settings, Boolean(condition.negate)]), [
+      ['core/src/lib/conditions/pathAndQuerystring.js', { paths: [{ value: '^\\/shop', valueIsRegex: true }] }, false],
+      ['core/src/lib/conditions/pathAndQuerystring.js', { paths: [{ value: '/shop/admin', valueIsRegex: false }] }, true],
+      ['core/src/lib/conditions/protocol.js', { protocol: 'https:' }, false]
+    ]);
+    assert.deepStrictEqual(shop.actions[0].settings.trackerProperties.hierarchies, [{ name: 'hier1', sections: ['shop,%Page Type%'], delimiter: ',' }]);
+    assert.strictEqual(banner.conditions[0].modulePath, 'core/src/lib/conditions/customCode.js');
+    assert.deepStrictEqual(banner.actions[0].settings, { source: '<div>Sale</div>', language: 'html', sequential: true });
+
+    assert.deepStrictEqual(cart.events[0].settings, { elementSelector: 'a.add', elementProperties: [{ name: 'id', value: 'cart', valueIsRegex: false }], bubbleFireIfParent: true });
+    assert.deepStrictEqual(cart.actions.map(action => action.modulePath), ['adobe-analytics/src/lib/actions/setVariables.js', 'adobe-analytics/src/lib/actions/sendBeacon.js']);
+    assert.deepStrictEqual(cart.actions[0].settings.trackerProperties.events, [{ name: 'scAdd' }]);
+    assert.deepStrictEqual(cart.actions[1].settings, { type: 'link', linkType: 'o', linkName: 'Add to Cart' });
+
+    assert.deepStrictEqual(login.events[0].settings, { name: 'Login State' });
+    assert.strictEqual(login.actions[0].modulePath, 'adobe-target/src/lib/actions/addMbox.js');
+    assert.deepStrictEqual(signup.events[0].settings, { identifier: 'signup' });
+    assert.deepStrictEqual(signup.actions[0].settings, { source: '//assets.adobedtm.com/0a1b/scripts/satellite-5a6b.js', language: 'javascript', isExternal: true });
+  });
+
+  await check('dtmContainer maps data elements onto Core data element types', () => {
+    const { dataElements } = dtmContainer(parseDtmConfig(dtmLibrary()).config);
+    assert.deepStrictEqual(Object.fromEntries(Object.entries(dataElements).map(([name, element]) => [name, element.modulePath])), {
+      'Page Name': 'core/src/lib/dataElements/javascriptVariable.js',
+      'Page Type': 'core/src/lib/dataElements/customCode.js',
+      Campaign: 'core/src/lib/dataElements/queryStringParameter.js',
+      'Login State': 'core/src/lib/dataElements/cookie.js',
+      Heading: 'core/src/lib/dataElements/domAttribute.js',
+      Odd: 'core/src/lib/dataElements/unknown.js'
+    });
+    assert.deepStrictEqual(dataElements.Campaign.settings, { name: 'cid', caseInsensitive: true });
+    assert.strictEqual(dataElements.Campaign.defaultValue, 'none');
+    assert.strictEqual(dataElements.Campaign.storageDuration, 'session');
+    assert.strictEqual(dataElements['Page Name'].storageDuration, undefined);
+    assert.strictEqual(dataElements['Page Name'].forceLowerCase, true);
+    assert.deepStrictEqual(dataElements.Heading.settings.elementProperty, { type: 'other', customValue: 'title' });
+    assert.deepStrictEqual(dataElements.Odd.settings, { foo: 1 });
+  });
+
+  await check('NightjarClient parses a DTM library through the same tools as Launch', async () => {
+    const nightjar = new NightjarClient();
+    const parsed = await nightjar.parseEmbed(dtmLibrary());
+    assert.strictEqual(parsed.format, 'dtm');
+    assert.strictEqual(Object.keys(parsed.rules).length, 6);
+    assert.ok(nightjar.listLibraries().includes('satelliteLib-0a1b2c3d, production environment, built 2018-04-20T17:05:44Z, legacy DTM'));
+
+    const rule = await nightjar.analyzeRule('Add to Cart', false);
+    assert.ok(rule.includes('Event Trigger: Click'));
+    assert.ok(rule.includes('Fires Adobe Analytics link tracking call (s.tl())'));
+
+    const info = await nightjar.getPropertyInfo();
+    assert.ok(info.includes('DTM:\n  App Version: 7QN\n  Publish Date: 2018-04-20T17:05:43Z\n  Script Directory: 0a1b/scripts/\n  Tools: sc (a1b2, loads on pagebottom), tnt (c3d4)'));
+    assert.ok(info.includes('- This is a legacy Dynamic Tag Management library.'));
+
+    await assert.rejects(nightjar.getLibrarySize(), /only available for Launch libraries, not legacy DTM libraries/);
+  });
+
+  await check('NightjarClient reports a DTM library whose configuration cannot be parsed', async () => {
+    await assert.rejects(new NightjarClient().parseEmbed(dtmLibrary('_satellite.init({ tools: { a: 1 }')), /Failed to parse DTM configuration: Could not parse the DTM configuration/);
+  });
+
+  finish('DTM');
+}
+
+runTests();
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the extension inventory
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { buildExtensions, extensionPackageId } from './launch-model.js';
+import { NightjarClient } from './nightjar-client.js';
+
+async function runTests() {
+  console.log('Testing the extension inventory...\n');
+
+  await check('buildExtensions keeps version, package ID, decoded settings and modules', () => {
+    const extensions = buildExtensions(sampleContainer({
+      extensions: {
+        'adobe-target-v2': { displayName: 'Adobe Target v2', settings: '{"targetSettings":{"clientCode":"acme"}}', modules: { 'adobe-target-v2/lib/loadTarget.js': { name: 'load-target' } } },
+        'no-settings': {}
+      }
+    }));
+    assert.deepStrictEqual(Object.keys(extensions), ['adobe-target-v2', 'no-settings']);
+    const target = extensions['adobe-target-v2'];
+    assert.deepStrictEqual(target.settings, { targetSettings: { clientCode: 'acme' } });
+    assert.deepStrictEqual(target.modules, [{ modulePath: 'adobe-target-v2/lib/loadTarget.js', type: 'loadTarget', name: 'load-target', displayName: 'loadTarget' }]);
+    assert.deepStrictEqual([extensions['no-settings'].displayName, extensions['no-settings'].version, extensions['no-settings'].packageId], ['no-settings', null, null]);
+  });
+
+  await check('extensionPackageId reads the package ID from the hosted library path', () => {
+    assert.strictEqual(extensionPackageId('https://assets.adobedtm.com/extensions/EPbde2f7ca14e540399dcc1f8208860b7b/'), 'EPbde2f7ca14e540399dcc1f8208860b7b');
+    assert.strictEqual(extensionPackageId(null), null);
+  });
+
+  const nightjar = new NightjarClient();
+  await nightjar.parseEmbed(launchLibrary());
+
+  await check('findExtension matches the name or display name in any casing', () => {
+    assert.strictEqual(nightjar.findExtension('adobe-analytics').displayName, 'Adobe Analytics');
+    assert.strictEqual(nightjar.findExtension('ADOBE ANALYTICS').name, 'adobe-analytics');
+    assert.strictEqual(nightjar.findExtension('Adobe Target'), null);
+  });
+
+  await check('findExtension does not match inherited object members', () => {
+    ['toString', 'constructor', '__proto__', 'valueOf'].forEach(name => {
+      assert.strictEqual(nightjar.findExtension(name), null);
+    });
+    assert.strictEqual(nightjar.extensionDisplayName('toString'), 'toString');
+  });
+
+  await check('analyzeExtension reports an unknown or inherited extension name as not found', async () => {
+    await assert.rejects(nightjar.analyzeExtension('toString', false), /Extension 'toString' not found in the parsed embed code/);
+  });
+
+  await check('analyzeExtension counts module use across rules and data elements', async () => {
+    const text = await nightjar.analyzeExtension('Core', false);
+    assert.ok(text.startsWith('Extension: Core (core)\nVersion: 3.4.2\nPackage ID: EPcore01'));
+    assert.ok(text.includes('  - Click (core/src/lib/events/click.js): used 2 times'));
+    assert.ok(text.includes('  - Add to Cart (RLcart): event 1 Click, condition 1 Path Without Query String, action 1 Custom Code'));
+    assert.ok(text.includes('Used by 5 data elements:'));
+  });
+
+  finish('extension');
+}
+
+runTests();
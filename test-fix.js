@@ -22,22 +22,23 @@ async function main() {
     const parsed = await nightjar.parseEmbed(TEST_EMBED_URL);
     
     // Show rule information
-    const ruleCount = parsed.rules.names.length;
+    const ruleList = Object.values(parsed.rules);
+    const ruleCount = ruleList.length;
     console.log(`\nFound ${ruleCount} rules:`);
     
     if (ruleCount > 0) {
-      parsed.rules.names.forEach((name, index) => {
-        console.log(`  ${index + 1}. ${name}`);
-        console.log(`     Event type: ${parsed.rules.events[index]}`);
-        console.log(`     Has conditions: ${parsed.rules.conditions[index] ? 'Yes' : 'No'}`);
-        console.log(`     Has tracker properties: ${parsed.rules.trackerProperties[index] ? 'Yes' : 'No'}`);
-        console.log(`     Has custom code: ${parsed.rules.customCode[index] ? 'Yes' : 'No'}`);
+      ruleList.forEach((rule, index) => {
+        console.log(`  ${index + 1}. ${rule.name} (${rule.id})`);
+        console.log(`     Event type: ${rule.events.map(event => event.type).join(', ') || 'Unknown'}`);
+        console.log(`     Has conditions: ${rule.conditions.length > 0 ? 'Yes' : 'No'}`);
+        console.log(`     Has tracker properties: ${nightjar.ruleTrackerProperties(rule) ? 'Yes' : 'No'}`);
+        console.log(`     Has custom code: ${nightjar.ruleCustomCode(rule) ? 'Yes' : 'No'}`);
       });
       
       // Analyze first rule
-      const ruleName = parsed.rules.names[0];
+      const ruleName = ruleList[0].name;
       console.log(`\nAnalyzing rule "${ruleName}":`);
-      const analysis = await nightjar.analyzeRule(ruleName, false); // No AI
+      const analysis = await nightjar.analyzeRule(ruleList[0].id, false); // No AI
       console.log(analysis);
       
       console.log("\nSUCCESS: Rule parsing is now working correctly!");
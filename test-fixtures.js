@@ -0,0 +1,101 @@
+/**
+ * Fixtures shared by the offline test scripts
+ * A small Launch property with the Core and Adobe Analytics extensions, written as library text
+ * so it goes through the same parsing as a downloaded library
+ */
+
+const CORE = 'core/src/lib';
+const ANALYTICS = 'adobe-analytics/src/lib';
+
+const component = (modulePath, settings = {}, extra = {}) => ({ modulePath, settings, ...extra });
+
+/**
+ * Build the container of the sample property
+ * `changes` replaces top-level sections, e.g. { rules: [...] }
+ */
+export function sampleContainer(changes = {}) {
+  return {
+    buildInfo: { turbineVersion: '28.0.0', turbineBuildDate: '2024-01-15T00:00:00Z', buildDate: '2024-03-01T12:00:00Z', minified: true },
+    environment: { id: 'ENacme01', stage: 'production' },
+    dataElements: {
+      'Page Name': component(`${CORE}/dataElements/javascriptVariable.js`, { path: 'digitalData.page.name' }),
+      'Page Type': component(`${CORE}/dataElements/javascriptVariable.js`, { path: 'digitalData.page.type' }),
+      Campaign: component(`${CORE}/dataElements/queryStringParameter.js`, { name: 'cid', caseInsensitive: true }),
+      'Login Email': component(`${CORE}/dataElements/cookie.js`, { name: 'email' }),
+      'Unused Flag': component(`${CORE}/dataElements/constant.js`, { value: 'on' })
+    },
+    extensions: {
+      core: {
+        displayName: 'Core',
+        version: '3.4.2',
+        hostedLibFilesBaseUrl: 'https://assets.adobedtm.com/extensions/EPcore01/',
+        modules: {
+          [`${CORE}/events/libraryLoaded.js`]: { name: 'library-loaded', displayName: 'Library Loaded (Page Top)' },
+          [`${CORE}/events/click.js`]: { name: 'click', displayName: 'Click' },
+          [`${CORE}/conditions/path.js`]: { name: 'path', displayName: 'Path Without Query String' },
+          [`${CORE}/actions/customCode.js`]: { name: 'custom-code', displayName: 'Custom Code' },
+          [`${CORE}/dataElements/javascriptVariable.js`]: { name: 'javascript-variable', displayName: 'JavaScript Variable' }
+        }
+      },
+      'adobe-analytics': {
+        displayName: 'Adobe Analytics',
+        version: '1.9.3',
+        hostedLibFilesBaseUrl: 'https://assets.adobedtm.com/extensions/EPaa01/',
+        settings: {
+          libraryCode: { type: 'managed', accounts: { production: ['acmeprod'], staging: ['acmedev'], development: ['acmedev'] } },
+          trackerProperties: { trackingServer: 'acme.sc.omtrdc.net', eVars: [{ name: 'eVar1', type: 'value', value: '%Page Type%' }] }
+        },
+        modules: {
+          [`${ANALYTICS}/actions/setVariables.js`]: { name: 'set-variables', displayName: 'Set Variables' },
+          [`${ANALYTICS}/actions/sendBeacon.js`]: { name: 'send-beacon', displayName: 'Send Beacon' }
+        }
+      }
+    },
+    company: { orgId: 'ACME01@AdobeOrg', dynamicCdnEnabled: false },
+    property: {
+      id: 'PRacme01',
+      name: 'Acme Retail',
+      settings: { domains: ['acme.example'], undefinedVarsReturnEmpty: false, ruleComponentSequencingEnabled: true }
+    },
+    rules: [
+      {
+        id: 'RLpage',
+        name: 'All Pages',
+        events: [component(`${CORE}/events/libraryLoaded.js`, {}, { ruleOrder: 50 })],
+        conditions: [],
+        actions: [
+          component(`${ANALYTICS}/actions/setVariables.js`, { trackerProperties: { pageName: '%Page Name%', eVars: [{ name: 'eVar2', type: 'value', value: '%Campaign%' }], events: [{ name: 'event1' }] } }),
+          component(`${ANALYTICS}/actions/sendBeacon.js`, { type: 'page' })
+        ]
+      },
+      {
+        id: 'RLcart',
+        name: 'Add to Cart',
+        events: [component(`${CORE}/events/click.js`, { elementSelector: '.add-to-cart' })],
+        conditions: [component(`${CORE}/conditions/path.js`, { paths: [{ value: '^/products/', valueIsRegex: true }] })],
+        actions: [
+          component(`${CORE}/actions/customCode.js`, { language: 'javascript', source: { __function: 'function(event,target){s.eVar5=_satellite.getVar("Page Type");s.events="scAdd";}' } }),
+          component(`${ANALYTICS}/actions/sendBeacon.js`, { type: 'link', linkName: 'add to cart' })
+        ]
+      },
+      {
+        id: 'RLquick',
+        name: 'Add to Cart',
+        events: [component(`${CORE}/events/click.js`, { elementSelector: '.quick-add' })],
+        conditions: [],
+        actions: [component(`${CORE}/actions/customCode.js`, { language: 'javascript', source: 's.eVar6="quick add";' })]
+      },
+      { id: 'RLdraft', name: 'Draft Rule', events: [], conditions: [], actions: [] }
+    ],
+    ...changes
+  };
+}
+
+/**
+ * Write a container as the text of a Launch library
+ * `{ __function: source }` values are written as the function itself
+ */
+export function launchLibrary(container = sampleContainer()) {
+  const literal = JSON.stringify(container).replace(/\{"__function":("(?:[^"\\]|\\.)*")\}/g, (match, source) => JSON.parse(source));
+  return `/* Adobe Launch test library */\nwindow._satellite=window._satellite||{};window._satellite.container=${literal};\n`;
+}
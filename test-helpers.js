@@ -0,0 +1,27 @@
+/**
+ * Shared helpers for the offline test scripts
+ * Each script runs its checks in order with `check` and ends with `finish`
+ */
+
+let failures = 0;
+
+/**
+ * Run one named check, printing ✅ or ❌ with the failure message
+ */
+export async function check(name, test) {
+  try {
+    await test();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Print the summary line, e.g. "All SDR tests passed.", and set the exit code
+ */
+export function finish(subject) {
+  console.log(failures === 0 ? `\nAll ${subject} tests passed.` : `\n${failures} ${subject} test(s) failed.`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
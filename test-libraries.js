@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for holding several parsed libraries in one session
+ * Runs without network access against libraries passed as contents
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const development = launchLibrary(sampleContainer({ environment: { id: 'ENacme02', stage: 'development' } }));
+
+async function runTests() {
+  console.log('Testing the library registry...\n');
+
+  await check('Parsed libraries get handles from their property and environment and the last one is active', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary());
+    const parsed = await nightjar.parseEmbed(development);
+    assert.deepStrictEqual(Object.keys(nightjar.libraries), ['acme-retail-production', 'acme-retail-development']);
+    assert.strictEqual(nightjar.activeLibrary, 'acme-retail-development');
+    assert.strictEqual(nightjar.parsedEmbed, parsed);
+    assert.ok(nightjar.listLibraries().includes('* acme-retail-development (active)'));
+  });
+
+  await check('Parsing the same library again keeps its handle; another library with the same name gets a suffix', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary());
+    await nightjar.parseEmbed(launchLibrary());
+    assert.deepStrictEqual(Object.keys(nightjar.libraries), ['acme-retail-production']);
+    await nightjar.parseEmbed(launchLibrary(sampleContainer({ rules: [] })));
+    assert.deepStrictEqual(Object.keys(nightjar.libraries), ['acme-retail-production', 'acme-retail-production-2']);
+  });
+
+  await check('Libraries are found by handle or embed URL, and useEmbed does not parse a loaded library again', async () => {
+    const nightjar = new NightjarClient();
+    const production = await nightjar.parseEmbed(launchLibrary());
+    await nightjar.parseEmbed(development);
+    assert.strictEqual(nightjar.useLibrary('acme-retail-production'), production);
+    assert.strictEqual(nightjar.findLibrary(production.embedUrl), production);
+    assert.strictEqual(await nightjar.useEmbed(launchLibrary()), production);
+    assert.strictEqual(Object.keys(nightjar.libraries).length, 2);
+  });
+
+  await check('Names of inherited object members are not libraries', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary());
+    for (const name of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+      assert.strictEqual(nightjar.findLibrary(name), null);
+      assert.throws(() => nightjar.useLibrary(name), new RegExp(`No library '${name}' is loaded. Loaded libraries: acme-retail-production`));
+    }
+    assert.strictEqual(nightjar.activeLibrary, 'acme-retail-production');
+  });
+
+  await check('A handle that names an inherited member is still a handle of its own', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary(), { handle: 'constructor' });
+    await nightjar.parseEmbed(development, { handle: 'toString' });
+    assert.strictEqual(nightjar.useLibrary('constructor').environment.stage, 'production');
+    assert.strictEqual(nightjar.useLibrary('toString').environment.stage, 'development');
+  });
+
+  await check('Handles must be letters, digits, dots, underscores and dashes', async () => {
+    const nightjar = new NightjarClient();
+    await assert.rejects(nightjar.parseEmbed(launchLibrary(), { handle: 'my library' }), /Invalid library handle 'my library'/);
+  });
+
+  finish('library registry');
+}
+
+runTests();
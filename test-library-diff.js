@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for library comparison
+ * Runs without network access: libraries are read from temporary files, with their
+ * external custom code files saved next to them
+ */
+
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { diffLibraries, diffLines } from './library-diff.js';
+import { NightjarClient } from './nightjar-client.js';
+
+// Launch writes external custom code URLs protocol-relative
+const CODE_URL = '//assets.adobedtm.com/acme/launch-EN01/RCfooter-source.min.js';
+
+const footerRule = {
+  id: 'RLfooter',
+  name: 'Footer Links',
+  events: [{ modulePath: 'core/src/lib/events/click.js', settings: { elementSelector: 'footer a' } }],
+  conditions: [],
+  actions: [{ modulePath: 'core/src/lib/actions/customCode.js', settings: { language: 'javascript', isExternal: true, source: CODE_URL } }]
+};
+
+// The target renames the draft rule, drops the quick add rule, changes the cart path,
+// adds a data element and upgrades the Analytics extension
+function targetContainer() {
+  const container = sampleContainer();
+  const [page, cart, , draft] = container.rules;
+  cart.conditions[0].settings.paths[0].value = '^/shop/';
+  container.rules = [page, cart, { ...draft, name: 'Checkout Rule' }];
+  container.dataElements['Order ID'] = { modulePath: 'core/src/lib/dataElements/javascriptVariable.js', settings: { path: 'digitalData.order.id' } };
+  container.extensions['adobe-analytics'].version = '1.9.4';
+  return container;
+}
+
+/**
+ * Save a library with the footer rule, and its custom code file, in a directory
+ */
+async function saveLibrary(directory, footerCode) {
+  await fs.mkdir(directory, { recursive: true });
+  const libraryPath = path.join(directory, 'launch-EN01.min.js');
+  await fs.writeFile(libraryPath, launchLibrary(sampleContainer({ rules: [...sampleContainer().rules, footerRule] })), 'utf8');
+  await fs.writeFile(path.join(directory, 'RCfooter-source.min.js'), `_satellite.__registerScript('${CODE_URL}',${JSON.stringify(footerCode)});`, 'utf8');
+  return libraryPath;
+}
+
+async function runTests() {
+  console.log('Testing library comparison...\n');
+
+  const nightjar = new NightjarClient();
+
+  await check('diffLines marks removed and added lines with context', () => {
+    assert.deepStrictEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c']), ['  a', '- b', '+ x', '  c']);
+  });
+
+  await check('diffLibraries reports rules, data elements and extensions from base to target', async () => {
+    const base = await nightjar.loadEmbed(launchLibrary());
+    const target = await nightjar.loadEmbed(launchLibrary(targetContainer()));
+    const diff = diffLibraries(base, target);
+
+    assert.deepStrictEqual(diff.rules.added.map(rule => rule.id), []);
+    assert.deepStrictEqual(diff.rules.removed.map(rule => rule.id), ['RLquick']);
+    const changed = Object.fromEntries(diff.rules.changed.map(entry => [entry.after.id, entry.changes.map(change => change.change)]));
+    assert.deepStrictEqual(changed, { RLcart: ['component'], RLdraft: ['renamed'] });
+    assert.deepStrictEqual(diff.dataElements.added.map(element => element.name), ['Order ID']);
+    assert.deepStrictEqual(diff.extensions.changed.map(entry => entry.name), ['adobe-analytics']);
+    assert.deepStrictEqual(diff.variables.removed, ['eVar6']);
+  });
+
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nightjar-diff-'));
+  try {
+    const basePath = await saveLibrary(path.join(directory, 'base'), 's.eVar7="footer";');
+    const targetPath = await saveLibrary(path.join(directory, 'target'), 's.eVar7="footer link";s.eVar8="footer";');
+
+    await check('compareEmbeds fetches custom code for libraries it loads', async () => {
+      const text = await nightjar.compareEmbeds(basePath, targetPath, { fetchCustomCode: true });
+      assert.ok(text.includes('- s.eVar7="footer";'));
+      assert.ok(text.includes('+ s.eVar7="footer link";s.eVar8="footer";'));
+      assert.ok(text.includes('Only in target (1): eVar8'));
+    });
+
+    await check('compareEmbeds fetches custom code for libraries that are already loaded', async () => {
+      await nightjar.parseEmbed(basePath, { handle: 'base' });
+      await nightjar.parseEmbed(targetPath, { handle: 'target' });
+
+      const without = await nightjar.compareEmbeds('base', 'target');
+      assert.ok(!without.includes('s.eVar7'));
+
+      const text = await nightjar.compareEmbeds('base', 'target', { fetchCustomCode: true });
+      assert.ok(text.includes('- s.eVar7="footer";'));
+      assert.ok(text.includes('+ s.eVar7="footer link";s.eVar8="footer";'));
+      assert.ok(text.includes('Only in target (1): eVar8'));
+    });
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+
+  finish('library comparison');
+}
+
+runTests();
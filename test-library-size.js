@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the library size breakdown
+ * Runs without network access against the sample library in test-fixtures.js,
+ * whose container is written as JSON so the expected sizes can be worked out from it
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { measureLibrary, externalCodeFiles } from './library-size.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const container = sampleContainer();
+container.rules.push({
+  id: 'RLfooter',
+  name: 'Footer Links',
+  events: [{ modulePath: 'core/src/lib/events/click.js', settings: {} }],
+  conditions: [],
+  actions: [{ modulePath: 'core/src/lib/actions/customCode.js', settings: { language: 'javascript', isExternal: true, source: '//assets.adobedtm.com/acme/RCfooter-source.min.js' } }]
+});
+const source = launchLibrary(container);
+
+const bytes = text => Buffer.byteLength(text, 'utf8');
+const entry = (key, value) => bytes(`${JSON.stringify(key)}:${JSON.stringify(value)}`);
+
+async function runTests() {
+  console.log('Testing the library size breakdown...\n');
+
+  await check('measureLibrary splits the library into runtime, sections, extensions, data elements and rules', () => {
+    const sizes = measureLibrary(source);
+    assert.strictEqual(sizes.totalBytes, bytes(source));
+    assert.strictEqual(sizes.containerBytes, bytes(JSON.stringify(container).replace(/\{"__function":("(?:[^"\\]|\\.)*")\}/g, (match, code) => JSON.parse(code))));
+    assert.ok(sizes.gzipBytes > 0 && sizes.gzipBytes < sizes.totalBytes);
+    assert.deepStrictEqual(Object.keys(sizes.sections), Object.keys(container));
+    assert.strictEqual(sizes.sections.environment, entry('environment', container.environment));
+
+    assert.strictEqual(sizes.dataElements['Page Name'], entry('Page Name', container.dataElements['Page Name']));
+    const analytics = sizes.extensions['adobe-analytics'];
+    assert.strictEqual(analytics.bytes, entry('adobe-analytics', container.extensions['adobe-analytics']));
+    assert.strictEqual(analytics.settingsBytes, entry('settings', container.extensions['adobe-analytics'].settings));
+    assert.deepStrictEqual(Object.keys(analytics.modules), Object.keys(container.extensions['adobe-analytics'].modules));
+  });
+
+  await check('Rule sizes count inline custom code, but not the URL of an external file', () => {
+    const rules = Object.fromEntries(measureLibrary(source).rules.map(rule => [rule.id, rule]));
+    const quick = container.rules.find(rule => rule.id === 'RLquick');
+    assert.deepStrictEqual(rules.RLquick, { id: 'RLquick', name: 'Add to Cart', bytes: bytes(JSON.stringify(quick)), customCodeBytes: bytes(JSON.stringify(quick.actions[0].settings.source)) });
+    assert.strictEqual(rules.RLcart.customCodeBytes, bytes(container.rules[1].actions[0].settings.source.__function));
+    assert.strictEqual(rules.RLfooter.customCodeBytes, 0);
+    assert.strictEqual(rules.RLdraft.customCodeBytes, 0);
+  });
+
+  await check('externalCodeFiles groups external code by file and measures fetched files only', () => {
+    const rule = id => ({ id, name: id, events: [], conditions: [], actions: [] });
+    const component = (code, codeSize) => ({ type: 'customCode', codeUrl: '//cdn/RC1.js', code, codeSize });
+    const a = { ...rule('RLa'), actions: [component(null), component(null)] };
+    const b = { ...rule('RLb'), actions: [component('s.t();', 120)] };
+    assert.deepStrictEqual(externalCodeFiles({ RLa: a }), [{ url: '//cdn/RC1.js', rules: [{ id: 'RLa', name: 'RLa' }], bytes: null }]);
+    assert.deepStrictEqual(externalCodeFiles({ RLa: a, RLb: b }), [{ url: '//cdn/RC1.js', rules: [{ id: 'RLa', name: 'RLa' }, { id: 'RLb', name: 'RLb' }], bytes: 120 }]);
+  });
+
+  await check('getLibrarySize reports each area and the files it could not measure', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(source);
+    const text = await nightjar.getLibrarySize({ top: 2 });
+    assert.ok(text.startsWith(`Library Size Breakdown (acme-retail-production)\nTotal: ${nightjar.formatBytes(bytes(source))}`));
+    assert.ok(text.includes('in 5 rules, of which inline custom code'));
+    assert.ok(text.includes('External custom code: 1 file (one extra request per page view, depending on which rules fire), 0 B measured; 1 not fetched, use fetch_custom_code to measure them'));
+    assert.strictEqual(text.split('\nHeaviest rules:\n')[1].split('\n\n')[0].split('\n').length, 2);
+  });
+
+  finish('library size');
+}
+
+runTests();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for reading libraries from URLs, local files and contents
+ * Runs without network access: URLs are served from this process on localhost
+ * and the HTTP cache lives in a temporary directory
+ */
+
+import assert from 'assert';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { pathToFileURL } from 'url';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary } from './test-fixtures.js';
+import { libraryInputKind, libraryInputUrl, readLibrarySource, fetchText, HttpCache } from './library-source.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const LIBRARY = launchLibrary();
+
+// Serves the library with an ETag, a Last-Modified date or neither, answering 304 to matching validators
+function libraryServer() {
+  const requests = [];
+  return new Promise(resolve => {
+    const server = http.createServer((request, response) => {
+      requests.push({ url: request.url, headers: request.headers });
+      const headers = { 'content-type': 'application/javascript' };
+      if (request.url === '/etag/launch-EN01.min.js') {
+        if (request.headers['if-none-match'] === '"v1"') {
+          response.writeHead(304);
+          response.end();
+          return;
+        }
+        headers.etag = '"v1"';
+      } else if (request.url === '/modified/launch-EN01.min.js') {
+        headers['last-modified'] = 'Fri, 01 Mar 2024 12:00:00 GMT';
+        if (request.headers['if-modified-since'] === headers['last-modified']) {
+          response.writeHead(304, headers);
+          response.end();
+          return;
+        }
+      } else if (request.url !== '/plain/launch-EN01.min.js') {
+        response.writeHead(404, headers);
+        response.end('Not found');
+        return;
+      }
+      response.writeHead(200, headers);
+      response.end(LIBRARY);
+    });
+    server.listen(0, () => resolve({ server, requests, base: `http://localhost:${server.address().port}` }));
+  });
+}
+
+async function runTests() {
+  console.log('Testing library sources...\n');
+
+  await check('libraryInputKind tells URLs, files and contents apart', () => {
+    assert.strictEqual(libraryInputKind('https://assets.adobedtm.com/launch-EN01.min.js'), 'url');
+    assert.strictEqual(libraryInputKind('//assets.adobedtm.com/launch-EN01.min.js'), 'url');
+    assert.strictEqual(libraryInputKind('file:///srv/launch-EN01.min.js'), 'file');
+    assert.strictEqual(libraryInputKind('./launch-EN01.min.js'), 'file');
+    assert.strictEqual(libraryInputKind('C:\\libraries\\launch-EN01.min.js'), 'file');
+    assert.strictEqual(libraryInputKind(LIBRARY), 'content');
+    assert.strictEqual(libraryInputKind('window._satellite'), 'content');
+  });
+
+  await check('libraryInputUrl gives each kind of input a stable URL', () => {
+    assert.strictEqual(libraryInputUrl('//assets.adobedtm.com/launch-EN01.min.js'), 'https://assets.adobedtm.com/launch-EN01.min.js');
+    assert.strictEqual(libraryInputUrl('/srv/launch-EN01.min.js'), 'file:///srv/launch-EN01.min.js');
+    assert.strictEqual(libraryInputUrl('~/launch-EN01.min.js'), pathToFileURL(path.join(os.homedir(), 'launch-EN01.min.js')).href);
+    assert.match(libraryInputUrl(LIBRARY), /^inline:[0-9a-f]{12}$/);
+    assert.strictEqual(libraryInputUrl(LIBRARY), libraryInputUrl(`  ${LIBRARY}  `));
+  });
+
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nightjar-source-'));
+  const { server, requests, base } = await libraryServer();
+  try {
+    await check('readLibrarySource reads local files and contents, and reports missing files', async () => {
+      const filePath = path.join(directory, 'launch-EN01.min.js');
+      await fs.writeFile(filePath, LIBRARY, 'utf8');
+      const file = await readLibrarySource(filePath);
+      assert.deepStrictEqual([file.source, file.embedUrl, file.origin], [LIBRARY, pathToFileURL(filePath).href, { kind: 'file', path: filePath, size: LIBRARY.length }]);
+      assert.strictEqual(await fetchText(pathToFileURL(filePath).href), LIBRARY);
+
+      const content = await readLibrarySource(LIBRARY);
+      assert.deepStrictEqual(content.origin, { kind: 'content', size: LIBRARY.length });
+
+      await assert.rejects(readLibrarySource(path.join(directory, 'missing.js')), /Could not read library file .*missing\.js: no such file/);
+    });
+
+    await check('HttpCache stores responses with validators and revalidates them', async () => {
+      const cache = new HttpCache(path.join(directory, 'cache'));
+      for (const kind of ['etag', 'modified']) {
+        const url = `${base}/${kind}/launch-EN01.min.js`;
+        assert.deepStrictEqual(await cache.fetch(url), { data: LIBRARY, cache: 'stored' });
+        assert.deepStrictEqual(await cache.fetch(url), { data: LIBRARY, cache: 'not-modified' });
+      }
+      const sent = requests.filter(request => request.url !== '/plain/launch-EN01.min.js').map(request => request.headers['if-none-match'] || request.headers['if-modified-since'] || null);
+      assert.deepStrictEqual(sent, [null, '"v1"', null, 'Fri, 01 Mar 2024 12:00:00 GMT']);
+
+      const plain = `${base}/plain/launch-EN01.min.js`;
+      assert.deepStrictEqual(await cache.fetch(plain), { data: LIBRARY, cache: 'not-cacheable' });
+      assert.strictEqual(await cache.read(plain), null);
+      await assert.rejects(cache.fetch(`${base}/missing.js`), /status code 404/);
+    });
+
+    await check('Parsing from a URL goes through the cache and records the cache status', async () => {
+      const nightjar = new NightjarClient();
+      nightjar.setHttpCache(new HttpCache(path.join(directory, 'client-cache')));
+      const url = `${base}/etag/launch-EN01.min.js`;
+      assert.deepStrictEqual((await nightjar.loadEmbed(url)).origin, { kind: 'url', cache: 'stored', size: LIBRARY.length });
+      assert.strictEqual((await nightjar.loadEmbed(url)).origin.cache, 'not-modified');
+
+      const file = await nightjar.loadEmbed(path.join(directory, 'launch-EN01.min.js'));
+      assert.strictEqual(file.embedUrl, pathToFileURL(path.join(directory, 'launch-EN01.min.js')).href);
+    });
+  } finally {
+    server.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+
+  finish('library source');
+}
+
+runTests();
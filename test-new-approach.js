@@ -38,28 +38,29 @@ exec('node extract-rules.js', async (error, stdout, stderr) => {
     const parsed = await nightjar.parseEmbed(TEST_EMBED_URL);
     
     // Show rule information
-    const ruleCount = parsed.rules.names.length;
+    const ruleList = Object.values(parsed.rules);
+    const ruleCount = ruleList.length;
     console.log(`\nFound ${ruleCount} rules:`);
     
     if (ruleCount > 0) {
       // Show first 5 rules
       const showCount = Math.min(5, ruleCount);
-      parsed.rules.names.slice(0, showCount).forEach((name, index) => {
-        console.log(`  ${index + 1}. ${name}`);
-        console.log(`     Event type: ${parsed.rules.events[index]}`);
-        console.log(`     Has conditions: ${parsed.rules.conditions[index] ? 'Yes' : 'No'}`);
-        console.log(`     Has tracker properties: ${parsed.rules.trackerProperties[index] ? 'Yes' : 'No'}`);
-        console.log(`     Has custom code: ${parsed.rules.customCode[index] ? 'Yes' : 'No'}`);
+      ruleList.slice(0, showCount).forEach((rule, index) => {
+        console.log(`  ${index + 1}. ${rule.name} (${rule.id})`);
+        console.log(`     Event type: ${rule.events.map(event => event.type).join(', ') || 'Unknown'}`);
+        console.log(`     Has conditions: ${rule.conditions.length > 0 ? 'Yes' : 'No'}`);
+        console.log(`     Has tracker properties: ${nightjar.ruleTrackerProperties(rule) ? 'Yes' : 'No'}`);
+        console.log(`     Has custom code: ${nightjar.ruleCustomCode(rule) ? 'Yes' : 'No'}`);
       });
       
       console.log(`  ... and ${ruleCount - showCount} more rules`);
       
       // Try analyzing first rule
       if (ruleCount > 0) {
-        const ruleName = parsed.rules.names[0];
+        const ruleName = ruleList[0].name;
         console.log(`\nAnalyzing rule "${ruleName}":`);
         
-        const analysis = await nightjar.analyzeRule(ruleName, false); // No AI
+        const analysis = await nightjar.analyzeRule(ruleList[0].id, false); // No AI
         console.log(analysis);
       }
       
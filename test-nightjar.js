@@ -30,7 +30,7 @@ async function runTests() {
       const parsedData = await nightjar.parseEmbed(TEST_EMBED_URL);
       console.log('✅ Successfully parsed embed code');
       console.log(`Found ${Object.keys(parsedData.dataElements || {}).length} data elements`);
-      console.log(`Found ${parsedData.rules.names.length} rules`);
+      console.log(`Found ${Object.keys(parsedData.rules).length} rules`);
       console.log(`Found ${Object.keys(parsedData.variables || {}).length} variables`);
     } catch (error) {
       console.error('❌ Failed to parse embed code:', error.message);
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Runs every offline test script in turn
+ * Exits with a failure if any script fails
+ */
+
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const TEST_SCRIPTS = [
+  'test-container-parser.js',
+  'test-rule-model.js',
+  'test-extensions.js',
+  'test-property-info.js',
+  'test-data-elements.js',
+  'test-custom-code.js',
+  'test-variables.js',
+  'test-analytics-config.js',
+  'test-web-sdk.js',
+  'test-vendors.js',
+  'test-variable-lineage.js',
+  'test-libraries.js',
+  'test-library-source.js',
+  'test-page-simulator.js',
+  'test-library-diff.js',
+  'test-snapshots.js',
+  'test-audit.js',
+  'test-pii-scanner.js',
+  'test-library-size.js',
+  'test-page-scanner.js',
+  'test-dtm.js',
+  'test-crawler.js',
+  'test-sdr.js'
+];
+
+const directory = fileURLToPath(new URL('.', import.meta.url));
+
+const failed = TEST_SCRIPTS.filter(script => {
+  console.log(`\n=== ${script} ===\n`);
+  return spawnSync(process.execPath, [script], { cwd: directory, stdio: 'inherit' }).status !== 0;
+});
+
+console.log(failed.length === 0 ? `\nAll ${TEST_SCRIPTS.length} offline test scripts passed.` : `\nFailed: ${failed.join(', ')}`);
+process.exitCode = failed.length === 0 ? 0 : 1;
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for embed discovery and placement validation
+ * Runs without network access: pages are scanned from HTML strings, and the client
+ * fetches its page from a server in this process on localhost
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import http from 'http';
+import { isProductionHost, identifyLibrary, pageScripts, scanPageHtml, checkPageScan } from './page-scanner.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const LAUNCH = 'https://assets.adobedtm.com/abc123/def456/launch-ENa1b2c3.min.js';
+const LAUNCH_DEV = 'https://assets.adobedtm.com/abc123/def456/launch-ENd4e5f6-development.min.js';
+const DTM = 'https://assets.adobedtm.com/abc123/satelliteLib-0a1b2c3d.js';
+
+const PREHIDING = `<script>
+!function(e,a,n,t){var i=e.head;if(i){if(a)return;var o=e.createElement("style");o.id="alloy-prehiding",o.innerText=n,i.appendChild(o),setTimeout(function(){o.parentNode&&o.parentNode.removeChild(o)},t)}}
+(document, document.location.href.indexOf("adobe_authoring_enabled") !== -1, "body { opacity: 0 !important }", 3000);
+</script>`;
+
+const TARGET_PREHIDING = (styleId, timeout) => `<script>
+;(function(win, doc, style, timeout) {
+  var STYLE_ID = '${styleId}';
+  function getParent() { return doc.getElementsByTagName('head')[0]; }
+  function addStyle(parent, id, def) { var style = doc.createElement('style'); style.id = id; style.innerHTML = def; parent.appendChild(style); }
+  addStyle(getParent(), STYLE_ID, style);
+  setTimeout(function() { var parent = getParent(); parent.removeChild(doc.getElementById(STYLE_ID)); }, timeout);
+}(window, document, "body {opacity: 0 !important}", ${timeout}));
+</script>`;
+
+const messages = (findings, severity) => findings.filter(finding => finding.severity === severity).map(finding => finding.message);
+
+async function runTests() {
+  console.log('Testing embed discovery and placement validation...\n');
+
+  await check('isProductionHost tells live hosts from development, staging and local ones', () => {
+    assert.strictEqual(isProductionHost('www.example.com'), true);
+    assert.strictEqual(isProductionHost('shop.example.co.uk:443'), true);
+    assert.strictEqual(isProductionHost('staging.example.com'), false);
+    assert.strictEqual(isProductionHost('example-dev2.example.com'), false);
+    assert.strictEqual(isProductionHost('localhost:8080'), false);
+    assert.strictEqual(isProductionHost('127.0.0.1'), false);
+    assert.strictEqual(isProductionHost(null), false);
+  });
+
+  await check('identifyLibrary recognizes Launch and DTM files, their stage and self-hosting', () => {
+    assert.deepStrictEqual(identifyLibrary(LAUNCH), { url: LAUNCH, type: 'launch', stage: 'production', selfHosted: false });
+    assert.strictEqual(identifyLibrary(LAUNCH_DEV).stage, 'development');
+    assert.deepStrictEqual(identifyLibrary('/js/satelliteLib-0a1b2c3d-staging.js', 'https://www.example.com/page'),
+      { url: 'https://www.example.com/js/satelliteLib-0a1b2c3d-staging.js', type: 'dtm', stage: 'staging', selfHosted: true });
+    assert.strictEqual(identifyLibrary(DTM).type, 'dtm');
+    assert.strictEqual(identifyLibrary('https://cdn.example.com/launcher.js'), null);
+    assert.strictEqual(identifyLibrary('/relative/launch-ENa1b2c3.min.js'), null);
+  });
+
+  await check('pageScripts reads attributes and content, ignores comments and runs an unclosed tag to the end', () => {
+    const scripts = pageScripts(`<!-- <script src="${LAUNCH}"></script> --><script src='a.js' async>\n</script><script type=module>run()`);
+    assert.strictEqual(scripts.length, 2);
+    assert.deepStrictEqual(scripts[0].attributes, { src: 'a.js', async: true });
+    assert.strictEqual(scripts[1].attributes.type, 'module');
+    assert.strictEqual(scripts[1].content, 'run()');
+  });
+
+  await check('scanPageHtml finds script tags, inline loaders and their loading and placement', () => {
+    const html = [
+      '<html><head>',
+      `<script src="${LAUNCH}" async></script>`,
+      `<script type="text/plain" src="${LAUNCH_DEV}"></script>`,
+      '</head><body>',
+      `<script>var s=document.createElement('script');s.src='${DTM}';s.async=false;document.head.appendChild(s);</script>`,
+      '<script src="/js/launch-ENa1b2c3.min.js" defer></script>',
+      '</body></html>'
+    ].join('\n');
+    const scan = scanPageHtml(html, 'https://www.example.com/');
+    assert.strictEqual(scan.host, 'www.example.com');
+    assert.strictEqual(scan.productionHost, true);
+    assert.deepStrictEqual(scan.libraries.map(library => [library.type, library.stage, library.loading, library.loadedBy, library.inHead, library.line]), [
+      ['launch', 'production', 'async', 'script tag', true, 2],
+      ['launch', 'development', 'sync', 'script tag', true, 3],
+      ['dtm', 'production', 'injected, async disabled', 'inline script', false, 5],
+      ['launch', 'production', 'defer', 'script tag', false, 6]
+    ]);
+    assert.strictEqual(scan.libraries[1].blockedType, 'text/plain');
+    assert.strictEqual(scan.libraries[3].selfHosted, true);
+    assert.strictEqual(scan.libraries[3].url, 'https://www.example.com/js/launch-ENa1b2c3.min.js');
+  });
+
+  await check('scanPageHtml reads prehiding snippets and pageBottom calls', () => {
+    const html = `<head>${PREHIDING}${TARGET_PREHIDING('at-body-style', 4000)}<style id="at-body-style">body { opacity: 0 }</style><script src="${LAUNCH}" async></script></head>
+<body><script>_satellite.pageBottom();</script><script>if (typeof _satellite !== 'undefined') { _satellite.pageBottom(); }</script></body>`;
+    const scan = scanPageHtml(html, 'https://www.example.com/');
+    assert.deepStrictEqual(scan.prehiding.map(snippet => [snippet.kind, snippet.styleId, snippet.timeout, Boolean(snippet.styleOnly)]), [
+      ['web-sdk', 'alloy-prehiding', 3000, false],
+      ['target', 'at-body-style', 4000, false],
+      ['target', 'at-body-style', null, true]
+    ]);
+    assert.deepStrictEqual(scan.pageBottomCalls.map(call => [call.guarded, call.inHead]), [[false, false], [true, false]]);
+    assert.strictEqual(scan.satelliteReferences, 2);
+  });
+
+  await check('checkPageScan flags duplicates, non-production libraries on production hosts and mixed Launch and DTM', () => {
+    const html = `<head><script src="${LAUNCH}" async></script><script src="${LAUNCH}?v=2" async></script><script src="${LAUNCH_DEV}" async></script><script src="${DTM}"></script></head>`;
+    const findings = checkPageScan(scanPageHtml(html, 'https://www.example.com/'), { extensions: ['core'] });
+    const high = messages(findings, 'high');
+    assert.ok(high.some(message => message.startsWith(`${LAUNCH} is loaded 2 times`)));
+    assert.ok(high.some(message => message.includes('is the development environment on the production host www.example.com')));
+    assert.ok(high.some(message => message.startsWith('The page loads both Launch and DTM')));
+    assert.ok(messages(findings, 'medium').some(message => message.startsWith('The page loads 2 different Launch libraries')));
+    assert.strictEqual(findings[0].severity, 'high');
+
+    const staging = checkPageScan(scanPageHtml(`<head><script src="${LAUNCH_DEV}" async></script></head>`, 'https://dev.example.com/'), { extensions: ['core'] });
+    assert.deepStrictEqual(staging.map(finding => finding.severity), ['info']);
+    assert.ok(staging[0].message.includes('which is expected on dev.example.com'));
+  });
+
+  await check('checkPageScan checks loading mode and placement', () => {
+    const async = checkPageScan(scanPageHtml(`<head><script src="${DTM}" async></script></head><body><script src="${LAUNCH}"></script></body>`, 'https://www.example.com/'), { extensions: ['core'] });
+    assert.ok(messages(async, 'high').some(message => message.includes('must load synchronously')));
+    assert.ok(messages(async, 'low').some(message => message.includes('is loaded synchronously and blocks rendering')));
+    assert.ok(messages(async, 'medium').some(message => message.includes('is in <body> rather than <head>, so Top of Page rules run after')));
+
+    const none = checkPageScan(scanPageHtml('<script>window._satellite && _satellite.track("x")</script>', 'https://www.example.com/'));
+    assert.strictEqual(none.length, 1);
+    assert.ok(none[0].message.includes('inline scripts refer to _satellite'));
+  });
+
+  await check('checkPageScan checks the prehiding snippet against the deployed extensions', () => {
+    const bare = scanPageHtml(`<head><script src="${LAUNCH}" async></script></head>`, 'https://www.example.com/');
+    assert.ok(messages(checkPageScan(bare, { extensions: ['core', 'adobe-target-v2'] }), 'medium').some(message => message.includes('has no prehiding snippet')));
+    assert.ok(messages(checkPageScan(bare), 'info').some(message => message.includes('If Target is deployed')));
+    assert.deepStrictEqual(checkPageScan(bare, { extensions: ['core'] }), []);
+
+    const misconfigured = scanPageHtml(`<head><script src="${LAUNCH}" async></script>${TARGET_PREHIDING('my-hiding', 8000)}</head>`, 'https://www.example.com/');
+    const findings = messages(checkPageScan(misconfigured, { extensions: ['core', 'adobe-alloy'] }), 'medium');
+    assert.ok(findings.some(message => message.includes('has no Target extension to reveal it') && message.includes('alloy-prehiding')));
+    assert.ok(findings.some(message => message.includes('uses the style ID "my-hiding" instead of "at-body-style"')));
+    assert.ok(findings.some(message => message.includes('comes after the library')));
+    assert.ok(findings.some(message => message.includes('for up to 8000 ms')));
+
+    const sync = scanPageHtml(`<head>${PREHIDING}<script src="${LAUNCH}"></script></head>`, 'https://www.example.com/');
+    assert.ok(messages(checkPageScan(sync, { extensions: ['core', 'adobe-alloy'] }), 'low').some(message => message.includes('is not needed because no Launch library on the page loads asynchronously')));
+  });
+
+  await check('checkPageScan flags leftover and early pageBottom calls', () => {
+    const leftover = checkPageScan(scanPageHtml(`<head><script src="${LAUNCH}" async></script></head><body><script>_satellite.pageBottom();</script></body>`, 'https://www.example.com/'), { extensions: ['core'] });
+    assert.ok(messages(leftover, 'medium').some(message => message.includes('throws a ReferenceError when it runs before the library has loaded')));
+
+    const guarded = checkPageScan(scanPageHtml(`<head><script src="${LAUNCH}" async></script></head><body><script>try { _satellite.pageBottom(); } catch (e) {}</script></body>`, 'https://www.example.com/'), { extensions: ['core'] });
+    assert.ok(messages(guarded, 'low').some(message => message.includes('The call is not needed; remove it')));
+
+    const early = checkPageScan(scanPageHtml(`<head><script>_satellite.pageBottom();</script><script src="${DTM}"></script></head><body><script>_satellite.pageBottom();</script></body>`, 'https://www.example.com/'));
+    assert.ok(messages(early, 'medium').some(message => message.includes('is called before the library is loaded (line 1)')));
+    assert.ok(messages(early, 'low').some(message => message.includes('is called 2 times')));
+  });
+
+  const pages = {
+    '/': `<html><head>\n<script src="${DTM}"></script>\n<script src="${LAUNCH_DEV}"\n  async></script>\n</head><body></body></html>`,
+    '/empty.html': '<html><head></head><body>No tags</body></html>'
+  };
+  const server = http.createServer((request, response) => {
+    const page = pages[request.url];
+    response.writeHead(page === undefined ? 404 : 200, { 'content-type': 'text/html' });
+    response.end(page === undefined ? 'Not found' : page);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+  try {
+    await check('extractEmbedFromUrl prefers the Launch library over DTM, even across line breaks', async () => {
+      const nightjar = new NightjarClient();
+      assert.strictEqual(await nightjar.extractEmbedFromUrl(`${base}/`), LAUNCH_DEV);
+      await assert.rejects(nightjar.extractEmbedFromUrl(`${base}/empty.html`), /Failed to extract embed code from URL: No Adobe Launch or DTM library found on this page/);
+    });
+
+    await check('formatPageScan lists each library and the findings by severity', async () => {
+      const nightjar = new NightjarClient();
+      const text = nightjar.formatPageScan(await nightjar.scanPage(`${base}/`));
+      assert.ok(text.includes(`Page: ${base}/ (non-production host)`));
+      assert.ok(text.includes(`  1. DTM, production environment, sync, in <head>, script tag, line 2\n     ${DTM}`));
+      assert.ok(text.includes('  2. Launch, development environment, async, in <head>, script tag, line 3'));
+      assert.ok(text.includes('(parse the library to check the prehiding snippet against its extensions)'));
+      assert.ok(/HIGH:\n- The page loads both Launch and DTM/.test(text));
+    });
+  } finally {
+    server.close();
+  }
+
+  finish('page scanner');
+}
+
+runTests();
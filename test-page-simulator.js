@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the page simulator
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import {
+  UNKNOWN,
+  createPageContext,
+  lookupPath,
+  findElement,
+  resolveDataElement,
+  compareValues,
+  evaluateCondition,
+  simulatePage
+} from './page-simulator.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const CORE = 'core/src/lib';
+
+const container = sampleContainer();
+container.rules.push(
+  {
+    id: 'RLspring',
+    name: 'Spring Campaign',
+    events: [{ modulePath: `${CORE}/events/domReady.js`, settings: {}, ruleOrder: 10 }],
+    conditions: [{ modulePath: `${CORE}/conditions/valueComparison.js`, settings: { leftOperand: '%Campaign%', comparison: { operator: 'equals', caseInsensitive: true }, rightOperand: 'spring' } }],
+    actions: []
+  },
+  {
+    id: 'RLguest',
+    name: 'Guest Banner',
+    events: [{ modulePath: `${CORE}/events/domReady.js`, settings: {} }],
+    conditions: [{ modulePath: `${CORE}/conditions/cookie.js`, settings: { name: 'email', value: '.+', valueIsRegex: true }, negate: true }],
+    actions: []
+  },
+  {
+    id: 'RLcustom',
+    name: 'Custom Condition',
+    events: [{ modulePath: `${CORE}/events/windowLoaded.js`, settings: {} }],
+    conditions: [{ modulePath: `${CORE}/conditions/customCode.js`, settings: { source: 'return true;' } }],
+    actions: []
+  }
+);
+
+const page = {
+  url: 'https://acme.example/products/shoes?cid=SPRING',
+  cookies: 'email=jo%40acme.example; theme=dark',
+  dataLayer: { digitalData: { page: { name: 'shoes', type: 'product' } } },
+  html: '<title> Shoes </title><button class="btn add-to-cart" data-sku="42">Add <b>now</b></button>'
+};
+
+async function runTests() {
+  console.log('Testing the page simulator...\n');
+
+  const nightjar = new NightjarClient();
+  const library = await nightjar.parseEmbed(launchLibrary(container));
+  const context = createPageContext(page);
+
+  await check('createPageContext reads the URL, cookies and title', () => {
+    assert.strictEqual(context.location.pathname, '/products/shoes');
+    assert.deepStrictEqual(context.cookies, { email: 'jo@acme.example', theme: 'dark' });
+    assert.strictEqual(context.title, 'Shoes');
+    assert.strictEqual(createPageContext({ url: page.url, queryString: { cid: 'fall' } }).location.search, '?cid=fall');
+    assert.throws(() => createPageContext({}), /A page URL is required/);
+    assert.throws(() => createPageContext({ url: 'not a url' }), /Invalid page URL: not a url/);
+  });
+
+  await check('lookupPath walks the data layer with or without its variable name', () => {
+    assert.strictEqual(lookupPath(context.dataLayer, 'digitalData.page.name'), 'shoes');
+    assert.strictEqual(lookupPath(context.dataLayer.digitalData, 'window.digitalData.page.type'), 'product');
+    assert.strictEqual(lookupPath(context.dataLayer, 'digitalData.user.id'), UNKNOWN);
+  });
+
+  await check('findElement matches simple selectors and reads text', () => {
+    const found = findElement(page.html, 'button.add-to-cart[data-sku=42]');
+    assert.deepStrictEqual(found, { tag: 'button', attributes: { class: 'btn add-to-cart', 'data-sku': '42' }, text: 'Add now' });
+    assert.strictEqual(findElement(page.html, '#missing'), null);
+    assert.strictEqual(findElement(page.html, 'main > button'), UNKNOWN);
+  });
+
+  await check('Data elements resolve from the page, and unknown names stay unknown', () => {
+    const { dataElements } = library;
+    assert.strictEqual(resolveDataElement('Page Type', context, dataElements), 'product');
+    assert.strictEqual(resolveDataElement('Campaign', context, dataElements), 'SPRING');
+    assert.strictEqual(resolveDataElement('Login Email', context, dataElements), 'jo@acme.example');
+    assert.strictEqual(resolveDataElement('Unused Flag', context, dataElements), 'on');
+    assert.strictEqual(resolveDataElement('toString', context, dataElements), UNKNOWN);
+  });
+
+  await check('compareValues applies Core operators', () => {
+    assert.strictEqual(compareValues('SPRING', 'equals', 'spring', true), true);
+    assert.strictEqual(compareValues('SPRING', 'equals', 'spring'), false);
+    assert.strictEqual(compareValues('10', 'greaterThan', 9), true);
+    assert.strictEqual(compareValues('/products/shoes', 'matchesRegex', '^/products/'), true);
+    assert.strictEqual(compareValues(UNKNOWN, 'equals', 'x'), UNKNOWN);
+    assert.strictEqual(compareValues('a', 'noSuchOperator', 'a'), UNKNOWN);
+  });
+
+  await check('Conditions pass, fail or stay unknown, with negation applied', () => {
+    const cookie = { modulePath: `${CORE}/conditions/cookie.js`, settings: { name: 'theme', value: 'dark' } };
+    assert.deepStrictEqual(evaluateCondition(cookie, context), { result: true, reason: 'cookie "theme" = "dark" matches "dark"' });
+    assert.deepStrictEqual(evaluateCondition({ ...cookie, negate: true }, context), { result: false, reason: 'negated: cookie "theme" = "dark" matches "dark"' });
+    assert.strictEqual(evaluateCondition({ modulePath: 'adobe-target/src/lib/conditions/audience.js', settings: {} }, context).result, UNKNOWN);
+    const group = { modulePath: `${CORE}/conditions/logicalOperator.js`, settings: { operator: 'or', conditions: [cookie, { ...cookie, settings: { name: 'theme', value: 'light' } }] } };
+    assert.strictEqual(evaluateCondition(group, context).result, true);
+  });
+
+  await check('simulatePage sorts page load rules into stages by order', () => {
+    const simulation = simulatePage(library, page);
+    const stage = name => simulation.stages.find(item => item.type === name);
+    assert.deepStrictEqual(stage('libraryLoaded').fires.map(entry => entry.rule.id), ['RLpage']);
+    assert.deepStrictEqual(stage('domReady').fires.map(entry => entry.rule.id), ['RLspring']);
+    assert.deepStrictEqual(stage('windowLoaded').unknown.map(entry => entry.rule.id), ['RLcustom']);
+    assert.deepStrictEqual(simulation.interactions.map(entry => entry.rule.id), ['RLcart', 'RLquick', 'RLdraft']);
+    assert.deepStrictEqual(simulation.notFiring.map(entry => entry.rule.id), ['RLguest']);
+  });
+
+  await check('The report says a rule with no events never fires instead of listing its events', async () => {
+    const text = await nightjar.simulatePage(page);
+    assert.ok(text.includes('  - Add to Cart (RLcart) on Click'));
+    assert.ok(text.includes('  - Draft Rule (RLdraft): has no events, so it never fires'));
+    assert.ok(!text.includes('on None'));
+    assert.ok(text.includes('  - Guest Banner (RLguest): condition 1 (Core - cookie, negated) failed: negated: cookie "email" = "jo@acme.example" matches ".+"'));
+  });
+
+  finish('page simulator');
+}
+
+runTests();
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the PII scanner
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { nameWords, sensitiveName, codeSignal, dataElementSignal, scanForPii } from './pii-scanner.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const CORE = 'core/src/lib';
+
+function piiContainer() {
+  const container = sampleContainer();
+  container.dataElements['Current URL'] = { modulePath: `${CORE}/dataElements/pageInfo.js`, settings: { attribute: 'url' } };
+  container.dataElements['Login Label'] = { modulePath: `${CORE}/dataElements/constant.js`, settings: { value: 'user:%Login Email%' } };
+  container.rules.push({
+    id: 'RLlogin',
+    name: 'Login',
+    events: [{ modulePath: `${CORE}/events/click.js`, settings: { elementSelector: '#login' } }],
+    conditions: [],
+    actions: [
+      {
+        modulePath: 'adobe-analytics/src/lib/actions/setVariables.js',
+        settings: { trackerProperties: {
+          eVars: [{ name: 'eVar10', type: 'value', value: '%Login Label%' }, { name: 'eVar11', type: 'value', value: '%Current URL%' }],
+          props: [{ name: 'prop5', type: 'value', value: 'D=v10' }],
+          pageURL: '%Current URL%'
+        } }
+      },
+      { modulePath: `${CORE}/actions/customCode.js`, settings: { language: 'javascript', source: 's.eVar12=user.phoneNumber;' } }
+    ]
+  });
+  return container;
+}
+
+async function runTests() {
+  console.log('Testing the PII scanner...\n');
+
+  await check('Names are split into words and matched against sensitive keywords', () => {
+    assert.strictEqual(nameWords('user.profile.emailAddress'), 'user profile email address');
+    assert.deepStrictEqual(sensitiveName('customerEmail'), { category: 'email address', severity: 'high' });
+    assert.deepStrictEqual(sensitiveName('billing_zip_code'), { category: 'postal address', severity: 'medium' });
+    assert.strictEqual(sensitiveName('telemetry'), null);
+    assert.strictEqual(sensitiveName('template'), null);
+  });
+
+  await check('Custom code is flagged for sensitive identifiers at a lower severity, and for full URLs', () => {
+    assert.deepStrictEqual(codeSignal('return digitalData.user.email;'), { category: 'email address', severity: 'medium', description: 'custom code reads digitalData.user.email' });
+    assert.deepStrictEqual(codeSignal('return document.location.href;'), { category: 'URL with query string', severity: 'medium', description: 'custom code reads document.location.href, which keeps the query string' });
+    assert.strictEqual(codeSignal('return _satellite.getVar("Page Name");'), null);
+  });
+
+  await check('Data element sources are flagged by what they read', () => {
+    const element = (type, source, settings = {}) => dataElementSignal({ type, source, settings });
+    assert.strictEqual(element('queryStringParameter', { name: 'cid' }), null);
+    assert.strictEqual(element('cookie', { name: 'auth_token' }).category, 'credential or token');
+    assert.strictEqual(element('javascriptVariable', { path: 'window.location.search' }).category, 'URL with query string');
+    assert.strictEqual(element('pageInfo', { attribute: 'hostname' }), null);
+    assert.deepStrictEqual(element('domAttribute', { selector: 'form input.qty', property: 'value' }), {
+      category: 'form field value', severity: 'medium', description: 'value typed into form field "form input.qty"'
+    });
+    assert.strictEqual(element('domAttribute', { selector: 'h1', property: 'text' }), null);
+  });
+
+  await check('scanForPii follows data elements, copies and expressions into variables', async () => {
+    const nightjar = new NightjarClient();
+    const parsed = await nightjar.parseEmbed(launchLibrary(piiContainer()));
+    const { dataElements, findings } = scanForPii(parsed, nightjar.getReferenceGraph().dependsOn);
+
+    assert.deepStrictEqual(Object.keys(dataElements), ['Login Email', 'Current URL']);
+    assert.deepStrictEqual(findings.map(finding => `${finding.severity} ${finding.variable}: ${finding.source}`), [
+      'high eVar10: data element "Login Label" <- data element "Login Email"',
+      'high prop5: copied from eVar10',
+      'medium eVar11: data element "Current URL"',
+      'medium eVar12: expression user.phoneNumber'
+    ]);
+    // pageURL is meant to hold the URL, so it is not reported
+    assert.ok(!findings.some(finding => finding.variable === 'pageURL'));
+  });
+
+  await check('scanPii reports findings at or above the minimum severity', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary(piiContainer()));
+    const text = await nightjar.scanPii('high');
+    assert.ok(text.includes('Found 4 likely PII flows into 4 variables (2 high, 2 medium, 0 low), showing high and above'));
+    assert.ok(text.includes('- eVar10: email address from cookie "email"\n    Source: data element "Login Label" <- data element "Login Email"\n    Sent by: rule "Login" (RLlogin)'));
+    assert.ok(!text.includes('MEDIUM:'));
+    assert.ok(text.includes('- Login Email [Cookie]: email address (high) from cookie "email"; sent in eVar10'));
+    await assert.rejects(nightjar.scanPii('urgent'), /Invalid minimum severity 'urgent': use high, medium, low/);
+  });
+
+  finish('PII scanner');
+}
+
+runTests();
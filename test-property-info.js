@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for property and build metadata
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { parseEmbedUrl } from './launch-model.js';
+import { NightjarClient } from './nightjar-client.js';
+
+async function runTests() {
+  console.log('Testing property and build metadata...\n');
+
+  await check('parseEmbedUrl reads org, property and environment from Launch URLs', () => {
+    assert.deepStrictEqual(parseEmbedUrl('https://assets.adobedtm.com/a1b2c3/d4e5f6/launch-EN0123abcd-development.min.js'), {
+      host: 'assets.adobedtm.com',
+      fileName: 'launch-EN0123abcd-development.min.js',
+      orgId: 'a1b2c3',
+      propertyId: 'd4e5f6',
+      environmentId: 'EN0123abcd',
+      stage: 'development',
+      minified: true
+    });
+    const older = parseEmbedUrl('https://assets.adobedtm.com/launch-EN0123abcd.js');
+    assert.deepStrictEqual([older.orgId, older.propertyId, older.stage, older.minified], [null, null, 'production', false]);
+  });
+
+  await check('parseEmbedUrl reads legacy DTM URLs and leaves other files unknown', () => {
+    const dtm = parseEmbedUrl('https://assets.adobedtm.com/abc123/satelliteLib-def456-staging.js');
+    assert.deepStrictEqual([dtm.orgId, dtm.propertyId, dtm.environmentId, dtm.stage], ['abc123', 'def456', null, 'staging']);
+    assert.strictEqual(parseEmbedUrl('https://cdn.example.com/tags.js').stage, null);
+    assert.strictEqual(parseEmbedUrl('not a url'), null);
+  });
+
+  await check('getPropertyInfo reports the property, environment and build', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary());
+    const text = await nightjar.getPropertyInfo();
+    assert.ok(text.startsWith('Property: Acme Retail\nProperty ID: PRacme01\nCompany Org ID: ACME01@AdobeOrg\nDynamic CDN Enabled: false'));
+    assert.ok(text.includes('  Domains: acme.example\n  Undefined Variables Return Empty: false\n  Rule Component Sequencing Enabled: true'));
+    assert.ok(text.includes('  Stage: production\n  Environment ID: ENacme01'));
+    assert.ok(text.includes('  Turbine Version: 28.0.0'));
+    assert.ok(text.includes('has not been republished in over a year'));
+    assert.ok(!text.includes('Production sites should load the production library'));
+  });
+
+  await check('getPropertyInfo flags development libraries and missing settings', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary(sampleContainer({
+      environment: { id: 'ENacme02', stage: 'development' },
+      buildInfo: { buildDate: new Date().toISOString(), minified: false },
+      property: { id: 'PRacme01', name: 'Acme Retail', settings: {} }
+    })));
+    const text = await nightjar.getPropertyInfo();
+    assert.ok(text.includes('  Domains: Not set'));
+    assert.ok(text.includes('(0 days ago)'));
+    assert.ok(text.includes('- This is a development library. Production sites should load the production library.'));
+    assert.ok(text.includes('- The library is not minified.'));
+    assert.ok(!text.includes('over a year'));
+  });
+
+  await check('getPropertyInfo needs a parsed library', async () => {
+    await assert.rejects(new NightjarClient().getPropertyInfo(), /Please parse an embed code first/);
+  });
+
+  finish('property info');
+}
+
+runTests();
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the rule model and rule lookup
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary } from './test-fixtures.js';
+import { buildRules } from './launch-model.js';
+import { NightjarClient } from './nightjar-client.js';
+
+async function runTests() {
+  console.log('Testing the rule model...\n');
+
+  await check('buildRules keys rules by ID with their events, conditions and actions in order', () => {
+    const rules = buildRules({
+      extensions: { core: { modules: { 'core/src/lib/events/click.js': { displayName: 'Click' } } } },
+      rules: [
+        {
+          id: 'RL1',
+          name: 'Click',
+          events: [{ modulePath: 'core/src/lib/events/click.js', settings: '{"elementSelector":"a"}', ruleOrder: 10 }],
+          conditions: [{ modulePath: 'core/src/lib/conditions/path.js', settings: {}, negate: true, timeout: 2000 }],
+          actions: [
+            { modulePath: 'core/src/lib/actions/customCode.js', settings: { source: 'https://assets.adobedtm.com/a/b/RC1-source.min.js', isExternal: true } },
+            { modulePath: 'core/src/lib/actions/customCode.js', settings: { source: { __function: 'function(){}' } } }
+          ]
+        },
+        { name: 'No ID', events: [], actions: [] }
+      ]
+    });
+    assert.deepStrictEqual(Object.keys(rules), ['RL1', 'rule-2']);
+    const [event] = rules.RL1.events;
+    assert.deepStrictEqual([event.extension, event.type, event.displayName, event.ruleOrder, event.settings], ['core', 'click', 'Click', 10, { elementSelector: 'a' }]);
+    const [condition] = rules.RL1.conditions;
+    assert.deepStrictEqual([condition.type, condition.displayName, condition.negate, condition.timeout], ['path', 'path', true, 2000]);
+    assert.deepStrictEqual(rules.RL1.actions.map(action => [action.code, action.codeUrl]), [
+      [null, 'https://assets.adobedtm.com/a/b/RC1-source.min.js'],
+      ['function(){}', null]
+    ]);
+    assert.deepStrictEqual([rules['rule-2'].name, rules['rule-2'].conditions], ['No ID', []]);
+  });
+
+  const nightjar = new NightjarClient();
+  await nightjar.parseEmbed(launchLibrary());
+
+  await check('findRules matches a rule ID, every rule with a name, or a name in other casing', () => {
+    assert.deepStrictEqual(nightjar.findRules('RLcart').map(rule => rule.id), ['RLcart']);
+    assert.deepStrictEqual(nightjar.findRules('Add to Cart').map(rule => rule.id), ['RLcart', 'RLquick']);
+    assert.deepStrictEqual(nightjar.findRules('all pages').map(rule => rule.id), ['RLpage']);
+    assert.deepStrictEqual(nightjar.findRules('Checkout'), []);
+  });
+
+  await check('findRules does not match inherited object members', () => {
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(name => {
+      assert.deepStrictEqual(nightjar.findRules(name), []);
+    });
+  });
+
+  await check('analyzeRule reports an unknown or inherited rule name as not found', async () => {
+    await assert.rejects(nightjar.analyzeRule('constructor', false), /Rule 'constructor' not found in the parsed embed code/);
+    await assert.rejects(nightjar.analyzeRule('Checkout', false), /Rule 'Checkout' not found/);
+  });
+
+  await check('analyzeRule lists the rule IDs for an ambiguous name and describes one rule', async () => {
+    const ambiguous = await nightjar.analyzeRule('Add to Cart', false);
+    assert.ok(ambiguous.includes("Rule name 'Add to Cart' matches 2 rules"));
+    assert.ok(ambiguous.includes('- RLquick (events: Click)'));
+
+    const text = await nightjar.analyzeRule('RLcart', false);
+    assert.ok(text.includes('Rule: Add to Cart\nID: RLcart'));
+    assert.ok(text.includes('Has Custom Code: Yes'));
+    assert.ok(text.includes('1. Core - Path Without Query String'));
+  });
+
+  finish('rule model');
+}
+
+runTests();
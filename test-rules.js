@@ -25,20 +25,20 @@ async function testRuleParsing() {
     
     // Log the rules structure to examine what's being parsed
     console.log('\n=== Rules Structure ===');
-    console.log('Rule names:', parsedData.rules.names);
-    console.log('Rule events:', parsedData.rules.events);
-    console.log('Rule conditions:', parsedData.rules.conditions);
-    console.log('Rule actions:', parsedData.rules.actions);
-    console.log('Rule tracker properties:', parsedData.rules.trackerProperties);
-    console.log('Rule custom code:', parsedData.rules.customCode);
+    const ruleList = Object.values(parsedData.rules);
+    console.log('Rule IDs:', ruleList.map(rule => rule.id));
+    console.log('Rule names:', ruleList.map(rule => rule.name));
+    console.log('Rule events:', ruleList.map(rule => rule.events));
+    console.log('Rule conditions:', ruleList.map(rule => rule.conditions));
+    console.log('Rule actions:', ruleList.map(rule => rule.actions));
     
     // Test getting a specific rule
-    if (parsedData.rules.names.length > 0) {
-      const ruleName = parsedData.rules.names[0];
-      console.log(`\n=== Analyzing rule "${ruleName}" ===`);
+    if (ruleList.length > 0) {
+      const rule = ruleList[0];
+      console.log(`\n=== Analyzing rule "${rule.name}" (${rule.id}) ===`);
       
       // Test rule analysis functionality
-      const ruleAnalysis = await nightjar.analyzeRule(ruleName, false);
+      const ruleAnalysis = await nightjar.analyzeRule(rule.id, false);
       console.log('Rule analysis result:', ruleAnalysis);
     } else {
       console.log('No rules found to analyze');
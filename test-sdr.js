@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the SDR export and reconciliation
+ * Runs without network access against a small hand-built library model and the sample
+ * library in test-fixtures.js; exported files go to a temporary directory
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { launchLibrary } from './test-fixtures.js';
+import { parseCsv, parseSdr, normalizeSdrVariable, buildSdr, sdrToCsv, sdrToMarkdown, saveSdr, reconcileSdr } from './sdr.js';
+import { NightjarClient } from './nightjar-client.js';
+
+// Two rules and the global configuration setting a few variables
+const usage = (ruleId, ruleName, value, extra = {}) => ({
+  source: ruleId ? 'rule' : 'global',
+  ruleId,
+  ruleName,
+  component: ruleId ? 'action 1 (Set Variables)' : 'Adobe Analytics extension configuration',
+  location: ruleId ? 'Tracker Properties' : 'Global Variables',
+  access: 'set',
+  value,
+  detail: null,
+  expression: null,
+  ...extra
+});
+
+const library = {
+  rules: {
+    RL1: { id: 'RL1', name: 'All Pages', events: [{ displayName: 'Library Loaded (Page Top)' }] },
+    RL2: { id: 'RL2', name: 'Add to Cart', events: [{ displayName: 'Click' }] }
+  },
+  dataElements: {
+    'Page Name': { name: 'Page Name', typeName: 'JavaScript Variable', source: { description: 'JavaScript variable digitalData.page.name' } },
+    'Cart Value': { name: 'Cart Value', typeName: 'Local Storage', source: { description: 'Local storage item "cartValue"' } }
+  },
+  variables: {
+    pageName: { name: 'pageName', kind: 'pageVariable', usages: [usage('RL1', 'All Pages', '%Page Name%')] },
+    eVar1: { name: 'eVar1', kind: 'eVar', usages: [usage(null, null, '%Page Name%')] },
+    eVar2: { name: 'eVar2', kind: 'eVar', usages: [usage('RL2', 'Add to Cart', 'cart, "add"')] },
+    prop3: { name: 'prop3', kind: 'prop', usages: [{ ...usage('RL1', 'All Pages', null), access: 'read' }] },
+    event1: { name: 'event1', kind: 'event', usages: [usage('RL1', 'All Pages', null)] },
+    event2: { name: 'event2', kind: 'event', usages: [usage('RL2', 'Add to Cart', '%Cart Value%')] },
+    linkTrackVars: { name: 'linkTrackVars', kind: 'linkTracking', usages: [usage('RL2', 'Add to Cart', 'eVar2')] }
+  }
+};
+
+async function runTests() {
+  console.log('Testing the SDR export and reconciliation...\n');
+
+  await check('parseCsv handles quoted fields, escaped quotes, line breaks in fields and CRLF', () => {
+    const rows = parseCsv('﻿Variable,Name\r\neVar1,"Page ""Name"", main"\r\nevent1,"two\nlines"\r\n\r\n');
+    assert.deepStrictEqual(rows, [['Variable', 'Name'], ['eVar1', 'Page "Name", main'], ['event1', 'two\nlines']]);
+  });
+
+  await check('parseCsv takes a semicolon or tab delimiter from the heading row', () => {
+    assert.deepStrictEqual(parseCsv('Variable;Name\nv1;Page, name'), [['Variable', 'Name'], ['v1', 'Page, name']]);
+    assert.deepStrictEqual(parseCsv('Variable\tName\nv1\tPage'), [['Variable', 'Name'], ['v1', 'Page']]);
+  });
+
+  await check('normalizeSdrVariable accepts shorthand and other casing', () => {
+    assert.strictEqual(normalizeSdrVariable('v5'), 'eVar5');
+    assert.strictEqual(normalizeSdrVariable('EVAR 12'), 'eVar12');
+    assert.strictEqual(normalizeSdrVariable('c3'), 'prop3');
+    assert.strictEqual(normalizeSdrVariable('s.event7'), 'event7');
+    assert.strictEqual(normalizeSdrVariable('pageName'), 'pageName');
+  });
+
+  await check('parseSdr reads CSV headings in their common spellings', () => {
+    const entries = parseSdr('Analytics Variable,Friendly Name,Expected Source,Pages / Rules\nv1,Page Name,%Page Name%,All Pages; Global\n,,,\n');
+    assert.deepStrictEqual(entries, [{ variable: 'eVar1', name: 'Page Name', expectedSource: '%Page Name%', rules: ['All Pages', 'Global'] }]);
+  });
+
+  await check('parseSdr reads JSON arrays, { variables } and objects keyed by variable', () => {
+    const expected = [{ variable: 'eVar1', name: 'Page Name', expectedSource: null, rules: ['All Pages'] }];
+    assert.deepStrictEqual(parseSdr('[{"variable":"evar1","name":"Page Name","rules":["All Pages"]}]'), expected);
+    assert.deepStrictEqual(parseSdr('{"variables":[{"variable":"v1","name":"Page Name","pages":"All Pages"}]}'), expected);
+    assert.deepStrictEqual(parseSdr('{"eVar1":{"name":"Page Name","rules":"All Pages"}}'), expected);
+    assert.deepStrictEqual(parseSdr('{"prop2":"Site Section"}', 'json'), [{ variable: 'prop2', name: 'Site Section', expectedSource: null, rules: [] }]);
+  });
+
+  await check('parseSdr reports a missing variable column and invalid JSON', () => {
+    assert.throws(() => parseSdr('Name,Source\nPage Name,x'), /no variable column/);
+    assert.throws(() => parseSdr('{"variables": [}'), /not valid JSON/);
+  });
+
+  await check('buildSdr has one row per set Analytics variable with its rules, event types and sources', () => {
+    const rows = buildSdr(library);
+    assert.deepStrictEqual(rows.map(row => row.variable), ['pageName', 'eVar1', 'eVar2', 'event1', 'event2']);
+    const eVar1 = rows.find(row => row.variable === 'eVar1');
+    assert.deepStrictEqual(eVar1.setBy, ['Global Variables (global configuration)']);
+    assert.deepStrictEqual(eVar1.eventTypes, ['Every beacon']);
+    assert.deepStrictEqual(eVar1.valueSources, ['%Page Name%']);
+    assert.deepStrictEqual(eVar1.dataElementSources, ['data element "Page Name" (JavaScript Variable: JavaScript variable digitalData.page.name)']);
+    assert.deepStrictEqual(rows.find(row => row.variable === 'event2').eventTypes, ['Click']);
+  });
+
+  await check('sdrToCsv quotes fields and joins lists; sdrToMarkdown has a table per variable type', () => {
+    const rows = buildSdr(library);
+    const csv = sdrToCsv(rows);
+    assert.ok(csv.startsWith('Variable,Type,Set By,Event Type,Value Source,Data Element Source\r\n'));
+    assert.ok(csv.includes('\r\neVar2,eVar,Add to Cart [Tracker Properties],Click,"literal ""cart, \\""add\\""""",\r\n'));
+
+    const markdown = sdrToMarkdown([...rows, { ...rows[1], variable: 'eVar3', setBy: ['a | b', 'c'] }], { Property: 'Acme Retail', Built: null });
+    assert.ok(markdown.startsWith('# Solution Design Reference\n\n- Property: Acme Retail\n\n## Page variable (1)'));
+    assert.ok(markdown.includes('## eVar (3)\n\n| Variable | Set By | Event Type | Value Source | Data Element Source |\n| --- | --- | --- | --- | --- |'));
+    assert.ok(markdown.includes('| eVar3 | a \\| b<br>c | Every beacon |'));
+    assert.ok(markdown.includes('## Event (2)'));
+    assert.ok(sdrToMarkdown([]).includes('No Analytics variables are set in this library.'));
+  });
+
+  await check('saveSdr writes CSV, Markdown or both, named after the output path or the library', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nightjar-sdr-'));
+    try {
+      const rows = buildSdr(library);
+      const both = await saveSdr(rows, {}, { output: path.join(directory, 'nested', 'acme.csv') });
+      assert.deepStrictEqual(both, [path.join(directory, 'nested', 'acme.csv'), path.join(directory, 'nested', 'acme.md')]);
+      assert.strictEqual(await fs.readFile(both[0], 'utf8'), sdrToCsv(rows));
+
+      const markdown = await saveSdr(rows, {}, { name: 'acme-retail-production', format: 'markdown', directory });
+      assert.deepStrictEqual(markdown, [path.join(directory, 'acme-retail-production-sdr.md')]);
+      assert.deepStrictEqual((await fs.readdir(directory)).sort(), ['acme-retail-production-sdr.md', 'nested']);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await check('NightjarClient.exportSdr documents rule, global and custom code assignments of the sample library', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nightjar-sdr-'));
+    try {
+      const nightjar = new NightjarClient();
+      await assert.rejects(nightjar.exportSdr(), /Please parse an embed code first/);
+      await nightjar.parseEmbed(launchLibrary());
+      await assert.rejects(nightjar.exportSdr({ format: 'xlsx' }), /Invalid format 'xlsx': use csv, markdown or both/);
+
+      const text = await nightjar.exportSdr({ output: path.join(directory, 'acme.md'), format: 'csv' });
+      assert.ok(text.startsWith(`SDR Export (7 variables)\n\nWritten to:\n- ${path.join(directory, 'acme.csv')}\n\n# Solution Design Reference\n\n- Property: Acme Retail\n- Environment: production`));
+      assert.deepStrictEqual(await fs.readdir(directory), ['acme.csv']);
+
+      const rows = parseCsv(await fs.readFile(path.join(directory, 'acme.csv'), 'utf8'));
+      const row = variable => rows.find(fields => fields[0] === variable);
+      assert.deepStrictEqual(rows.map(fields => fields[0]), ['Variable', 'pageName', 'eVar1', 'eVar2', 'eVar5', 'eVar6', 'event1', 'scAdd']);
+      assert.deepStrictEqual(row('eVar1').slice(1, 5), ['eVar', 'Global Variables (global configuration)', 'Every beacon', '%Page Type%']);
+      assert.strictEqual(row('eVar2')[5], 'data element "Campaign" (Query String Parameter: Query string parameter "cid" (case-insensitive))');
+      assert.deepStrictEqual(row('eVar5').slice(2, 6), ['Add to Cart [Custom Code]', 'Click', '_satellite.getVar("Page Type")', 'data element "Page Type" (JavaScript Variable: JavaScript variable digitalData.page.type)']);
+      assert.strictEqual(row('eVar6')[4], 'literal "quick add"');
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  await check('An exported SDR reads back and reconciles with no differences', () => {
+    const entries = parseSdr(sdrToCsv(buildSdr(library)));
+    assert.strictEqual(entries.length, 5);
+    assert.deepStrictEqual(entries.find(entry => entry.variable === 'eVar2').expectedSource, 'literal "cart, \\"add\\""');
+    const result = reconcileSdr(entries, library);
+    assert.deepStrictEqual([result.notSet, result.undocumented, result.differentSource, result.missingFromRules, result.unknownRules], [[], [], [], [], []]);
+    assert.strictEqual(result.matching.length, 5);
+  });
+
+  await check('reconcileSdr finds unset, undocumented, differently sourced and misplaced variables', () => {
+    const entries = parseSdr([
+      'Variable,Name,Expected Source,Rules',
+      'v1,Page Name,Page Name,Global',
+      'v2,Cart Action,Cart Value,Add to Cart',
+      'c3,Section,,All Pages',
+      'eVar9,Search Term,%Search%,Search',
+      'event1,Page Views,,All Pages;Add to Cart',
+      'event2,Cart Value,cartValue,Add to Cart',
+      'pageName,Page Name,digitalData.page.name,Checkout'
+    ].join('\n'));
+    const result = reconcileSdr(entries, library);
+    assert.deepStrictEqual(result.notSet.map(entry => [entry.variable, entry.readOnly]), [['prop3', true], ['eVar9', false]]);
+    assert.deepStrictEqual(result.undocumented, []);
+    assert.deepStrictEqual(result.differentSource.map(entry => entry.variable), ['eVar2']);
+    assert.deepStrictEqual(result.missingFromRules.map(entry => [entry.variable, entry.missing.map(rule => rule.id)]), [['event1', ['RL2']]]);
+    assert.deepStrictEqual(result.unknownRules.map(entry => [entry.variable, entry.references]), [['pageName', ['Checkout']]]);
+    assert.deepStrictEqual(result.matching, ['eVar1', 'event2', 'pageName']);
+  });
+
+  await check('reconcileSdr matches whole rule names before "global" and checks every rule that shares a name', () => {
+    const navLibrary = {
+      rules: {
+        RL1: { id: 'RL1', name: 'Global Nav Click', events: [{ displayName: 'Click' }] },
+        RL2: { id: 'RL2', name: 'Product View', events: [{ displayName: 'DOM Ready' }] },
+        RL3: { id: 'RL3', name: 'Product View', events: [{ displayName: 'History Change' }] }
+      },
+      dataElements: {},
+      variables: {
+        event5: { name: 'event5', kind: 'event', usages: [usage('RL1', 'Global Nav Click', null)] },
+        event6: { name: 'event6', kind: 'event', usages: [usage('RL3', 'Product View', null)] },
+        event7: { name: 'event7', kind: 'event', usages: [usage(null, null, null)] }
+      }
+    };
+    const entries = parseSdr([
+      'Variable,Rules',
+      'event5,Global Nav Click',
+      'event6,Product View',
+      'event7,Global Configuration; Product View'
+    ].join('\n'));
+    const result = reconcileSdr(entries, navLibrary);
+    assert.deepStrictEqual(result.missingFromRules.map(entry => [entry.variable, entry.missing]), [
+      ['event7', [{ id: 'RL2', name: 'Product View' }, { id: 'RL3', name: 'Product View' }]]
+    ]);
+    assert.deepStrictEqual(result.unknownRules, []);
+    assert.deepStrictEqual(result.matching, ['event5', 'event6']);
+  });
+
+  await check('reconcileSdr does not take SDR variables named after inherited object members as set', () => {
+    const result = reconcileSdr(parseSdr('Variable\nconstructor\ntoString'), library);
+    assert.deepStrictEqual(result.notSet.map(entry => [entry.variable, entry.readOnly]), [['constructor', false], ['toString', false]]);
+  });
+
+  finish('SDR');
+}
+
+runTests();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the local snapshot history
+ * Runs without network access: libraries are read from a temporary directory and
+ * snapshots are stored in another
+ */
+
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { SnapshotStore, libraryKey, snapshotId } from './snapshot-store.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const CODE_URL = '//assets.adobedtm.com/acme/launch-EN01/RCfooter-source.min.js';
+
+// A build of the sample library with an external custom code rule
+const build = (buildDate, ruleName = 'Footer Links') => launchLibrary(sampleContainer({
+  buildInfo: { turbineVersion: '28.0.0', buildDate, minified: true },
+  rules: [...sampleContainer().rules, {
+    id: 'RLfooter',
+    name: ruleName,
+    events: [{ modulePath: 'core/src/lib/events/click.js', settings: {} }],
+    conditions: [],
+    actions: [{ modulePath: 'core/src/lib/actions/customCode.js', settings: { language: 'javascript', isExternal: true, source: CODE_URL } }]
+  }]
+}));
+
+async function runTests() {
+  console.log('Testing snapshots...\n');
+
+  await check('Snapshot IDs combine a key for the embed URL with the build date', () => {
+    const url = 'https://assets.adobedtm.com/acme/launch-EN01.min.js';
+    assert.match(libraryKey(url), /^[0-9a-f]{10}$/);
+    assert.strictEqual(snapshotId(url, '2024-03-12T15:04:05.123Z'), `${libraryKey(url)}-20240312T150405Z`);
+    assert.strictEqual(snapshotId(url, 'not a date!'), `${libraryKey(url)}-notadate`);
+    assert.throws(() => new SnapshotStore('/tmp').paths('../etc/passwd'), /Invalid snapshot ID: \.\.\/etc\/passwd/);
+  });
+
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nightjar-snapshots-'));
+  try {
+    const libraryDirectory = path.join(directory, 'library');
+    const libraryPath = path.join(libraryDirectory, 'launch-EN01.min.js');
+    await fs.mkdir(libraryDirectory);
+    await fs.writeFile(path.join(libraryDirectory, 'RCfooter-source.min.js'), 's.eVar7="footer";', 'utf8');
+
+    const store = new SnapshotStore(path.join(directory, 'snapshots'));
+    const nightjar = new NightjarClient();
+    nightjar.setSnapshotStore(store);
+
+    await check('Each build is saved once, with its fetched custom code', async () => {
+      await fs.writeFile(libraryPath, build('2024-03-01T12:00:00Z'), 'utf8');
+      const first = await nightjar.loadEmbed(libraryPath);
+      assert.strictEqual(first.snapshot.saved, true);
+      assert.strictEqual((await nightjar.loadEmbed(libraryPath)).snapshot.saved, false);
+
+      // Fetching custom code later adds it to the same snapshot
+      const fetched = await nightjar.loadEmbed(libraryPath, { fetchCustomCode: true });
+      assert.deepStrictEqual(fetched.snapshot, { id: first.snapshot.id, saved: true });
+      assert.deepStrictEqual((await store.read(first.snapshot.id)).externalCode, { [CODE_URL]: 's.eVar7="footer";' });
+
+      await fs.writeFile(libraryPath, build('2024-04-01T12:00:00Z', 'Footer Clicks'), 'utf8');
+      assert.strictEqual((await nightjar.loadEmbed(libraryPath)).snapshot.saved, true);
+    });
+
+    await check('Snapshots are listed newest build first, optionally for one library', async () => {
+      await nightjar.loadEmbed(launchLibrary(sampleContainer({ buildInfo: {} })));
+      const all = await store.list();
+      assert.strictEqual(all.length, 3);
+      const ofLibrary = await store.list(`file://${libraryPath}`);
+      assert.deepStrictEqual(ofLibrary.map(snapshot => [snapshot.buildDate, snapshot.ruleCount, snapshot.externalCodeFiles]), [
+        ['2024-04-01T12:00:00Z', 5, 0],
+        ['2024-03-01T12:00:00Z', 5, 1]
+      ]);
+      assert.deepStrictEqual(await new SnapshotStore(path.join(directory, 'none')).list(), []);
+    });
+
+    await check('A loaded snapshot is parsed again with its stored custom code', async () => {
+      await fs.rm(path.join(libraryDirectory, 'RCfooter-source.min.js'));
+      const [, older] = await store.list(`file://${libraryPath}`);
+      const parsed = await nightjar.readSnapshot(older.id);
+      assert.strictEqual(parsed.rules.RLfooter.actions[0].code, 's.eVar7="footer";');
+      assert.deepStrictEqual(parsed.variables.eVar7.usages.map(usage => usage.ruleId), ['RLfooter']);
+
+      const loaded = await nightjar.loadSnapshot(older.id, 'march');
+      assert.strictEqual(loaded.handle, 'march');
+      assert.strictEqual(nightjar.findLibrary('march').snapshot.id, older.id);
+      await assert.rejects(nightjar.readSnapshot('0123456789-20000101T000000Z'), /Snapshot '0123456789-20000101T000000Z' not found/);
+    });
+
+    await check('diffSnapshots compares with the newest snapshot of the same library by default', async () => {
+      const [newest, older] = await store.list(`file://${libraryPath}`);
+      const text = await nightjar.diffSnapshots(older.id);
+      assert.ok(text.includes(`(snapshot ${newest.id})`));
+      assert.ok(text.includes('Renamed from "Footer Links"'));
+      await assert.rejects(nightjar.diffSnapshots(newest.id), /is the newest snapshot/);
+    });
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+
+  finish('snapshot');
+}
+
+runTests();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for variable lineage: where each variable assignment gets its value
+ * Runs without network access
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary } from './test-fixtures.js';
+import { valueSource, describeValueSource, traceDataElement, buildVariableLineage } from './variable-lineage.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const dataElements = {
+  'Page Name': { name: 'Page Name', typeName: 'JavaScript Variable', source: { description: 'JavaScript variable digitalData.page.name' } },
+  'Site Section': { name: 'Site Section', typeName: 'Constant', source: { description: 'Constant value "%Page Name%|shop"' } }
+};
+const dependsOn = { 'Page Name': [], 'Site Section': ['Page Name'] };
+const context = { dataElements, dependsOn };
+
+const describe = usage => describeValueSource(valueSource(usage, context));
+
+async function runTests() {
+  console.log('Testing variable lineage...\n');
+
+  await check('Tracker property values are literals, data elements, templates or dynamic variables', () => {
+    assert.strictEqual(describe({ value: 'home' }), 'literal "home"');
+    assert.strictEqual(describe({ value: '%Page Name%' }), '%Page Name% <- data element "Page Name" (JavaScript Variable: JavaScript variable digitalData.page.name)');
+    assert.strictEqual(valueSource({ value: 'shop:%Page Name%' }, context).kind, 'template');
+    assert.strictEqual(describe({ value: 'D=v1' }), 'dynamic variable D=v1 (copies eVar1)');
+    assert.strictEqual(describe({ value: '%Search%' }), '%Search% <- data element "Search" (missing: no data element with this name)');
+  });
+
+  await check('Custom code assignments are read from the assigned expression', () => {
+    assert.strictEqual(describe({ expression: '"cart"' }), 'literal "cart"');
+    assert.strictEqual(describe({ expression: '42' }), 'literal 42');
+    assert.strictEqual(valueSource({ expression: '_satellite.getVar("Site Section")' }, context).kind, 'dataElement');
+    assert.strictEqual(valueSource({ expression: 'a + _satellite.getVar("Page Name")' }, context).kind, 'customCode');
+  });
+
+  await check('Counter events, query string parameters and unrecorded values', () => {
+    assert.strictEqual(describe({ kind: 'event', value: null }), 'counter event (increments by 1)');
+    assert.strictEqual(describe({ detail: 'read from query string parameter', value: 'cid' }), 'query string parameter "cid"');
+    assert.strictEqual(describe({ value: null }), 'value not recorded');
+  });
+
+  await check('Data element traces follow what each data element reads and stop at cycles', () => {
+    assert.deepStrictEqual(traceDataElement('Site Section', dataElements, dependsOn).reads.map(trace => trace.name), ['Page Name']);
+    const cycle = traceDataElement('Site Section', dataElements, { 'Site Section': ['Site Section'] });
+    assert.strictEqual(cycle.reads[0].description, 'circular reference');
+    assert.strictEqual(traceDataElement('constructor', dataElements, dependsOn).exists, false);
+  });
+
+  await check('buildVariableLineage groups assignments by source, most common first', () => {
+    const lineage = buildVariableLineage({
+      kind: 'eVar',
+      usages: [
+        { access: 'set', value: 'home' },
+        { access: 'set', value: '%Page Name%' },
+        { access: 'read', value: null },
+        { access: 'set', value: '%Page Name%' }
+      ]
+    }, context);
+    assert.deepStrictEqual(lineage.map(group => [group.source.kind, group.usages.length]), [['dataElement', 2], ['literal', 1]]);
+  });
+
+  const nightjar = new NightjarClient();
+  await nightjar.parseEmbed(launchLibrary());
+
+  await check('analyzeVariableLineage lists every set variable with its sources and owners', async () => {
+    const text = await nightjar.analyzeVariableLineage();
+    assert.ok(text.startsWith('Variable Lineage ('));
+    assert.ok(text.includes('eVar2:\n  From %Campaign% <- data element "Campaign" (Query String Parameter: Query string parameter "cid" (case-insensitive))'));
+    assert.ok(text.includes('eVar5:\n  From _satellite.getVar("Page Type")'));
+  });
+
+  await check('analyzeVariableLineage reports an unknown or inherited variable name as not found', async () => {
+    for (const name of ['prop9', 'constructor', 'toString']) {
+      await assert.rejects(nightjar.analyzeVariableLineage(name), new RegExp(`Variable '${name}' not found in the parsed embed code`));
+    }
+  });
+
+  finish('variable lineage');
+}
+
+runTests();
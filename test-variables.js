@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Analytics variable detection in custom code
+ * Runs without network access
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary } from './test-fixtures.js';
+import { detectCodeVariables, detectTrackerProperties } from './variable-detector.js';
+import { NightjarClient } from './nightjar-client.js';
+
+// Compact hits as "variable access" strings, optionally with one more field
+const summary = (hits, field = null) => hits.map(hit => `${hit.variable} ${hit.access}${field && hit[field] ? ` ${hit[field]}` : ''}`);
+
+async function runTests() {
+  console.log('Testing Analytics variable detection...\n');
+
+  await check('Assignments and reads of numbered variables, with the assigned expression', () => {
+    const hits = detectCodeVariables('s.eVar1 = _satellite.getVar("Page Name");\ns["prop2"]="home";\nvar x = s.eVar3;\ns.eVar4 += "x"; if (s.prop5 == "a") {}');
+    assert.deepStrictEqual(summary(hits, 'expression'), [
+      'eVar1 set _satellite.getVar("Page Name")',
+      'prop2 set "home"',
+      'eVar3 read',
+      'eVar4 set "x"',
+      'prop5 read'
+    ]);
+  });
+
+  await check('Page variables count only on a tracker object', () => {
+    const hits = detectCodeVariables('s.pageName = "Home"; document.channel = "x"; var server = 1; customTracker.campaign = "c";', { trackerNames: ['s', 'customTracker'] });
+    assert.deepStrictEqual(summary(hits), ['pageName set', 'campaign set']);
+  });
+
+  await check('Events in s.events keep their values and serialization IDs', () => {
+    const hits = detectCodeVariables('s.events = "purchase,event7=2,event8:abc123";');
+    assert.deepStrictEqual(summary(hits, 'detail'), [
+      'events set',
+      'purchase set',
+      'event7 set value 2',
+      'event8 set serialized with ID abc123'
+    ]);
+    assert.strictEqual(hits.find(hit => hit.variable === 'event7').value, '2');
+  });
+
+  await check('Standard event names outside s.events are ordinary words', () => {
+    const hits = detectCodeVariables('var purchase = true; track("event9");');
+    assert.deepStrictEqual(summary(hits), ['event9 read']);
+  });
+
+  await check('linkTrackVars and linkTrackEvents list variables without setting them', () => {
+    const hits = detectCodeVariables('s.linkTrackVars = "eVar5,prop6,events"; s.linkTrackEvents = "event3";');
+    assert.deepStrictEqual(summary(hits), ['linkTrackVars set', 'eVar5 linkTrack', 'prop6 linkTrack', 'linkTrackEvents set', 'event3 linkTrack']);
+  });
+
+  await check('Context data keys in dot and bracket form', () => {
+    const hits = detectCodeVariables('s.contextData.cart.total = 5; s.contextData["page.type"] = "pdp"; var t = s.contextData.user;');
+    assert.deepStrictEqual(summary(hits), ['contextData.cart.total set', 'contextData.page.type set', 'contextData.user read']);
+  });
+
+  await check('Dynamic variables and hand-built beacon parameters', () => {
+    const hits = detectCodeVariables('s.eVar10 = "D=v1"; img.src = "/b/ss/rsid/1?v12=abc&c3=x&h1";');
+    assert.deepStrictEqual(summary(hits, 'detail'), [
+      'eVar10 set',
+      'eVar1 read dynamic variable D=v1',
+      'eVar12 set image request parameter v12',
+      'prop3 set image request parameter c3'
+    ]);
+  });
+
+  await check('Empty or non-string code finds nothing', () => {
+    assert.deepStrictEqual(detectCodeVariables(''), []);
+    assert.deepStrictEqual(detectCodeVariables(null), []);
+    assert.deepStrictEqual(detectCodeVariables({ __function: 'x' }), []);
+  });
+
+  await check('Tracker properties set variables, aliases and events', () => {
+    const hits = detectTrackerProperties({
+      eVars: [{ name: 'eVar1', type: 'value', value: '%Page Name%' }, { name: 'eVar2', type: 'alias', value: 'prop1' }],
+      events: [{ name: 'event1' }, { name: 'event2', value: '5' }],
+      pageName: 'Home',
+      campaign: { type: 'queryParam', value: 'cid' }
+    });
+    assert.deepStrictEqual(summary(hits, 'detail'), [
+      'eVar1 set',
+      'eVar2 set alias of prop1',
+      'prop1 read aliased by eVar2',
+      'event1 set',
+      'event2 set value 5',
+      'pageName set',
+      'campaign set read from query string parameter'
+    ]);
+  });
+
+  const nightjar = new NightjarClient();
+  await nightjar.parseEmbed(launchLibrary());
+
+  await check('A parsed library collects variables from tracker properties, custom code and the global configuration', () => {
+    const variables = nightjar.parsedEmbed.variables;
+    assert.deepStrictEqual(variables.eVar1.usages.map(usage => [usage.source, usage.location]), [['global', 'Global Variables']]);
+    assert.deepStrictEqual(variables.eVar5.usages.map(usage => [usage.ruleId, usage.location, usage.expression]), [['RLcart', 'Custom Code', '_satellite.getVar("Page Type")']]);
+    assert.deepStrictEqual(variables.event1.usages.map(usage => [usage.ruleId, usage.location]), [['RLpage', 'Tracker Properties']]);
+  });
+
+  await check('analyzeVariable describes the rules that set a variable', async () => {
+    const text = await nightjar.analyzeVariable('eVar6', false);
+    assert.ok(text.startsWith('Variable: eVar6\nKind: eVar\nSet in 1 places'));
+    assert.ok(text.includes('Rule: Add to Cart (RLquick)\nEvent Trigger: Click'));
+  });
+
+  await check('analyzeVariable reports an unknown or inherited variable name as not found', async () => {
+    for (const name of ['eVar99', 'toString', 'constructor']) {
+      await assert.rejects(nightjar.analyzeVariable(name, false), new RegExp(`Variable '${name}' not found in the parsed embed code`));
+    }
+  });
+
+  finish('variable detection');
+}
+
+runTests();
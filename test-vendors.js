@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the third-party vendor inventory
+ * Runs without network access against the sample library in test-fixtures.js
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { hostMatches, findUrls, matchVendorSignatures, buildVendorInventory } from './vendors.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const CUSTOM_CODE = 'core/src/lib/actions/customCode.js';
+
+function vendorContainer() {
+  const container = sampleContainer();
+  container.dataElements['Pixel ID'] = {
+    modulePath: 'core/src/lib/dataElements/customCode.js',
+    settings: { source: 'return "https://connect.facebook.net/en_US/fbevents.js";' }
+  };
+  container.rules.push({
+    id: 'RLpixels',
+    name: 'Marketing Pixels',
+    events: [{ modulePath: 'core/src/lib/events/click.js', settings: {} }],
+    conditions: [],
+    actions: [
+      { modulePath: CUSTOM_CODE, settings: { language: 'html', source: '<script>fbq("track","AddToCart");</script><img src="https://ct.pinterest.com/v3/?tid=1">' } },
+      { modulePath: CUSTOM_CODE, settings: { language: 'javascript', source: { __function: 'function(){var i=new Image();i.src="https://pixel.unknown-vendor.example/p.gif";i.src="https://www.acme.example/own.gif";}' } } }
+    ]
+  });
+  return container;
+}
+
+async function runTests() {
+  console.log('Testing the vendor inventory...\n');
+
+  await check('hostMatches matches a domain and its subdomains only', () => {
+    assert.strictEqual(hostMatches('Static.Hotjar.com', 'hotjar.com'), true);
+    assert.strictEqual(hostMatches('hotjar.com', 'hotjar.com'), true);
+    assert.strictEqual(hostMatches('nothotjar.com', 'hotjar.com'), false);
+  });
+
+  await check('findUrls finds absolute and protocol-relative URLs in code', () => {
+    assert.deepStrictEqual(findUrls('load("//cdn.segment.com/a.js"); x="https://api.example.com:8443/v1?q=1";'), [
+      { host: 'cdn.segment.com', path: '/a.js', url: '//cdn.segment.com/a.js' },
+      { host: 'api.example.com', path: '/v1?q=1', url: 'https://api.example.com:8443/v1?q=1' }
+    ]);
+    assert.deepStrictEqual(findUrls(null), []);
+  });
+
+  await check('A URL goes to the vendor with the most specific domain, and snippets count as evidence', () => {
+    const { matches, unknownHosts } = matchVendorSignatures('x("https://acme.tt.omtrdc.net/m2/");ttq.load("ID");y("https://cdn.nowhere.example/a.js")');
+    assert.deepStrictEqual(matches, { 'adobe-target': ['domain tt.omtrdc.net'], 'tiktok-pixel': ['snippet ttq.load('] });
+    assert.deepStrictEqual(unknownHosts, ['cdn.nowhere.example']);
+  });
+
+  await check('The inventory records vendors from extensions, rules and data elements, and unknown domains', async () => {
+    const nightjar = new NightjarClient();
+    const parsed = await nightjar.parseEmbed(launchLibrary(vendorContainer()));
+    const { vendors, unknownDomains } = buildVendorInventory(parsed);
+    const byId = Object.fromEntries(vendors.map(vendor => [vendor.id, vendor]));
+
+    assert.deepStrictEqual(byId['adobe-analytics'].extensions, ['Adobe Analytics']);
+    assert.deepStrictEqual(byId['adobe-analytics'].rules.map(rule => rule.ruleId), ['RLpage', 'RLcart']);
+    assert.deepStrictEqual(byId['adobe-analytics'].sources, []);
+
+    assert.deepStrictEqual(byId['meta-pixel'].rules.map(rule => [rule.ruleId, rule.components, rule.evidence]), [['RLpixels', ['action 1 (Custom Code)'], ['snippet fbq(']]]);
+    assert.deepStrictEqual(byId['meta-pixel'].sources, [{ kind: 'dataElement', name: 'Pixel ID', evidence: ['domain connect.facebook.net'] }]);
+    assert.deepStrictEqual(byId['pinterest-tag'].rules[0].evidence, ['domain ct.pinterest.com']);
+
+    // The property's own domains and the Launch CDN are not reported
+    assert.deepStrictEqual(unknownDomains, { 'pixel.unknown-vendor.example': ['rule Marketing Pixels (RLpixels)'] });
+  });
+
+  await check('getVendorInventory lists each vendor with the rules that fire it', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary(vendorContainer()));
+    const text = await nightjar.getVendorInventory();
+    assert.ok(text.includes('Meta (Facebook) Pixel (Advertising)'));
+    assert.ok(text.includes('  Found in data element "Pixel ID": domain connect.facebook.net'));
+    assert.ok(text.includes('    - Marketing Pixels (RLpixels) on Click: action 1 (Custom Code) [snippet fbq(]'));
+    assert.ok(text.includes('  - pixel.unknown-vendor.example: rule Marketing Pixels (RLpixels)'));
+  });
+
+  finish('vendor inventory');
+}
+
+runTests();
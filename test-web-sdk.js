@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Adobe Experience Platform Web SDK support
+ * Runs without network access against the sample library in test-fixtures.js,
+ * with the Web SDK extension in place of Adobe Analytics
+ */
+
+import assert from 'assert';
+import { check, finish } from './test-helpers.js';
+import { launchLibrary, sampleContainer } from './test-fixtures.js';
+import { decodeWebSdkConfig, flattenFieldPaths, singleTokenName, describeSendEvent, DEFAULT_EDGE_DOMAIN } from './web-sdk.js';
+import { NightjarClient } from './nightjar-client.js';
+
+const ALLOY = 'adobe-alloy/src/lib';
+
+function webSdkContainer() {
+  const container = sampleContainer();
+  delete container.extensions['adobe-analytics'];
+  container.extensions['adobe-alloy'] = {
+    displayName: 'Adobe Experience Platform Web SDK',
+    version: '2.19.0',
+    settings: {
+      instances: [
+        { name: 'alloy', orgId: 'ACME01@AdobeOrg', edgeConfigId: 'DSprod', developmentEdgeConfigId: 'DSdev', clickCollectionEnabled: false },
+        { name: 'partnerSdk', edgeConfigId: 'DSpartner', edgeDomain: 'data.acme.example', onBeforeEventSend: { __function: 'function(content){content.xdm.web=null;}' } }
+      ]
+    },
+    modules: {
+      [`${ALLOY}/actions/sendEvent/index.js`]: { name: 'send-event', displayName: 'Send event' },
+      [`${ALLOY}/actions/updateVariable/index.js`]: { name: 'update-variable', displayName: 'Update variable' }
+    }
+  };
+  container.dataElements['XDM Page'] = {
+    modulePath: `${ALLOY}/dataElements/xdmObject/index.js`,
+    settings: { schema: { id: 'https://ns.adobe.com/acme/schemas/page' }, data: { web: { webPageDetails: { name: '%Page Name%', pageViews: { value: 1 } } } } }
+  };
+  container.dataElements['XDM Variable'] = {
+    modulePath: `${ALLOY}/dataElements/variable/index.js`,
+    settings: { cacheId: 'cache-1', schema: { id: 'https://ns.adobe.com/acme/schemas/page' } }
+  };
+  container.rules = [
+    {
+      id: 'RLview',
+      name: 'Page View',
+      events: [{ modulePath: 'core/src/lib/events/libraryLoaded.js', settings: {} }],
+      conditions: [],
+      actions: [
+        { modulePath: `${ALLOY}/actions/updateVariable/index.js`, settings: { dataElementCacheId: 'cache-1', data: { commerce: { productViews: { value: 1 } } } } },
+        { modulePath: `${ALLOY}/actions/sendEvent/index.js`, settings: { type: 'web.webpagedetails.pageViews', xdm: '%XDM Page%' } }
+      ]
+    },
+    {
+      id: 'RLexit',
+      name: 'Exit Link',
+      events: [{ modulePath: 'core/src/lib/events/click.js', settings: { elementSelector: 'a.exit' } }],
+      conditions: [],
+      actions: [
+        { modulePath: `${ALLOY}/actions/sendEvent/index.js`, settings: { instanceName: 'partnerSdk', type: 'web.webinteraction.linkClicks', xdm: '%XDM Variable%', data: { __adobe: { analytics: { eVar9: 'exit' } } }, documentUnloading: true } }
+      ]
+    }
+  ];
+  return container;
+}
+
+async function runTests() {
+  console.log('Testing Web SDK support...\n');
+
+  await check('decodeWebSdkConfig applies the SDK defaults to each instance', () => {
+    const config = decodeWebSdkConfig(webSdkContainer().extensions);
+    const [alloy, partner] = config.instances;
+    assert.deepStrictEqual(alloy.datastreams, { production: 'DSprod', staging: 'DSprod', development: 'DSdev' });
+    assert.strictEqual(alloy.edgeDomain, DEFAULT_EDGE_DOMAIN);
+    assert.deepStrictEqual([alloy.defaultConsent, alloy.clickCollectionEnabled, alloy.idMigrationEnabled], ['in', false, true]);
+    assert.strictEqual(partner.edgeDomain, 'data.acme.example');
+    assert.strictEqual(partner.onBeforeEventSend, 'function(content){content.xdm.web=null;}');
+    assert.strictEqual(decodeWebSdkConfig(sampleContainer().extensions), null);
+  });
+
+  await check('flattenFieldPaths lists leaf fields, with array items by index', () => {
+    assert.deepStrictEqual(flattenFieldPaths({ web: { name: 'home' }, productListItems: [{ SKU: 'a' }, { SKU: 'b' }], fn: { __function: 'function(){}' } }), [
+      { path: 'web.name', value: 'home' },
+      { path: 'productListItems[0].SKU', value: 'a' },
+      { path: 'productListItems[1].SKU', value: 'b' },
+      { path: 'fn', value: '[function]' }
+    ]);
+    assert.strictEqual(singleTokenName(' %XDM Page% '), 'XDM Page');
+    assert.strictEqual(singleTokenName('%A% and %B%'), null);
+  });
+
+  await check('describeSendEvent summarizes type, sources, instance and unloading', () => {
+    assert.strictEqual(describeSendEvent({ type: 'web.webpagedetails.pageViews', xdm: '%XDM Page%' }), 'type web.webpagedetails.pageViews, XDM from %XDM Page%');
+    assert.strictEqual(describeSendEvent({ instanceName: 'partnerSdk', xdm: {}, data: 'raw', documentUnloading: true }),
+      'type not set, XDM from inline object, data from "raw", instance partnerSdk, sent with sendBeacon');
+  });
+
+  await check('XDM and data fields become variables from data elements, Update variable and Send event', async () => {
+    const nightjar = new NightjarClient();
+    const parsed = await nightjar.parseEmbed(launchLibrary(webSdkContainer()));
+    const owners = name => parsed.variables[name].usages.map(usage => `${usage.source} ${usage.dataElementName || usage.ruleId} ${usage.location}`);
+    assert.deepStrictEqual(owners('xdm.web.webPageDetails.name'), ['dataElement XDM Page XDM Object', 'rule RLview XDM']);
+    assert.deepStrictEqual(owners('xdm.commerce.productViews.value'), ['rule RLview Update Variable', 'rule RLexit XDM']);
+    assert.strictEqual(owners('xdm.eventType').length, 2);
+    assert.deepStrictEqual(owners('data.__adobe.analytics.eVar9'), ['rule RLexit Data']);
+  });
+
+  await check('getWebSdkConfig reports the instances and the rules that send events', async () => {
+    const nightjar = new NightjarClient();
+    await nightjar.parseEmbed(launchLibrary(webSdkContainer()));
+    const text = await nightjar.getWebSdkConfig();
+    assert.ok(text.includes('DSpartner'));
+    assert.ok(text.includes('Exit Link (RLexit)'));
+    assert.ok(text.includes('type web.webinteraction.linkClicks, XDM from %XDM Variable%, data from inline object, instance partnerSdk, sent with sendBeacon'));
+
+    await nightjar.parseEmbed(launchLibrary());
+    assert.strictEqual(await nightjar.getWebSdkConfig(), 'The Adobe Experience Platform Web SDK extension is not installed in this library.');
+  });
+
+  finish('Web SDK');
+}
+
+runTests();
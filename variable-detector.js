@@ -0,0 +1,305 @@
+/**
+ * Adobe Analytics variable detection for Nightjar
+ * Finds variables in tracker properties and custom code in a single pass,
+ * classifying each hit by kind and by whether the variable is set or read
+ */
+
+// Page-level variables that are only counted on a known tracker object, since the names are common words
+export const PAGE_VARIABLES = [
+  'pageName', 'pageURL', 'pageType', 'channel', 'campaign', 'server', 'referrer',
+  'state', 'zip', 'purchaseID', 'transactionID', 'currencyCode'
+];
+
+// Names the AppMeasurement tracker is usually given in custom code
+export const DEFAULT_TRACKER_NAMES = ['s', 's_c', 's_account_tracker', 'tracker', 'analytics'];
+
+// Standard commerce events that can appear in s.events next to custom events
+const STANDARD_EVENTS = ['purchase', 'prodView', 'scOpen', 'scAdd', 'scRemove', 'scView', 'scCheckout'];
+
+// Image request shorthand, as used in dynamic variables ("D=v1") and hand-built beacons
+const SHORTHAND_PREFIXES = { v: 'eVar', c: 'prop', l: 'list', h: 'hier' };
+
+/**
+ * Get the kind of an Analytics variable from its name
+ */
+export function variableKind(name) {
+  if (/^eVar\d+$/.test(name)) return 'eVar';
+  if (/^prop\d+$/.test(name)) return 'prop';
+  if (/^list\d+$/.test(name)) return 'list';
+  if (/^hier\d+$/.test(name)) return 'hier';
+  if (/^event\d+$/.test(name) || STANDARD_EVENTS.includes(name)) return 'event';
+  if (name.startsWith('contextData.')) return 'contextData';
+  if (name === 'products') return 'products';
+  if (name === 'events') return 'events';
+  if (name === 'linkTrackVars' || name === 'linkTrackEvents') return 'linkTracking';
+  if (name.startsWith('xdm.') || name.startsWith('data.')) return 'xdm';
+  return 'pageVariable';
+}
+
+/**
+ * Turn dynamic variable shorthand (D=v1, D=c2) in a value into a variable name
+ */
+export function dynamicVariableReference(value) {
+  const match = /^D=([vclh])(\d+)$/.exec(String(value || '').trim());
+  return match ? `${SHORTHAND_PREFIXES[match[1]]}${match[2]}` : null;
+}
+
+/**
+ * Find variables set through the Analytics extension's tracker properties
+ */
+export function detectTrackerProperties(trackerProperties) {
+  const hits = [];
+  if (!trackerProperties || typeof trackerProperties !== 'object') return hits;
+
+  const addAssignment = (name, value, detail = null) => {
+    hits.push({ variable: name, kind: variableKind(name), access: 'set', value, detail });
+
+    // A "D=v1" value copies another variable, which counts as a read of it
+    const copied = dynamicVariableReference(value);
+    if (copied) {
+      hits.push({ variable: copied, kind: variableKind(copied), access: 'read', value: null, detail: `copied into ${name}` });
+    }
+  };
+
+  ['eVars', 'props'].forEach(group => {
+    (trackerProperties[group] || []).forEach(entry => {
+      if (!entry || !entry.name) return;
+      if (entry.type === 'alias') {
+        // An alias copies another variable's value with a dynamic variable
+        addAssignment(entry.name, `D=${entry.value}`, `alias of ${entry.value}`);
+        if (entry.value) {
+          hits.push({ variable: entry.value, kind: variableKind(entry.value), access: 'read', value: null, detail: `aliased by ${entry.name}` });
+        }
+      } else {
+        addAssignment(entry.name, entry.value);
+      }
+    });
+  });
+
+  (trackerProperties.events || []).forEach(entry => {
+    if (!entry || !entry.name) return;
+    const details = [];
+    if (entry.value !== undefined && entry.value !== '') details.push(`value ${entry.value}`);
+    if (entry.id) details.push(`serialized with ID ${entry.id}`);
+    hits.push({ variable: entry.name, kind: 'event', access: 'set', value: entry.value !== undefined ? entry.value : null, detail: details.join(', ') || null });
+  });
+
+  (trackerProperties.hierarchies || []).forEach(entry => {
+    if (!entry || !entry.name) return;
+    addAssignment(entry.name, (entry.sections || []).join(entry.delimiter || ','));
+  });
+
+  // Legacy DTM variable maps also carry products and list variables as plain keys
+  Object.keys(trackerProperties).filter(name => name === 'products' || /^list\d+$/.test(name)).forEach(name => {
+    addAssignment(name, trackerProperties[name]);
+  });
+
+  PAGE_VARIABLES.forEach(name => {
+    const entry = trackerProperties[name];
+    if (entry === undefined || entry === null || entry === '') return;
+    if (typeof entry === 'object') {
+      // Campaign is stored as { type: "value" | "queryParam", value }
+      addAssignment(name, entry.value, entry.type === 'queryParam' ? 'read from query string parameter' : null);
+    } else {
+      addAssignment(name, entry);
+    }
+  });
+
+  return hits;
+}
+
+/**
+ * Find where a statement ends, skipping over strings and brackets
+ */
+function statementEnd(code, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < code.length; i++) {
+    const char = code[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if (char === '(' || char === '[' || char === '{') depth++;
+    else if (char === ')' || char === ']' || char === '}') {
+      if (depth === 0) return i;
+      depth--;
+    } else if (depth === 0 && (char === ';' || char === '\n' || char === ',')) return i;
+  }
+  return code.length;
+}
+
+const NUMBERED = String.raw`(?:eVar|prop|list|hier)\d+`;
+const MEMBERS = [NUMBERED, 'events', 'products', 'contextData', 'linkTrackVars', 'linkTrackEvents', ...PAGE_VARIABLES].join('|');
+
+// One pattern with an alternative per kind of hit, so code is scanned once
+const CODE_PATTERN = new RegExp([
+  // 1-4: tracker member access, s.eVar1 or s["eVar1"]
+  String.raw`([A-Za-z_$][\w$]*)\s*(?:\.\s*(${MEMBERS})\b|\[\s*(['"])(${MEMBERS})\3\s*\])`,
+  // 5-9: events in a string, with an optional numeric value (event7=2) or serialization ID (event8:abc)
+  String.raw`\b(event\d+|${STANDARD_EVENTS.join('|')})\b(?:(=)(-?\d+(?:\.\d+)?)|(:)([\w\-]+))?`,
+  // 10-11: shorthand in dynamic variables and hand-built beacons (D=v1, &c5=)
+  String.raw`(?:\bD=|[?&])([vclh])(\d+)\b`,
+  // 12: bare variable names, as in linkTrackVars strings
+  String.raw`\b(${NUMBERED})\b`
+].join('|'), 'g');
+
+const NUMBERED_NAME = new RegExp(`^${NUMBERED}$`);
+const ASSIGNMENT = /\s*(?:\+|\|\|)?=(?!=)/y;
+const CONTEXT_DATA_KEY = /\s*(?:\.\s*([\w$]+(?:\.[\w$]+)*)|\[\s*(['"])((?:(?!\2).)+)\2\s*\])/y;
+
+/**
+ * Find Analytics variables in custom code
+ * `trackerNames` are the object names that page-level variables are counted on
+ */
+export function detectCodeVariables(code, { trackerNames = DEFAULT_TRACKER_NAMES } = {}) {
+  const hits = [];
+  if (!code || typeof code !== 'string') return hits;
+
+  // The assignment a string-level hit belongs to, e.g. s.events="event1,event2"
+  let context = null;
+
+  CODE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = CODE_PATTERN.exec(code)) !== null) {
+    const end = CODE_PATTERN.lastIndex;
+    const inContext = context && match.index < context.end ? context : null;
+
+    if (match[2] || match[4]) {
+      const objectName = match[1];
+      let member = match[2] || match[4];
+
+      // Page-level names are common words, so only count them on a tracker object
+      const isNumbered = NUMBERED_NAME.test(member);
+      if (!isNumbered && member !== 'contextData' && !trackerNames.includes(objectName)) {
+        continue;
+      }
+
+      let position = end;
+      if (member === 'contextData') {
+        CONTEXT_DATA_KEY.lastIndex = position;
+        const keyMatch = CONTEXT_DATA_KEY.exec(code);
+        if (!keyMatch) continue;
+        member = `contextData.${keyMatch[1] || keyMatch[3]}`;
+        position = CONTEXT_DATA_KEY.lastIndex;
+        CODE_PATTERN.lastIndex = position;
+      }
+
+      ASSIGNMENT.lastIndex = position;
+      const isSet = ASSIGNMENT.test(code);
+      const hit = { variable: member, kind: variableKind(member), access: isSet ? 'set' : 'read', value: null, detail: null };
+      hits.push(hit);
+
+      if (isSet) {
+        // Keep the assigned expression so its value source can be traced
+        const valueEnd = statementEnd(code, ASSIGNMENT.lastIndex);
+        hit.expression = code.substring(ASSIGNMENT.lastIndex, valueEnd).trim();
+
+        // Strings assigned to these carry further variable names
+        if (['events', 'linkTrackVars', 'linkTrackEvents'].includes(member)) {
+          context = { variable: member, end: valueEnd };
+        }
+      }
+      continue;
+    }
+
+    if (match[5]) {
+      const details = [];
+      if (match[6]) details.push(`value ${match[7]}`);
+      if (match[8]) details.push(`serialized with ID ${match[9]}`);
+
+      if (inContext && inContext.variable === 'linkTrackEvents') {
+        hits.push({ variable: match[5], kind: 'event', access: 'linkTrack', value: null, detail: 'listed in linkTrackEvents' });
+      } else if (inContext && inContext.variable === 'events') {
+        hits.push({ variable: match[5], kind: 'event', access: 'set', value: match[7] || null, detail: details.join(', ') || null });
+      } else if (/^event\d+$/.test(match[5])) {
+        // Standard event names outside s.events are ordinary words
+        hits.push({ variable: match[5], kind: 'event', access: 'read', value: null, detail: details.join(', ') || null });
+      }
+      continue;
+    }
+
+    if (match[10]) {
+      const variable = `${SHORTHAND_PREFIXES[match[10]]}${match[11]}`;
+      const isDynamic = match[0].startsWith('D=');
+      // Beacon parameters only count when they carry a value (&v1=...)
+      if (!isDynamic && code[end] !== '=') continue;
+      hits.push({
+        variable,
+        kind: variableKind(variable),
+        access: isDynamic ? 'read' : 'set',
+        value: null,
+        detail: isDynamic ? `dynamic variable ${match[0]}` : `image request parameter ${match[10]}${match[11]}`
+      });
+      continue;
+    }
+
+    if (match[12]) {
+      const isLinkTrack = inContext && inContext.variable === 'linkTrackVars';
+      hits.push({
+        variable: match[12],
+        kind: variableKind(match[12]),
+        access: isLinkTrack ? 'linkTrack' : 'read',
+        value: null,
+        detail: isLinkTrack ? 'listed in linkTrackVars' : null
+      });
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * Add detected hits to a variable usage map
+ * `usage` describes where the hits were found (rule, component, location)
+ */
+export function addVariableUsages(variables, hits, usage) {
+  hits.forEach(hit => {
+    if (!variables[hit.variable]) {
+      variables[hit.variable] = { name: hit.variable, kind: hit.kind, usages: [] };
+    }
+    variables[hit.variable].usages.push({
+      ...usage,
+      access: hit.access,
+      value: hit.value,
+      detail: hit.detail,
+      expression: hit.expression || null
+    });
+  });
+  return variables;
+}
+
+/**
+ * Detect variables across every rule in one pass per tracker properties block and custom code block
+ */
+export function detectRuleVariables(rules, variables = {}) {
+  Object.values(rules).forEach(rule => {
+    rule.actions.forEach((action, index) => {
+      const usage = {
+        source: 'rule',
+        ruleId: rule.id,
+        ruleName: rule.name,
+        component: `action ${index + 1} (${action.displayName})`
+      };
+
+      if (action.settings.trackerProperties) {
+        addVariableUsages(variables, detectTrackerProperties(action.settings.trackerProperties), { ...usage, location: 'Tracker Properties' });
+      }
+
+      if (action.type === 'customCode' && action.code) {
+        addVariableUsages(variables, detectCodeVariables(action.code), { ...usage, location: action.codeUrl ? 'Custom Code (external file)' : 'Custom Code' });
+      }
+    });
+  });
+
+  return variables;
+}
+
+/**
+ * Get the IDs of the rules that use a variable
+ */
+export function variableRuleIds(variable) {
+  return [...new Set(variable.usages.filter(usage => usage.ruleId).map(usage => usage.ruleId))];
+}
@@ -0,0 +1,136 @@
+/**
+ * Variable lineage for Nightjar
+ * Traces each variable assignment back to its value source: a literal, a data
+ * element (and what that data element reads), a dynamic variable or custom code
+ */
+
+import { ownEntry } from './launch-model.js';
+import { findTokenReferences, findGetVarReferences } from './data-elements.js';
+import { dynamicVariableReference } from './variable-detector.js';
+
+const STRING_LITERAL = /^(['"`])((?:(?!\1)[^\\]|\\.)*)\1$/;
+const SINGLE_GET_VAR = /^_satellite\.getVar\(\s*(['"`])((?:(?!\1)[^\\\n]|\\.)+)\1\s*\)$/;
+
+/**
+ * Follow a data element through the data elements it reads
+ */
+export function traceDataElement(name, dataElements, dependsOn = {}, seen = []) {
+  const element = ownEntry(dataElements, name);
+  if (!element) {
+    return { name, exists: false, description: 'missing: no data element with this name', reads: [] };
+  }
+  if (seen.includes(name)) {
+    return { name, exists: true, typeName: element.typeName, description: 'circular reference', reads: [] };
+  }
+
+  return {
+    name,
+    exists: true,
+    typeName: element.typeName,
+    description: element.source.description,
+    reads: (dependsOn[name] || []).map(next => traceDataElement(next, dataElements, dependsOn, [...seen, name]))
+  };
+}
+
+/**
+ * Describe a data element trace as one line, e.g.
+ * data element "Site Section" (Constant value "%Page Name%|shop") <- data element "Page Name" (...)
+ */
+export function describeTrace(trace) {
+  const own = `data element "${trace.name}" (${trace.exists ? `${trace.typeName}: ${trace.description}` : trace.description})`;
+  if (trace.reads.length === 0) return own;
+  return `${own} <- ${trace.reads.map(describeTrace).join(' + ')}`;
+}
+
+/**
+ * Work out the value source of one assignment
+ * `usage.kind` is the variable's kind, since events without a value still count
+ * Returns { kind, description, dataElements, copiedFrom }
+ */
+export function valueSource(usage, { dataElements = {}, dependsOn = {} } = {}) {
+  const trace = names => names.map(name => traceDataElement(name, dataElements, dependsOn));
+  const source = (kind, description, names = [], copiedFrom = null) => ({ kind, description, dataElements: trace(names), copiedFrom });
+
+  // Assignments in custom code keep the expression they assign
+  if (usage.expression) {
+    const expression = usage.expression;
+    const literal = STRING_LITERAL.exec(expression);
+    if (literal) {
+      const copied = dynamicVariableReference(literal[2]);
+      return copied ?
+        source('dynamic', `dynamic variable ${literal[2]} (copies ${copied})`, [], copied) :
+        source('literal', `literal ${expression}`);
+    }
+    if (/^-?\d+(?:\.\d+)?$/.test(expression)) {
+      return source('literal', `literal ${expression}`);
+    }
+    const singleGetVar = SINGLE_GET_VAR.exec(expression);
+    if (singleGetVar) {
+      return source('dataElement', `_satellite.getVar("${singleGetVar[2]}")`, [singleGetVar[2]]);
+    }
+    const names = [...new Set(findGetVarReferences(expression))];
+    return source('customCode', `custom code expression ${expression.length > 80 ? `${expression.substring(0, 80)}...` : expression}`, names);
+  }
+
+  if (usage.location && usage.location.startsWith('Custom Code')) {
+    if (usage.kind === 'event') {
+      return source('customCode', `listed in s.events in custom code${usage.detail ? ` (${usage.detail})` : ''}`);
+    }
+    return source('customCode', usage.detail ? `custom code (${usage.detail})` : 'custom code');
+  }
+
+  if (usage.detail === 'read from query string parameter') {
+    return source('queryStringParameter', `query string parameter "${usage.value}"`);
+  }
+
+  const value = usage.value;
+  if (usage.kind === 'event' && (value === null || value === undefined || value === '')) {
+    return source('literal', `counter event (increments by 1)${usage.detail ? `, ${usage.detail}` : ''}`);
+  }
+  if (value === null || value === undefined) {
+    return source('unknown', 'value not recorded');
+  }
+  if (typeof value !== 'string') {
+    return source('literal', `literal ${JSON.stringify(value)}`);
+  }
+
+  const copied = dynamicVariableReference(value);
+  if (copied) {
+    return source('dynamic', `dynamic variable ${value} (copies ${copied})`, [], copied);
+  }
+
+  const names = [...new Set(findTokenReferences(value, new Set(Object.keys(dataElements))))];
+  if (names.length === 0) {
+    return source('literal', `literal ${JSON.stringify(value)}`);
+  }
+  if (names.length === 1 && value.trim() === `%${names[0]}%`) {
+    return source('dataElement', `%${names[0]}%`, names);
+  }
+  return source('template', `text with data elements ${JSON.stringify(value)}`, names);
+}
+
+/**
+ * Describe a value source in one line, including what its data elements read
+ */
+export function describeValueSource(source) {
+  if (source.dataElements.length === 0) return source.description;
+  return `${source.description} <- ${source.dataElements.map(describeTrace).join(' + ')}`;
+}
+
+/**
+ * Group a variable's assignments by value source
+ * Returns [{ source, usages }] with the most common source first
+ */
+export function buildVariableLineage(variable, context = {}) {
+  const groups = {};
+  variable.usages
+    .filter(usage => usage.access === 'set')
+    .forEach(usage => {
+      const source = valueSource({ ...usage, kind: variable.kind }, context);
+      const key = describeValueSource(source);
+      if (!groups[key]) groups[key] = { source, description: key, usages: [] };
+      groups[key].usages.push(usage);
+    });
+
+  return Object.values(groups).sort((a, b) => b.usages.length - a.usages.length);
+}
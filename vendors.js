@@ -0,0 +1,224 @@
+/**
+ * Third-party vendor detection for Nightjar
+ * Matches extensions, script domains and well-known snippets against the
+ * vendor signature catalog in vendor-signatures.json
+ */
+
+import { readFileSync } from 'fs';
+import { isFunctionValue, functionSource } from './container-parser.js';
+
+// Hosts that serve the tag manager itself rather than a vendor
+const LAUNCH_HOSTS = ['adobedtm.com'];
+
+const URL_PATTERN = /(?:https?:)?\/\/((?:[a-z0-9-]+\.)+[a-z]{2,})(?::\d+)?(\/[^\s'"`()<>\\]*)?/gi;
+
+let cachedCatalog = null;
+
+/**
+ * Load the bundled vendor signature catalog, compiling its snippet patterns
+ */
+export function loadVendorCatalog() {
+  if (cachedCatalog) return cachedCatalog;
+
+  const raw = JSON.parse(readFileSync(new URL('./vendor-signatures.json', import.meta.url), 'utf8'));
+  cachedCatalog = raw.vendors.map(vendor => ({
+    ...vendor,
+    domains: vendor.domains.map(domain => {
+      const slash = domain.indexOf('/');
+      return slash === -1 ?
+        { text: domain, host: domain, path: null } :
+        { text: domain, host: domain.substring(0, slash), path: domain.substring(slash) };
+    }),
+    patterns: vendor.patterns.map(pattern => new RegExp(pattern))
+  }));
+  return cachedCatalog;
+}
+
+/**
+ * Check whether a host is a domain or one of its subdomains
+ */
+export function hostMatches(host, domain) {
+  const lowered = host.toLowerCase();
+  return lowered === domain || lowered.endsWith(`.${domain}`);
+}
+
+/**
+ * Find the URLs in a piece of code, as host and path
+ */
+export function findUrls(text) {
+  const urls = [];
+  if (!text || typeof text !== 'string') return urls;
+
+  URL_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = URL_PATTERN.exec(text)) !== null) {
+    urls.push({ host: match[1].toLowerCase(), path: match[2] || '/', url: match[0] });
+  }
+  return urls;
+}
+
+/**
+ * Match one piece of code against the catalog
+ * Each URL goes to the vendor with the most specific matching domain; URLs no vendor claims are returned as unknown
+ */
+export function matchVendorSignatures(text, catalog = loadVendorCatalog()) {
+  const matches = {};
+  const unknownHosts = [];
+  if (!text || typeof text !== 'string') return { matches, unknownHosts };
+
+  const addEvidence = (vendor, evidence) => {
+    const entry = matches[vendor.id] = matches[vendor.id] || [];
+    if (!entry.includes(evidence)) entry.push(evidence);
+  };
+
+  findUrls(text).forEach(url => {
+    let best = null;
+    catalog.forEach(vendor => {
+      vendor.domains.forEach(domain => {
+        if (!hostMatches(url.host, domain.host)) return;
+        if (domain.path && !url.path.startsWith(domain.path)) return;
+        if (!best || domain.text.length > best.domain.text.length) {
+          best = { vendor, domain };
+        }
+      });
+    });
+
+    if (best) {
+      addEvidence(best.vendor, `domain ${best.domain.text}`);
+    } else if (!unknownHosts.includes(url.host)) {
+      unknownHosts.push(url.host);
+    }
+  });
+
+  catalog.forEach(vendor => {
+    vendor.patterns.forEach(pattern => {
+      const match = pattern.exec(text);
+      if (match) addEvidence(vendor, `snippet ${match[0].trim()}`);
+    });
+  });
+
+  return { matches, unknownHosts };
+}
+
+/**
+ * Collect the strings and function sources in a settings value
+ */
+function collectText(value, texts = []) {
+  if (typeof value === 'string') {
+    texts.push(value);
+  } else if (isFunctionValue(value)) {
+    texts.push(functionSource(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectText(item, texts));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectText(item, texts));
+  }
+  return texts;
+}
+
+/**
+ * Build the vendor inventory for a parsed library
+ * Vendors are found from installed extensions and from domains and snippets in
+ * rule settings, custom code (inline and fetched), extension settings and data elements
+ */
+export function buildVendorInventory({ rules = {}, extensions = {}, dataElements = {}, property = null }, catalog = loadVendorCatalog()) {
+  const vendors = {};
+  const unknownDomains = {};
+  const ownDomains = ((property && property.settings && property.settings.domains) || []).map(domain => domain.toLowerCase());
+
+  const vendorEntry = vendor => {
+    if (!vendors[vendor.id]) {
+      vendors[vendor.id] = { id: vendor.id, name: vendor.name, category: vendor.category, extensions: [], rules: {}, sources: [] };
+    }
+    return vendors[vendor.id];
+  };
+
+  const isOwnHost = host => [...ownDomains, ...LAUNCH_HOSTS].some(domain => hostMatches(host, domain));
+
+  // Scan some code and record what it matched against the owner it belongs to
+  const scan = (text, record, location) => {
+    const { matches, unknownHosts } = matchVendorSignatures(text, catalog);
+    Object.entries(matches).forEach(([id, evidence]) => {
+      record(vendorEntry(catalog.find(vendor => vendor.id === id)), evidence);
+    });
+    unknownHosts.filter(host => !isOwnHost(host)).forEach(host => {
+      const locations = unknownDomains[host] = unknownDomains[host] || [];
+      if (!locations.includes(location)) locations.push(location);
+    });
+  };
+
+  const addEvidence = (list, evidence) => evidence.forEach(item => {
+    if (!list.includes(item)) list.push(item);
+  });
+
+  // Installed extensions that belong to a known vendor
+  Object.values(extensions).forEach(extension => {
+    catalog.filter(vendor => vendor.extensions.includes(extension.name)).forEach(vendor => {
+      const entry = vendorEntry(vendor);
+      if (!entry.extensions.includes(extension.displayName)) entry.extensions.push(extension.displayName);
+    });
+
+    scan(collectText(extension.settings).join('\n'), (entry, evidence) => {
+      let source = entry.sources.find(item => item.kind === 'extension' && item.name === extension.displayName);
+      if (!source) {
+        source = { kind: 'extension', name: extension.displayName, evidence: [] };
+        entry.sources.push(source);
+      }
+      addEvidence(source.evidence, evidence);
+    }, `${extension.displayName} extension settings`);
+  });
+
+  Object.values(rules).forEach(rule => {
+    const ruleEntry = entry => {
+      if (!entry.rules[rule.id]) {
+        entry.rules[rule.id] = {
+          ruleId: rule.id,
+          ruleName: rule.name,
+          events: rule.events.map(event => event.displayName),
+          components: [],
+          evidence: []
+        };
+      }
+      return entry.rules[rule.id];
+    };
+
+    ['events', 'conditions', 'actions'].forEach(kind => {
+      rule[kind].forEach((component, index) => {
+        const label = `${kind.replace(/s$/, '')} ${index + 1} (${component.displayName})`;
+
+        // Actions of a vendor's extension fire that vendor
+        if (kind === 'actions') {
+          catalog.filter(vendor => vendor.extensions.includes(component.extension)).forEach(vendor => {
+            const used = ruleEntry(vendorEntry(vendor));
+            if (!used.components.includes(label)) used.components.push(label);
+            addEvidence(used.evidence, [`${component.extension} extension action`]);
+          });
+        }
+
+        const texts = collectText(component.settings);
+        if (component.codeUrl && component.code) texts.push(component.code);
+        scan(texts.join('\n'), (entry, evidence) => {
+          const used = ruleEntry(entry);
+          if (!used.components.includes(label)) used.components.push(label);
+          addEvidence(used.evidence, evidence);
+        }, `rule ${rule.name} (${rule.id})`);
+      });
+    });
+  });
+
+  Object.values(dataElements).forEach(element => {
+    scan(collectText(element.settings).join('\n'), (entry, evidence) => {
+      let source = entry.sources.find(item => item.kind === 'dataElement' && item.name === element.name);
+      if (!source) {
+        source = { kind: 'dataElement', name: element.name, evidence: [] };
+        entry.sources.push(source);
+      }
+      addEvidence(source.evidence, evidence);
+    }, `data element ${element.name}`);
+  });
+
+  return {
+    vendors: Object.values(vendors).map(vendor => ({ ...vendor, rules: Object.values(vendor.rules) })),
+    unknownDomains
+  };
+}
@@ -0,0 +1,254 @@
+/**
+ * Adobe Experience Platform Web SDK (Alloy) support for Nightjar
+ * Decodes the extension's instances, Send event actions and XDM field paths
+ */
+
+import { isFunctionValue, functionSource } from './container-parser.js';
+import { addVariableUsages, variableKind } from './variable-detector.js';
+
+export const WEB_SDK_EXTENSION = 'adobe-alloy';
+
+// The Edge Network domain used when an instance does not set its own
+export const DEFAULT_EDGE_DOMAIN = 'edge.adobedc.net';
+
+/**
+ * Decode one Web SDK instance, applying the SDK's defaults for unset options
+ * Staging and development fall back to the production datastream when not set
+ */
+function decodeInstance(instance) {
+  const production = instance.edgeConfigId || null;
+  const onBeforeEventSend = instance.onBeforeEventSend;
+
+  return {
+    name: instance.name || 'alloy',
+    orgId: instance.orgId || null,
+    datastreams: {
+      production,
+      staging: instance.stagingEdgeConfigId || production,
+      development: instance.developmentEdgeConfigId || production
+    },
+    edgeDomain: instance.edgeDomain || DEFAULT_EDGE_DOMAIN,
+    edgeBasePath: instance.edgeBasePath || 'ee',
+    defaultConsent: instance.defaultConsent !== undefined ? instance.defaultConsent : 'in',
+    idMigrationEnabled: instance.idMigrationEnabled !== false,
+    thirdPartyCookiesEnabled: instance.thirdPartyCookiesEnabled !== false,
+    clickCollectionEnabled: instance.clickCollectionEnabled !== false,
+    targetMigrationEnabled: instance.targetMigrationEnabled === true,
+    context: instance.context || null,
+    prehidingStyle: instance.prehidingStyle || null,
+    onBeforeEventSend: isFunctionValue(onBeforeEventSend) ? functionSource(onBeforeEventSend) : (onBeforeEventSend || null)
+  };
+}
+
+/**
+ * Decode the Web SDK extension's settings
+ * Returns null when the extension is not installed
+ */
+export function decodeWebSdkConfig(extensions) {
+  const extension = extensions && extensions[WEB_SDK_EXTENSION];
+  if (!extension) return null;
+
+  const settings = extension.settings || {};
+  return {
+    extension: WEB_SDK_EXTENSION,
+    displayName: extension.displayName,
+    instances: (settings.instances || []).map(decodeInstance)
+  };
+}
+
+/**
+ * Get the data element name when a setting is exactly one `%Name%` token
+ */
+export function singleTokenName(value) {
+  const match = typeof value === 'string' ? /^%([^%\n]+)%$/.exec(value.trim()) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Flatten an object into its leaf field paths, e.g. web.webPageDetails.name
+ * Array items are addressed by index, e.g. productListItems[0].SKU
+ */
+export function flattenFieldPaths(value, prefix = '') {
+  const fields = [];
+
+  const walk = (item, path) => {
+    if (Array.isArray(item)) {
+      item.forEach((entry, index) => walk(entry, `${path}[${index}]`));
+    } else if (item && typeof item === 'object' && !isFunctionValue(item)) {
+      Object.entries(item).forEach(([key, entry]) => walk(entry, path ? `${path}.${key}` : key));
+    } else if (path) {
+      fields.push({ path, value: isFunctionValue(item) ? '[function]' : item });
+    }
+  };
+
+  walk(value, prefix);
+  return fields;
+}
+
+/**
+ * Describe the source of a Web SDK data element
+ */
+export function decodeWebSdkSource(type, settings) {
+  switch (type) {
+    case 'xdmObject': {
+      const schema = settings.schema || {};
+      const fields = flattenFieldPaths(settings.data || {});
+      return {
+        kind: type,
+        schema: schema.id || null,
+        fields,
+        description: `XDM object with ${fields.length} fields${schema.id ? ` (schema ${schema.id})` : ''}`
+      };
+    }
+
+    case 'variable': {
+      const schema = settings.schema || null;
+      return {
+        kind: type,
+        cacheId: settings.cacheId || null,
+        root: schema ? 'xdm' : 'data',
+        schema: schema && schema.id ? schema.id : null,
+        description: `Variable ${schema ? `for XDM${schema.id ? ` (schema ${schema.id})` : ''}` : `for the data object${settings.solutions ? ` (${settings.solutions.join(', ')})` : ''}`}, filled by Update variable actions`
+      };
+    }
+
+    default:
+      return { kind: type, description: `Web SDK ${type} data element` };
+  }
+}
+
+/**
+ * Decode the settings of a Send event action
+ */
+export function decodeSendEvent(settings) {
+  return {
+    instanceName: settings.instanceName || 'alloy',
+    type: settings.type || null,
+    xdm: settings.xdm !== undefined ? settings.xdm : null,
+    data: settings.data !== undefined ? settings.data : null,
+    xdmDataElement: singleTokenName(settings.xdm),
+    dataDataElement: singleTokenName(settings.data),
+    datasetId: settings.datasetId || null,
+    mergeId: settings.mergeId || null,
+    documentUnloading: settings.documentUnloading === true,
+    renderDecisions: settings.renderDecisions === true,
+    decisionScopes: settings.decisionScopes || [],
+    datastreamOverride: settings.edgeConfigOverrides || null
+  };
+}
+
+/**
+ * Describe a Send event action in one line
+ */
+export function describeSendEvent(settings) {
+  const event = decodeSendEvent(settings);
+  const describe = (value, name) => {
+    if (value === null) return null;
+    if (name) return `%${name}%`;
+    return typeof value === 'string' ? JSON.stringify(value) : 'inline object';
+  };
+  const parts = [`type ${event.type || 'not set'}`];
+  const xdm = describe(event.xdm, event.xdmDataElement);
+  const data = describe(event.data, event.dataDataElement);
+  if (xdm) parts.push(`XDM from ${xdm}`);
+  if (data) parts.push(`data from ${data}`);
+  if (event.instanceName !== 'alloy') parts.push(`instance ${event.instanceName}`);
+  if (event.documentUnloading) parts.push('sent with sendBeacon');
+  return parts.join(', ');
+}
+
+/**
+ * Collect the field paths held by XDM object and Variable data elements, keyed by data element name
+ * Variable data elements get their fields from the Update variable actions that target them
+ */
+export function webSdkFieldPaths(dataElements, rules) {
+  const fieldsByElement = {};
+  const variablesByCacheId = {};
+
+  Object.values(dataElements).forEach(element => {
+    if (element.extension !== WEB_SDK_EXTENSION) return;
+    if (element.type === 'xdmObject') {
+      fieldsByElement[element.name] = { root: 'xdm', fields: element.source.fields || [] };
+    } else if (element.type === 'variable') {
+      fieldsByElement[element.name] = { root: element.source.root, fields: [] };
+      if (element.source.cacheId) variablesByCacheId[element.source.cacheId] = element.name;
+    }
+  });
+
+  Object.values(rules).forEach(rule => {
+    rule.actions.forEach(action => {
+      if (action.extension !== WEB_SDK_EXTENSION || action.type !== 'updateVariable') return;
+      const name = variablesByCacheId[action.settings.dataElementCacheId];
+      if (!name) return;
+      flattenFieldPaths(action.settings.data || {}).forEach(field => {
+        if (!fieldsByElement[name].fields.some(existing => existing.path === field.path)) {
+          fieldsByElement[name].fields.push(field);
+        }
+      });
+    });
+  });
+
+  return fieldsByElement;
+}
+
+/**
+ * Turn field paths into variable hits under the `xdm.` or `data.` root
+ */
+function fieldHits(root, fields, detail = null) {
+  return fields.map(field => {
+    const variable = `${root}.${field.path}`;
+    return { variable, kind: variableKind(variable), access: 'set', value: field.value, detail };
+  });
+}
+
+/**
+ * Add XDM and data field paths from Web SDK data elements and actions to a variable usage map
+ */
+export function detectWebSdkVariables(rules, dataElements, variables = {}) {
+  const fieldsByElement = webSdkFieldPaths(dataElements, rules);
+
+  // Fields defined in XDM object data elements
+  Object.entries(fieldsByElement).forEach(([name, { root, fields }]) => {
+    if (dataElements[name].type !== 'xdmObject') return;
+    addVariableUsages(variables, fieldHits(root, fields), {
+      source: 'dataElement',
+      dataElementName: name,
+      component: `data element "${name}"`,
+      location: 'XDM Object'
+    });
+  });
+
+  Object.values(rules).forEach(rule => {
+    rule.actions.forEach((action, index) => {
+      if (action.extension !== WEB_SDK_EXTENSION) return;
+      const usage = {
+        source: 'rule',
+        ruleId: rule.id,
+        ruleName: rule.name,
+        component: `action ${index + 1} (${action.displayName})`
+      };
+
+      if (action.type === 'sendEvent') {
+        const event = decodeSendEvent(action.settings);
+        if (event.type) {
+          addVariableUsages(variables, [{ variable: 'xdm.eventType', kind: 'xdm', access: 'set', value: event.type, detail: null }], { ...usage, location: 'Type' });
+        }
+
+        [['xdm', event.xdm, event.xdmDataElement], ['data', event.data, event.dataDataElement]].forEach(([root, value, elementName]) => {
+          if (elementName && fieldsByElement[elementName]) {
+            addVariableUsages(variables, fieldHits(root, fieldsByElement[elementName].fields, `from data element "${elementName}"`), { ...usage, location: root === 'xdm' ? 'XDM' : 'Data' });
+          } else if (value && typeof value === 'object') {
+            addVariableUsages(variables, fieldHits(root, flattenFieldPaths(value)), { ...usage, location: root === 'xdm' ? 'XDM' : 'Data' });
+          }
+        });
+      } else if (action.type === 'updateVariable') {
+        const name = Object.keys(fieldsByElement).find(elementName =>
+          dataElements[elementName].source.cacheId === action.settings.dataElementCacheId);
+        const root = name ? fieldsByElement[name].root : 'xdm';
+        addVariableUsages(variables, fieldHits(root, flattenFieldPaths(action.settings.data || {}), name ? `in data element "${name}"` : null), { ...usage, location: 'Update Variable' });
+      }
+    });
+  });
+
+  return variables;
+}